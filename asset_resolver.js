@@ -0,0 +1,370 @@
+/**
+ * Asset Resolver
+ * Makes a document self-contained: fonts, images and stylesheets referenced with
+ * relative URLs are resolved against the input file's directory (or an uploaded
+ * zip bundle) and inlined as data URIs, so rendering needs no network access.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { createRequire } from 'module';
+import * as cheerio from 'cheerio';
+import JSZip from 'jszip';
+
+const require = createRequire(import.meta.url);
+
+const MIME_TYPES = {
+    '.css': 'text/css',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.bmp': 'image/bmp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject'
+};
+
+// Fonts shipped through npm and used when the export's own font files are missing
+const BUNDLED_FONTS = {
+    'inter': { package: '@fontsource/inter', weights: [400, 500, 600, 700] },
+    'jetbrains mono': { package: '@fontsource/jetbrains-mono', weights: [400, 700] }
+};
+
+const URL_RE = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+const IMPORT_RE = /@import\s+(?:url\(\s*)?(['"])([^'"]+)\1\s*\)?\s*([^;]*);/g;
+const FONT_FACE_RE = /@font-face\s*{[^}]*}/g;
+// url() references, skipping those of @import rules left in place
+const URL_OUTSIDE_IMPORT_RE = /@import\s[^;]*;|url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+
+async function replaceAsync(text, re, replacer) {
+    const matches = [...text.matchAll(re)];
+    const replacements = await Promise.all(matches.map(match => replacer(...match)));
+    let result = '';
+    let last = 0;
+    matches.forEach((match, i) => {
+        result += text.slice(last, match.index) + replacements[i];
+        last = match.index + match[0].length;
+    });
+    return result + text.slice(last);
+}
+
+function isExternal(ref) {
+    return /^(data|https?|blob|about|javascript|mailto):/i.test(ref) || ref.startsWith('//') || ref.startsWith('#');
+}
+
+/**
+ * Resolve a reference found in `fromPath` to a path relative to the asset root.
+ * Root-relative references (`/Inter/...`) are treated as relative to the root.
+ * Returns null for references escaping the root.
+ */
+function resolvePath(fromPath, ref) {
+    const raw = ref.split(/[?#]/)[0];
+    let clean;
+    try {
+        clean = decodeURIComponent(raw);
+    } catch (error) {
+        // Not valid percent-encoding (img%E0.png, 100%.css): the file may have that name
+        clean = raw;
+    }
+    const joined = clean.startsWith('/')
+        ? clean.slice(1)
+        : path.posix.join(path.posix.dirname(fromPath), clean);
+    const normalized = path.posix.normalize(joined);
+    return normalized.startsWith('..') ? null : normalized;
+}
+
+function dataURI(assetPath, buffer) {
+    const type = MIME_TYPES[path.extname(assetPath).toLowerCase()] || 'application/octet-stream';
+    return `data:${type};base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * Loader for assets next to an input file.
+ */
+export function directoryLoader(dir) {
+    const root = path.resolve(dir);
+    return async (assetPath) => {
+        const fullPath = path.resolve(root, assetPath);
+        if (!fullPath.startsWith(root + path.sep)) {
+            return null;
+        }
+        try {
+            return await fs.readFile(fullPath);
+        } catch {
+            return null;
+        }
+    };
+}
+
+async function loadZip(buffer) {
+    try {
+        return await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw Object.assign(new Error(`The upload is not a valid zip bundle: ${error.message}`),
+            { status: 400, code: 'INVALID_BUNDLE' });
+    }
+}
+
+function zipHTMLFiles(zip) {
+    const files = Object.values(zip.files).filter(file => !file.dir && !file.name.startsWith('__MACOSX/'));
+    const htmlFiles = files.filter(file => /\.html?$/i.test(file.name));
+    if (htmlFiles.length === 0) {
+        throw Object.assign(new Error('The zip bundle contains no HTML file'), { status: 400, code: 'INVALID_BUNDLE' });
+    }
+    return htmlFiles;
+}
+
+// HTML file of a zip with its assets resolved relative to its own directory
+async function zipEntry(zip, entry) {
+    const root = path.posix.dirname(entry.name) === '.' ? '' : `${path.posix.dirname(entry.name)}/`;
+    const loader = async (assetPath) => {
+        const file = zip.file(root + assetPath);
+        return file ? file.async('nodebuffer') : null;
+    };
+
+    return {
+        html: await entry.async('string'),
+        fileName: path.posix.basename(entry.name),
+        loader
+    };
+}
+
+/**
+ * Open an uploaded zip bundle. The entry document is `index.html` or the
+ * least nested HTML file; assets are resolved relative to the zip root.
+ */
+export async function openZipBundle(buffer) {
+    const zip = await loadZip(buffer);
+    const htmlFiles = zipHTMLFiles(zip)
+        .sort((a, b) => a.name.split('/').length - b.name.split('/').length ||
+            Number(!/(^|\/)index\.html?$/i.test(a.name)) - Number(!/(^|\/)index\.html?$/i.test(b.name)));
+
+    return zipEntry(zip, htmlFiles[0]);
+}
+
+/**
+ * Open a zip of several exports, e.g. for merging. Every HTML file is a
+ * document of its own, in path order, with assets resolved relative to it.
+ *
+ * @returns {Promise<Array<{ html: string, fileName: string, loader: function }>>}
+ */
+export async function openZipExports(buffer) {
+    const zip = await loadZip(buffer);
+    const htmlFiles = zipHTMLFiles(zip).sort((a, b) => a.name.localeCompare(b.name));
+    return Promise.all(htmlFiles.map(entry => zipEntry(zip, entry)));
+}
+
+function bundledFontCSS(family, weight, style) {
+    const font = BUNDLED_FONTS[family];
+    const weights = font.weights.includes(weight) ? [weight] : font.weights;
+    return weights.map((w) => {
+        const cssFile = require.resolve(`${font.package}/${w}${style === 'italic' ? '-italic' : ''}.css`);
+        const css = fs.readFileSync(cssFile, 'utf-8')
+            // woff2 is enough for Chromium
+            .replace(/,\s*url\([^)]*\.woff\) format\('woff'\)/g, '')
+            .replace(URL_RE, (match, quote, ref) => {
+                const filePath = path.join(path.dirname(cssFile), ref);
+                return `url(${dataURI(filePath, fs.readFileSync(filePath))})`;
+            });
+        return css;
+    }).join('\n');
+}
+
+function fontFaceProperty(block, name) {
+    const match = block.match(new RegExp(`${name}\\s*:\\s*([^;}]+)`, 'i'));
+    return match ? match[1].trim().replace(/^['"]|['"]$/g, '') : null;
+}
+
+class AssetResolver {
+    constructor(loader) {
+        this.loader = loader;
+        this.cache = new Map();
+        this.report = { inlined: [], fallbacks: [], unresolved: [], remote: [] };
+        // Stylesheets inlined so far; importing one again would repeat it, or never end for cycles
+        this.stylesheets = new Set();
+    }
+
+    async load(fromPath, ref) {
+        const assetPath = this.loader ? resolvePath(fromPath, ref) : null;
+        if (!assetPath) {
+            return null;
+        }
+        if (!this.cache.has(assetPath)) {
+            this.cache.set(assetPath, this.loader(assetPath));
+        }
+        const buffer = await this.cache.get(assetPath);
+        return buffer ? { assetPath, buffer } : null;
+    }
+
+    track(list, ref) {
+        if (!list.includes(ref)) {
+            list.push(ref);
+        }
+    }
+
+    async inlineURL(fromPath, ref) {
+        if (isExternal(ref)) {
+            if (/^(https?:)?\/\//i.test(ref)) {
+                this.track(this.report.remote, ref);
+            }
+            return null;
+        }
+        const asset = await this.load(fromPath, ref);
+        if (!asset) {
+            this.track(this.report.unresolved, ref);
+            return null;
+        }
+        this.track(this.report.inlined, ref);
+        return dataURI(asset.assetPath, asset.buffer);
+    }
+
+    async inlineFontFace(block, cssPath) {
+        const refs = [...block.matchAll(URL_RE)].map(match => match[2]).filter(ref => !isExternal(ref));
+        const resolved = await Promise.all(refs.map(ref => this.load(cssPath, ref)));
+
+        if (refs.length > 0 && resolved.every(asset => !asset)) {
+            const family = (fontFaceProperty(block, 'font-family') || '').toLowerCase();
+            if (BUNDLED_FONTS[family]) {
+                refs.forEach(ref => this.track(this.report.fallbacks, ref));
+                const weight = parseInt(fontFaceProperty(block, 'font-weight')) || 400;
+                return bundledFontCSS(family, weight, fontFaceProperty(block, 'font-style'));
+            }
+        }
+
+        return this.inlineCSS(block, cssPath, false);
+    }
+
+    async inlineCSS(css, cssPath, withFontFaces = true) {
+        let output = await replaceAsync(css, IMPORT_RE, async (match, quote, ref, media) => {
+            if (isExternal(ref)) {
+                return match;
+            }
+            const asset = await this.load(cssPath, ref);
+            if (!asset || this.stylesheets.has(asset.assetPath)) {
+                this.track(this.report.unresolved, ref);
+                return match;
+            }
+            this.stylesheets.add(asset.assetPath);
+            this.track(this.report.inlined, ref);
+            const imported = await this.inlineCSS(asset.buffer.toString('utf-8'), asset.assetPath);
+            return media.trim() ? `@media ${media.trim()} {\n${imported}\n}` : imported;
+        });
+
+        if (withFontFaces) {
+            output = await replaceAsync(output, FONT_FACE_RE, block => this.inlineFontFace(block, cssPath));
+        }
+
+        return replaceAsync(output, URL_OUTSIDE_IMPORT_RE, async (match, quote, ref) => {
+            if (match.startsWith('@import')) {
+                return match;
+            }
+            const uri = await this.inlineURL(cssPath, ref);
+            return uri ? `url(${uri})` : match;
+        });
+    }
+
+    /**
+     * Bundled fonts are also declared for documents that name the family in
+     * their CSS without any @font-face, like the chat template.
+     */
+    addMissingFontFaces($) {
+        const styles = $('style').map((i, el) => $(el).html()).get().join('\n');
+        const declared = new Set([...styles.matchAll(FONT_FACE_RE)]
+            .map(match => (fontFaceProperty(match[0], 'font-family') || '').toLowerCase()));
+        const used = (styles + $('[style]').map((i, el) => $(el).attr('style')).get().join(';')).toLowerCase();
+
+        const css = Object.keys(BUNDLED_FONTS)
+            .filter(family => !declared.has(family) && new RegExp(`font-family\\s*:[^;}]*['"]?${family}['"]?`).test(used))
+            .map(family => bundledFontCSS(family, null, 'normal'))
+            .join('\n');
+
+        if (css) {
+            $('head').append(`<style data-bundled-fonts>${css}</style>`);
+        }
+    }
+
+    async resolveDocument(html) {
+        const $ = cheerio.load(html);
+
+        for (const el of $('link[rel~="stylesheet"][href]').toArray()) {
+            const $link = $(el);
+            const ref = $link.attr('href');
+            if (isExternal(ref)) {
+                continue;
+            }
+            const asset = await this.load('', ref);
+            if (!asset) {
+                this.track(this.report.unresolved, ref);
+                continue;
+            }
+            this.stylesheets.add(asset.assetPath);
+            this.track(this.report.inlined, ref);
+            const css = await this.inlineCSS(asset.buffer.toString('utf-8'), asset.assetPath);
+            const media = $link.attr('media');
+            $link.replaceWith(`<style${media ? ` media="${media}"` : ''}>${css}</style>`);
+        }
+
+        for (const el of $('style').toArray()) {
+            $(el).text(await this.inlineCSS($(el).html(), ''));
+        }
+
+        for (const el of $('[style]').toArray()) {
+            $(el).attr('style', await this.inlineCSS($(el).attr('style'), '', false));
+        }
+
+        const attributes = [
+            ['img[src], source[src], input[type="image"][src]', 'src'],
+            ['video[poster]', 'poster'],
+            ['link[rel~="icon"][href]', 'href'],
+            ['image[href], use[href]', 'href'],
+            ['image[xlink\\:href]', 'xlink:href']
+        ];
+        for (const [selector, attribute] of attributes) {
+            for (const el of $(selector).toArray()) {
+                const ref = $(el).attr(attribute);
+                const uri = ref ? await this.inlineURL('', ref) : null;
+                if (uri) {
+                    $(el).attr(attribute, uri);
+                }
+            }
+        }
+
+        for (const el of $('img[srcset], source[srcset]').toArray()) {
+            // The largest candidate is what a print renderer wants anyway
+            const candidates = $(el).attr('srcset').split(',').map(c => c.trim().split(/\s+/)[0]);
+            const uri = await this.inlineURL('', candidates[candidates.length - 1]);
+            if (uri) {
+                $(el).removeAttr('srcset');
+                if ($(el).is('img')) {
+                    $(el).attr('src', uri);
+                }
+            }
+        }
+
+        this.addMissingFontFaces($);
+        return $.html();
+    }
+}
+
+/**
+ * Inline the assets of a document.
+ *
+ * @param {string} html - Input document
+ * @param {object} [options]
+ * @param {function} [options.loader] - async (assetPath) => Buffer|null, see directoryLoader/openZipBundle.
+ *   Without a loader only the bundled fallback fonts are applied.
+ * @returns {Promise<{ html: string, report: { inlined, fallbacks, unresolved, remote } }>} Lists of
+ *   references that were inlined, replaced by bundled fonts, not found, or left pointing to the network
+ */
+export async function resolveAssets(html, options = {}) {
+    const resolver = new AssetResolver(options.loader || null);
+    const output = await resolver.resolveDocument(html);
+    return { html: output, report: resolver.report };
+}
@@ -0,0 +1,491 @@
+/**
+ * API Authentication
+ * API keys, per-key rate limits and daily quotas for the API server.
+ *
+ * Keys live in a JSON file managed with the CLI (`keys create`, `keys revoke`),
+ * which stores only their SHA-256 hashes, or come from the API_KEYS variable.
+ * Requests are limited per key (per client IP when no keys are configured) in
+ * fixed windows; conversions and rendered PDF pages are counted per key and
+ * day in a usage file, so quotas survive restarts.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { Logger } from './logger.js';
+
+const KEY_PREFIX = 'dsk_';
+
+// Days of usage kept in the usage file
+const USAGE_DAYS = 31;
+
+export class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = 401;
+        this.code = 'UNAUTHORIZED';
+    }
+}
+
+export class RateLimitError extends Error {
+    constructor(limit, retryAfter) {
+        super(`Rate limit of ${limit} requests exceeded, retry in ${retryAfter}s`);
+        this.name = 'RateLimitError';
+        this.status = 429;
+        this.code = 'RATE_LIMITED';
+        this.retryAfter = retryAfter;
+    }
+}
+
+export class QuotaError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'QuotaError';
+        this.status = 429;
+        this.code = 'QUOTA_EXCEEDED';
+        this.retryAfter = retryAfter;
+    }
+}
+
+export class KeyNotFoundError extends Error {
+    constructor(id) {
+        super(`API key '${id}' not found`);
+        this.name = 'KeyNotFoundError';
+        this.status = 404;
+        this.code = 'KEY_NOT_FOUND';
+    }
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Usage is counted per UTC day
+function today(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+function secondsUntilTomorrow(now = new Date()) {
+    const tomorrow = new Date(now);
+    tomorrow.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((tomorrow - now) / 1000);
+}
+
+function optionalLimit(value, name) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`${name} must be a whole number, 0 for no limit`);
+    }
+    return limit;
+}
+
+/**
+ * API keys from the keys file and the API_KEYS variable. The file is read
+ * again when it changes, so keys created or revoked with the CLI apply to a
+ * running server.
+ *
+ * Keys file: { "keys": [{ id, name, hash, prefix, createdAt, revokedAt,
+ *   rateLimit, dailyConversions, dailyPages }] }, limits null for the defaults.
+ */
+export class KeyStore {
+    /**
+     * @param {object} options
+     * @param {string} options.file - Keys file
+     * @param {string[]} [options.envKeys] - Plain keys given in the environment
+     * @param {Logger} [options.logger]
+     */
+    constructor({ file, envKeys = [], logger = new Logger({ format: 'text' }) }) {
+        this.file = file;
+        this.logger = logger;
+        this.envKeys = envKeys.map((key, i) => ({
+            id: `env-${i + 1}`,
+            name: 'API_KEYS',
+            hash: hashKey(key),
+            prefix: key.slice(0, KEY_PREFIX.length + 4),
+            createdAt: null,
+            revokedAt: null,
+            rateLimit: null,
+            dailyConversions: null,
+            dailyPages: null
+        }));
+        this.keys = [];
+        this.mtime = null;
+        this.loaded = false;
+    }
+
+    // Keys of the file, re-read when its modification time changed. A file that
+    // can't be read keeps the last keys read from it; without those it is an error.
+    fileKeys() {
+        let mtime = null;
+        try {
+            mtime = fs.statSync(this.file).mtimeMs;
+        } catch (error) {
+            // No file: no keys
+        }
+        if (mtime === this.mtime) {
+            return this.keys;
+        }
+
+        if (mtime === null) {
+            this.keys = [];
+        } else {
+            try {
+                this.keys = fs.readJsonSync(this.file).keys || [];
+            } catch (error) {
+                this.logger.error('Keys file could not be read', { file: this.file, error, keptKeys: this.loaded ? this.keys.length : 0 });
+                if (!this.loaded) {
+                    throw error;
+                }
+            }
+        }
+        this.mtime = mtime;
+        this.loaded = true;
+        return this.keys;
+    }
+
+    list() {
+        return [...this.envKeys, ...this.fileKeys()];
+    }
+
+    /**
+     * Whether requests need a key: as soon as one key is active.
+     */
+    enabled() {
+        return this.list().some(key => !key.revokedAt);
+    }
+
+    /**
+     * The active key record for a plain key, or null.
+     */
+    find(key) {
+        const hash = hashKey(key);
+        return this.list().find(record => record.hash === hash && !record.revokedAt) || null;
+    }
+
+    async save(keys) {
+        await fs.ensureDir(path.dirname(this.file));
+        await fs.writeJson(this.file, { keys }, { spaces: 2 });
+        this.mtime = null;
+    }
+
+    /**
+     * Create a key. The plain key is only returned here; the file keeps its hash.
+     *
+     * @param {object} options
+     * @param {string} options.name - What the key is for, e.g. the client
+     * @param {number} [options.rateLimit] - Requests per window (default: RATE_LIMIT)
+     * @param {number} [options.dailyConversions] - Conversions per day (default: DAILY_CONVERSIONS)
+     * @param {number} [options.dailyPages] - PDF pages per day (default: DAILY_PAGES)
+     * @returns {Promise<{ key: string, record: object }>}
+     */
+    async create({ name, rateLimit, dailyConversions, dailyPages }) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('A key needs a name');
+        }
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const record = {
+            id: `key_${crypto.randomBytes(4).toString('hex')}`,
+            name: name.trim(),
+            hash: hashKey(key),
+            prefix: key.slice(0, KEY_PREFIX.length + 4),
+            createdAt: new Date().toISOString(),
+            revokedAt: null,
+            rateLimit: optionalLimit(rateLimit, 'rateLimit'),
+            dailyConversions: optionalLimit(dailyConversions, 'dailyConversions'),
+            dailyPages: optionalLimit(dailyPages, 'dailyPages')
+        };
+        await this.save([...this.fileKeys(), record]);
+        return { key, record };
+    }
+
+    /**
+     * Revoke a key of the file; it stays listed with its usage.
+     *
+     * @throws {KeyNotFoundError}
+     */
+    async revoke(id) {
+        const keys = this.fileKeys().map(key => ({ ...key }));
+        const record = keys.find(key => key.id === id);
+        if (!record) {
+            throw new KeyNotFoundError(id);
+        }
+        record.revokedAt = record.revokedAt || new Date().toISOString();
+        await this.save(keys);
+        return record;
+    }
+}
+
+/**
+ * Conversions and PDF pages per key and UTC day, in a JSON file:
+ * { "2025-08-03": { "key_1a2b3c4d": { "conversions": 12, "pages": 85 } } }
+ */
+export class UsageStore {
+    constructor({ file, logger = new Logger({ format: 'text' }) }) {
+        this.file = file;
+        this.logger = logger;
+        this.usage = null;
+        this.saving = Promise.resolve();
+    }
+
+    load() {
+        if (!this.usage) {
+            try {
+                this.usage = fs.readJsonSync(this.file);
+            } catch (error) {
+                this.usage = {};
+            }
+        }
+        return this.usage;
+    }
+
+    get(id, day = today()) {
+        return this.load()[day]?.[id] || { conversions: 0, pages: 0 };
+    }
+
+    /**
+     * Add to the usage of a key today and write the file. Writes are queued, so
+     * concurrent conversions don't overwrite each other.
+     */
+    async record(id, { conversions = 0, pages = 0 }) {
+        const usage = this.load();
+        const day = today();
+        const current = this.get(id, day);
+        usage[day] = { ...usage[day], [id]: { conversions: current.conversions + conversions, pages: current.pages + pages } };
+
+        for (const old of Object.keys(usage).sort().slice(0, -USAGE_DAYS)) {
+            delete usage[old];
+        }
+
+        this.saving = this.saving.then(async () => {
+            await fs.ensureDir(path.dirname(this.file));
+            await fs.writeJson(this.file, usage, { spaces: 2 });
+        }).catch(error => this.logger.error('Usage could not be saved', { file: this.file, error }));
+        await this.saving;
+    }
+
+    /**
+     * Usage of the last days, newest first: [{ day, keys: { id: usage } }]
+     */
+    history(days = 7) {
+        const usage = this.load();
+        return Object.keys(usage).sort().reverse().slice(0, days).map(day => ({ day, keys: usage[day] }));
+    }
+}
+
+/**
+ * Requests per client in fixed windows.
+ */
+export class RateLimiter {
+    constructor({ window = 60 * 1000 } = {}) {
+        this.window = window;
+        this.windows = new Map();
+    }
+
+    /**
+     * Count a request. Returns the state for the RateLimit headers.
+     *
+     * @returns {{ allowed: boolean, limit: number, remaining: number, reset: number }}
+     *   reset in seconds
+     */
+    hit(id, limit, now = Date.now()) {
+        let current = this.windows.get(id);
+        if (!current || current.resetAt <= now) {
+            current = { count: 0, resetAt: now + this.window };
+            this.windows.set(id, current);
+            // Drop finished windows now and then, so the map doesn't grow with every client
+            if (this.windows.size > 10000) {
+                for (const [key, value] of this.windows) {
+                    if (value.resetAt <= now) {
+                        this.windows.delete(key);
+                    }
+                }
+            }
+        }
+        current.count++;
+        return {
+            allowed: current.count <= limit,
+            limit,
+            remaining: Math.max(0, limit - current.count),
+            reset: Math.ceil((current.resetAt - now) / 1000)
+        };
+    }
+}
+
+/**
+ * A conversion counted against the quota of a key while it runs. It is
+ * committed with its pages when the conversion succeeds and released when it
+ * doesn't, so the quota check and the usage it guards can't be split by
+ * concurrent requests. Requests without a key reserve nothing.
+ */
+class QuotaReservation {
+    constructor(auth, record) {
+        this.auth = auth;
+        this.keyId = record ? record.id : null;
+        if (this.keyId) {
+            auth.reserved.set(this.keyId, (auth.reserved.get(this.keyId) || 0) + 1);
+        }
+    }
+
+    /**
+     * Count the conversion and its pages in the usage of the key.
+     */
+    async commit(pages = 0) {
+        if (!this.keyId) {
+            return;
+        }
+        // The usage is updated before the reservation goes, the file is written after
+        const saved = this.auth.usage.record(this.keyId, { conversions: 1, pages });
+        this.release();
+        await saved;
+    }
+
+    /**
+     * Give the reserved conversion back; does nothing once committed or released.
+     */
+    release() {
+        if (!this.keyId) {
+            return;
+        }
+        const left = this.auth.reserved.get(this.keyId) - 1;
+        if (left > 0) {
+            this.auth.reserved.set(this.keyId, left);
+        } else {
+            this.auth.reserved.delete(this.keyId);
+        }
+        this.keyId = null;
+    }
+}
+
+export class ApiAuth {
+    /**
+     * @param {object} config
+     * @param {KeyStore} config.keys
+     * @param {UsageStore} config.usage
+     * @param {number} [config.rateLimit] - Requests per window and key, or client IP without keys (0: off)
+     * @param {number} [config.rateLimitWindow] - Window in milliseconds
+     * @param {number} [config.dailyConversions] - Conversions per key and day (0: unlimited)
+     * @param {number} [config.dailyPages] - PDF pages per key and day (0: unlimited)
+     */
+    constructor({ keys, usage, rateLimit = 60, rateLimitWindow = 60 * 1000, dailyConversions = 0, dailyPages = 0 }) {
+        this.keys = keys;
+        this.usage = usage;
+        this.rateLimit = rateLimit;
+        this.limiter = new RateLimiter({ window: rateLimitWindow });
+        this.dailyConversions = dailyConversions;
+        this.dailyPages = dailyPages;
+        // Conversions in progress per key id, counted by checkQuota()
+        this.reserved = new Map();
+    }
+
+    /**
+     * @param {object} env
+     * @param {string} [dir] - Directory of the default data files
+     * @param {object} [services]
+     * @param {Logger} [services.logger]
+     * @throws {Error} When a limit isn't a whole number
+     */
+    static fromEnvironment(env = process.env, dir = process.cwd(), { logger } = {}) {
+        const number = (name, fallback) => (env[name] !== undefined && env[name] !== '' ? optionalLimit(env[name].trim(), name) : fallback);
+        const rateLimitWindow = number('RATE_LIMIT_WINDOW', 60 * 1000);
+        if (rateLimitWindow === 0) {
+            throw new Error('RATE_LIMIT_WINDOW must be a positive number of milliseconds');
+        }
+        return new ApiAuth({
+            keys: new KeyStore({
+                file: env.API_KEYS_FILE || path.join(dir, 'data', 'api_keys.json'),
+                envKeys: (env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+                ...(logger ? { logger } : {})
+            }),
+            usage: new UsageStore({ file: env.USAGE_FILE || path.join(dir, 'data', 'usage.json'), ...(logger ? { logger } : {}) }),
+            rateLimit: number('RATE_LIMIT', 60),
+            rateLimitWindow,
+            dailyConversions: number('DAILY_CONVERSIONS', 0),
+            dailyPages: number('DAILY_PAGES', 0)
+        });
+    }
+
+    // The key of a request: "Authorization: Bearer <key>" or "X-API-Key: <key>"
+    static requestKey(req) {
+        const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+        return match ? match[1] : req.get('x-api-key') || null;
+    }
+
+    /**
+     * Express middleware: authenticates the request when keys are configured,
+     * sets `req.apiKey` (null without keys) and applies the rate limit.
+     * Failures are passed on as AuthError or RateLimitError.
+     */
+    middleware() {
+        return (req, res, next) => {
+            let record = null;
+            if (this.keys.enabled()) {
+                const key = ApiAuth.requestKey(req);
+                record = key ? this.keys.find(key) : null;
+                if (!record) {
+                    res.setHeader('WWW-Authenticate', 'Bearer');
+                    return next(new AuthError(key ? 'Invalid or revoked API key' :
+                        'An API key is required (Authorization: Bearer <key> or X-API-Key)'));
+                }
+            }
+            req.apiKey = record;
+
+            const limit = record?.rateLimit ?? this.rateLimit;
+            if (limit > 0) {
+                const state = this.limiter.hit(record ? record.id : `ip:${req.ip}`, limit);
+                res.setHeader('RateLimit-Limit', String(state.limit));
+                res.setHeader('RateLimit-Remaining', String(state.remaining));
+                res.setHeader('RateLimit-Reset', String(state.reset));
+                if (!state.allowed) {
+                    return next(new RateLimitError(limit, state.reset));
+                }
+            }
+            next();
+        };
+    }
+
+    limits(record) {
+        return {
+            conversions: record.dailyConversions ?? this.dailyConversions,
+            pages: record.dailyPages ?? this.dailyPages
+        };
+    }
+
+    /**
+     * Reject a conversion when the key used up a daily quota, counting the
+     * conversions of the key still in progress. Requests without a key (no
+     * keys configured) have no quota.
+     *
+     * @throws {QuotaError}
+     */
+    checkQuota(record) {
+        if (!record) {
+            return;
+        }
+        const limits = this.limits(record);
+        const used = this.usage.get(record.id);
+        const conversions = used.conversions + (this.reserved.get(record.id) || 0);
+        if (limits.conversions > 0 && conversions >= limits.conversions) {
+            throw new QuotaError(`Daily quota of ${limits.conversions} conversions used up`, secondsUntilTomorrow());
+        }
+        if (limits.pages > 0 && used.pages >= limits.pages) {
+            throw new QuotaError(`Daily quota of ${limits.pages} pages used up`, secondsUntilTomorrow());
+        }
+    }
+
+    /**
+     * Check the quota and reserve a conversion of it in one step. The pages of
+     * a conversion are only known once it is done, so they count from then on.
+     *
+     * @param {object|null} record - Key record, null without keys
+     * @returns {QuotaReservation} To commit when the conversion succeeded, else release
+     * @throws {QuotaError}
+     */
+    reserveQuota(record) {
+        this.checkQuota(record);
+        return new QuotaReservation(this, record);
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * Batch Runner
+ * Converts many files in one CLI run: inputs given as files, directories or
+ * glob patterns, a fixed number of conversions at a time, outputs that are
+ * newer than their input skipped. Also watches a directory (e.g. the browser's
+ * Downloads folder) and hands new exports to a converter as they arrive.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import fg from 'fast-glob';
+
+const HTML_PATTERN = '*.{html,htm}';
+
+// Downloads are converted once their size stopped changing for this long
+const SETTLE_TIME = 1000;
+
+/**
+ * Whether the CLI input needs batch mode: several inputs, a directory or a glob.
+ */
+export function isBatchInput(inputs) {
+    return inputs.length > 1 || inputs.some(input => fg.isDynamicPattern(input) ||
+        (fs.existsSync(input) && fs.statSync(input).isDirectory()));
+}
+
+/**
+ * Expand files, directories (their HTML files, not recursive) and glob
+ * patterns into a sorted list of files without duplicates.
+ *
+ * @param {string[]} inputs
+ * @returns {Promise<string[]>}
+ */
+export async function expandInputs(inputs) {
+    const files = new Set();
+    for (const input of inputs) {
+        if (!fg.isDynamicPattern(input)) {
+            // Missing files are kept, so they are reported as failed
+            if (await fs.pathExists(input) && (await fs.stat(input)).isDirectory()) {
+                const entries = await fg(HTML_PATTERN, { cwd: input, onlyFiles: true, caseSensitiveMatch: false });
+                entries.forEach(entry => files.add(path.join(input, entry)));
+            } else {
+                files.add(path.normalize(input));
+            }
+            continue;
+        }
+        const matches = await fg(input, { onlyFiles: true });
+        matches.forEach(match => files.add(path.normalize(match)));
+    }
+    return [...files].sort();
+}
+
+/**
+ * Whether an output (file or image directory) was written after its input
+ * last changed.
+ */
+export async function isUpToDate(input, output) {
+    try {
+        const [source, target] = await Promise.all([fs.stat(input), fs.stat(output)]);
+        return target.mtimeMs >= source.mtimeMs;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Run a task for every item, at most `concurrency` at a time. Every worker
+ * gets its own context (e.g. a converter with its own browser), created once
+ * and closed when the worker runs out of items.
+ *
+ * @param {Array} items
+ * @param {function} task - async (item, context) => result
+ * @param {object} [options]
+ * @param {number} [options.concurrency]
+ * @param {function} [options.createContext] - () => context
+ * @param {function} [options.closeContext] - async (context) => void
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+export async function runBatch(items, task, { concurrency = 1, createContext = () => null, closeContext = async () => {} } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        const context = createContext();
+        try {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await task(items[index], context);
+            }
+        } finally {
+            await closeContext(context);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+}
+
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Summary table of a batch run.
+ *
+ * @param {Array<{ input: string, status: 'converted'|'skipped'|'failed', output?: string,
+ *   error?: string, duration?: number }>} results
+ * @param {number} duration - Time of the whole run in milliseconds
+ * @returns {string}
+ */
+export function formatSummary(results, duration) {
+    const count = status => results.filter(result => result.status === status).length;
+    const rows = results.map(result => [
+        result.status,
+        result.input,
+        result.status === 'failed' ? result.error
+            : result.status === 'skipped' ? 'up to date'
+                : `${result.output} (${formatSeconds(result.duration)})`
+    ]);
+    const widths = [0, 1].map(column => Math.max(...[['Status', 'Input'], ...rows].map(row => row[column].length)));
+    const line = row => `  ${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`;
+
+    return [
+        `${count('failed') > 0 ? '❌' : '✅'} ${count('converted')} converted, ${count('skipped')} skipped, ` +
+            `${count('failed')} failed (${formatSeconds(duration)})`,
+        line(['Status', 'Input', 'Output / error']),
+        ...rows.map(line)
+    ].join('\n');
+}
+
+/**
+ * Watch a directory for files matching a pattern and call `onFile` for every
+ * new or changed one, once it is completely written. Files that were already
+ * there are only passed on with `existing: true`.
+ *
+ * @param {string} dir
+ * @param {object} options
+ * @param {string} options.pattern - Glob for file names, e.g. "deepseek-chat-*.html"
+ * @param {boolean} [options.existing] - Also hand over files present at start
+ * @param {function} options.onFile - async (filePath) => void, called one file at a time
+ * @returns {Promise<{ close: function }>}
+ */
+export async function watchDirectory(dir, { pattern, existing = false, onFile }) {
+    const scan = () => fg(pattern, { cwd: dir, onlyFiles: true, stats: true, deep: 1 });
+
+    // Modification time last handed over, so every version of a file is converted once
+    const seen = new Map();
+    if (!existing) {
+        for (const entry of await scan()) {
+            seen.set(entry.name, entry.stats.mtimeMs);
+        }
+    }
+
+    const sizes = new Map();
+    let queue = Promise.resolve();
+    let timer = null;
+
+    const check = async () => {
+        timer = null;
+        for (const entry of await scan()) {
+            const { name, stats } = entry;
+            if (seen.get(name) === stats.mtimeMs) {
+                continue;
+            }
+            // Still being downloaded: look again once the size settles
+            if (stats.size === 0 || sizes.get(name) !== stats.size) {
+                sizes.set(name, stats.size);
+                schedule(SETTLE_TIME);
+                continue;
+            }
+            seen.set(name, stats.mtimeMs);
+            sizes.delete(name);
+            queue = queue.then(() => onFile(path.join(dir, name))).catch(() => {});
+        }
+    };
+    const schedule = (delay) => {
+        if (!timer) {
+            timer = setTimeout(() => check().catch(() => {}), delay);
+        }
+    };
+
+    const watcher = fs.watch(dir, () => schedule(200));
+    schedule(0);
+
+    return {
+        close: async () => {
+            watcher.close();
+            clearTimeout(timer);
+            await queue;
+        }
+    };
+}
@@ -0,0 +1,265 @@
+/**
+ * Browser Pool
+ * Keeps a set of warm Chromium instances and hands out isolated pages,
+ * so API requests don't pay a full browser cold start each time
+ */
+
+import puppeteer from 'puppeteer';
+import { Logger } from './logger.js';
+
+// Rendered by probe() to check that a browser really produces PDFs
+const PROBE_PAGE = '<!DOCTYPE html><html><body><p>Health check</p></body></html>';
+
+export const DEFAULT_LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+    '--no-first-run'
+];
+
+export class PoolSaturatedError extends Error {
+    constructor(retryAfter) {
+        super('All browsers are busy, please retry later');
+        this.name = 'PoolSaturatedError';
+        this.status = 503;
+        this.code = 'POOL_SATURATED';
+        this.retryAfter = retryAfter;
+    }
+}
+
+export class BrowserPool {
+    constructor(options = {}) {
+        const {
+            size = 2,
+            maxQueue = 20,
+            acquireTimeout = 30000,
+            maxUses = 100,
+            maxAge = 30 * 60 * 1000,
+            healthCheckInterval = 30000,
+            launchOptions = {},
+            logger = new Logger({ format: 'text' })
+        } = options;
+
+        this.size = size;
+        this.maxQueue = maxQueue;
+        this.acquireTimeout = acquireTimeout;
+        this.maxUses = maxUses;
+        this.maxAge = maxAge;
+        this.healthCheckInterval = healthCheckInterval;
+        this.logger = logger;
+        this.launchOptions = {
+            headless: 'new',
+            args: DEFAULT_LAUNCH_ARGS,
+            ...launchOptions
+        };
+
+        this.slots = [];
+        this.waiting = [];
+        this.healthTimer = null;
+        this.closed = false;
+        // Moving average of how long a page is held, used for Retry-After
+        this.averageHoldTime = 5000;
+        this.stats = { launches: 0, crashes: 0, recycled: 0, rejected: 0 };
+    }
+
+    async start() {
+        const launches = [];
+        for (let i = 0; i < this.size; i++) {
+            const slot = { id: i, browser: null, uses: 0, createdAt: 0, busy: false, launching: null };
+            this.slots.push(slot);
+            launches.push(this.launch(slot));
+        }
+        await Promise.all(launches);
+
+        this.healthTimer = setInterval(() => {
+            this.checkHealth().catch(error => this.logger.error('Browser pool health check failed', { error }));
+        }, this.healthCheckInterval);
+        this.healthTimer.unref();
+    }
+
+    async launch(slot) {
+        if (slot.launching) {
+            return slot.launching;
+        }
+
+        slot.launching = (async () => {
+            const browser = await puppeteer.launch(this.launchOptions);
+            this.stats.launches++;
+            this.logger.debug('Browser launched', { slot: slot.id });
+
+            browser.on('disconnected', () => {
+                if (slot.browser !== browser) {
+                    return;
+                }
+                // Unexpected exit, the slot is relaunched on next acquire or health check
+                this.stats.crashes++;
+                slot.browser = null;
+                this.logger.warn('Browser exited unexpectedly', { slot: slot.id });
+            });
+
+            slot.browser = browser;
+            slot.uses = 0;
+            slot.createdAt = Date.now();
+        })();
+
+        try {
+            await slot.launching;
+        } finally {
+            slot.launching = null;
+        }
+    }
+
+    async retire(slot) {
+        const browser = slot.browser;
+        slot.browser = null;
+        if (browser) {
+            await browser.close().catch(() => {});
+        }
+    }
+
+    isExpired(slot) {
+        return slot.uses >= this.maxUses || Date.now() - slot.createdAt >= this.maxAge;
+    }
+
+    async checkHealth() {
+        for (const slot of this.slots) {
+            if (slot.busy || slot.launching || this.closed) {
+                continue;
+            }
+
+            if (slot.browser && (!slot.browser.connected || this.isExpired(slot))) {
+                this.stats.recycled++;
+                await this.retire(slot);
+            }
+
+            if (!slot.browser) {
+                slot.busy = true;
+                try {
+                    await this.launch(slot);
+                } catch (error) {
+                    this.logger.error('Failed to relaunch browser', { slot: slot.id, error });
+                } finally {
+                    this.release(slot);
+                }
+            }
+        }
+    }
+
+    retryAfterSeconds() {
+        const pending = this.waiting.length + 1;
+        return Math.max(1, Math.ceil((pending * this.averageHoldTime) / this.size / 1000));
+    }
+
+    acquire(timeout = this.acquireTimeout) {
+        if (this.closed) {
+            return Promise.reject(new Error('Browser pool is closed'));
+        }
+
+        const slot = this.slots.find(s => !s.busy);
+        if (slot) {
+            slot.busy = true;
+            return Promise.resolve(slot);
+        }
+
+        if (this.waiting.length >= this.maxQueue) {
+            this.stats.rejected++;
+            return Promise.reject(new PoolSaturatedError(this.retryAfterSeconds()));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiting.splice(this.waiting.indexOf(waiter), 1);
+                this.stats.rejected++;
+                reject(new PoolSaturatedError(this.retryAfterSeconds()));
+            }, timeout);
+            this.waiting.push(waiter);
+        });
+    }
+
+    release(slot) {
+        const waiter = this.waiting.shift();
+        if (waiter) {
+            clearTimeout(waiter.timer);
+            waiter.resolve(slot);
+        } else {
+            slot.busy = false;
+        }
+    }
+
+    /**
+     * Run `fn` with a fresh page in its own browser context. The context is
+     * disposed afterwards, so cookies, storage and cache never leak between requests.
+     *
+     * @param {function} fn - async (page) => result
+     * @param {object} [options]
+     * @param {number} [options.acquireTimeout] - Milliseconds to wait for a free browser
+     */
+    async withPage(fn, { acquireTimeout = this.acquireTimeout } = {}) {
+        const slot = await this.acquire(acquireTimeout);
+        const startedAt = Date.now();
+        let context = null;
+
+        try {
+            if (!slot.browser || !slot.browser.connected || this.isExpired(slot)) {
+                if (slot.browser) {
+                    this.stats.recycled++;
+                }
+                await this.retire(slot);
+                await this.launch(slot);
+            }
+
+            slot.uses++;
+            context = await slot.browser.createBrowserContext();
+            const page = await context.newPage();
+            return await fn(page);
+        } finally {
+            if (context) {
+                await context.close().catch(() => {});
+            }
+            this.averageHoldTime = this.averageHoldTime * 0.8 + (Date.now() - startedAt) * 0.2;
+            this.release(slot);
+        }
+    }
+
+    /**
+     * Render a tiny page with a pooled browser, to check that PDFs can really be
+     * produced. Resolves to the browser version and the time it took. Waits at
+     * most `timeout` for a free browser; a full pool rejects with PoolSaturatedError.
+     */
+    async probe({ timeout = 10000 } = {}) {
+        const startedAt = Date.now();
+        return this.withPage(async (page) => {
+            await page.setContent(PROBE_PAGE, { timeout });
+            await page.pdf({ format: 'A4', timeout });
+            return {
+                version: await page.browser().version(),
+                latency: Date.now() - startedAt
+            };
+        }, { acquireTimeout: timeout });
+    }
+
+    getStatus() {
+        return {
+            size: this.size,
+            busy: this.slots.filter(s => s.busy).length,
+            alive: this.slots.filter(s => s.browser && s.browser.connected).length,
+            queued: this.waiting.length,
+            maxQueue: this.maxQueue,
+            ...this.stats
+        };
+    }
+
+    async close() {
+        this.closed = true;
+        clearInterval(this.healthTimer);
+
+        for (const waiter of this.waiting.splice(0)) {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error('Browser pool is closed'));
+        }
+
+        await Promise.all(this.slots.map(slot => this.retire(slot)));
+    }
+}
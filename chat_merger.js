@@ -0,0 +1,180 @@
+/**
+ * Chat Merger
+ * Bundles several DeepSeek exports into one document, e.g. a week of research
+ * chats: a cover page, an index of the chat titles and one section per chat.
+ * The result is rendered as a single PDF, so page numbers run on through all
+ * chats and every chat gets a bookmark with its prompts below it.
+ */
+
+import { ExportParseError, isDeepSeekExport } from './deepseek_parser.js';
+import { renderMergedDocument } from './chat_template.js';
+import { prepareConversation } from './html_pipeline.js';
+import { resolveAssets } from './asset_resolver.js';
+import { renderCodeBlocks } from './code_blocks.js';
+import { renderMath } from './math_renderer.js';
+import { renderScriptFonts } from './font_fallback.js';
+
+/**
+ * timestamp: oldest export first, exports without a timestamp last
+ * input: in the order the chats were given
+ */
+export const MERGE_ORDERS = ['timestamp', 'input'];
+
+export const MAX_MERGE_CHATS = 50;
+
+const DEFAULT_TITLE = 'DeepSeek Chats';
+const MAX_TITLE_LENGTH = 200;
+
+export class MergeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MergeError';
+        this.status = 400;
+        this.code = 'INVALID_MERGE';
+    }
+}
+
+/**
+ * Options of a merged PDF: the chat template with a cover, an index of chats,
+ * bookmarks and page numbers, added to the footer template if there is one.
+ */
+export function mergeOptions(options = {}) {
+    return { ...options, template: 'chat', outline: true, toc: true, pageNumbers: true };
+}
+
+/**
+ * Sort chats for printing. The sort is stable, so chats exported at the same
+ * time, or without a timestamp, keep their input order.
+ *
+ * @param {Array<{ conversation: object }>} chats
+ * @param {string} order - One of MERGE_ORDERS
+ */
+export function orderChats(chats, order = 'timestamp') {
+    if (order === 'input') {
+        return [...chats];
+    }
+    const time = chat => (chat.conversation.exportedAt ? Date.parse(chat.conversation.exportedAt) : Infinity);
+    return [...chats].sort((a, b) => time(a) - time(b));
+}
+
+function chatName(chat, index) {
+    return chat.fileName ? `Chat ${index + 1} (${chat.fileName})` : `Chat ${index + 1}`;
+}
+
+// "3 chats · 2025-08-04 – 2025-08-09 · 21 prompts"
+function coverMeta(conversations) {
+    const dates = conversations.filter(c => c.exportedAt)
+        .map(c => new Date(c.exportedAt).toISOString().slice(0, 10))
+        .sort();
+    const range = dates.length === 0 ? null
+        : dates[0] === dates[dates.length - 1] ? dates[0] : `${dates[0]} – ${dates[dates.length - 1]}`;
+    const prompts = conversations.reduce((sum, c) => sum + c.stats.prompts, 0);
+    return {
+        range,
+        meta: [
+            `${conversations.length} chat${conversations.length === 1 ? '' : 's'}`,
+            range,
+            `${prompts} prompt${prompts === 1 ? '' : 's'}`
+        ].filter(Boolean).join(' · ')
+    };
+}
+
+// One report for all chats, as for a single document
+function mergeRedactions(reports) {
+    const present = reports.filter(Boolean);
+    if (present.length === 0) {
+        return null;
+    }
+    const merged = { style: present[0].style, total: 0, rules: {} };
+    for (const report of present) {
+        merged.total += report.total;
+        for (const [rule, count] of Object.entries(report.rules)) {
+            merged.rules[rule] = (merged.rules[rule] || 0) + count;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Prepare the merged document. Every chat goes through turn selection,
+ * redaction and math rendering on its own, then all are rendered with the
+ * chat template.
+ *
+ * @param {Array<{ html: string, fileName?: string, loader?: function }>} chats - Exports to
+ *   merge; assets are inlined with their loader from asset_resolver.js
+ * @param {object} options - Conversion options, as validated by options_schema.js
+ * @param {object} [context]
+ * @param {string} [context.order] - One of MERGE_ORDERS (default: timestamp)
+ * @param {string} [context.title] - Cover title (default: "DeepSeek Chats")
+ * @param {object} [context.redaction] - Redaction config, see redactor.js
+ * @param {FontLibrary} [context.fonts] - Font directories for fallback fonts, see font_fallback.js
+ * @returns {Promise<{ html: string, info: object, redactions: object|null, chats: object[], sources: object[] }>}
+ *   Document, info for headers and footers, the redaction report, the title,
+ *   file name and export time of every chat in print order, and the chats as
+ *   printed for attaching to the PDF
+ * @throws {MergeError} For an unknown order, an invalid title, no chats or too many
+ * @throws {ExportParseError} When a chat is not a DeepSeek export
+ */
+export async function prepareMerge(chats, options = {}, context = {}) {
+    const order = context.order || 'timestamp';
+    const title = context.title || DEFAULT_TITLE;
+
+    if (!MERGE_ORDERS.includes(order)) {
+        throw new MergeError(`Unknown order '${order}'. Available orders: ${MERGE_ORDERS.join(', ')}`);
+    }
+    if (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH) {
+        throw new MergeError(`title must be a string of at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    if (chats.length === 0) {
+        throw new MergeError('No chats to merge');
+    }
+    if (chats.length > MAX_MERGE_CHATS) {
+        throw new MergeError(`Too many chats: ${chats.length} (at most ${MAX_MERGE_CHATS} can be merged)`);
+    }
+    if (options.output && options.output !== 'pdf') {
+        throw new MergeError(`Merged chats are written as pdf, not ${options.output}`);
+    }
+
+    const prepared = [];
+    for (const [i, chat] of chats.entries()) {
+        let html = chat.html;
+        if (chat.loader && options.inlineAssets !== false) {
+            ({ html } = await resolveAssets(html, { loader: chat.loader }));
+        }
+
+        if (!isDeepSeekExport(html)) {
+            throw new ExportParseError(`${chatName(chat, i)} is not a DeepSeek chat export, no conversation was found`);
+        }
+        try {
+            const { conversation, redactions, source } = prepareConversation(html, options,
+                { fileName: chat.fileName, redaction: context.redaction });
+            prepared.push({ conversation, redactions, source, fileName: chat.fileName || null });
+        } catch (error) {
+            if (error instanceof ExportParseError) {
+                throw new ExportParseError(`${chatName(chat, i)}: ${error.message}`);
+            }
+            throw error;
+        }
+    }
+
+    const ordered = orderChats(prepared, order);
+    const conversations = ordered.map(chat => chat.conversation);
+    const { range, meta } = coverMeta(conversations);
+
+    let html = renderMergedDocument(conversations, { theme: options.theme, title, meta });
+    html = renderCodeBlocks(html, options).html;
+    html = renderMath(html, options).html;
+    html = renderScriptFonts(html, options, { fonts: context.fonts }).html;
+
+    return {
+        html,
+        info: { title, date: range, url: null },
+        redactions: mergeRedactions(ordered.map(chat => chat.redactions)),
+        chats: ordered.map(chat => ({
+            title: chat.conversation.title,
+            fileName: chat.fileName,
+            exportedAt: chat.conversation.exportedAt
+        })),
+        sources: ordered.map(chat => ({ html: chat.source, fileName: chat.fileName }))
+    };
+}
@@ -0,0 +1,391 @@
+/**
+ * Chat Template
+ * Rebuilds a parsed DeepSeek conversation as a clean, print-oriented HTML document
+ */
+
+import * as cheerio from 'cheerio';
+
+export const THEMES = {
+    light: {
+        background: '#ffffff',
+        text: '#262626',
+        muted: '#737373',
+        border: '#e5e5e5',
+        userBackground: '#eef2ff',
+        userAccent: '#4d6bfe',
+        assistantAccent: '#10a37f',
+        codeBackground: '#f5f5f5',
+        tokenKeyword: '#0000ff',
+        tokenString: '#a31515',
+        tokenComment: '#008000',
+        tokenNumber: '#098658',
+        tokenFunction: '#795e26',
+        tokenTag: '#800000'
+    },
+    dark: {
+        background: '#1e1e1e',
+        text: '#e5e5e5',
+        muted: '#a3a3a3',
+        border: '#3f3f46',
+        userBackground: '#2a2f45',
+        userAccent: '#7d93ff',
+        assistantAccent: '#34d399',
+        codeBackground: '#111111',
+        tokenKeyword: '#569cd6',
+        tokenString: '#ce9178',
+        tokenComment: '#6a9955',
+        tokenNumber: '#b5cea8',
+        tokenFunction: '#dcdcaa',
+        tokenTag: '#4ec9b0'
+    },
+    compact: {
+        background: '#ffffff',
+        text: '#000000',
+        muted: '#555555',
+        border: '#bbbbbb',
+        userBackground: 'transparent',
+        userAccent: '#000000',
+        assistantAccent: '#555555',
+        codeBackground: 'transparent',
+        tokenKeyword: '#000000',
+        tokenString: '#333333',
+        tokenComment: '#666666',
+        tokenNumber: '#000000',
+        tokenFunction: '#000000',
+        tokenTag: '#000000'
+    }
+};
+
+export const ROLE_LABELS = {
+    user: 'You',
+    assistant: 'DeepSeek'
+};
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function themeCSS(name) {
+    const t = THEMES[name];
+    const compact = name === 'compact';
+
+    return `
+        :root {
+            --background: ${t.background};
+            --text: ${t.text};
+            --muted: ${t.muted};
+            --border: ${t.border};
+            --user-background: ${t.userBackground};
+            --user-accent: ${t.userAccent};
+            --assistant-accent: ${t.assistantAccent};
+            --code-background: ${t.codeBackground};
+        }
+        html, body {
+            background: var(--background);
+            color: var(--text);
+        }
+        body {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: ${compact ? '11px' : '14px'};
+            line-height: ${compact ? '1.4' : '1.6'};
+            margin: 0;
+        }
+        .chat-cover {
+            padding: ${compact ? '0 0 8px' : '24px 0 16px'};
+            margin-bottom: ${compact ? '12px' : '24px'};
+            border-bottom: 2px solid var(--border);
+        }
+        .chat-cover-label {
+            color: var(--user-accent);
+            font-size: 0.8em;
+            font-weight: 600;
+            letter-spacing: 0.08em;
+            text-transform: uppercase;
+        }
+        .chat-title {
+            font-size: ${compact ? '18px' : '28px'};
+            font-weight: 600;
+            margin: 4px 0;
+        }
+        .chat-meta {
+            color: var(--muted);
+            font-size: 0.85em;
+        }
+        .turn {
+            margin-bottom: ${compact ? '8px' : '16px'};
+        }
+        .turn-role {
+            font-size: 0.75em;
+            font-weight: 700;
+            letter-spacing: 0.05em;
+            text-transform: uppercase;
+            margin-bottom: 4px;
+        }
+        .turn-user .turn-role {
+            color: var(--user-accent);
+        }
+        .turn-assistant .turn-role {
+            color: var(--assistant-accent);
+        }
+        .turn-user .turn-body {
+            background: var(--user-background);
+            border-left: ${compact ? '2px' : '4px'} solid var(--user-accent);
+            border-radius: ${compact ? '0' : '8px'};
+            padding: ${compact ? '4px 8px' : '10px 14px'};
+            white-space: pre-wrap;
+        }
+        .turn-assistant .turn-body {
+            border-left: ${compact ? '2px' : '4px'} solid var(--assistant-accent);
+            padding: ${compact ? '0 8px' : '0 14px'};
+        }
+
+        /* Keep each prompt on the same page as the start of its answer */
+        .turn-user {
+            break-inside: avoid;
+            page-break-inside: avoid;
+            break-after: avoid;
+            page-break-after: avoid;
+        }
+        .turn-assistant .turn-role,
+        .turn-assistant .turn-body > :first-child {
+            break-before: avoid;
+            page-break-before: avoid;
+            break-after: avoid;
+            page-break-after: avoid;
+        }
+        h1, h2, h3, h4, h5, h6 {
+            break-after: avoid;
+            page-break-after: avoid;
+            line-height: 1.3;
+            margin: 0.9em 0 0.4em;
+        }
+        .turn-body h1 { font-size: ${compact ? '16px' : '22px'}; }
+        .turn-body h2 { font-size: ${compact ? '14px' : '19px'}; }
+        .turn-body h3 { font-size: ${compact ? '12px' : '16px'}; }
+        p {
+            margin: 0.5em 0;
+            orphans: 3;
+            widows: 3;
+        }
+        ul, ol {
+            padding-left: 1.6em;
+        }
+        table {
+            border-collapse: collapse;
+            margin: 0.8em 0;
+            max-width: 100%;
+        }
+        th, td {
+            border: 1px solid var(--border);
+            padding: 4px 8px;
+            text-align: left;
+        }
+        tr {
+            break-inside: avoid;
+            page-break-inside: avoid;
+        }
+        code, pre {
+            font-family: 'JetBrains Mono', 'Fira Code', Consolas, Monaco, 'Courier New', monospace;
+            font-size: 0.9em;
+        }
+        code {
+            background: var(--code-background);
+            border-radius: 3px;
+            padding: 1px 4px;
+        }
+        .md-code-block {
+            background: var(--code-background);
+            border: 1px solid var(--border);
+            border-radius: ${compact ? '0' : '6px'};
+            margin: 0.8em 0;
+            padding: ${compact ? '4px 6px' : '10px 12px'};
+        }
+        .md-code-block pre {
+            margin: 0;
+            white-space: pre-wrap;
+            word-break: break-word;
+        }
+        .md-code-block code {
+            background: none;
+            padding: 0;
+        }
+        .token.keyword, .token.boolean, .token.builtin, .token.atrule { color: ${t.tokenKeyword}; }
+        .token.string, .token.attr-value, .token.char { color: ${t.tokenString}; }
+        .token.comment, .token.prolog, .token.doctype { color: ${t.tokenComment}; font-style: italic; }
+        .token.number, .token.constant { color: ${t.tokenNumber}; }
+        .token.function, .token.class-name { color: ${t.tokenFunction}; }
+        .token.tag, .token.selector, .token.property, .token.attr-name { color: ${t.tokenTag}; }
+        a {
+            color: var(--user-accent);
+        }
+        img {
+            max-width: 100%;
+        }
+        .turn-collapsed, .code-collapsed {
+            border: 1px dashed var(--border);
+            border-radius: ${compact ? '0' : '6px'};
+            color: var(--muted);
+            font-style: italic;
+            margin: 0.8em 0;
+            padding: ${compact ? '4px 6px' : '8px 12px'};
+        }
+        .turn-collapsed-excerpt {
+            color: var(--text);
+            font-style: normal;
+            margin: 0 0 4px;
+        }
+        .turn-collapsed-note {
+            font-size: 0.85em;
+            margin: 0;
+        }
+    `;
+}
+
+/**
+ * Inline styles in the export pin light colours and screen zoom levels, which
+ * would fight the theme, so they are dropped from answer markup.
+ */
+function cleanAnswerHTML(html) {
+    const $ = cheerio.load(html, null, false);
+    $('[style]').not('.katex *').removeAttr('style');
+    return $.html();
+}
+
+/**
+ * Export date of a conversation as shown to readers, or null when unknown.
+ */
+export function formatExportDate(conversation) {
+    if (conversation.exportedAtText) {
+        return conversation.exportedAtText;
+    }
+    if (conversation.exportedAt) {
+        return new Date(conversation.exportedAt).toUTCString();
+    }
+    return null;
+}
+
+function renderTurn(turn, idPrefix = '') {
+    const body = turn.role === 'user'
+        ? escapeHTML(turn.text)
+        : cleanAnswerHTML(turn.html);
+
+    return `
+        <section class="turn turn-${turn.role}" id="${idPrefix}turn-${turn.index}" data-turn="${turn.index}">
+            <div class="turn-role">${ROLE_LABELS[turn.role]}</div>
+            <div class="turn-body">${body}</div>
+        </section>`;
+}
+
+function conversationMeta(conversation) {
+    const exportDate = formatExportDate(conversation);
+    return [
+        exportDate ? `Exported on ${escapeHTML(exportDate)}` : null,
+        `${conversation.stats.prompts} prompt${conversation.stats.prompts === 1 ? '' : 's'}`,
+        `${conversation.stats.answers} answer${conversation.stats.answers === 1 ? '' : 's'}`
+    ].filter(Boolean).join(' · ');
+}
+
+function checkTheme(theme) {
+    if (!THEMES[theme]) {
+        throw new Error(`Unknown theme '${theme}'. Available themes: ${Object.keys(THEMES).join(', ')}`);
+    }
+}
+
+function documentShell(title, theme, body, css = '') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(title)}</title>
+    <style>${themeCSS(theme)}${css}</style>
+</head>
+<body class="theme-${theme}">${body}
+</body>
+</html>`;
+}
+
+/**
+ * Render a conversation from parseDeepSeekExport as a standalone HTML document.
+ *
+ * @param {object} conversation - Parsed conversation
+ * @param {object} [options]
+ * @param {string} [options.theme] - One of THEMES (light, dark, compact)
+ * @returns {string} HTML document
+ */
+export function renderChatDocument(conversation, options = {}) {
+    const { theme = 'light' } = options;
+    checkTheme(theme);
+
+    return documentShell(conversation.title, theme, `
+    <header class="chat-cover">
+        <div class="chat-cover-label">DeepSeek Chat</div>
+        <h1 class="chat-title">${escapeHTML(conversation.title)}</h1>
+        <div class="chat-meta">${conversationMeta(conversation)}</div>
+    </header>
+    <main class="chat-turns">${conversation.turns.map(turn => renderTurn(turn)).join('')}
+    </main>`);
+}
+
+function mergeCSS(theme) {
+    const compact = theme === 'compact';
+    return `
+        .merge-cover {
+            border-bottom: none;
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            min-height: 80vh;
+            text-align: center;
+            break-after: page;
+            page-break-after: always;
+        }
+        .merge-title {
+            font-size: ${compact ? '22px' : '36px'};
+            font-weight: 600;
+            margin: 8px 0;
+        }
+        .merged-chat {
+            break-before: page;
+            page-break-before: always;
+        }
+    `;
+}
+
+/**
+ * Render several conversations as one document: a cover page, then every
+ * conversation from a new page under its own header. Turn ids are prefixed
+ * with the chat, as in "chat-2-turn-5".
+ *
+ * @param {object[]} conversations - Parsed conversations, in print order
+ * @param {object} [options]
+ * @param {string} [options.theme] - One of THEMES (light, dark, compact)
+ * @param {string} [options.title] - Title of the cover page
+ * @param {string} [options.meta] - Line under the title, e.g. the date range
+ * @returns {string} HTML document
+ */
+export function renderMergedDocument(conversations, options = {}) {
+    const { theme = 'light', title = 'DeepSeek Chats', meta = '' } = options;
+    checkTheme(theme);
+
+    const chats = conversations.map((conversation, i) => `
+    <article class="merged-chat" id="chat-${i + 1}">
+        <header class="chat-cover">
+            <div class="chat-cover-label">Chat ${i + 1} of ${conversations.length}</div>
+            <h1 class="chat-title">${escapeHTML(conversation.title)}</h1>
+            <div class="chat-meta">${conversationMeta(conversation)}</div>
+        </header>
+        <main class="chat-turns">${conversation.turns.map(turn => renderTurn(turn, `chat-${i + 1}-`)).join('')}
+        </main>
+    </article>`).join('');
+
+    return documentShell(title, theme, `
+    <header class="chat-cover merge-cover">
+        <div class="chat-cover-label">DeepSeek Chats</div>
+        <h1 class="merge-title">${escapeHTML(title)}</h1>
+        <div class="chat-meta">${escapeHTML(meta)}</div>
+    </header>${chats}`, mergeCSS(theme));
+}
@@ -0,0 +1,390 @@
+/**
+ * Code Blocks
+ * Print styling for the code blocks of DeepSeek answers: syntax themes mapped
+ * onto Prism's token classes, line numbers, language labels, soft-wrapping or
+ * shrinking long lines, and splitting blocks taller than a page.
+ *
+ * The export's own CSS keeps every code block on one page, which leaves large
+ * gaps before long blocks and clips blocks longer than a page. Here short
+ * blocks still stay together, long ones flow over pages or are split into
+ * page-sized parts with "continued" markers.
+ */
+
+import * as cheerio from 'cheerio';
+import Prism from 'prismjs';
+import loadLanguages from 'prismjs/components/index.js';
+import { SELECTORS, codeLanguage } from './deepseek_parser.js';
+
+export const LONG_LINES = ['wrap', 'shrink'];
+
+/**
+ * Token colours use the class groups of the chat template themes.
+ */
+export const CODE_THEMES = {
+    github: {
+        background: '#f6f8fa',
+        text: '#24292f',
+        border: '#d0d7de',
+        muted: '#6e7781',
+        keyword: '#cf222e',
+        string: '#0a3069',
+        comment: '#6e7781',
+        number: '#0550ae',
+        function: '#8250df',
+        tag: '#116329'
+    },
+    'one-dark': {
+        background: '#282c34',
+        text: '#abb2bf',
+        border: '#3e4451',
+        muted: '#5c6370',
+        keyword: '#c678dd',
+        string: '#98c379',
+        comment: '#5c6370',
+        number: '#d19a66',
+        function: '#61afef',
+        tag: '#e06c75'
+    },
+    'solarized-light': {
+        background: '#fdf6e3',
+        text: '#657b83',
+        border: '#eee8d5',
+        muted: '#93a1a1',
+        keyword: '#859900',
+        string: '#2aa198',
+        comment: '#93a1a1',
+        number: '#d33682',
+        function: '#268bd2',
+        tag: '#b58900'
+    },
+    monokai: {
+        background: '#272822',
+        text: '#f8f8f2',
+        border: '#3e3d32',
+        muted: '#75715e',
+        keyword: '#f92672',
+        string: '#e6db74',
+        comment: '#75715e',
+        number: '#ae81ff',
+        function: '#a6e22e',
+        tag: '#f92672'
+    },
+    // Greyscale, for black and white printers
+    print: {
+        background: '#ffffff',
+        text: '#000000',
+        border: '#999999',
+        muted: '#666666',
+        keyword: '#000000',
+        string: '#404040',
+        comment: '#777777',
+        number: '#202020',
+        function: '#000000',
+        tag: '#000000'
+    }
+};
+
+// Paper sizes in inches, as Chromium prints them
+const PAPER_SIZES = {
+    A0: [33.1, 46.8],
+    A1: [23.4, 33.1],
+    A2: [16.54, 23.4],
+    A3: [11.7, 16.54],
+    A4: [8.27, 11.7],
+    A5: [5.83, 8.27],
+    A6: [4.13, 5.83],
+    Letter: [8.5, 11],
+    Legal: [8.5, 14],
+    Tabloid: [11, 17],
+    Ledger: [17, 11]
+};
+
+const PX_PER_UNIT = { px: 1, in: 96, cm: 96 / 2.54, mm: 96 / 25.4 };
+
+// Code is set at this size, so a page holds a known number of lines
+const FONT_SIZE = 12;
+const LINE_HEIGHT = 1.45;
+// Room for the label, padding and the text around a block on a page
+const PAGE_ALLOWANCE = 96;
+// Average advance of a monospace character, relative to the font size
+const CHAR_WIDTH = 0.6;
+const MIN_FONT_SIZE = 6;
+
+loadLanguages.silent = true;
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Whether the options ask for any code block styling.
+ */
+export function hasCodeOptions(options = {}) {
+    return Boolean(options.codeTheme || options.codeLineNumbers || options.codeLabels || options.codeSplit ||
+        (options.codeLongLines && options.codeLongLines !== 'wrap'));
+}
+
+function lengthToPx(length) {
+    const match = String(length).trim().match(/^(\d+(?:\.\d+)?)(px|in|cm|mm)?$/);
+    return match ? Number(match[1]) * PX_PER_UNIT[match[2] || 'px'] : 0;
+}
+
+/**
+ * Number of code lines that fit on one printed page.
+ */
+export function linesPerPage(options = {}) {
+    const { format = 'A4', orientation = 'portrait', margin = {}, scale = 1 } = options;
+    const [width, height] = PAPER_SIZES[format] || PAPER_SIZES.A4;
+    const pageHeight = (orientation === 'landscape' ? width : height) * PX_PER_UNIT.in;
+    const printable = pageHeight - lengthToPx(margin.top || 0) - lengthToPx(margin.bottom || 0);
+    return Math.max(10, Math.floor((printable / scale - PAGE_ALLOWANCE) / (FONT_SIZE * LINE_HEIGHT)));
+}
+
+/**
+ * Highlight a block that arrived as plain text. Blocks with token spans, and
+ * languages Prism doesn't know, are left as they are.
+ */
+function highlight($, $pre, language) {
+    if (!language || $pre.find('.token').length > 0) {
+        return;
+    }
+    loadLanguages([language]);
+    const grammar = Prism.languages[language];
+    if (!grammar) {
+        return;
+    }
+    $pre.html(Prism.highlight($pre.text(), grammar, language));
+}
+
+function openTag(node) {
+    const attributes = Object.entries(node.attribs || {})
+        .map(([name, value]) => ` ${name}="${escapeHTML(value)}"`).join('');
+    return `<${node.name}${attributes}>`;
+}
+
+/**
+ * Split the markup of a <pre> into lines. Token spans that run over several
+ * lines (comments, template strings) are closed at the end of each line and
+ * opened again on the next, so every line is well-formed on its own.
+ */
+export function splitLines(pre) {
+    const lines = [''];
+    const open = [];
+
+    const walk = (node) => {
+        for (const child of node.children || []) {
+            if (child.type === 'text') {
+                const parts = child.data.split('\n');
+                parts.forEach((part, i) => {
+                    if (i > 0) {
+                        lines[lines.length - 1] += open.map(el => `</${el.name}>`).reverse().join('');
+                        lines.push(open.map(openTag).join(''));
+                    }
+                    lines[lines.length - 1] += escapeHTML(part);
+                });
+            } else if (child.type === 'tag') {
+                lines[lines.length - 1] += openTag(child);
+                open.push(child);
+                walk(child);
+                open.pop();
+                lines[lines.length - 1] += `</${child.name}>`;
+            }
+        }
+    };
+    walk(pre);
+
+    // A trailing newline doesn't start another line
+    if (lines.length > 1 && !cheerio.load(lines[lines.length - 1], null, false).root().text()) {
+        lines.pop();
+    }
+    return lines;
+}
+
+function longestLine(lines) {
+    return Math.max(1, ...lines.map(line => cheerio.load(line, null, false).root().text().length));
+}
+
+function blockMarkup({ lines, first, language, options, partLabel, continues, columns }) {
+    const classes = ['md-code-block', 'code-styled'];
+    if (options.codeLineNumbers) {
+        classes.push('code-numbered');
+    }
+    if (options.codeLongLines === 'shrink') {
+        classes.push('code-shrink');
+    }
+    // Blocks, and the parts of split blocks, that fit on a page are kept together
+    if (lines.length <= options.pageLines) {
+        classes.push('code-fits');
+    }
+
+    const label = options.codeLabels || partLabel
+        ? `<div class="code-label">${escapeHTML(language || 'code')}${partLabel ? ` <span class="code-continued">${partLabel}</span>` : ''}</div>`
+        : '';
+    const body = options.codeLineNumbers
+        ? lines.map((line, i) => `<span class="code-line" data-line="${first + i}">${line}</span>`).join('')
+        : lines.join('\n');
+    const more = continues ? '<div class="code-continues">continued on next page</div>' : '';
+    const style = options.codeLongLines === 'shrink' ? ` style="--code-columns: ${columns}"` : '';
+
+    return `<div class="${classes.join(' ')}"${language ? ` data-language="${escapeHTML(language)}"` : ''}${style}>` +
+        `${label}<pre><code>${body}</code></pre>${more}</div>`;
+}
+
+function themeCSS(theme) {
+    if (!theme) {
+        return '';
+    }
+    const t = CODE_THEMES[theme];
+    return `
+    .md-code-block.code-styled {
+        background: ${t.background};
+        border: 1px solid ${t.border};
+        border-radius: 6px;
+        color: ${t.text};
+        padding: 8px 12px;
+    }
+    .md-code-block.code-styled pre, .md-code-block.code-styled code {
+        background: none;
+        color: inherit;
+        padding: 0;
+    }
+    .code-styled .code-label, .code-styled .code-line::before, .code-styled .code-continues { color: ${t.muted}; }
+    .code-styled .code-label { border-color: ${t.border}; }
+    .code-styled .token.keyword, .code-styled .token.boolean, .code-styled .token.builtin, .code-styled .token.atrule { color: ${t.keyword}; }
+    .code-styled .token.string, .code-styled .token.attr-value, .code-styled .token.char, .code-styled .token.regex { color: ${t.string}; }
+    .code-styled .token.comment, .code-styled .token.prolog, .code-styled .token.doctype { color: ${t.comment}; font-style: italic; }
+    .code-styled .token.number, .code-styled .token.constant { color: ${t.number}; }
+    .code-styled .token.function, .code-styled .token.class-name { color: ${t.function}; }
+    .code-styled .token.tag, .code-styled .token.selector, .code-styled .token.property, .code-styled .token.attr-name { color: ${t.tag}; }
+    `;
+}
+
+function codeCSS(options) {
+    return `
+    .md-code-block.code-styled {
+        break-inside: auto;
+        page-break-inside: auto;
+        margin: 0.8em 0;
+    }
+    .md-code-block.code-styled.code-fits {
+        break-inside: avoid;
+        page-break-inside: avoid;
+    }
+    .md-code-block.code-styled pre {
+        break-inside: auto;
+        page-break-inside: auto;
+        margin: 0;
+        font-size: ${FONT_SIZE}px;
+        line-height: ${LINE_HEIGHT};
+        overflow: visible;
+        white-space: pre-wrap;
+        overflow-wrap: anywhere;
+    }
+    .md-code-block.code-styled code {
+        background: none;
+        font-size: inherit;
+        margin: 0;
+        padding: 0;
+    }
+    .code-shrink {
+        container-type: inline-size;
+    }
+    .md-code-block.code-shrink pre {
+        font-size: max(${MIN_FONT_SIZE}px, min(${FONT_SIZE}px, calc(100cqi / (var(--code-columns) * ${CHAR_WIDTH}))));
+    }
+    .code-label {
+        border-bottom: 1px solid #d0d0d0;
+        color: #737373;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 10px;
+        letter-spacing: 0.05em;
+        margin-bottom: 6px;
+        padding-bottom: 3px;
+        text-transform: uppercase;
+    }
+    .code-continued, .code-continues {
+        font-style: italic;
+        text-transform: none;
+        letter-spacing: 0;
+    }
+    .code-continues {
+        color: #737373;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 10px;
+        margin-top: 4px;
+        text-align: right;
+    }
+    .code-numbered .code-line {
+        display: block;
+        padding-left: 3.5em;
+        position: relative;
+    }
+    .code-numbered .code-line:empty::after {
+        content: ' ';
+    }
+    .code-numbered .code-line::before {
+        content: attr(data-line);
+        left: 0;
+        opacity: 0.7;
+        position: absolute;
+        text-align: right;
+        width: 2.5em;
+    }
+    ${themeCSS(options.codeTheme)}`;
+}
+
+/**
+ * Restyle the code blocks of a document. Runs on the original export and on
+ * the chat template alike, both keep DeepSeek's `.md-code-block` markup.
+ *
+ * @param {string} html - Document to restyle
+ * @param {object} options - codeTheme, codeLineNumbers, codeLabels, codeLongLines, codeSplit,
+ *   and the page options used to work out how many lines fit on a page
+ * @returns {{ html: string, blocks: number }} The document and the number of code blocks
+ */
+export function renderCodeBlocks(html, options = {}) {
+    const $ = cheerio.load(html);
+    const blocks = $(SELECTORS.codeBlock).toArray();
+    if (blocks.length === 0) {
+        return { html, blocks: 0 };
+    }
+
+    const settings = { ...options, pageLines: linesPerPage(options) };
+    for (const el of blocks) {
+        const $block = $(el);
+        const $pre = $block.find('pre').first();
+        if ($pre.length === 0) {
+            continue;
+        }
+
+        const language = codeLanguage($, $block);
+        highlight($, $pre, language);
+
+        const lines = splitLines($pre[0]);
+        // Line numbers take columns too when long lines are shrunk
+        const columns = longestLine(lines) + (settings.codeLineNumbers ? 4 : 0);
+
+        const parts = [];
+        const size = settings.codeSplit ? settings.pageLines : lines.length;
+        for (let start = 0; start < lines.length; start += size) {
+            parts.push({ lines: lines.slice(start, start + size), first: start + 1 });
+        }
+
+        const markup = parts.map((part, i) => blockMarkup({
+            ...part,
+            language,
+            options: settings,
+            partLabel: i > 0 ? `continued, lines ${part.first}–${part.first + part.lines.length - 1}` : null,
+            continues: i < parts.length - 1,
+            columns
+        }));
+        $block.replaceWith(markup.join(''));
+    }
+
+    $('head').append(`<style data-code-blocks>${codeCSS(settings)}</style>`);
+    return { html: $.html(), blocks: blocks.length };
+}
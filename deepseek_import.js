@@ -0,0 +1,346 @@
+/**
+ * DeepSeek Account Import
+ * Reads the data export of a DeepSeek account (Settings → Data → Export): a
+ * zip with conversations.json, or that file on its own. Every conversation is
+ * a tree of messages, one branch per regenerated answer or edited prompt; the
+ * branch DeepSeek shows last is imported.
+ *
+ * Conversations are rebuilt as HTML in the layout of the browser extension's
+ * exports, so they go through the same parser, templates, redaction and
+ * renderers as any export. Answers are markdown: they are rendered with
+ * DeepSeek's code block markup and KaTeX formulas, as the web UI would.
+ */
+
+import path from 'path';
+import JSZip from 'jszip';
+import katex from 'katex';
+import { Marked } from 'marked';
+import { SELECTORS } from './deepseek_parser.js';
+
+export class AccountExportError extends Error {
+    constructor(message, { status = 422, code = 'INVALID_ACCOUNT_EXPORT' } = {}) {
+        super(message);
+        this.name = 'AccountExportError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const CONVERSATIONS_FILE = 'conversations.json';
+
+// Fragments of a message; thinking and web search results are left out, as in the extension's exports
+const FRAGMENT_ROLES = { request: 'user', response: 'assistant' };
+
+// Display delimiters first; inline $ must hug its content and not be followed
+// by a digit, so prices like "$5 and $10" stay text (as in math_renderer.js)
+const BLOCK_MATH_RE = /^ {0,3}(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\])[ \t]*(?:\n+|$)/;
+const INLINE_MATH_RE = /^(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|\$(?=\S)([^$\n]*?[^\s\\])\$(?!\d))/;
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Class name of a SELECTORS entry, e.g. ".ds-markdown" -> "ds-markdown"
+function className(selector) {
+    return selector.split(',')[0].trim().slice(1);
+}
+
+function renderTeX(tex, displayMode) {
+    return katex.renderToString(tex, { displayMode, throwOnError: false, output: 'htmlAndMathml' });
+}
+
+let markdown = null;
+
+function markdownRenderer() {
+    if (markdown) {
+        return markdown;
+    }
+    markdown = new Marked({ gfm: true });
+    markdown.use({
+        extensions: [
+            {
+                name: 'blockMath',
+                level: 'block',
+                start: src => src.match(/\$\$|\\\[/)?.index,
+                tokenizer(src) {
+                    const match = BLOCK_MATH_RE.exec(src);
+                    if (match) {
+                        return { type: 'blockMath', raw: match[0], tex: (match[1] ?? match[2]).trim() };
+                    }
+                    return undefined;
+                },
+                renderer: token => renderTeX(token.tex, true)
+            },
+            {
+                name: 'inlineMath',
+                level: 'inline',
+                start: src => src.match(/\$|\\[[(]/)?.index,
+                tokenizer(src) {
+                    const match = INLINE_MATH_RE.exec(src);
+                    if (match) {
+                        const tex = (match[1] ?? match[2] ?? match[3] ?? match[4]).trim();
+                        return { type: 'inlineMath', raw: match[0], tex, display: match[1] !== undefined || match[2] !== undefined };
+                    }
+                    return undefined;
+                },
+                renderer: token => renderTeX(token.tex, token.display)
+            }
+        ],
+        renderer: {
+            // DeepSeek's markup, so the code block styling and the parser find the language
+            code({ text, lang }) {
+                const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+                return `<div class="${className(SELECTORS.codeBlock)}"><pre${language ? ` class="language-${escapeHTML(language)}"` : ''}>` +
+                    `${escapeHTML(text.replace(/\n$/, ''))}</pre></div>`;
+            },
+            // The web UI shows HTML in answers as text, it is never rendered
+            html({ text }) {
+                return escapeHTML(text);
+            }
+        }
+    });
+    return markdown;
+}
+
+/**
+ * Render the markdown of an answer as HTML, with code blocks and formulas as
+ * in the DeepSeek web UI.
+ */
+export function markdownToHTML(text) {
+    return markdownRenderer().parse(text || '');
+}
+
+// ISO date of a timestamp: an ISO string, or seconds (or milliseconds) since the epoch
+function isoDate(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const time = typeof value === 'number' ? (value < 1e12 ? value * 1000 : value) : Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Messages of the branch shown last: back from current_node when the export
+// has one, else from the root through the newest child of every message
+function messageBranch(mapping, currentNode) {
+    const nodes = [];
+    const seen = new Set();
+    if (currentNode && mapping[currentNode]) {
+        for (let node = mapping[currentNode]; node && !seen.has(node.id); node = mapping[node.parent]) {
+            seen.add(node.id);
+            nodes.unshift(node);
+        }
+        return nodes;
+    }
+
+    let node = Object.values(mapping).find(candidate => !candidate.parent || !mapping[candidate.parent]);
+    while (node && !seen.has(node.id)) {
+        seen.add(node.id);
+        nodes.push(node);
+        const children = (node.children || []).filter(id => mapping[id]);
+        node = children.length > 0 ? mapping[children[children.length - 1]] : null;
+    }
+    return nodes;
+}
+
+// Turns of one message: its request or response fragments, or role and content in older exports
+function messageTurns(message) {
+    const createdAt = isoDate(message.inserted_at ?? message.create_time);
+    const attachments = (message.files || []).map(file => file.file_name || file.name).filter(Boolean);
+
+    const parts = new Map();
+    if (Array.isArray(message.fragments)) {
+        for (const fragment of message.fragments) {
+            const role = FRAGMENT_ROLES[String(fragment.type).toLowerCase()];
+            if (role && typeof fragment.content === 'string' && fragment.content.trim()) {
+                parts.set(role, [...(parts.get(role) || []), fragment.content.trim()]);
+            }
+        }
+    } else if (typeof message.content === 'string' && message.content.trim()) {
+        const role = String(message.role || message.author?.role).toLowerCase() === 'user' ? 'user' : 'assistant';
+        parts.set(role, [message.content.trim()]);
+    }
+
+    return [...parts.entries()].map(([role, contents]) => ({
+        role,
+        content: contents.join('\n\n'),
+        createdAt,
+        attachments: role === 'user' ? attachments : []
+    }));
+}
+
+function parseConversation(raw, index) {
+    if (!raw || typeof raw !== 'object' || !raw.mapping || typeof raw.mapping !== 'object') {
+        throw new AccountExportError(`Conversation ${index + 1} has no messages (mapping), is this a DeepSeek account export?`);
+    }
+    const turns = messageBranch(raw.mapping, raw.current_node)
+        .filter(node => node.message)
+        .flatMap(node => messageTurns(node.message));
+
+    const createdAt = isoDate(raw.inserted_at ?? raw.create_time) || turns.find(turn => turn.createdAt)?.createdAt || null;
+    return {
+        id: String(raw.id ?? index + 1),
+        title: (typeof raw.title === 'string' && raw.title.trim()) || 'DeepSeek Chat',
+        createdAt,
+        updatedAt: isoDate(raw.updated_at ?? raw.update_time) || turns.findLast(turn => turn.createdAt)?.createdAt || createdAt,
+        turns
+    };
+}
+
+async function readConversationsFile(buffer) {
+    // Zip archives start with "PK"
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch (error) {
+            throw new AccountExportError(`The account export is not a valid zip archive: ${error.message}`);
+        }
+        const entry = Object.values(zip.files)
+            .filter(file => !file.dir && path.posix.basename(file.name) === CONVERSATIONS_FILE)
+            .sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+        if (!entry) {
+            throw new AccountExportError(`The account export contains no ${CONVERSATIONS_FILE}`);
+        }
+        return entry.async('string');
+    }
+    return buffer.toString('utf-8');
+}
+
+/**
+ * Read the conversations of an account export. Conversations without a
+ * prompt or an answer are left out.
+ *
+ * @param {Buffer|string|object} input - The zip or conversations.json as a buffer, its
+ *   text, or its parsed JSON (an array of conversations)
+ * @returns {Promise<Array<{ id: string, title: string, createdAt: string|null, updatedAt: string|null,
+ *   turns: Array<{ role: string, content: string, createdAt: string|null, attachments: string[] }> }>>}
+ *   Conversations, most recently updated first
+ * @throws {AccountExportError} When the input is no account export
+ */
+export async function loadAccountExport(input) {
+    let data = input;
+    if (Buffer.isBuffer(input) || typeof input === 'string') {
+        const text = Buffer.isBuffer(input) ? await readConversationsFile(input) : input;
+        try {
+            data = JSON.parse(text.replace(/^\ufeff/, ''));
+        } catch (error) {
+            throw new AccountExportError(`The account export is not valid JSON: ${error.message}`);
+        }
+    }
+
+    const list = Array.isArray(data) ? data : Array.isArray(data?.conversations) ? data.conversations
+        : data?.mapping ? [data] : null;
+    if (!list) {
+        throw new AccountExportError('No conversations found, expected an array of conversations as in conversations.json');
+    }
+    return list.map(parseConversation)
+        .filter(conversation => conversation.turns.length > 0)
+        .sort((a, b) => (Date.parse(b.updatedAt) || 0) - (Date.parse(a.updatedAt) || 0));
+}
+
+/**
+ * Summary of every conversation, for listing and picking IDs.
+ */
+export function listConversations(conversations) {
+    return conversations.map(({ id, title, createdAt, updatedAt, turns }) => ({
+        id,
+        title,
+        createdAt,
+        updatedAt,
+        prompts: turns.filter(turn => turn.role === 'user').length,
+        answers: turns.filter(turn => turn.role === 'assistant').length
+    }));
+}
+
+/**
+ * Conversations with the given IDs, in the order given; all without IDs. An
+ * ID may be shortened to a prefix that only one conversation has.
+ *
+ * @throws {AccountExportError} 404 for IDs no conversation (or several) have
+ */
+export function selectConversations(conversations, ids = []) {
+    if (ids.length === 0) {
+        return conversations;
+    }
+    const selected = [];
+    const unknown = [];
+    for (const id of ids) {
+        const exact = conversations.find(conversation => conversation.id === id);
+        const matches = exact ? [exact] : conversations.filter(conversation => conversation.id.startsWith(id));
+        if (matches.length === 1) {
+            if (!selected.includes(matches[0])) {
+                selected.push(matches[0]);
+            }
+        } else {
+            unknown.push(id);
+        }
+    }
+    if (unknown.length > 0) {
+        throw new AccountExportError(`No single conversation with ID ${unknown.join(', ')}`,
+            { status: 404, code: 'CONVERSATION_NOT_FOUND' });
+    }
+    return selected;
+}
+
+/**
+ * File name of a conversation as the extension names its exports, after the
+ * last update. The parser reads the export time from it.
+ */
+export function conversationFileName(conversation) {
+    const time = conversation.updatedAt ? conversation.updatedAt.slice(0, 19).replace(/:/g, '-') : 'undated';
+    return `deepseek-chat-${time}.html`;
+}
+
+/**
+ * Name for the outputs of a conversation, e.g. "2025-08-03_docker-networking_3f2a9c1b".
+ */
+export function conversationSlug(conversation) {
+    const title = conversation.title.toLowerCase().normalize('NFKC')
+        .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60).replace(/-+$/, '');
+    const id = conversation.id.replace(/[^\w-]/g, '').slice(0, 8);
+    return [conversation.updatedAt?.slice(0, 10), title, id].filter(Boolean).join('_');
+}
+
+function renderPrompt(turn) {
+    const attachments = turn.attachments.length > 0 ? `\n\n[Attached: ${turn.attachments.join(', ')}]` : '';
+    return `<div class="${className(SELECTORS.prompt)}">${escapeHTML(turn.content + attachments)}</div>`;
+}
+
+function renderAnswer(turn) {
+    return `<div class="${className(SELECTORS.answer)} ds-markdown--block">${markdownToHTML(turn.content)}</div>`;
+}
+
+/**
+ * HTML of a conversation, laid out like an export of the browser extension.
+ * It has none of the web UI's styles, so it is converted with importOptions().
+ */
+export function renderConversationHTML(conversation) {
+    const exportedAt = conversation.updatedAt ? new Date(conversation.updatedAt).toUTCString() : '';
+    const turns = conversation.turns.map(turn => (turn.role === 'user' ? renderPrompt(turn) : renderAnswer(turn)));
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(conversation.title)} - DeepSeek</title>
+</head>
+<body>
+    <h1>${escapeHTML(conversation.title)}</h1>
+    <div class="timestamp">Exported on: ${escapeHTML(exportedAt)}</div>
+    <div id="chat-content" class="chat-content">
+        ${turns.join('\n        ')}
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Options of an imported conversation: the chat template, since the rebuilt
+ * export has no styles of its own to print with.
+ */
+export function importOptions(options = {}) {
+    return { ...options, template: 'chat' };
+}
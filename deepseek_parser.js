@@ -0,0 +1,330 @@
+/**
+ * DeepSeek Export Parser
+ * Turns a DeepSeek chat export (HTML produced by the browser extension) into a
+ * structured conversation: title, export time and ordered user/assistant turns
+ */
+
+import * as cheerio from 'cheerio';
+import TurndownService from 'turndown';
+import turndownPluginGfm from 'turndown-plugin-gfm';
+
+// Class names used by the DeepSeek web UI. They are obfuscated and may change
+// with DeepSeek releases, so every lookup goes through this table.
+export const SELECTORS = {
+    prompt: '.fbb737a4',
+    answer: '.ds-markdown',
+    codeBlock: '.md-code-block',
+    codeBanner: '.md-code-block-banner, .md-code-block-infostring, [class*="code-block-banner"]',
+    math: '.katex',
+    displayMath: '.katex-display',
+    chrome: '.ds-icon-button, .ds-flex:empty, ._7eb2358:empty, .e13328ad'
+};
+
+export class ExportParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExportParseError';
+        this.status = 422;
+        this.code = 'EXPORT_PARSE_FAILED';
+    }
+}
+
+const FILE_NAME_TIMESTAMP_RE = /deepseek-chat-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})/;
+
+/**
+ * Guess the language of a code block from the Prism token classes it contains.
+ * DeepSeek exports often drop the language banner, but keep the highlighting.
+ */
+function inferLanguage($, $pre) {
+    const code = $pre.text().trim();
+    const tokens = new Set();
+    $pre.find('.token').each((i, el) => {
+        for (const name of ($(el).attr('class') || '').split(/\s+/)) {
+            tokens.add(name);
+        }
+    });
+
+    if (/^[[{]/.test(code)) {
+        try {
+            JSON.parse(code);
+            return 'json';
+        } catch {
+            // not JSON, keep guessing
+        }
+    }
+    if (/^\s*(def|class)\s+\w+.*:\s*$/m.test(code) && !/[{};]\s*$/m.test(code)) {
+        return 'python';
+    }
+    if (tokens.has('tag') && (tokens.has('attr-name') || tokens.has('doctype'))) {
+        return 'html';
+    }
+    if (tokens.has('selector') && tokens.has('property')) {
+        return 'css';
+    }
+    if (tokens.has('keyword') || tokens.has('function') || tokens.has('literal-property')) {
+        return 'javascript';
+    }
+    return null;
+}
+
+/**
+ * Language of a DeepSeek code block: its banner, a language-* class, or a guess.
+ */
+export function codeLanguage($, $block) {
+    const banner = $block.find(SELECTORS.codeBanner).first().text().trim().toLowerCase();
+    if (banner) {
+        return banner.split(/\s+/)[0];
+    }
+
+    const declared = ($block.find('pre, code').addBack('pre, code').attr('class') || '')
+        .match(/(?:^|\s)language-([\w+#-]+)/);
+    if (declared) {
+        return declared[1];
+    }
+
+    return inferLanguage($, $block.find('pre').first());
+}
+
+/**
+ * Escape text for markdown: characters that would start markdown structure,
+ * and <, > and & so that text about HTML doesn't turn into live HTML.
+ */
+export function escapeMarkdown(text) {
+    const html = String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+    return TurndownService.prototype.escape(html);
+}
+
+/**
+ * Convert plain text, like a prompt, to markdown. Line breaks are kept and
+ * fenced code is left as it is; everything else is escaped.
+ */
+export function textToMarkdown(text) {
+    const blocks = [];
+    let prose = [];
+    let fence = null;
+
+    const flushProse = () => {
+        const paragraphs = prose.join('\n').split(/\n\s*\n/)
+            .map(paragraph => paragraph.replace(/^\n+|\s+$/g, ''))
+            .filter(Boolean)
+            .map(paragraph => paragraph.split('\n').map(line => escapeMarkdown(line.trimEnd())).join('  \n'));
+        blocks.push(...paragraphs);
+        prose = [];
+    };
+
+    for (const line of String(text).split('\n')) {
+        const marker = line.match(/^\s*(`{3,}|~{3,})/);
+        if (fence) {
+            fence.lines.push(line);
+            if (marker && marker[1][0] === fence.marker[0] && marker[1].length >= fence.marker.length) {
+                blocks.push(fence.lines.join('\n'));
+                fence = null;
+            }
+        } else if (marker) {
+            flushProse();
+            fence = { marker: marker[1], lines: [line] };
+        } else {
+            prose.push(line);
+        }
+    }
+    flushProse();
+    if (fence) {
+        blocks.push([...fence.lines, fence.marker].join('\n'));
+    }
+
+    return blocks.join('\n\n');
+}
+
+function createTurndown() {
+    const turndown = new TurndownService({
+        headingStyle: 'atx',
+        codeBlockStyle: 'fenced',
+        bulletListMarker: '-',
+        emDelimiter: '*'
+    });
+    turndown.use(turndownPluginGfm.gfm);
+    // Entities are decoded in text nodes, so &lt;script&gt; must not come out as <script>
+    turndown.escape = escapeMarkdown;
+
+    // DeepSeek wraps every list item in a paragraph, which would make all lists loose
+    turndown.addRule('listParagraph', {
+        filter: (node) => node.nodeName === 'P' && node.parentNode.nodeName === 'LI' &&
+            node.parentNode.children.length === 1,
+        replacement: (content) => content
+    });
+
+    turndown.addRule('deepseekCodeBlock', {
+        filter: (node) => node.nodeName === 'DIV' && /\bmd-code-block\b/.test(node.getAttribute('class') || ''),
+        replacement: (content, node) => {
+            const language = node.getAttribute('data-language') || '';
+            const code = (node.querySelector('pre') || node).textContent.replace(/\n$/, '');
+            const fence = code.includes('```') ? '````' : '```';
+            return `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+        }
+    });
+
+    turndown.addRule('katex', {
+        // Not the katex-display wrapper around display formulas
+        filter: (node) => node.nodeName === 'SPAN' && /(^|\s)katex(\s|$)/.test(node.getAttribute('class') || ''),
+        replacement: (content, node) => {
+            const tex = node.getAttribute('data-tex') || '';
+            return node.getAttribute('data-display') === 'true' ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+        }
+    });
+
+    return turndown;
+}
+
+let turndownInstance = null;
+
+/**
+ * Convert a fragment of DeepSeek answer HTML to GitHub-flavoured markdown.
+ * Code blocks and math must have been annotated by parseDeepSeekExport.
+ */
+export function htmlToMarkdown(html) {
+    if (!turndownInstance) {
+        turndownInstance = createTurndown();
+    }
+    return turndownInstance.turndown(html).trim();
+}
+
+function parseExportedAt($, fileName) {
+    const text = $('.timestamp').first().text().replace(/^\s*Exported on:\s*/i, '').trim() || null;
+
+    // The extension names files after the UTC export time, which is unambiguous
+    const match = fileName && fileName.match(FILE_NAME_TIMESTAMP_RE);
+    if (match) {
+        return { exportedAt: `${match[1]}T${match[2]}:${match[3]}:${match[4]}.000Z`, exportedAtText: text };
+    }
+
+    const parsed = text ? new Date(text) : null;
+    return {
+        exportedAt: parsed && !isNaN(parsed) ? parsed.toISOString() : null,
+        exportedAtText: text
+    };
+}
+
+function parseTitle($) {
+    const title = $('title').first().text().trim() || $('body > h1').first().text().trim();
+    return title.replace(/\s+-\s+DeepSeek$/, '') || null;
+}
+
+function parseAnswer($, $answer) {
+    $answer.find(SELECTORS.chrome).remove();
+
+    const codeBlocks = [];
+    $answer.find(SELECTORS.codeBlock).each((i, el) => {
+        const $block = $(el);
+        const language = codeLanguage($, $block);
+        $block.find(SELECTORS.codeBanner).remove();
+        if (language) {
+            $block.attr('data-language', language);
+        }
+        codeBlocks.push({
+            index: i,
+            language,
+            code: $block.find('pre').first().text().replace(/\n$/, '')
+        });
+    });
+
+    const math = [];
+    $answer.find(SELECTORS.math).each((i, el) => {
+        const $math = $(el);
+        const tex = $math.find('annotation[encoding="application/x-tex"]').first().text().trim();
+        const display = $math.parents(SELECTORS.displayMath).length > 0;
+        $math.attr('data-tex', tex).attr('data-display', String(display));
+        math.push({ tex, display });
+    });
+
+    const headings = [];
+    $answer.find('h1, h2, h3, h4, h5, h6').each((i, el) => {
+        headings.push({ level: Number(el.tagName.slice(1)), text: $(el).text().trim() });
+    });
+
+    const html = $answer.html().trim();
+    return {
+        html,
+        text: $answer.text().trim(),
+        markdown: htmlToMarkdown(html),
+        headings,
+        codeBlocks,
+        math
+    };
+}
+
+function parsePrompt($, $prompt) {
+    const text = $prompt.text().trim();
+    return {
+        html: $prompt.html().trim(),
+        text,
+        markdown: textToMarkdown(text),
+        headings: [],
+        codeBlocks: [],
+        math: []
+    };
+}
+
+/**
+ * Quick check whether an HTML document looks like a DeepSeek chat export.
+ */
+export function isDeepSeekExport(html) {
+    const $ = cheerio.load(html);
+    return $(`${SELECTORS.prompt}, ${SELECTORS.answer}`).length > 0;
+}
+
+/**
+ * Read the title and export time of any HTML document without parsing turns.
+ * Fields that can't be found are null.
+ */
+export function readExportInfo(html, options = {}) {
+    const $ = cheerio.load(html);
+    return {
+        title: parseTitle($),
+        ...parseExportedAt($, options.fileName)
+    };
+}
+
+/**
+ * Parse a DeepSeek chat export into a conversation model.
+ *
+ * @param {string} html - Exported HTML document
+ * @param {object} [options]
+ * @param {string} [options.fileName] - Original file name, used for the export timestamp
+ * @returns {{ title, exportedAt, exportedAtText, turns, stats }}
+ */
+export function parseDeepSeekExport(html, options = {}) {
+    const $ = cheerio.load(html);
+
+    const turns = [];
+    $(`${SELECTORS.prompt}, ${SELECTORS.answer}`).each((i, el) => {
+        const $el = $(el);
+        // Answers can contain nested markdown blocks (e.g. the thinking section)
+        if ($el.parents(SELECTORS.answer).length > 0) {
+            return;
+        }
+
+        const role = $el.is(SELECTORS.prompt) ? 'user' : 'assistant';
+        const body = role === 'user' ? parsePrompt($, $el) : parseAnswer($, $el);
+        turns.push({ index: turns.length, role, ...body });
+    });
+
+    if (turns.length === 0) {
+        throw new ExportParseError('No DeepSeek conversation found in the HTML document');
+    }
+
+    return {
+        title: parseTitle($) || 'DeepSeek Chat',
+        ...parseExportedAt($, options.fileName),
+        turns,
+        stats: {
+            turns: turns.length,
+            prompts: turns.filter(t => t.role === 'user').length,
+            answers: turns.filter(t => t.role === 'assistant').length,
+            codeBlocks: turns.reduce((sum, t) => sum + t.codeBlocks.length, 0),
+            math: turns.reduce((sum, t) => sum + t.math.length, 0)
+        }
+    };
+}
@@ -0,0 +1,291 @@
+/**
+ * DOCX Exporter
+ * Writes a parsed DeepSeek conversation as a Word document. Answer markup is
+ * mapped to Word structures: headings, bulleted and numbered lists, tables,
+ * monospace code blocks and equations (kept as their TeX source).
+ */
+
+import * as cheerio from 'cheerio';
+import {
+    AlignmentType,
+    BorderStyle,
+    Document,
+    ExternalHyperlink,
+    HeadingLevel,
+    LevelFormat,
+    Math as MathBlock,
+    MathRun,
+    Packer,
+    Paragraph,
+    ShadingType,
+    Table,
+    TableCell,
+    TableRow,
+    TextRun,
+    WidthType
+} from 'docx';
+import { SELECTORS } from './deepseek_parser.js';
+import { ROLE_LABELS } from './chat_template.js';
+import { conversationMeta } from './markdown_exporter.js';
+
+const HEADINGS = [
+    HeadingLevel.HEADING_1,
+    HeadingLevel.HEADING_2,
+    HeadingLevel.HEADING_3,
+    HeadingLevel.HEADING_4,
+    HeadingLevel.HEADING_5,
+    HeadingLevel.HEADING_6
+];
+
+const CODE_FONT = 'Consolas';
+const CODE_SHADING = { type: ShadingType.CLEAR, color: 'auto', fill: 'F3F3F3' };
+const ORDERED_LIST = 'ordered-list';
+
+const INLINE_ELEMENTS = new Set([
+    'a', 'abbr', 'b', 'br', 'cite', 'code', 'del', 'em', 'i', 'img', 'ins', 'kbd', 'mark',
+    's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'u', 'var'
+]);
+
+/**
+ * Converts the HTML of one answer. Numbered lists need a numbering instance of
+ * their own to restart at 1, so the counter lives for the whole document.
+ */
+class AnswerConverter {
+    constructor() {
+        this.listInstances = 0;
+    }
+
+    /**
+     * @param {object} format - Run formatting inherited from enclosing elements
+     */
+    inlineRuns($, nodes, format = {}) {
+        const runs = [];
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                const text = node.data.replace(/\s+/g, ' ');
+                if (text) {
+                    runs.push(new TextRun({ text, ...this.runFormat(format) }));
+                }
+                continue;
+            }
+            if (node.type !== 'tag') {
+                continue;
+            }
+
+            const $node = $(node);
+            const tag = node.tagName;
+            if ($node.is(SELECTORS.math)) {
+                runs.push(new MathBlock({ children: [new MathRun($node.attr('data-tex') || $node.text())] }));
+            } else if (tag === 'br') {
+                runs.push(new TextRun({ break: 1 }));
+            } else if (tag === 'img') {
+                runs.push(new TextRun({ text: `[${$node.attr('alt') || 'image'}]`, italics: true }));
+            } else if (tag === 'a' && /^(https?|mailto):/i.test($node.attr('href') || '')) {
+                runs.push(new ExternalHyperlink({
+                    link: $node.attr('href'),
+                    children: this.inlineRuns($, node.children, { ...format, link: true })
+                }));
+            } else {
+                runs.push(...this.inlineRuns($, node.children, {
+                    ...format,
+                    bold: format.bold || ['b', 'strong', 'th'].includes(tag),
+                    italics: format.italics || ['em', 'i', 'cite'].includes(tag),
+                    strike: format.strike || ['s', 'del', 'strike'].includes(tag),
+                    code: format.code || ['code', 'kbd', 'samp'].includes(tag),
+                    superScript: format.superScript || tag === 'sup',
+                    subScript: format.subScript || tag === 'sub'
+                }));
+            }
+        }
+        return runs;
+    }
+
+    runFormat(format) {
+        return {
+            bold: format.bold,
+            italics: format.italics,
+            strike: format.strike,
+            superScript: format.superScript,
+            subScript: format.subScript,
+            ...(format.link ? { style: 'Hyperlink' } : {}),
+            ...(format.code ? { font: CODE_FONT, shading: CODE_SHADING } : {})
+        };
+    }
+
+    codeBlock($, $block) {
+        const language = $block.attr('data-language');
+        const code = ($block.is('pre') ? $block : $block.find('pre').first()).text().replace(/\n$/, '');
+        const lines = code.split('\n');
+
+        const paragraphs = language
+            ? [new Paragraph({
+                children: [new TextRun({ text: language, font: CODE_FONT, size: 16, color: '737373' })],
+                spacing: { before: 120, after: 0 }
+            })]
+            : [];
+
+        lines.forEach((line, i) => {
+            paragraphs.push(new Paragraph({
+                children: [new TextRun({ text: line || ' ', font: CODE_FONT, size: 18 })],
+                shading: CODE_SHADING,
+                spacing: { before: i === 0 && !language ? 120 : 0, after: i === lines.length - 1 ? 120 : 0 },
+                keepLines: true
+            }));
+        });
+        return paragraphs;
+    }
+
+    table($, $table) {
+        const rows = $table.find('tr').toArray()
+            .filter(tr => $(tr).children('th, td').length > 0)
+            .map(tr => new TableRow({
+                tableHeader: $(tr).parent().is('thead'),
+                children: $(tr).children('th, td').toArray().map(cell => new TableCell({
+                    children: this.blocks($, cell.children, { format: { bold: cell.tagName === 'th' } }),
+                    margins: { top: 60, bottom: 60, left: 100, right: 100 }
+                }))
+            }));
+
+        return new Table({
+            rows,
+            width: { size: 100, type: WidthType.PERCENTAGE }
+        });
+    }
+
+    listItems($, list, context) {
+        const level = context.listLevel || 0;
+        const instance = list.tagName === 'ol' ? ++this.listInstances : null;
+
+        return $(list).children('li').toArray().flatMap((li) => {
+            // The first paragraph of an item carries its bullet or number
+            const marker = instance
+                ? { numbering: { reference: ORDERED_LIST, level, instance } }
+                : { bullet: { level } };
+            const itemContext = { ...context, listLevel: level + 1, marker };
+            const blocks = this.blocks($, li.children, itemContext);
+            return itemContext.marker ? [new Paragraph({ ...marker, children: [] }), ...blocks] : blocks;
+        });
+    }
+
+    /**
+     * Convert a list of nodes to paragraphs and tables. Runs of inline content
+     * between block elements become paragraphs of their own.
+     *
+     * @param {object} context - format (inherited run formatting), listLevel,
+     *   indent, and the list marker still to be placed
+     */
+    blocks($, nodes, context = {}) {
+        const { format = {}, indent = 0 } = context;
+        const blocks = [];
+        let pending = [];
+
+        const paragraph = (runs) => {
+            const options = indent ? { indent: { left: indent } } : {};
+            if (context.marker) {
+                Object.assign(options, context.marker);
+                context.marker = null;
+            }
+            blocks.push(new Paragraph({ ...options, children: runs }));
+        };
+        const flush = () => {
+            if (pending.some(node => node.type === 'tag' || node.data.trim())) {
+                paragraph(this.inlineRuns($, pending, format));
+            }
+            pending = [];
+        };
+
+        for (const node of nodes) {
+            const $node = $(node);
+            if (node.type === 'text' || (node.type === 'tag' && INLINE_ELEMENTS.has(node.tagName) &&
+                !$node.is(SELECTORS.codeBlock))) {
+                pending.push(node);
+                continue;
+            }
+            if (node.type !== 'tag') {
+                continue;
+            }
+            flush();
+
+            const tag = node.tagName;
+            if (/^h[1-6]$/.test(tag)) {
+                // Answer headings sit below the Heading 1 of their turn
+                const level = Math.min(6, Number(tag.slice(1)) + 1);
+                blocks.push(new Paragraph({ heading: HEADINGS[level - 1], children: this.inlineRuns($, node.children, format) }));
+            } else if ($node.is(SELECTORS.codeBlock) || tag === 'pre') {
+                blocks.push(...this.codeBlock($, $node));
+            } else if (tag === 'ul' || tag === 'ol') {
+                blocks.push(...this.listItems($, node, context));
+            } else if (tag === 'table') {
+                blocks.push(this.table($, $node));
+            } else if (tag === 'hr') {
+                blocks.push(new Paragraph({ thematicBreak: true, children: [] }));
+            } else if (tag === 'blockquote') {
+                const quote = { ...context, format: { ...format, italics: true }, indent: indent + 567 };
+                blocks.push(...this.blocks($, node.children, quote));
+                context.marker = quote.marker;
+            } else if (tag === 'p') {
+                paragraph(this.inlineRuns($, node.children, format));
+            } else {
+                blocks.push(...this.blocks($, node.children, context));
+            }
+        }
+        flush();
+        return blocks;
+    }
+
+    convert(html) {
+        const $ = cheerio.load(html, null, false);
+        return this.blocks($, $.root()[0].children);
+    }
+}
+
+function promptParagraphs(text) {
+    return text.split(/\n{2,}/).map(paragraph => new Paragraph({
+        children: paragraph.split('\n').map((line, i) => new TextRun({ text: line, break: i > 0 ? 1 : 0 })),
+        shading: { type: ShadingType.CLEAR, color: 'auto', fill: 'EEF2FF' },
+        border: { left: { style: BorderStyle.SINGLE, size: 18, color: '4D6BFE', space: 6 } },
+        spacing: { after: 120 }
+    }));
+}
+
+/**
+ * @param {object} conversation - Result of parseDeepSeekExport
+ * @returns {Promise<Buffer>} DOCX file
+ */
+export async function renderDocx(conversation) {
+    const converter = new AnswerConverter();
+    const children = [
+        new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(conversation.title)] }),
+        new Paragraph({ children: [new TextRun({ text: conversationMeta(conversation), italics: true, color: '737373' })] })
+    ];
+
+    for (const turn of conversation.turns) {
+        children.push(new Paragraph({
+            heading: HeadingLevel.HEADING_1,
+            children: [new TextRun(ROLE_LABELS[turn.role])],
+            keepNext: true
+        }));
+        children.push(...(turn.role === 'user' ? promptParagraphs(turn.text) : converter.convert(turn.html)));
+    }
+
+    const document = new Document({
+        title: conversation.title,
+        description: conversationMeta(conversation),
+        creator: 'DeepSeek Chat Export',
+        numbering: {
+            config: [{
+                reference: ORDERED_LIST,
+                levels: Array.from({ length: 9 }, (v, level) => ({
+                    level,
+                    format: LevelFormat.DECIMAL,
+                    text: `%${level + 1}.`,
+                    alignment: AlignmentType.START,
+                    style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+                }))
+            }]
+        },
+        sections: [{ children }]
+    });
+
+    return Packer.toBuffer(document);
+}
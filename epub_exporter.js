@@ -0,0 +1,216 @@
+/**
+ * EPUB Exporter
+ * Writes a parsed DeepSeek conversation as an EPUB 3 book for e-readers: one
+ * chapter per prompt and its answer, math as MathML, code as plain text.
+ */
+
+import crypto from 'crypto';
+import JSZip from 'jszip';
+import * as cheerio from 'cheerio';
+import { SELECTORS } from './deepseek_parser.js';
+import { ROLE_LABELS } from './chat_template.js';
+import { conversationMeta, shiftHeadings } from './markdown_exporter.js';
+
+const CHAPTER_TITLE_LENGTH = 80;
+
+const STYLESHEET = `
+body { font-family: serif; line-height: 1.5; margin: 0 0.5em; }
+h1.title { text-align: center; margin-top: 30%; }
+p.meta { text-align: center; color: #666666; font-style: italic; }
+h2.role { font-family: sans-serif; font-size: 0.9em; text-transform: uppercase; letter-spacing: 0.05em; color: #4d6bfe; margin: 1.5em 0 0.5em; }
+.prompt { background: #eef2ff; border-left: 3px solid #4d6bfe; padding: 0.5em 0.8em; white-space: pre-wrap; }
+pre { background: #f3f3f3; font-family: monospace; font-size: 0.85em; padding: 0.6em; white-space: pre-wrap; word-wrap: break-word; }
+code { font-family: monospace; }
+.code-language { color: #737373; font-family: monospace; font-size: 0.75em; margin: 1em 0 0; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #cccccc; padding: 0.2em 0.4em; }
+img { max-width: 100%; }
+`;
+
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function xhtmlDocument(title, body) {
+    return '<?xml version="1.0" encoding="utf-8"?>\n' +
+        '<!DOCTYPE html>\n' +
+        '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">\n' +
+        `<head><meta charset="utf-8"/><title>${escapeXML(title)}</title>` +
+        '<link rel="stylesheet" type="text/css" href="style.css"/></head>\n' +
+        `<body>\n${body}\n</body>\n</html>\n`;
+}
+
+/**
+ * Turn answer markup into XHTML that e-readers accept: KaTeX becomes its
+ * MathML, code blocks lose their token spans, and screen-only markup goes.
+ *
+ * @returns {{ xhtml: string, math: boolean }} Chapter markup and whether it uses MathML
+ */
+function answerXHTML(html) {
+    const $ = cheerio.load(shiftHeadings(html, 2), null, false);
+    let math = false;
+
+    $(SELECTORS.math).each((i, el) => {
+        const $math = $(el);
+        const mathML = $math.find('math').first();
+        if (mathML.length > 0) {
+            mathML.attr('xmlns', 'http://www.w3.org/1998/Math/MathML');
+            if ($math.attr('data-display') === 'true') {
+                mathML.attr('display', 'block');
+            }
+            $math.replaceWith(mathML);
+            math = true;
+        } else {
+            $math.replaceWith(`<code>${escapeXML($math.attr('data-tex') || $math.text())}</code>`);
+        }
+    });
+
+    $(SELECTORS.codeBlock).each((i, el) => {
+        const $block = $(el);
+        const language = $block.attr('data-language');
+        const code = $block.find('pre').first().text().replace(/\n$/, '');
+        const label = language ? `<p class="code-language">${escapeXML(language)}</p>` : '';
+        const className = language ? ` class="language-${escapeXML(language)}"` : '';
+        $block.replaceWith(`${label}<pre><code${className}>${escapeXML(code)}</code></pre>`);
+    });
+
+    $('script, style, button, svg').remove();
+    $('[style]').removeAttr('style');
+    // Remote images would be fetched by the reader; only embedded ones are kept
+    $('img').each((i, el) => {
+        const $img = $(el);
+        if (!/^data:/i.test($img.attr('src') || '')) {
+            $img.replaceWith(`<em>[${escapeXML($img.attr('alt') || 'image')}]</em>`);
+        } else if (!$img.attr('alt')) {
+            $img.attr('alt', '');
+        }
+    });
+
+    return { xhtml: $.xml(), math };
+}
+
+function chapterTitle(turn, index) {
+    const text = turn ? turn.text.replace(/\s+/g, ' ').trim() : '';
+    if (!text) {
+        return `Part ${index + 1}`;
+    }
+    return text.length > CHAPTER_TITLE_LENGTH ? `${text.slice(0, CHAPTER_TITLE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Group turns into chapters: each prompt with the answers that follow it.
+ */
+function chapters(conversation) {
+    const groups = [];
+    for (const turn of conversation.turns) {
+        if (turn.role === 'user' || groups.length === 0) {
+            groups.push([]);
+        }
+        groups[groups.length - 1].push(turn);
+    }
+
+    return groups.map((turns, i) => {
+        let math = false;
+        const body = turns.map((turn) => {
+            let content;
+            if (turn.role === 'user') {
+                content = `<div class="prompt">${escapeXML(turn.text)}</div>`;
+            } else {
+                const answer = answerXHTML(turn.html);
+                math = math || answer.math;
+                content = `<div class="answer">${answer.xhtml}</div>`;
+            }
+            return `<section><h2 class="role">${ROLE_LABELS[turn.role]}</h2>\n${content}</section>`;
+        }).join('\n');
+
+        const prompt = turns.find(turn => turn.role === 'user');
+        const title = chapterTitle(prompt, i);
+        return {
+            id: `chapter-${i + 1}`,
+            file: `chapter-${i + 1}.xhtml`,
+            title,
+            math,
+            xhtml: xhtmlDocument(title, `<h1 class="chapter">${escapeXML(title)}</h1>\n${body}`)
+        };
+    });
+}
+
+function packageDocument(conversation, identifier, items) {
+    const modified = new Date(conversation.exportedAt || Date.now()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const manifest = items.map(item =>
+        `    <item id="${item.id}" href="${item.file}" media-type="${item.type}"` +
+        `${item.properties ? ` properties="${item.properties}"` : ''}/>`).join('\n');
+    const spine = items.filter(item => item.type === 'application/xhtml+xml')
+        .map(item => `    <itemref idref="${item.id}"/>`).join('\n');
+
+    return '<?xml version="1.0" encoding="utf-8"?>\n' +
+        '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">\n' +
+        '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n' +
+        `    <dc:identifier id="book-id">${identifier}</dc:identifier>\n` +
+        `    <dc:title>${escapeXML(conversation.title)}</dc:title>\n` +
+        '    <dc:creator>DeepSeek</dc:creator>\n' +
+        '    <dc:language>en</dc:language>\n' +
+        `    <meta property="dcterms:modified">${modified}</meta>\n` +
+        '  </metadata>\n' +
+        `  <manifest>\n${manifest}\n  </manifest>\n` +
+        `  <spine>\n${spine}\n  </spine>\n` +
+        '</package>\n';
+}
+
+/**
+ * @param {object} conversation - Result of parseDeepSeekExport
+ * @returns {Promise<Buffer>} EPUB file
+ */
+export async function renderEpub(conversation) {
+    const parts = chapters(conversation);
+
+    // Derived from the content, so exporting the same chat twice gives the same book
+    const hash = crypto.createHash('sha256')
+        .update(conversation.title)
+        .update(parts.map(part => part.xhtml).join(''))
+        .digest('hex');
+    const identifier = `urn:uuid:${hash.slice(0, 8)}-${hash.slice(8, 12)}-4${hash.slice(13, 16)}-` +
+        `${((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16)}${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+
+    const nav = xhtmlDocument(conversation.title,
+        '<nav epub:type="toc" id="toc"><h1>Contents</h1><ol>\n' +
+        parts.map(part => `<li><a href="${part.file}">${escapeXML(part.title)}</a></li>`).join('\n') +
+        '\n</ol></nav>');
+    const title = xhtmlDocument(conversation.title,
+        `<h1 class="title">${escapeXML(conversation.title)}</h1>\n` +
+        `<p class="meta">${escapeXML(conversationMeta(conversation))}</p>`);
+
+    const items = [
+        { id: 'style', file: 'style.css', type: 'text/css' },
+        { id: 'nav', file: 'nav.xhtml', type: 'application/xhtml+xml', properties: 'nav' },
+        { id: 'title', file: 'title.xhtml', type: 'application/xhtml+xml' },
+        ...parts.map(part => ({
+            id: part.id,
+            file: part.file,
+            type: 'application/xhtml+xml',
+            properties: part.math ? 'mathml' : null
+        }))
+    ];
+
+    const zip = new JSZip();
+    // The mimetype must come first and uncompressed, so readers can sniff the file type
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml',
+        '<?xml version="1.0" encoding="utf-8"?>\n' +
+        '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n' +
+        '  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>\n' +
+        '</container>\n');
+    zip.file('OEBPS/content.opf', packageDocument(conversation, identifier, items));
+    zip.file('OEBPS/style.css', STYLESHEET.trimStart());
+    zip.file('OEBPS/nav.xhtml', nav);
+    zip.file('OEBPS/title.xhtml', title);
+    for (const part of parts) {
+        zip.file(`OEBPS/${part.file}`, part.xhtml);
+    }
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+}
@@ -0,0 +1,74 @@
+/**
+ * Output Formats
+ * PDF and images are rendered by Chromium; the document formats are written
+ * straight from the parsed conversation, without a browser or external tools.
+ */
+
+import { renderMarkdown } from './markdown_exporter.js';
+import { renderDocx } from './docx_exporter.js';
+import { renderEpub } from './epub_exporter.js';
+
+export const OUTPUT_FORMATS = {
+    pdf: {
+        contentType: 'application/pdf',
+        extension: 'pdf',
+        description: 'PDF rendered by Chromium'
+    },
+    md: {
+        contentType: 'text/markdown; charset=utf-8',
+        extension: 'md',
+        description: 'GitHub-flavoured markdown',
+        render: renderMarkdown
+    },
+    docx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extension: 'docx',
+        description: 'Word document',
+        render: renderDocx
+    },
+    epub: {
+        contentType: 'application/epub+zip',
+        extension: 'epub',
+        description: 'EPUB 3 e-book, one chapter per prompt',
+        render: renderEpub
+    },
+    // Images per page or per turn are sent as a zip, see image_renderer.js
+    png: {
+        contentType: 'image/png',
+        extension: 'png',
+        description: 'PNG screenshot or page images'
+    },
+    jpeg: {
+        contentType: 'image/jpeg',
+        extension: 'jpeg',
+        description: 'JPEG screenshot or page images'
+    },
+    webp: {
+        contentType: 'image/webp',
+        extension: 'webp',
+        description: 'WebP screenshot or page images'
+    }
+};
+
+/**
+ * Whether a format is written from the parsed conversation rather than rendered.
+ */
+export function isDocumentOutput(output) {
+    return Boolean(OUTPUT_FORMATS[output]?.render);
+}
+
+/**
+ * Write a conversation in one of the document formats (md, docx, epub).
+ *
+ * @param {object} conversation - Result of parseDeepSeekExport
+ * @param {string} output - Key of OUTPUT_FORMATS
+ * @returns {Promise<{ buffer: Buffer, contentType: string, extension: string }>}
+ */
+export async function exportConversation(conversation, output) {
+    const format = OUTPUT_FORMATS[output];
+    if (!format?.render) {
+        throw new Error(`'${output}' is not a document output format`);
+    }
+    const buffer = await format.render(conversation);
+    return { buffer, contentType: format.contentType, extension: format.extension };
+}
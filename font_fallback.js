@@ -0,0 +1,454 @@
+/**
+ * Font Fallback
+ * DeepSeek chats mix Chinese, Arabic, Hebrew and emoji with English, but the
+ * export's font stack is Inter plus system fonts, and a headless Chromium in
+ * a container has no fonts for those scripts: they print as empty boxes.
+ *
+ * The scripts in a document are detected, and fonts for them are added after
+ * every font stack of the document, so Chromium falls back to them for the
+ * characters its own fonts lack. Fonts are bundled through npm (Noto) or read
+ * from font directories of the user; bundled fonts are split by Unicode range,
+ * and only the ranges the document uses are inlined. Paragraphs written in a
+ * right-to-left script get `dir="rtl"`, paragraphs in a detected script a
+ * `lang` attribute, so line breaking and glyph shapes follow the language.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import { createRequire } from 'module';
+import * as cheerio from 'cheerio';
+import fg from 'fast-glob';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Scripts that are checked for, in the order their fonts are added to a font
+ * stack. `font` is the bundled font, null for scripts that need a font
+ * directory. Emoji come first, so pictographs other fallbacks also have are
+ * printed in colour.
+ */
+export const SCRIPTS = {
+    emoji: {
+        pattern: /\p{Emoji_Presentation}/u,
+        font: { family: 'Noto Color Emoji', package: '@fontsource/noto-color-emoji', weights: [400] }
+    },
+    han: {
+        // Chinese and Japanese, with CJK punctuation and full-width forms
+        pattern: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303f\uff00-\uffef]/u,
+        // One weight, bold is synthesized: every weight of Noto Sans SC adds megabytes to a long chat
+        font: { family: 'Noto Sans SC', package: '@fontsource/noto-sans-sc', weights: [400] }
+    },
+    hangul: { pattern: /\p{Script=Hangul}/u, lang: 'ko', font: null },
+    arabic: {
+        pattern: /\p{Script=Arabic}/u,
+        rtl: true,
+        lang: 'ar',
+        font: { family: 'Noto Sans Arabic', package: '@fontsource/noto-sans-arabic', weights: [400, 700] }
+    },
+    hebrew: {
+        pattern: /\p{Script=Hebrew}/u,
+        rtl: true,
+        lang: 'he',
+        font: { family: 'Noto Sans Hebrew', package: '@fontsource/noto-sans-hebrew', weights: [400, 700] }
+    },
+    thai: { pattern: /\p{Script=Thai}/u, lang: 'th', font: null },
+    devanagari: { pattern: /\p{Script=Devanagari}/u, lang: 'hi', font: null }
+};
+
+// Font files read from font directories; WOFF2 would need a Brotli decoder and its table transforms
+const FONT_FILES = '**/*.{ttf,otf,woff,TTF,OTF,WOFF}';
+
+const FONT_FORMATS = {
+    '.ttf': { type: 'font/ttf', format: 'truetype' },
+    '.otf': { type: 'font/otf', format: 'opentype' },
+    '.woff': { type: 'font/woff', format: 'woff' }
+};
+
+// Elements whose text gets a direction and a language; code keeps its own
+const TEXT_BLOCKS = 'p, li, h1, h2, h3, h4, h5, h6, td, th, blockquote, dd, dt, figcaption, caption, summary, div';
+const NO_DIRECTION = 'pre, code, kbd, samp, math, .katex, .md-code-block, script, style';
+
+// @font-face blocks are matched too, so their font-family descriptors stay as they are
+const FONT_PROPERTY_RE = /@font-face\s*{[^}]*}|((?<![\w-])font(-family)?\s*:\s*)([^;}!]+)/gi;
+const CSS_WIDE = /^(inherit|initial|unset|revert|revert-layer)$|var\(/i;
+
+function codepoints(text) {
+    return new Set([...text].map(c => c.codePointAt(0)));
+}
+
+function inRanges(ranges, cp) {
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (cp < ranges[mid][0]) {
+            high = mid - 1;
+        } else if (cp > ranges[mid][1]) {
+            low = mid + 1;
+        } else {
+            return true;
+        }
+    }
+    return false;
+}
+
+// "U+0460-052F,U+20B4,U+4??" -> [[0x460, 0x52f], [0x20b4, 0x20b4], [0x400, 0x4ff]]
+function parseUnicodeRange(value) {
+    return value.split(',').map((part) => {
+        const [start, end] = part.trim().replace(/^u\+/i, '').split('-');
+        if (start.includes('?')) {
+            return [parseInt(start.replace(/\?/g, '0'), 16), parseInt(start.replace(/\?/g, 'f'), 16)];
+        }
+        return [parseInt(start, 16), parseInt(end || start, 16)];
+    }).sort((a, b) => a[0] - b[0]);
+}
+
+const bundledFaces = new Map();
+
+// The @font-face blocks of a bundled font weight, with their Unicode ranges. Read once.
+function fontFaces(font, weight) {
+    const key = `${font.package}/${weight}`;
+    if (!bundledFaces.has(key)) {
+        const cssFile = require.resolve(`${font.package}/${weight}.css`);
+        const faces = [...fs.readFileSync(cssFile, 'utf-8').matchAll(/@font-face\s*{[^}]*}/g)].map(([block]) => {
+            const range = block.match(/unicode-range\s*:\s*([^;}]+)/i);
+            const file = block.match(/url\(\.?\/?([^)]+\.woff2)\)/);
+            return {
+                ranges: range ? parseUnicodeRange(range[1]) : [[0, 0x10ffff]],
+                file: path.join(path.dirname(cssFile), file[1])
+            };
+        });
+        bundledFaces.set(key, faces);
+    }
+    return bundledFaces.get(key);
+}
+
+// Only the ranges with characters of the document are inlined
+function bundledFontCSS(font, chars) {
+    const blocks = [];
+    for (const weight of font.weights) {
+        for (const face of fontFaces(font, weight)) {
+            if (![...chars].some(cp => inRanges(face.ranges, cp))) {
+                continue;
+            }
+            const uri = `data:font/woff2;base64,${fs.readFileSync(face.file).toString('base64')}`;
+            blocks.push(`@font-face { font-family: '${font.family}'; font-style: normal; font-weight: ${weight}; ` +
+                `src: url(${uri}) format('woff2'); unicode-range: ${face.ranges.map(([a, b]) =>
+                    (a === b ? `U+${a.toString(16)}` : `U+${a.toString(16)}-${b.toString(16)}`)).join(',')}; }`);
+        }
+    }
+    return blocks;
+}
+
+// OpenType tables of a TrueType, OpenType or WOFF file, by tag
+function fontTables(buffer) {
+    const signature = buffer.toString('latin1', 0, 4);
+    const tables = new Map();
+    if (signature === 'wOFF') {
+        const count = buffer.readUInt16BE(12);
+        for (let i = 0; i < count; i++) {
+            const entry = 44 + i * 20;
+            const offset = buffer.readUInt32BE(entry + 4);
+            const compressed = buffer.readUInt32BE(entry + 8);
+            const length = buffer.readUInt32BE(entry + 12);
+            const data = buffer.subarray(offset, offset + compressed);
+            tables.set(buffer.toString('latin1', entry, entry + 4), compressed < length ? zlib.inflateSync(data) : data);
+        }
+        return tables;
+    }
+    if (!['\u0000\u0001\u0000\u0000', 'OTTO', 'true'].includes(signature)) {
+        throw new Error('not a TrueType, OpenType or WOFF font');
+    }
+    const count = buffer.readUInt16BE(4);
+    for (let i = 0; i < count; i++) {
+        const entry = 12 + i * 16;
+        const offset = buffer.readUInt32BE(entry + 8);
+        tables.set(buffer.toString('latin1', entry, entry + 4), buffer.subarray(offset, offset + buffer.readUInt32BE(entry + 12)));
+    }
+    return tables;
+}
+
+// Typographic family (name 16) or family (name 1), preferring Windows English names
+function fontFamily(name) {
+    const count = name.readUInt16BE(2);
+    const strings = name.readUInt16BE(4);
+    const records = [];
+    for (let i = 0; i < count; i++) {
+        const record = 6 + i * 12;
+        const [platform, encoding, language, id, length, offset] = [0, 2, 4, 6, 8, 10].map(at => name.readUInt16BE(record + at));
+        if (id === 1 || id === 16) {
+            records.push({ platform, encoding, language, id, data: name.subarray(strings + offset, strings + offset + length) });
+        }
+    }
+    const rank = record => (record.id === 16 ? 0 : 4) + (record.platform === 3 ? (record.language === 0x409 ? 0 : 1) : record.platform === 0 ? 2 : 3);
+    const best = records.sort((a, b) => rank(a) - rank(b))[0];
+    if (!best) {
+        return null;
+    }
+    // Windows and Unicode names are UTF-16BE
+    return best.platform === 1 ? best.data.toString('latin1') : Buffer.from(best.data).swap16().toString('utf16le');
+}
+
+// Code point ranges of the best cmap subtable: format 12 (all planes) or 4 (BMP)
+function fontCoverage(cmap) {
+    const count = cmap.readUInt16BE(2);
+    const subtables = [];
+    for (let i = 0; i < count; i++) {
+        const record = 4 + i * 8;
+        const offset = cmap.readUInt32BE(record + 4);
+        subtables.push({ platform: cmap.readUInt16BE(record), format: cmap.readUInt16BE(offset), offset });
+    }
+    const table = subtables.find(t => t.format === 12) || subtables.find(t => t.format === 4 && t.platform !== 1);
+    if (!table) {
+        return [];
+    }
+
+    const ranges = [];
+    if (table.format === 12) {
+        const groups = cmap.readUInt32BE(table.offset + 12);
+        for (let i = 0; i < groups; i++) {
+            const group = table.offset + 16 + i * 12;
+            ranges.push([cmap.readUInt32BE(group), cmap.readUInt32BE(group + 4)]);
+        }
+    } else {
+        const segments = cmap.readUInt16BE(table.offset + 6) / 2;
+        for (let i = 0; i < segments; i++) {
+            const end = cmap.readUInt16BE(table.offset + 14 + i * 2);
+            const start = cmap.readUInt16BE(table.offset + 16 + segments * 2 + i * 2);
+            if (start !== 0xffff) {
+                ranges.push([start, end]);
+            }
+        }
+    }
+    return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Family, weight, style and covered code points of a font file.
+ *
+ * @param {Buffer} buffer - TrueType, OpenType or WOFF file
+ * @returns {{ family: string|null, weight: number, style: string, ranges: number[][] }}
+ */
+export function readFontInfo(buffer) {
+    const tables = fontTables(buffer);
+    const os2 = tables.get('OS/2');
+    const head = tables.get('head');
+    const italic = os2 && os2.length >= 64 ? (os2.readUInt16BE(62) & 1) === 1 : Boolean(head && (head.readUInt16BE(44) & 2));
+    return {
+        family: tables.has('name') ? fontFamily(tables.get('name')) : null,
+        weight: os2 ? os2.readUInt16BE(4) || 400 : 400,
+        style: italic ? 'italic' : 'normal',
+        ranges: tables.has('cmap') ? fontCoverage(tables.get('cmap')) : []
+    };
+}
+
+export class FontLibrary {
+    /**
+     * Fonts of the user's font directories, used before the bundled fonts.
+     *
+     * @param {object} [options]
+     * @param {string[]} [options.dirs] - Directories searched for .ttf, .otf and .woff files, subdirectories included
+     */
+    constructor({ dirs = [] } = {}) {
+        this.dirs = dirs.map(dir => path.resolve(dir));
+        this.fonts = null;
+        // Files that are no font or couldn't be read, as { file, error }
+        this.skipped = [];
+    }
+
+    /**
+     * Library of the directories in FONT_DIRS, separated like PATH.
+     */
+    static fromEnvironment(env = process.env) {
+        return new FontLibrary({ dirs: (env.FONT_DIRS || '').split(path.delimiter).filter(Boolean) });
+    }
+
+    /**
+     * Read the font directories. Happens once, on first use.
+     *
+     * @returns {Array<{ file: string, family: string, weight: number, style: string, ranges: number[][] }>}
+     * @throws {Error} When a directory doesn't exist
+     */
+    load() {
+        if (this.fonts) {
+            return this.fonts;
+        }
+        const fonts = [];
+        for (const dir of this.dirs) {
+            if (!fs.existsSync(dir)) {
+                throw new Error(`Font directory '${dir}' not found`);
+            }
+            for (const file of fg.sync(FONT_FILES, { cwd: dir, absolute: true }).sort()) {
+                try {
+                    const info = readFontInfo(fs.readFileSync(file));
+                    fonts.push({ file, ...info, family: info.family || path.basename(file, path.extname(file)) });
+                } catch (error) {
+                    this.skipped.push({ file, error: error.message });
+                }
+            }
+        }
+        this.fonts = fonts;
+        return fonts;
+    }
+
+    /**
+     * Fonts that have a glyph for any of the code points.
+     */
+    covering(chars) {
+        return this.load().filter(font => [...chars].some(cp => inRanges(font.ranges, cp)));
+    }
+}
+
+function customFontCSS(font) {
+    const { type, format } = FONT_FORMATS[path.extname(font.file).toLowerCase()];
+    const uri = `data:${type};base64,${fs.readFileSync(font.file).toString('base64')}`;
+    return `@font-face { font-family: '${font.family.replace(/'/g, '')}'; font-style: ${font.style}; ` +
+        `font-weight: ${font.weight}; src: url(${uri}) format('${format}'); }`;
+}
+
+/**
+ * Characters of each script in a text, for the scripts of SCRIPTS found in it.
+ *
+ * @returns {Map<string, Set<number>>} Script name -> code points
+ */
+export function detectScripts(text) {
+    const found = new Map();
+    for (const cp of codepoints(text)) {
+        if (cp < 0x0370) {
+            continue;
+        }
+        const char = String.fromCodePoint(cp);
+        for (const [script, { pattern }] of Object.entries(SCRIPTS)) {
+            if (pattern.test(char)) {
+                if (!found.has(script)) {
+                    found.set(script, new Set());
+                }
+                found.get(script).add(cp);
+                break;
+            }
+        }
+    }
+    return found;
+}
+
+// Script of the first letter of a text, which decides its direction as with dir="auto"
+function leadingScript(text) {
+    const letter = text.match(/[\p{L}\p{Emoji_Presentation}]/u);
+    if (!letter) {
+        return null;
+    }
+    return Object.keys(SCRIPTS).find(script => SCRIPTS[script].pattern.test(letter[0])) || null;
+}
+
+function textLanguage(script, text) {
+    if (script === 'han') {
+        return /[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text) ? 'ja' : 'zh';
+    }
+    if (script === 'arabic' && /[\u067e\u0686\u0698\u06af]/.test(text)) {
+        return 'fa';
+    }
+    return SCRIPTS[script].lang || null;
+}
+
+// Text blocks without text blocks inside get the direction and language of their first letter
+function markTextBlocks($) {
+    let rtl = 0;
+    $(TEXT_BLOCKS).each((i, el) => {
+        const $el = $(el);
+        if ($el.find(TEXT_BLOCKS).length > 0 || $el.closest(NO_DIRECTION).length > 0) {
+            return;
+        }
+        const text = $el.text();
+        const script = leadingScript(text);
+        if (!script || script === 'emoji') {
+            return;
+        }
+        if (SCRIPTS[script].rtl && !$el.attr('dir')) {
+            $el.attr('dir', 'rtl');
+            rtl++;
+        }
+        const lang = textLanguage(script, text);
+        if (lang && !$el.attr('lang')) {
+            $el.attr('lang', lang);
+        }
+    });
+    return rtl;
+}
+
+// Fallback families after those of font-family and font declarations; a font shorthand
+// without a size is a system font keyword
+function extendFontStacks(css, stack) {
+    return css.replace(FONT_PROPERTY_RE, (match, property, family, value) => {
+        const families = value?.trim();
+        if (!property || CSS_WIDE.test(families) || (!family && !/\d/.test(families))) {
+            return match;
+        }
+        return `${property}${families}, ${stack}${value.slice(value.trimEnd().length)}`;
+    });
+}
+
+/**
+ * Add fallback fonts for the scripts of a document.
+ *
+ * @param {string} html - Document, after templates and math
+ * @param {object} options - Conversion options (fontFallback: false skips this)
+ * @param {object} [context]
+ * @param {FontLibrary} [context.fonts] - Fonts of the user's font directories, used before the bundled ones
+ * @returns {{ html: string, report: { scripts: string[], fonts: string[], missing: string[], rtl: number }|null }}
+ *   Document, with the scripts found, the fallback families added, scripts no
+ *   font was found for, and the number of blocks set right-to-left; no report
+ *   when the option is off
+ */
+export function renderScriptFonts(html, options = {}, context = {}) {
+    if (options.fontFallback === false) {
+        return { html, report: null };
+    }
+
+    const $ = cheerio.load(html);
+    const scripts = detectScripts(`${$('title').text()} ${$('body').text()}`);
+    const report = { scripts: Object.keys(SCRIPTS).filter(script => scripts.has(script)), fonts: [], missing: [], rtl: 0 };
+    if (scripts.size === 0) {
+        return { html, report };
+    }
+
+    // Fonts of the user first, then the bundled font of each script the user's fonts leave out
+    const chars = new Set([...scripts.values()].flatMap(set => [...set]));
+    const custom = context.fonts ? context.fonts.covering(chars) : [];
+    const faces = custom.map(customFontCSS);
+    const families = [...new Set(custom.map(font => font.family))];
+    for (const script of report.scripts) {
+        const { font } = SCRIPTS[script];
+        const uncovered = new Set([...scripts.get(script)].filter(cp => !custom.some(f => inRanges(f.ranges, cp))));
+        if (uncovered.size === 0) {
+            continue;
+        }
+        if (!font) {
+            report.missing.push(script);
+            continue;
+        }
+        faces.push(...bundledFontCSS(font, uncovered));
+        families.push(font.family);
+    }
+    report.fonts = [...new Set(families)];
+    report.rtl = markTextBlocks($);
+    if (report.fonts.length === 0) {
+        return { html: $.html(), report };
+    }
+
+    // Appended to every font stack, so they are only used for glyphs the document's fonts lack
+    const stack = report.fonts.map(family => `'${family.replace(/'/g, '')}'`).join(', ');
+    $('style').each((i, el) => {
+        $(el).text(extendFontStacks($(el).html(), stack));
+    });
+    $('[style]').each((i, el) => {
+        $(el).attr('style', extendFontStacks($(el).attr('style'), stack));
+    });
+
+    // First in <head>, so the document's own rules override the root font
+    if ($('head').length === 0) {
+        $('html').prepend('<head></head>');
+    }
+    $('head').prepend(`<style data-script-fonts>${faces.join('\n')}\nhtml { font-family: serif, ${stack}; }</style>`);
+    return { html: $.html(), report };
+}
@@ -0,0 +1,143 @@
+/**
+ * Header and Footer Templates
+ * Builds Chromium header/footer templates from presets or user templates with
+ * placeholders for page numbers and chat metadata
+ */
+
+export const PLACEHOLDERS = {
+    page: 'Current page number',
+    pages: 'Total number of pages',
+    title: 'Chat title (document title for other HTML)',
+    date: 'Export date of the chat (print date for other HTML)',
+    url: 'Source URL or file name'
+};
+
+export const PRESETS = {
+    'page-numbers': '<div style="flex: 1; text-align: center;">Page {{page}} of {{pages}}</div>',
+    'title': '<div style="flex: 1;">{{title}}</div>',
+    'title-date': '<div>{{title}}</div><div>{{date}}</div>',
+    'compliance': '<div>{{title}} · {{date}}</div><div>Page {{page}} of {{pages}}</div>',
+    'source': '<div>{{url}}</div><div>Page {{page}} of {{pages}}</div>'
+};
+
+const MAX_TEMPLATE_LENGTH = 4000;
+// Chromium draws headers and footers inside the page margin
+const MIN_FURNITURE_MARGIN = 60;
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+const PAGE_NUMBER_RE = /\{\{\s*page\s*\}\}/;
+// Added to a custom footer when pageNumbers is set
+const PAGE_NUMBER_TEMPLATE = '<div>Page {{page}} of {{pages}}</div>';
+
+export class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+        this.status = 400;
+        this.code = 'INVALID_TEMPLATE';
+    }
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Check a header/footer value: either a preset name or a template whose
+ * placeholders are all known.
+ */
+export function validateTemplate(value, field) {
+    if (typeof value !== 'string') {
+        throw new TemplateError(`${field} must be a string`);
+    }
+    if (PRESETS[value]) {
+        return;
+    }
+    if (value.length > MAX_TEMPLATE_LENGTH) {
+        throw new TemplateError(`${field} is longer than ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+    if (/<script/i.test(value)) {
+        throw new TemplateError(`${field} must not contain scripts`);
+    }
+    for (const [, name] of value.matchAll(PLACEHOLDER_RE)) {
+        if (!PLACEHOLDERS[name]) {
+            throw new TemplateError(
+                `${field} uses unknown placeholder '{{${name}}}'. Available: ${Object.keys(PLACEHOLDERS).join(', ')}`
+            );
+        }
+    }
+}
+
+function expandTemplate(value, info) {
+    const template = PRESETS[value] || value;
+
+    // Values we know are printed directly, otherwise fall back to Chromium's own fields
+    const replacements = {
+        page: '<span class="pageNumber"></span>',
+        pages: '<span class="totalPages"></span>',
+        title: info.title ? escapeHTML(info.title) : '<span class="title"></span>',
+        date: info.date ? escapeHTML(info.date) : '<span class="date"></span>',
+        url: info.url ? escapeHTML(info.url) : '<span class="url"></span>'
+    };
+
+    const body = template.replace(PLACEHOLDER_RE, (match, name) => replacements[name]);
+    return `<div style="width: 100%; display: flex; justify-content: space-between; gap: 12px; ` +
+        `padding: 0 20px; font-family: sans-serif; font-size: 9px; color: #555;">${body}</div>`;
+}
+
+function ensureMargin(value) {
+    const match = String(value ?? '').match(/^(\d+(?:\.\d+)?)(px)?$/);
+    if (match && parseFloat(match[1]) < MIN_FURNITURE_MARGIN) {
+        return `${MIN_FURNITURE_MARGIN}px`;
+    }
+    return value;
+}
+
+/**
+ * Build the page.pdf() options for headers and footers.
+ *
+ * @param {object} options - Conversion options (headerTemplate, footerTemplate, pageNumbers, margin).
+ *   pageNumbers adds "Page X of Y" to a footer template that has no page number.
+ * @param {object} [info] - Document metadata: { title, date, url }
+ * @returns {object} Options to merge into the PDF options, empty when there is no page furniture
+ */
+export function pageFurniture(options = {}, info = {}) {
+    const { headerTemplate, pageNumbers = false } = options;
+    let footerTemplate = options.footerTemplate || (pageNumbers ? 'page-numbers' : null);
+
+    if (!headerTemplate && !footerTemplate) {
+        return {};
+    }
+
+    if (headerTemplate) {
+        validateTemplate(headerTemplate, 'headerTemplate');
+    }
+    if (footerTemplate) {
+        validateTemplate(footerTemplate, 'footerTemplate');
+    }
+
+    // A custom footer gets the page numbers too, unless a template prints them already
+    const showsPage = value => Boolean(value) && PAGE_NUMBER_RE.test(PRESETS[value] || value);
+    if (pageNumbers && !showsPage(headerTemplate) && !showsPage(footerTemplate)) {
+        footerTemplate = `${PRESETS[footerTemplate] || footerTemplate}${PAGE_NUMBER_TEMPLATE}`;
+    }
+
+    const margin = { ...options.margin };
+    if (headerTemplate) {
+        margin.top = ensureMargin(margin.top);
+    }
+    if (footerTemplate) {
+        margin.bottom = ensureMargin(margin.bottom);
+    }
+
+    return {
+        displayHeaderFooter: true,
+        // An empty template hides Chromium's default header/footer
+        headerTemplate: headerTemplate ? expandTemplate(headerTemplate, info) : '<span></span>',
+        footerTemplate: footerTemplate ? expandTemplate(footerTemplate, info) : '<span></span>',
+        margin
+    };
+}
@@ -0,0 +1,154 @@
+/**
+ * HTML Pipeline
+ * Transformations applied to input HTML before it is handed to Chromium.
+ * Shared by the CLI converter and the API server.
+ */
+
+import * as cheerio from 'cheerio';
+import { parseDeepSeekExport, readExportInfo, isDeepSeekExport, ExportParseError } from './deepseek_parser.js';
+import { renderChatDocument, THEMES } from './chat_template.js';
+import { resolveAssets } from './asset_resolver.js';
+import { filterTurns, hasTurnFilter } from './turn_filter.js';
+import { createRedactor, shouldRedact } from './redactor.js';
+import { isDocumentOutput } from './exporters.js';
+import { hasCodeOptions, renderCodeBlocks } from './code_blocks.js';
+import { hasMathOptions, renderMath } from './math_renderer.js';
+import { renderScriptFonts } from './font_fallback.js';
+
+export const TEMPLATES = ['original', 'chat'];
+
+export { THEMES };
+
+/**
+ * Whether any stage of the pipeline would change the document. URL inputs are
+ * only read back from the page when this is true.
+ */
+export function needsPreparation(options = {}, context = {}) {
+    return (options.template || 'original') !== 'original' || hasTurnFilter(options) || hasCodeOptions(options) ||
+        hasMathOptions(options) || shouldRedact(options, context.redaction) || isDocumentOutput(options.output);
+}
+
+/**
+ * Title, export date and source of a document, for headers and footers and
+ * the PDF metadata.
+ */
+export function documentInfo(html, { fileName, baseURL } = {}) {
+    const { title, exportedAt, exportedAtText } = readExportInfo(html, { fileName });
+    return { title, date: exportedAtText, exportedAt, url: baseURL || fileName };
+}
+
+/**
+ * Resolve relative links of a document that was captured from a URL.
+ */
+function withBaseURL(html, baseURL) {
+    const $ = cheerio.load(html);
+    if ($('head base[href]').length === 0) {
+        $('head').prepend(`<base href="${baseURL.replace(/"/g, '&quot;')}">`);
+    }
+    return $.html();
+}
+
+/**
+ * Run the input HTML through the configured stages.
+ *
+ * @param {string} html - Input document
+ * @param {object} options - Conversion options (template, theme, turn selection, code blocks, math, ...)
+ * @param {object} [context]
+ * @param {string} [context.fileName] - Original file name of the export
+ * @param {string} [context.baseURL] - URL the document was loaded from
+ * @param {object} [context.redaction] - Redaction config, see redactor.js
+ * @param {FontLibrary} [context.fonts] - Font directories for fallback fonts, see font_fallback.js
+ * @returns {{ html: string, info: object, redactions: object|null, fonts: object|null, source: string }}
+ *   Prepared HTML, the document info for headers and footers, the redaction and
+ *   fallback font reports, and the input with turns selected and redacted
+ */
+export function prepareHTML(html, options = {}, context = {}) {
+    const { template = 'original', theme = 'light' } = options;
+
+    if (!TEMPLATES.includes(template)) {
+        throw new Error(`Unknown template '${template}'. Available templates: ${TEMPLATES.join(', ')}`);
+    }
+
+    let output = html;
+
+    // Turns are selected on the export itself, before any template is applied
+    if (hasTurnFilter(options)) {
+        output = filterTurns(output, options).html;
+    }
+
+    // Redacted before the info is read, so titles in headers are clean too
+    let redactions = null;
+    if (shouldRedact(options, context.redaction)) {
+        ({ html: output, report: redactions } = createRedactor(options, context.redaction).redactHTML(output));
+    }
+
+    const info = documentInfo(output, context);
+    // The export as printed, for attaching to the PDF
+    const source = output;
+
+    if (template === 'chat') {
+        const conversation = parseDeepSeekExport(output, { fileName: context.fileName });
+        output = renderChatDocument(conversation, { theme });
+    }
+
+    // The chat template always gets print-friendly code blocks, exports only when asked
+    if (template === 'chat' || hasCodeOptions(options)) {
+        output = renderCodeBlocks(output, options).html;
+    }
+
+    // After the template, so its document gets the KaTeX stylesheet
+    output = renderMath(output, options).html;
+
+    // Last, so the font stacks of the template and KaTeX get the fallbacks too
+    let fonts;
+    ({ html: output, report: fonts } = renderScriptFonts(output, options, { fonts: context.fonts }));
+
+    if (context.baseURL) {
+        output = withBaseURL(output, context.baseURL);
+    }
+
+    return { html: output, info, redactions, fonts, source };
+}
+
+/**
+ * Prepare a document and make it self-contained by inlining its assets.
+ * Documents captured from a URL keep loading their assets through <base>.
+ *
+ * @param {string} html - Input document
+ * @param {object} options - Conversion options (see prepareHTML; inlineAssets: false skips inlining)
+ * @param {object} [context] - As for prepareHTML, plus `loader` from asset_resolver.js
+ * @returns {Promise<{ html: string, info: object, redactions: object|null, fonts: object|null, assets: object|null }>}
+ *   As prepareHTML, plus the asset report
+ */
+export async function prepareDocument(html, options = {}, context = {}) {
+    const prepared = prepareHTML(html, options, context);
+
+    if (options.inlineAssets === false || context.baseURL) {
+        return { ...prepared, assets: null };
+    }
+
+    const { html: output, report } = await resolveAssets(prepared.html, { loader: context.loader });
+    return { ...prepared, html: output, assets: report };
+}
+
+/**
+ * Prepare a DeepSeek export for the document output formats: turns are
+ * selected and redacted as for PDF, then the export is parsed. Page and
+ * template options don't apply.
+ *
+ * @param {string} html - Exported HTML document
+ * @param {object} options - Conversion options
+ * @param {object} [context] - As for prepareHTML
+ * @returns {{ conversation: object, info: object, redactions: object|null, source: string }}
+ * @throws {ExportParseError} When the document is not a DeepSeek export
+ */
+export function prepareConversation(html, options = {}, context = {}) {
+    if (!isDeepSeekExport(html)) {
+        throw new ExportParseError(`${options.output || 'This'} output needs a DeepSeek chat export, but no conversation was found`);
+    }
+
+    // Document formats leave fonts to the reader's app
+    const prepared = prepareHTML(html, { ...options, template: 'original', fontFallback: false }, { ...context, baseURL: null });
+    const conversation = parseDeepSeekExport(prepared.html, { fileName: context.fileName });
+    return { conversation, info: prepared.info, redactions: prepared.redactions, source: prepared.source };
+}
@@ -7,16 +7,74 @@
 
 import PuppeteerHTMLPDF from 'puppeteer-html-pdf';
 import fs from 'fs-extra';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { Command } from 'commander';
+import { parseDeepSeekExport } from './deepseek_parser.js';
+import { prepareHTML, prepareDocument, prepareConversation, needsPreparation } from './html_pipeline.js';
+import { OUTPUT_FORMATS, exportConversation, isDocumentOutput } from './exporters.js';
+import { IMAGE_MODES, isImageOutput, screenshotViewport, capturePage, rasterizePDF, packImages, unpackImages } from './image_renderer.js';
+import { directoryLoader, openZipExports } from './asset_resolver.js';
+import { prepareMerge, mergeOptions, MERGE_ORDERS, MAX_MERGE_CHATS } from './chat_merger.js';
+import { renderWithOutline } from './pdf_outline.js';
+import { finishPDF } from './pdf_metadata.js';
+import { RenderCache } from './render_cache.js';
+import { inspectLayout, preflightReport } from './preflight.js';
+import { FontLibrary } from './font_fallback.js';
+import { loadAccountExport, listConversations, selectConversations, renderConversationHTML, conversationFileName,
+    conversationSlug, importOptions } from './deepseek_import.js';
+import { pageFurniture, PRESETS as HEADER_FOOTER_PRESETS } from './header_footer.js';
+import { validateOptions, OptionsError, DEFAULT_OPTIONS, FORMATS } from './options_schema.js';
+import { loadRedactionConfig, STYLES as REDACTION_STYLES } from './redactor.js';
+import { CODE_THEMES, LONG_LINES } from './code_blocks.js';
+import { MATH_MODES } from './math_renderer.js';
+import { PRECEDENCE, loadConfig, resolveProfile, profileNames, CONFIG_FILE } from './profiles.js';
+import { ApiAuth } from './auth.js';
+import { isBatchInput, expandInputs, isUpToDate, runBatch, formatSummary, watchDirectory } from './batch_runner.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Images per page or per turn go to a directory named after the output file
+function imageDirectory(outputPath) {
+    return path.join(path.dirname(outputPath), path.basename(outputPath, path.extname(outputPath)));
+}
+
+// Chats to merge from one input: an HTML file, a directory of them, or a zip of exports
+async function readMergeInput(input) {
+    if (!await fs.pathExists(input)) {
+        throw new Error(`Input '${input}' not found!`);
+    }
+    if ((await fs.stat(input)).isDirectory()) {
+        const files = (await fs.readdir(input)).filter(name => /\.html?$/i.test(name)).sort();
+        const chats = await Promise.all(files.map(name => readMergeInput(path.join(input, name))));
+        return chats.flat();
+    }
+    if (/\.zip$/i.test(input)) {
+        return openZipExports(await fs.readFile(input));
+    }
+    return [{
+        html: await fs.readFile(input, 'utf-8'),
+        fileName: path.basename(input),
+        loader: directoryLoader(path.dirname(input))
+    }];
+}
+
 class HTMLToPDFConverter {
-    constructor() {
+    /**
+     * @param {object} [redaction] - Redaction config, see redactor.js
+     * @param {object} [cacheSettings]
+     * @param {RenderCache} [cacheSettings.cache] - Render cache, none to always render
+     * @param {boolean} [cacheSettings.cacheURLs] - Also cache renders of URLs
+     * @param {FontLibrary} [cacheSettings.fonts] - Font directories for fallback fonts, see font_fallback.js
+     */
+    constructor(redaction = {}, { cache = null, cacheURLs = false, fonts = null } = {}) {
         this.htmlPDF = new PuppeteerHTMLPDF();
+        this.redaction = redaction;
+        this.cache = cache;
+        this.cacheURLs = cacheURLs;
+        this.fonts = fonts;
     }
 
     async convertFromFile(htmlFile, outputPdf, options = {}) {
@@ -33,10 +91,27 @@ class HTMLToPDFConverter {
             console.log(`Converting '${htmlFile}' to '${outputPdf}'...`);
 
             // Read HTML content
-            const htmlContent = await fs.readFile(htmlFile, 'utf-8');
+            const fileName = path.basename(htmlFile);
+            const rawContent = await fs.readFile(htmlFile, 'utf-8');
+            if (isDocumentOutput(options.output)) {
+                await this.exportDocument(rawContent, outputPdf, options, { fileName });
+                console.log(`✅ Successfully converted to '${outputPdf}'`);
+                return;
+            }
+
+            // Relative fonts, images and stylesheets are inlined from the file's directory
+            const { html: htmlContent, info, assets, redactions, fonts, source } = await prepareDocument(rawContent, options, {
+                fileName,
+                loader: directoryLoader(path.dirname(htmlFile)),
+                redaction: this.redaction,
+                fonts: this.fonts
+            });
+            this.logAssetReport(assets);
+            this.logFontReport(fonts);
+            await this.writeRedactionReport(redactions, outputPdf);
             
             // Convert HTML to PDF
-            await this.convertHTML(htmlContent, outputPdf, options);
+            await this.convertHTML(htmlContent, outputPdf, options, info, { sources: [{ html: source, fileName }] });
             
             console.log(`✅ Successfully converted to '${outputPdf}'`);
             
@@ -54,8 +129,31 @@ class HTMLToPDFConverter {
 
             console.log(`Converting URL '${url}' to '${outputPdf}'...`);
 
-            // Convert URL to PDF
-            await this.convertHTML(url, outputPdf, options);
+            // Templates and outlines rewrite the document, so fetch it first and convert the result
+            let content = url;
+            let info = { url };
+            let sources = [];
+            if (needsPreparation(options, { redaction: this.redaction }) || options.outline || options.toc) {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch '${url}': ${response.status} ${response.statusText}`);
+                }
+                const html = await response.text();
+                if (isDocumentOutput(options.output)) {
+                    await this.exportDocument(html, outputPdf, options);
+                    console.log(`✅ Successfully converted to '${outputPdf}'`);
+                    return;
+                }
+                const prepared = prepareHTML(html, options, { baseURL: url, redaction: this.redaction, fonts: this.fonts });
+                this.logFontReport(prepared.fonts);
+                content = prepared.html;
+                info = prepared.info;
+                sources = [{ html: prepared.source }];
+                await this.writeRedactionReport(prepared.redactions, outputPdf);
+            }
+
+            // Convert URL to PDF; pages change under the same URL, so they are only cached with --cache
+            await this.convertHTML(content, outputPdf, options, info, { sources, cache: this.cacheURLs });
             
             console.log(`✅ Successfully converted to '${outputPdf}'`);
             
@@ -65,16 +163,37 @@ class HTMLToPDFConverter {
         }
     }
 
-    async convertFromString(htmlString, outputPdf, options = {}) {
+    /**
+     * @param {object} [context]
+     * @param {string} [context.fileName] - Name the string was exported under, e.g. by deepseek_import.js
+     */
+    async convertFromString(htmlString, outputPdf, options = {}, { fileName } = {}) {
         try {
             // Create output directory if it doesn't exist
             const outputDir = path.dirname(outputPdf);
             await fs.ensureDir(outputDir);
 
-            console.log(`Converting HTML string to '${outputPdf}'...`);
+            console.log(`Converting ${fileName ? `'${fileName}'` : 'HTML string'} to '${outputPdf}'...`);
+
+            if (isDocumentOutput(options.output)) {
+                await this.exportDocument(htmlString, outputPdf, options, { fileName });
+                console.log(`✅ Successfully converted to '${outputPdf}'`);
+                return;
+            }
+
+            // Relative assets are resolved against the working directory
+            const { html: htmlContent, info, assets, redactions, fonts, source } = await prepareDocument(htmlString, options, {
+                fileName,
+                loader: directoryLoader(process.cwd()),
+                redaction: this.redaction,
+                fonts: this.fonts
+            });
+            this.logAssetReport(assets);
+            this.logFontReport(fonts);
+            await this.writeRedactionReport(redactions, outputPdf);
 
             // Convert HTML to PDF
-            await this.convertHTML(htmlString, outputPdf, options);
+            await this.convertHTML(htmlContent, outputPdf, options, info, { sources: [{ html: source, fileName }] });
             
             console.log(`✅ Successfully converted to '${outputPdf}'`);
             
@@ -84,27 +203,194 @@ class HTMLToPDFConverter {
         }
     }
 
-    async convertHTML(htmlContent, outputPdf, options = {}) {
-        const {
-            format = 'A4',
-            orientation = 'portrait',
-            margin = { top: '20px', bottom: '20px', left: '20px', right: '20px' },
-            printBackground = true,
-            scale = 1.0,
-            timeout = 30000,
-            headless = 'new'
-        } = options;
+    /**
+     * Merge exports into one PDF with a cover, an index of chats, bookmarks
+     * and page numbers.
+     *
+     * @param {string[]} inputs - HTML files, directories of them and zips of exports
+     * @param {object} [merge] - { order, title }, see chat_merger.js
+     */
+    async mergeFiles(inputs, outputPdf, options = {}, merge = {}) {
+        const chats = (await Promise.all(inputs.map(readMergeInput))).flat();
+        return this.mergeChats(chats, outputPdf, options, merge);
+    }
+
+    /**
+     * Merge exports that are already read, as { html, fileName?, loader? }.
+     */
+    async mergeChats(chats, outputPdf, options = {}, merge = {}) {
+        try {
+            await fs.ensureDir(path.dirname(outputPdf));
+            console.log(`Merging ${chats.length} chat(s) into '${outputPdf}'...`);
+
+            const { html, info, redactions, chats: merged, sources } = await prepareMerge(chats, options,
+                { ...merge, redaction: this.redaction, fonts: this.fonts });
+            merged.forEach((chat, i) => {
+                console.log(`   ${i + 1}. ${chat.title}${chat.fileName ? ` (${chat.fileName})` : ''}`);
+            });
+            await this.writeRedactionReport(redactions, outputPdf);
+
+            const pdfOptions = mergeOptions(options);
+            const { buffer } = await this.cached({ document: html, options: pdfOptions, info, sources: attachesSources(pdfOptions) ? sources : null },
+                async () => {
+                    const pdfBuffer = await renderWithOutline(html, pdfOptions,
+                        (document) => this.renderPDF(document, pdfOptions, info));
+                    return { buffer: await finishPDF(pdfBuffer, pdfOptions, { info, sources }) };
+                });
+            await fs.writeFile(outputPdf, buffer);
 
+            console.log(`✅ Successfully merged into '${outputPdf}'`);
+
+        } catch (error) {
+            console.error(`❌ Error merging chats: ${error.message}`);
+            throw error;
+        }
+    }
+
+    logAssetReport(assets) {
+        if (!assets) {
+            return;
+        }
+        if (assets.inlined.length > 0) {
+            console.log(`📦 Inlined ${assets.inlined.length} asset(s)`);
+        }
+        if (assets.fallbacks.length > 0) {
+            console.log(`🔤 Used bundled fonts for ${assets.fallbacks.length} missing font file(s)`);
+        }
+        for (const ref of assets.unresolved) {
+            console.warn(`⚠️  Asset not found: ${ref}`);
+        }
+        for (const ref of assets.remote) {
+            console.warn(`🌐 Asset left on the network: ${ref}`);
+        }
+    }
+
+    logFontReport(fonts) {
+        if (!fonts) {
+            return;
+        }
+        if (fonts.fonts.length > 0) {
+            console.log(`🔤 Fallback fonts for ${fonts.scripts.join(', ')} text: ${fonts.fonts.join(', ')}`);
+        }
+        if (fonts.rtl > 0) {
+            console.log(`↩️  Set ${fonts.rtl} paragraph(s) right-to-left`);
+        }
+        for (const script of fonts.missing) {
+            console.warn(`⚠️  No font for ${script} text, add one with --font-dir`);
+        }
+    }
+
+    // Redaction counts go to a sidecar file next to the output: report.pdf -> report.redactions.json
+    async writeRedactionReport(redactions, outputPath) {
+        if (!redactions) {
+            return;
+        }
+        const reportPath = path.join(path.dirname(outputPath),
+            `${path.basename(outputPath, path.extname(outputPath))}.redactions.json`);
+        await fs.writeJson(reportPath, redactions, { spaces: 2 });
+
+        const counts = Object.entries(redactions.rules).map(([rule, count]) => `${rule}: ${count}`).join(', ');
+        console.log(`🕶️  Redacted ${redactions.total} item(s)${counts ? ` (${counts})` : ''}, report saved to '${reportPath}'`);
+    }
+
+    // Markdown, DOCX and EPUB are written from the parsed export, without a browser
+    async exportDocument(htmlContent, outputPath, options, context = {}) {
+        const { conversation, redactions } = prepareConversation(htmlContent, options,
+            { ...context, redaction: this.redaction });
+        await this.writeRedactionReport(redactions, outputPath);
+
+        const { buffer } = await exportConversation(conversation, options.output);
+        await fs.writeFile(outputPath, buffer);
+    }
+
+    /**
+     * Render a prepared document, or take it from the render cache. `sources`
+     * are the documents it was printed from, for the attachSource and
+     * attachJSON options; `cache: false` renders without the cache.
+     */
+    async convertHTML(htmlContent, outputPdf, options = {}, info = {}, { sources = [], cache = true } = {}) {
+        const inputs = { document: htmlContent, options, info, sources: attachesSources(options) ? sources : null };
+        const rendered = await this.cached(inputs, async () => {
+            if (isImageOutput(options) && options.imageMode !== 'pages') {
+                return packImages(await this.screenshot(htmlContent, options), options);
+            }
+
+            let pdfBuffer;
+            if (options.outline || options.toc) {
+                pdfBuffer = await renderWithOutline(htmlContent, options, (html) => this.renderPDF(html, options, info));
+            } else {
+                pdfBuffer = await this.renderPDF(htmlContent, options, info);
+            }
+            pdfBuffer = await finishPDF(pdfBuffer, options, { info, sources });
+
+            if (isImageOutput(options)) {
+                return packImages(await rasterizePDF(pdfBuffer, options), options);
+            }
+            return { buffer: pdfBuffer };
+        }, { cache });
+
+        if (isImageOutput(options)) {
+            await this.writeImages(await unpackImages(rendered, options), outputPdf, options);
+            return;
+        }
+        await fs.writeFile(outputPdf, rendered.buffer);
+    }
+
+    // Renders are looked up by a hash of their inputs first, see render_cache.js
+    async cached(inputs, render, { cache = true } = {}) {
+        if (!this.cache || !cache) {
+            return render();
+        }
+        const { result, hit } = await this.cache.fetch(RenderCache.key(inputs), render);
+        if (hit) {
+            console.log('♻️  Reused a cached render (--no-cache to render again)');
+        }
+        return result;
+    }
+
+    async writeImages(images, outputPath, options) {
+        if (options.imageMode === 'full') {
+            await fs.writeFile(outputPath, images[0].buffer);
+            return;
+        }
+
+        const directory = imageDirectory(outputPath);
+        await fs.ensureDir(directory);
+        for (const image of images) {
+            await fs.writeFile(path.join(directory, image.name), image.buffer);
+        }
+        console.log(`🖼️  Wrote ${images.length} image(s) to '${directory}'`);
+    }
+
+    // Full-length or per-turn screenshots; content is an HTML document or a URL
+    async screenshot(content, options) {
+        this.htmlPDF.setOptions({ headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+
+        try {
+            const page = await this.htmlPDF.getPage();
+            // The viewport decides the layout, so it is set before loading
+            await page.setViewport(screenshotViewport(options));
+            if (/^https?:\/\//i.test(content)) {
+                await page.goto(content, { waitUntil: ['load', 'networkidle0'], timeout: options.timeout });
+            } else {
+                await page.setContent(content, { waitUntil: 'networkidle0', timeout: options.timeout });
+            }
+            return await capturePage(page, options);
+
+        } catch (error) {
+            console.error(`❌ Screenshot failed: ${error.message}`);
+            throw error;
+        } finally {
+            await this.htmlPDF.closeBrowser();
+        }
+    }
+
+    // Options are expected to have passed validateOptions()
+    async renderPDF(htmlContent, options, info = {}) {
         // Configure puppeteer-html-pdf options
         const pdfOptions = {
-            format: format,
-            landscape: orientation === 'landscape',
-            margin: margin,
-            printBackground: printBackground,
-            scale: scale,
-            timeout: timeout,
-            headless: headless,
-            path: outputPdf, // Direct path to save the file
+            ...pdfPageOptions(options, info),
+            headless: 'new',
             args: ['--no-sandbox', '--disable-setuid-sandbox']
         };
 
@@ -113,7 +399,7 @@ class HTMLToPDFConverter {
 
         try {
             // Create PDF
-            await this.htmlPDF.create(htmlContent);
+            return await this.htmlPDF.create(htmlContent);
             
         } catch (error) {
             console.error(`❌ PDF creation failed: ${error.message}`);
@@ -124,11 +410,501 @@ class HTMLToPDFConverter {
         }
     }
 
+    /**
+     * Preflight report of an HTML file, URL or string, see preflight.js. The
+     * input is prepared and printed as convert would, without the render cache.
+     *
+     * @param {object} input - { file }, { url } or { html }
+     * @param {object} options - Validated options; the output format is ignored
+     * @param {object} [settings] - { thumbnails }
+     */
+    async inspect(input, options, { thumbnails = false } = {}) {
+        const pdfOptions = { ...options, output: 'pdf' };
+        let html = input.html;
+        let context = { loader: directoryLoader(process.cwd()) };
+        if (input.file) {
+            if (!await fs.pathExists(input.file)) {
+                throw new Error(`HTML file '${input.file}' not found!`);
+            }
+            html = await fs.readFile(input.file, 'utf-8');
+            context = { fileName: path.basename(input.file), loader: directoryLoader(path.dirname(input.file)) };
+        } else if (input.url) {
+            const response = await fetch(input.url);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch '${input.url}': ${response.status} ${response.statusText}`);
+            }
+            html = await response.text();
+            context = { baseURL: input.url };
+        }
+
+        const { html: document, info, assets, fonts, source } = await prepareDocument(html, pdfOptions,
+            { ...context, redaction: this.redaction, fonts: this.fonts });
+
+        let layout;
+        const render = async (content) => {
+            this.htmlPDF.setOptions({ headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+            try {
+                const page = await this.htmlPDF.getPage();
+                await page.setContent(content, { waitUntil: 'networkidle0', timeout: pdfOptions.timeout });
+                layout = await inspectLayout(page, pdfOptions, fonts);
+                return Buffer.from(await page.pdf(pdfPageOptions(pdfOptions, info)));
+            } finally {
+                await this.htmlPDF.closeBrowser();
+            }
+        };
+        const pdf = pdfOptions.outline || pdfOptions.toc
+            ? await renderWithOutline(document, pdfOptions, render)
+            : await render(document);
+
+        const finished = await finishPDF(pdf, pdfOptions, { info, sources: [{ html: source, fileName: context.fileName }] });
+        return preflightReport({ pdf: finished, layout, assets, fallbacks: fonts, options: pdfOptions, thumbnails });
+    }
+
     async close() {
         await this.htmlPDF.closeBrowser();
     }
 }
 
+// page.pdf() options for validated options
+function pdfPageOptions(options, info = {}) {
+    const { format, orientation, margin, printBackground, scale, timeout } = options;
+    return {
+        format: format,
+        landscape: orientation === 'landscape',
+        margin: margin,
+        printBackground: printBackground,
+        scale: scale,
+        timeout: timeout,
+        ...pageFurniture(options, info)
+    };
+}
+
+// Options of the convert command that merge and watch fix or set themselves
+function addOutputOptions(command) {
+    return command
+        .option('--to <format>', `Output format (${Object.keys(OUTPUT_FORMATS).join(', ')})`, DEFAULT_OPTIONS.output)
+        .option('--image-mode <mode>', `Images: ${IMAGE_MODES.join(', ')} (pages and turns are written to a directory)`, DEFAULT_OPTIONS.imageMode)
+        .option('--image-width <px>', 'Width of images in CSS pixels', String(DEFAULT_OPTIONS.imageWidth))
+        .option('--device-scale-factor <n>', 'Pixel density of images (2 for sharp text)', String(DEFAULT_OPTIONS.deviceScaleFactor))
+        .option('--image-quality <q>', 'JPEG and WebP quality (1 to 100)', String(DEFAULT_OPTIONS.imageQuality))
+        .option('-t, --template <template>', 'Rendering template (original, chat)', DEFAULT_OPTIONS.template)
+        .option('--outline', 'Add PDF bookmarks for prompts and headings')
+        .option('--toc', 'Add a table of contents page with page numbers')
+        .option('--page-numbers', 'Print "Page X of Y" in the footer');
+}
+
+// Options shared by the convert, merge and watch commands
+function addDocumentOptions(command) {
+    return command
+        .option('-p, --profile <name>', 'Options profile, built-in or from the config file; flags override it', 'default')
+        .option('-f, --format <format>', `Paper format (${FORMATS.slice(0, 3).join(', ')}, etc.)`, DEFAULT_OPTIONS.format)
+        .option('--orientation <orientation>', 'Page orientation (portrait, landscape)', DEFAULT_OPTIONS.orientation)
+        .option('--margin <margin>', 'Page margins in px or with a unit (top,bottom,left,right)', '20,20,20,20')
+        .option('--print-background', 'Print background graphics', DEFAULT_OPTIONS.printBackground)
+        .option('--scale <scale>', 'Scale factor (0.1 to 2.0)', String(DEFAULT_OPTIONS.scale))
+        .option('--timeout <timeout>', 'Timeout in milliseconds', String(DEFAULT_OPTIONS.timeout))
+        .option('--theme <theme>', 'Theme for the chat template (light, dark, compact)', DEFAULT_OPTIONS.theme)
+        .option('--header <template>', `Header preset (${Object.keys(HEADER_FOOTER_PRESETS).join(', ')}) or HTML template`)
+        .option('--footer <template>', 'Footer preset or HTML template')
+        .option('--no-inline-assets', 'Keep relative fonts, images and stylesheets as links')
+        .option('--no-font-fallback', 'Don\'t add fonts for Chinese, Japanese, Arabic, Hebrew and emoji text')
+        .option('--font-dir <dirs...>', 'Directories with .ttf, .otf or .woff fonts to use before the bundled fallback fonts')
+        .option('--code-theme <theme>', `Syntax colours for code blocks (${Object.keys(CODE_THEMES).join(', ')})`)
+        .option('--line-numbers', 'Number the lines of code blocks')
+        .option('--code-labels', 'Show the language above each code block')
+        .option('--code-long-lines <mode>', `Long code lines: ${LONG_LINES.join(' or ')}`, DEFAULT_OPTIONS.codeLongLines)
+        .option('--split-code', 'Split code blocks taller than a page into "continued" parts')
+        .option('--math <mode>', `Formulas: ${MATH_MODES.join(', ')}`, DEFAULT_OPTIONS.math)
+        .option('--tex', 'Render raw TeX in the text ($...$, $$...$$, \\(...\\), \\[...\\])')
+        .option('--turns <spec>', 'Turns to export in this order, e.g. 3-7, 1,4,9- or 7-3')
+        .option('--role <role>', 'Export only prompts (user) or only answers (assistant)', DEFAULT_OPTIONS.role)
+        .option('--search <text>', 'Export only turns containing the text, or matching /regex/flags')
+        .option('--collapse-code <lines>', 'Collapse code blocks longer than this many lines')
+        .option('--collapse-answers <chars>', 'Collapse answers longer than this many characters')
+        .option('--redact', 'Redact emails, phone numbers, IPs and API keys before rendering')
+        .option('--redact-style <style>', `Redaction replacement (${REDACTION_STYLES.join(', ')})`)
+        .option('--redact-detectors <list>', 'Comma-separated built-in detectors to use (default: all)')
+        .option('--redaction-config <file>', 'JSON file with custom redaction rules and defaults (replaces the profile\'s)')
+        .option('--pdf-title <title>', 'Title in the PDF metadata (default: the chat title)')
+        .option('--author <name>', 'Author in the PDF metadata')
+        .option('--subject <text>', 'Subject in the PDF metadata')
+        .option('--keywords <list>', 'Comma-separated keywords for the PDF metadata')
+        .option('--watermark <text>', 'Text stamped diagonally across every page, e.g. INTERNAL')
+        .option('--watermark-image <file>', 'PNG or JPEG image stamped in the middle of every page')
+        .option('--watermark-opacity <n>', 'Opacity of the watermark (0.05 to 1)', String(DEFAULT_OPTIONS.watermarkOpacity))
+        .option('--attach-source', 'Embed the HTML export in the PDF, as printed')
+        .option('--attach-json', 'Embed the parsed conversation as JSON in the PDF')
+        .option('--no-cache', 'Render again instead of reusing a cached render of the same input and options');
+}
+
+// Option fields set by flags of another name
+const FLAG_NAMES = {
+    output: 'to',
+    headerTemplate: 'header',
+    footerTemplate: 'footer',
+    codeLineNumbers: 'lineNumbers',
+    codeSplit: 'splitCode',
+    mathTex: 'tex',
+    collapseCodeLines: 'collapseCode',
+    collapseAnswerLength: 'collapseAnswers',
+    pdfAuthor: 'author',
+    pdfSubject: 'subject',
+    pdfKeywords: 'keywords',
+    attachJSON: 'attachJson'
+};
+
+// Numbers given on the command line; options left out keep their default
+function numberOption(value) {
+    return value !== undefined ? Number(value) : undefined;
+}
+
+// Watermark images are passed on as data URIs, as in API requests
+function imageDataURI(file) {
+    const types = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg' };
+    const type = types[path.extname(file).toLowerCase()];
+    if (!type) {
+        throw new Error(`Watermark image '${file}' must be a PNG or JPEG file`);
+    }
+    return `data:image/${type};base64,${fs.readFileSync(file).toString('base64')}`;
+}
+
+// Embedded sources are part of the PDF, so they are part of its cache key
+function attachesSources(options) {
+    return Boolean(options.attachSource || options.attachJSON);
+}
+
+// Renders are cached in RENDER_CACHE_DIR, or the user's cache directory
+function cacheDirectory() {
+    return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'deepseek-pdf');
+}
+
+// The cache for the cache commands, with the size and TTL set for conversions
+function cacheForCommand() {
+    return RenderCache.fromEnvironment(process.env, { dir: cacheDirectory() }) ||
+        new RenderCache({ dir: process.env.RENDER_CACHE_DIR || cacheDirectory() });
+}
+
+/**
+ * The render cache of a command, unless --no-cache or RENDER_CACHE=off.
+ */
+async function openCache(options) {
+    if (options.cache === false) {
+        return null;
+    }
+    const cache = RenderCache.fromEnvironment(process.env, { dir: cacheDirectory() });
+    await cache?.start();
+    return cache;
+}
+
+let config = null;
+
+// The config file is read when a command first needs a profile
+function cliConfig() {
+    config = config || loadConfig();
+    return config;
+}
+
+/**
+ * Conversion settings from the parsed command line flags and the profile.
+ * The profile's options are used for flags that weren't given, see
+ * PRECEDENCE in profiles.js.
+ *
+ * @param {object} options - Parsed flags
+ * @param {object} command - Commander command, to tell given flags from defaults
+ * @returns {{ options: object, sources: object, profile: object, redaction: object, fonts: FontLibrary, outputDir: string }}
+ *   Validated options and where each came from ("flag" or a profile; default
+ *   when missing), the resolved profile, the redaction config, the font
+ *   directories of FONT_DIRS and --font-dir, and the directory for outputs without -o
+ * @throws {OptionsError|ProfileError|ConfigError|RedactionConfigError}
+ */
+function resolveSettings(options, command) {
+    // Parse margins, plain numbers are px; sides left out keep their default
+    const margin = {};
+    options.margin.split(',').forEach((value, i) => {
+        const side = ['top', 'bottom', 'left', 'right'][i];
+        const m = value.trim();
+        if (side && m) {
+            margin[side] = /^\d+(\.\d+)?$/.test(m) ? `${m}px` : m;
+        }
+    });
+
+    const flags = {
+        output: options.to,
+        imageMode: options.imageMode,
+        imageWidth: numberOption(options.imageWidth),
+        deviceScaleFactor: numberOption(options.deviceScaleFactor),
+        imageQuality: numberOption(options.imageQuality),
+        format: options.format,
+        orientation: options.orientation,
+        margin: margin,
+        printBackground: options.printBackground,
+        scale: Number(options.scale),
+        timeout: Number(options.timeout),
+        template: options.template,
+        theme: options.theme,
+        outline: Boolean(options.outline),
+        toc: Boolean(options.toc),
+        headerTemplate: options.header,
+        footerTemplate: options.footer,
+        pageNumbers: Boolean(options.pageNumbers),
+        inlineAssets: options.inlineAssets,
+        fontFallback: options.fontFallback,
+        codeTheme: options.codeTheme,
+        codeLineNumbers: Boolean(options.lineNumbers),
+        codeLabels: Boolean(options.codeLabels),
+        codeLongLines: options.codeLongLines,
+        codeSplit: Boolean(options.splitCode),
+        math: options.math,
+        mathTex: Boolean(options.tex),
+        turns: options.turns,
+        role: options.role,
+        search: options.search,
+        collapseCodeLines: numberOption(options.collapseCode),
+        collapseAnswerLength: numberOption(options.collapseAnswers),
+        redact: Boolean(options.redact),
+        redactStyle: options.redactStyle,
+        redactDetectors: options.redactDetectors ? options.redactDetectors.split(',').map(d => d.trim()) : undefined,
+        pdfTitle: options.pdfTitle,
+        pdfAuthor: options.author,
+        pdfSubject: options.subject,
+        pdfKeywords: options.keywords ? options.keywords.split(',').map(k => k.trim()).filter(Boolean) : undefined,
+        watermark: options.watermark,
+        watermarkImage: options.watermarkImage ? imageDataURI(options.watermarkImage) : undefined,
+        watermarkOpacity: numberOption(options.watermarkOpacity),
+        attachSource: Boolean(options.attachSource),
+        attachJSON: Boolean(options.attachJson)
+    };
+
+    const profile = resolveProfile(options.profile, cliConfig());
+    const resolved = { ...profile.options };
+    const sources = { ...profile.sources };
+    for (const [field, value] of Object.entries(flags)) {
+        const given = command.getOptionValueSource(FLAG_NAMES[field] || field) === 'cli';
+        if (given || !(field in resolved)) {
+            resolved[field] = value;
+            sources[field] = given ? 'flag' : undefined;
+        }
+    }
+
+    return {
+        options: validateOptions(resolved),
+        sources,
+        profile,
+        redaction: options.redactionConfig ? loadRedactionConfig(options.redactionConfig) : profile.redaction || {},
+        fonts: openFonts(options),
+        outputDir: profile.outputDir || path.join(__dirname, 'uploads')
+    };
+}
+
+// Font directories of FONT_DIRS and --font-dir, read now so a wrong path fails before converting
+function openFonts(options) {
+    const fonts = new FontLibrary({ dirs: [...FontLibrary.fromEnvironment().dirs, ...(options.fontDir || [])] });
+    fonts.load();
+    for (const { file, error } of fonts.skipped) {
+        console.warn(`⚠️  Skipped font ${file}: ${error}`);
+    }
+    return fonts;
+}
+
+/**
+ * Batch mode of the convert command: every input file is converted into the
+ * output directory, outputs newer than their input are skipped.
+ *
+ * @returns {Promise<Array<object>>} Results, see formatSummary()
+ */
+async function convertBatch(inputs, outputDir, options, { concurrency, force, redaction, cache, fonts }) {
+    const files = await expandInputs(inputs);
+    if (files.length === 0) {
+        throw new Error(`No HTML files found for ${inputs.join(', ')}`);
+    }
+
+    const extension = OUTPUT_FORMATS[options.output].extension;
+    const multipleImages = isImageOutput(options) && options.imageMode !== 'full';
+    const outputs = new Map();
+    const items = files.map((input) => {
+        const output = path.join(outputDir, `${path.basename(input, path.extname(input))}.${extension}`);
+        const duplicate = outputs.get(output);
+        outputs.set(output, duplicate || input);
+        return { input, output, target: multipleImages ? imageDirectory(output) : output, duplicate };
+    });
+
+    console.log(`📚 Converting ${files.length} file(s) into '${outputDir}', ${concurrency} at a time...`);
+    await fs.ensureDir(outputDir);
+    const started = Date.now();
+
+    const results = await runBatch(items, async ({ input, output, target, duplicate }, converter) => {
+        if (duplicate) {
+            return { input, status: 'failed', error: `same output name as ${duplicate}` };
+        }
+        if (!force && await isUpToDate(input, target)) {
+            return { input, status: 'skipped' };
+        }
+        const start = Date.now();
+        try {
+            await converter.convertFromFile(input, output, options);
+            return { input, status: 'converted', output: target, duration: Date.now() - start };
+        } catch (error) {
+            return { input, status: 'failed', error: error.message };
+        }
+    }, {
+        concurrency,
+        // puppeteer-html-pdf drives one browser at a time, so every worker has its own
+        createContext: () => new HTMLToPDFConverter(redaction, { cache, fonts }),
+        closeContext: converter => converter.close()
+    });
+
+    console.log(`\n${formatSummary(results, Date.now() - started)}`);
+    return results;
+}
+
+/**
+ * The import command: every selected conversation of an account export is
+ * converted into the output directory. Outputs written after the
+ * conversation's last message are skipped, so re-running on a newer export
+ * only converts the conversations that changed.
+ *
+ * @returns {Promise<Array<object>>} Results, see formatSummary()
+ */
+async function importBatch(conversations, outputDir, options, { concurrency, force, redaction, cache, fonts }) {
+    const extension = OUTPUT_FORMATS[options.output].extension;
+    const multipleImages = isImageOutput(options) && options.imageMode !== 'full';
+    const items = conversations.map((conversation) => {
+        const output = path.join(outputDir, `${conversationSlug(conversation)}.${extension}`);
+        return { conversation, output, target: multipleImages ? imageDirectory(output) : output };
+    });
+
+    console.log(`📥 Importing ${conversations.length} conversation(s) into '${outputDir}', ${concurrency} at a time...`);
+    await fs.ensureDir(outputDir);
+    const started = Date.now();
+
+    const chatOptions = importOptions(options);
+    const results = await runBatch(items, async ({ conversation, output, target }, converter) => {
+        const input = conversation.title;
+        if (!force && conversation.updatedAt && await fs.pathExists(target) &&
+            (await fs.stat(target)).mtimeMs >= Date.parse(conversation.updatedAt)) {
+            return { input, status: 'skipped' };
+        }
+        const start = Date.now();
+        try {
+            await converter.convertFromString(renderConversationHTML(conversation), output, chatOptions,
+                { fileName: conversationFileName(conversation) });
+            return { input, status: 'converted', output: target, duration: Date.now() - start };
+        } catch (error) {
+            return { input, status: 'failed', error: error.message };
+        }
+    }, {
+        concurrency,
+        createContext: () => new HTMLToPDFConverter(redaction, { cache, fonts }),
+        closeContext: converter => converter.close()
+    });
+
+    console.log(`\n${formatSummary(results, Date.now() - started)}`);
+    return results;
+}
+
+// Conversations of an account export for the import command, as a table
+function printConversations(conversations) {
+    const rows = listConversations(conversations).map(chat => [
+        chat.id,
+        chat.updatedAt ? chat.updatedAt.slice(0, 10) : '',
+        String(chat.prompts),
+        chat.title
+    ]);
+    const widths = [0, 1, 2].map(column => Math.max(...[['ID', 'Updated', 'Prompts'], ...rows].map(row => row[column].length)));
+    const line = row => `  ${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2].padStart(widths[2])}  ${row[3]}`;
+    console.log(`💬 ${rows.length} conversation(s):`);
+    console.log(line(['ID', 'Updated', 'Prompts', 'Title']));
+    rows.forEach(row => console.log(line(row)));
+}
+
+function reportFailure(error) {
+    if (error instanceof OptionsError) {
+        console.error('❌ Invalid options:');
+        for (const detail of error.details) {
+            console.error(`   ${detail.field}: ${detail.message} [${detail.code}]`);
+        }
+    } else {
+        console.error(`❌ Conversion failed: ${error.message}`);
+    }
+}
+
+// JSON values, shortened for a table
+function formatValue(value) {
+    const json = JSON.stringify(value) ?? 'undefined';
+    return json.length > 60 ? `${json.slice(0, 57)}...` : json;
+}
+
+// Summary of a preflight report for the inspect command
+function printPreflight(report) {
+    const { printableArea: area } = report;
+    console.log(`📄 ${report.pages} page(s), about ${(report.estimatedSize / 1024).toFixed(0)} KB, ` +
+        `printable area ${area.width}×${area.height}px (laid out at ${area.layoutWidth}px)`);
+
+    for (const overflow of report.overflows) {
+        console.log(`   ↔️  ${overflow.kind} ${overflow.clipped ? 'clipped' : 'overflows'} by ${overflow.overflow}px: ` +
+            `${overflow.selector}${overflow.text ? ` "${overflow.text}"` : ''}`);
+    }
+    for (const asset of report.assets.unresolved) {
+        console.log(`   🔗 unresolved asset: ${asset}`);
+    }
+    for (const image of report.assets.brokenImages) {
+        console.log(`   🖼️  broken image: ${image.src}`);
+    }
+    const used = report.fonts.used.slice(0, 5).map(font => font.family).join(', ');
+    console.log(`   🔤 fonts used: ${used || 'none'}`);
+    for (const font of report.fonts.missing) {
+        console.log(`   🔤 ${font.family} is not available, ${font.elements} element(s) use ${font.usedInstead.join(', ')}`);
+    }
+    for (const page of report.whitespace) {
+        console.log(`   ⬜ page ${page.page}: ${Math.round(page.largestGap * 100)}% of the page is one blank gap`);
+    }
+
+    if (report.ok) {
+        console.log('✅ No layout problems found');
+    } else {
+        console.log(`⚠️  ${report.warnings.length} warning(s):`);
+        report.warnings.forEach(warning => console.log(`   - ${warning}`));
+    }
+}
+
+// The config show command
+function showConfig(options, command) {
+    const config = cliConfig();
+    console.log(`⚙️  Config file: ${config.file || `none (looked for ${CONFIG_FILE} in ${process.cwd()} and ` +
+        `${os.homedir()}; set DEEPSEEK_PDF_CONFIG to use another file)`}`);
+
+    if (!options.resolved) {
+        console.log('\nProfiles:');
+        const names = profileNames(config);
+        const width = Math.max(...names.map(name => name.length));
+        for (const name of names) {
+            const profile = resolveProfile(name, config);
+            const fields = Object.entries(profile.options).map(([field, value]) => `${field}=${formatValue(value)}`);
+            console.log(`  ${name.padEnd(width)}  ${profile.chain.join(' → ')}` +
+                `${fields.length > 0 ? `: ${fields.join(', ')}` : ''}` +
+                `${profile.redaction ? ' +redaction' : ''}${profile.outputDir ? ` → ${profile.outputDir}` : ''}`);
+        }
+        console.log('\nUse "config show --resolved --profile <name> [flags]" to see the options a conversion gets.');
+        return;
+    }
+
+    const settings = resolveSettings(options, command);
+    console.log(`📋 Profile: ${settings.profile.chain.join(' → ')}`);
+    console.log('\nPrecedence, highest first:');
+    PRECEDENCE.forEach((rule, i) => console.log(`  ${i + 1}. ${rule}`));
+
+    console.log('\nOptions:');
+    const width = Math.max(...Object.keys(settings.options).map(field => field.length));
+    for (const [field, value] of Object.entries(settings.options)) {
+        console.log(`  ${field.padEnd(width)}  ${formatValue(value).padEnd(24)}  ${settings.sources[field] || 'default'}`);
+    }
+
+    const redactionSource = options.redactionConfig ? `--redaction-config ${options.redactionConfig}`
+        : settings.profile.redaction ? `profile ${settings.profile.name}` : 'none';
+    console.log(`\nRedaction config: ${redactionSource}`);
+    console.log(`Output directory without -o: ${settings.outputDir}`);
+}
+
 async function main() {
     const program = new Command();
 
@@ -137,85 +913,468 @@ async function main() {
         .description('Convert HTML to PDF using puppeteer-html-pdf with full style preservation')
         .version('1.0.0');
 
-    program
+    const convertCommand = program
         .command('convert')
         .description('Convert HTML to PDF')
-        .option('-i, --input <file>', 'Input HTML file path')
+        .option('-i, --input <paths...>', 'Input HTML file; several files, directories or globs convert in batch')
         .option('-u, --url <url>', 'Input URL to convert')
         .option('-s, --string <html>', 'HTML content as string')
-        .option('-o, --output <file>', 'Output PDF file path (defaults to uploads directory)')
-        .option('-f, --format <format>', 'Paper format (A4, Letter, Legal, etc.)', 'A4')
-        .option('--orientation <orientation>', 'Page orientation (portrait, landscape)', 'portrait')
-        .option('--margin <margin>', 'Page margins in px (top,bottom,left,right)', '20,20,20,20')
-        .option('--print-background', 'Print background graphics', true)
-        .option('--scale <scale>', 'Scale factor (0.1 to 2.0)', '1.0')
-        .option('--timeout <timeout>', 'Timeout in milliseconds', '30000')
-        .action(async (options) => {
-            // Create uploads directory if it doesn't exist
-            const uploadsDir = path.join(__dirname, 'uploads');
-            await fs.ensureDir(uploadsDir);
-
-            // Generate default output filename if not provided
-            let outputPath = options.output;
-            if (!outputPath) {
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                if (options.input) {
-                    const inputName = path.basename(options.input, path.extname(options.input));
-                    outputPath = path.join(uploadsDir, `${inputName}_${timestamp}.pdf`);
-                } else if (options.url) {
-                    const urlName = new URL(options.url).hostname.replace(/[^a-zA-Z0-9]/g, '_');
-                    outputPath = path.join(uploadsDir, `${urlName}_${timestamp}.pdf`);
-                } else if (options.string) {
-                    outputPath = path.join(uploadsDir, `string_${timestamp}.pdf`);
-                }
-            } else {
-                // If output path is provided but doesn't include uploads directory, put it there
-                if (!path.isAbsolute(outputPath) && !outputPath.startsWith('uploads/')) {
-                    outputPath = path.join(uploadsDir, outputPath);
+        .option('-o, --output <file>', 'Output file path, or directory in batch mode (defaults to the profile\'s outputDir or uploads directory)')
+        .option('--concurrency <n>', 'Batch mode: conversions at a time', '2')
+        .option('--force', 'Batch mode: convert even when the output is newer than the input')
+        .option('--cache', 'Also cache the render of a URL (pages can change, so URLs are rendered every time otherwise)');
+    addDocumentOptions(addOutputOptions(convertCommand))
+        .action(async (options, command) => {
+            if (options.input && isBatchInput(options.input)) {
+                let failed = false;
+                let cache;
+                try {
+                    const settings = resolveSettings(options, command);
+                    const outputDir = options.output || settings.outputDir;
+                    cache = await openCache(options);
+                    const results = await convertBatch(options.input, outputDir, settings.options, {
+                        concurrency: Math.max(1, parseInt(options.concurrency, 10) || 1),
+                        force: Boolean(options.force),
+                        redaction: settings.redaction,
+                        cache,
+                        fonts: settings.fonts
+                    });
+                    failed = results.some(result => result.status === 'failed');
+                } catch (error) {
+                    reportFailure(error);
+                    failed = true;
+                } finally {
+                    await cache?.close();
                 }
+                process.exit(failed ? 1 : 0);
             }
+            const input = options.input?.[0];
 
-            if (!options.input && !options.url && !options.string) {
+            if (!input && !options.url && !options.string) {
                 console.error('❌ Input source is required! Use -i, -u, or -s option.');
                 process.exit(1);
             }
 
-            const converter = new HTMLToPDFConverter();
+            let converter;
+            let cache;
             
             try {
-                // Parse margins
-                const margins = options.margin.split(',').map(m => m.trim() + 'px');
-                const margin = {
-                    top: margins[0] || '20px',
-                    bottom: margins[1] || '20px',
-                    left: margins[2] || '20px',
-                    right: margins[3] || '20px'
-                };
-
-                const pdfOptions = {
-                    format: options.format,
-                    orientation: options.orientation,
-                    margin: margin,
-                    printBackground: options.printBackground,
-                    scale: parseFloat(options.scale),
-                    timeout: parseInt(options.timeout)
-                };
-
-                if (options.input) {
-                    await converter.convertFromFile(options.input, outputPath, pdfOptions);
+                const settings = resolveSettings(options, command);
+                const pdfOptions = settings.options;
+
+                // Generate default output filename if not provided
+                let outputPath = options.output;
+                if (!outputPath) {
+                    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                    const extension = OUTPUT_FORMATS[pdfOptions.output].extension;
+                    if (input) {
+                        const inputName = path.basename(input, path.extname(input));
+                        outputPath = path.join(settings.outputDir, `${inputName}_${timestamp}.${extension}`);
+                    } else if (options.url) {
+                        const urlName = new URL(options.url).hostname.replace(/[^a-zA-Z0-9]/g, '_');
+                        outputPath = path.join(settings.outputDir, `${urlName}_${timestamp}.${extension}`);
+                    } else {
+                        outputPath = path.join(settings.outputDir, `string_${timestamp}.${extension}`);
+                    }
+                }
+
+                cache = await openCache(options);
+                converter = new HTMLToPDFConverter(settings.redaction, { cache, cacheURLs: options.cache === true, fonts: settings.fonts });
+
+                if (input) {
+                    await converter.convertFromFile(input, outputPath, pdfOptions);
                 } else if (options.url) {
                     await converter.convertFromURL(options.url, outputPath, pdfOptions);
                 } else if (options.string) {
                     await converter.convertFromString(options.string, outputPath, pdfOptions);
                 }
 
-                console.log(`📁 PDF saved to: ${outputPath}`);
+                const multipleImages = isImageOutput(pdfOptions) && pdfOptions.imageMode !== 'full';
+                console.log(`📁 Saved to: ${multipleImages ? imageDirectory(outputPath) : outputPath}`);
 
             } catch (error) {
-                console.error(`❌ Conversion failed: ${error.message}`);
+                reportFailure(error);
                 process.exit(1);
             } finally {
+                await converter?.close();
+                await cache?.close();
+            }
+        });
+
+    const mergeCommand = program
+        .command('merge')
+        .description('Merge several DeepSeek chats into one PDF with a cover page and an index of chats')
+        .requiredOption('-i, --input <paths...>', 'HTML exports, directories of them or zips of exports')
+        .option('-o, --output <file>', 'Output PDF path (defaults to the profile\'s outputDir or uploads directory)')
+        .option('--order <order>', 'Chat order: timestamp (oldest first) or input (as given)', MERGE_ORDERS[0])
+        .option('--title <title>', 'Title of the cover page', 'DeepSeek Chats');
+    addDocumentOptions(mergeCommand)
+        .action(async (options, command) => {
+            let converter;
+            let cache;
+
+            try {
+                const settings = resolveSettings(options, command);
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                const outputPath = options.output || path.join(settings.outputDir, `merged_${timestamp}.pdf`);
+
+                cache = await openCache(options);
+                converter = new HTMLToPDFConverter(settings.redaction, { cache, fonts: settings.fonts });
+
+                await converter.mergeFiles(options.input, outputPath, settings.options,
+                    { order: options.order, title: options.title });
+                console.log(`📁 Saved to: ${outputPath}`);
+
+            } catch (error) {
+                reportFailure(error);
+                process.exit(1);
+            } finally {
+                await converter?.close();
+                await cache?.close();
+            }
+        });
+
+    const importCommand = program
+        .command('import')
+        .description('Convert the conversations of a DeepSeek account data export (zip or conversations.json)')
+        .requiredOption('-i, --input <file>', 'Account export: the zip DeepSeek sends, or its conversations.json')
+        .option('--list', 'List the conversations with their IDs instead of converting')
+        .option('--json', 'With --list, print the conversations as JSON')
+        .option('--ids <ids...>', 'Conversations to convert, by ID or a unique ID prefix (default: all)')
+        .option('-o, --output <path>', 'Output directory, or the PDF with --merge (defaults to the profile\'s outputDir or uploads directory)')
+        .option('--merge', `Merge the conversations into one PDF with a cover and an index (at most ${MAX_MERGE_CHATS})`)
+        .option('--title <title>', 'With --merge, title of the cover page', 'DeepSeek Chats')
+        .option('--concurrency <n>', 'Conversions at a time', '2')
+        .option('--force', 'Also convert conversations whose output is newer than their last message');
+    addDocumentOptions(addOutputOptions(importCommand))
+        .action(async (options, command) => {
+            let converter;
+            let cache;
+            let failed = false;
+            try {
+                const conversations = await loadAccountExport(await fs.readFile(options.input));
+                if (options.list) {
+                    if (options.json) {
+                        console.log(JSON.stringify(listConversations(conversations), null, 2));
+                    } else {
+                        printConversations(conversations);
+                    }
+                    return;
+                }
+
+                const selected = selectConversations(conversations, options.ids || []);
+                const settings = resolveSettings(options, command);
+                cache = await openCache(options);
+
+                if (options.merge) {
+                    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                    const outputPath = options.output || path.join(settings.outputDir, `deepseek_${timestamp}.pdf`);
+                    converter = new HTMLToPDFConverter(settings.redaction, { cache, fonts: settings.fonts });
+                    const chats = selected.map(conversation => ({
+                        html: renderConversationHTML(conversation),
+                        fileName: conversationFileName(conversation)
+                    }));
+                    await converter.mergeChats(chats, outputPath, settings.options, { title: options.title });
+                    console.log(`📁 Saved to: ${outputPath}`);
+                    return;
+                }
+
+                const results = await importBatch(selected, options.output || settings.outputDir, settings.options, {
+                    concurrency: Math.max(1, parseInt(options.concurrency, 10) || 1),
+                    force: Boolean(options.force),
+                    redaction: settings.redaction,
+                    cache,
+                    fonts: settings.fonts
+                });
+                failed = results.some(result => result.status === 'failed');
+
+            } catch (error) {
+                reportFailure(error);
+                failed = true;
+            } finally {
+                await converter?.close();
+                await cache?.close();
+            }
+            process.exit(failed ? 1 : 0);
+        });
+
+    const watchCommand = program
+        .command('watch')
+        .description('Convert DeepSeek exports as they appear in a directory, e.g. the Downloads folder')
+        .option('-d, --dir <directory>', 'Directory to watch', path.join(os.homedir(), 'Downloads'))
+        .option('-o, --output <directory>', 'Output directory (defaults to the profile\'s outputDir or uploads directory)')
+        .option('--pattern <glob>', 'Names of the files to convert', 'deepseek-chat-*.html')
+        .option('--existing', 'Also convert exports already in the directory, unless up to date')
+        .option('--to <format>', `Output format (${Object.keys(OUTPUT_FORMATS).join(', ')})`, DEFAULT_OPTIONS.output);
+    addDocumentOptions(watchCommand)
+        .action(async (options, command) => {
+            let converter;
+            let watcher;
+            let cache;
+            try {
+                if (!await fs.pathExists(options.dir)) {
+                    throw new Error(`Directory '${options.dir}' not found!`);
+                }
+                const settings = resolveSettings(options, command);
+                const pdfOptions = settings.options;
+                const outputDir = options.output || settings.outputDir;
+                const extension = OUTPUT_FORMATS[pdfOptions.output].extension;
+                await fs.ensureDir(outputDir);
+
+                cache = await openCache(options);
+                converter = new HTMLToPDFConverter(settings.redaction, { cache, fonts: settings.fonts });
+
+                watcher = await watchDirectory(options.dir, {
+                    pattern: options.pattern,
+                    existing: Boolean(options.existing),
+                    onFile: async (input) => {
+                        const output = path.join(outputDir, `${path.basename(input, path.extname(input))}.${extension}`);
+                        if (await isUpToDate(input, output)) {
+                            return;
+                        }
+                        try {
+                            await converter.convertFromFile(input, output, pdfOptions);
+                        } catch (error) {
+                            // Logged by the converter; keep watching
+                        }
+                    }
+                });
+                console.log(`👀 Watching '${options.dir}' for ${options.pattern} (profile: ${options.profile}), ` +
+                    `writing to '${outputDir}'. Press Ctrl+C to stop.`);
+
+            } catch (error) {
+                reportFailure(error);
+                await converter?.close();
+                await cache?.close();
+                process.exit(1);
+            }
+
+            process.on('SIGINT', async () => {
+                await watcher.close();
                 await converter.close();
+                await cache?.close();
+                process.exit(0);
+            });
+        });
+
+    const inspectCommand = program
+        .command('inspect')
+        .description('Render an input as convert would and report layout problems: overflowing elements, missing fonts and assets, blank pages')
+        .option('-i, --input <file>', 'Input HTML file')
+        .option('-u, --url <url>', 'Input URL')
+        .option('-s, --string <html>', 'HTML content as string')
+        .option('-o, --output <file>', 'Write the report as JSON to a file')
+        .option('--json', 'Print the report as JSON instead of a summary')
+        .option('--thumbnails <dir>', 'Write low-resolution images of the pages to a directory')
+        .option('--strict', 'Exit with status 2 when the report has warnings');
+    addDocumentOptions(addOutputOptions(inspectCommand))
+        .action(async (options, command) => {
+            if (!options.input && !options.url && !options.string) {
+                console.error('❌ Input source is required! Use -i, -u, or -s option.');
+                process.exit(1);
+            }
+
+            let converter;
+            let report;
+            try {
+                const settings = resolveSettings(options, command);
+                converter = new HTMLToPDFConverter(settings.redaction, { fonts: settings.fonts });
+                const input = options.input ? { file: options.input } : options.url ? { url: options.url } : { html: options.string };
+                report = await converter.inspect(input, settings.options, { thumbnails: Boolean(options.thumbnails) });
+
+                if (report.thumbnails) {
+                    await fs.ensureDir(options.thumbnails);
+                    for (const { page, image } of report.thumbnails) {
+                        const file = path.join(options.thumbnails, `page-${String(page).padStart(3, '0')}.png`);
+                        await fs.writeFile(file, Buffer.from(image.split(',')[1], 'base64'));
+                    }
+                    delete report.thumbnails;
+                }
+                if (options.output) {
+                    await fs.ensureDir(path.dirname(options.output));
+                    await fs.writeJson(options.output, report, { spaces: 2 });
+                }
+
+                if (options.json) {
+                    console.log(JSON.stringify(report, null, 2));
+                } else {
+                    printPreflight(report);
+                    if (options.thumbnails) {
+                        console.log(`🖼️  Wrote ${report.pages} thumbnail(s) to '${options.thumbnails}'`);
+                    }
+                    if (options.output) {
+                        console.log(`📁 Report saved to: ${options.output}`);
+                    }
+                }
+
+            } catch (error) {
+                reportFailure(error);
+                process.exit(1);
+            } finally {
+                await converter?.close();
+            }
+            process.exit(options.strict && !report.ok ? 2 : 0);
+        });
+
+    const showCommand = program
+        .command('config')
+        .description(`Show the profiles of the config file (${CONFIG_FILE})`)
+        .command('show')
+        .description('List the profiles, or with --resolved the options a conversion gets and where each comes from')
+        .option('--resolved', 'Resolve --profile and the flags given as convert would');
+    addDocumentOptions(addOutputOptions(showCommand))
+        .action((options, command) => {
+            try {
+                showConfig(options, command);
+            } catch (error) {
+                reportFailure(error);
+                process.exit(1);
+            }
+        });
+
+    // Keys and usage files of the API server, from the same variables
+    const auth = ApiAuth.fromEnvironment(process.env, __dirname);
+    const formatLimit = (value, fallback) => {
+        const limit = value ?? fallback;
+        return limit > 0 ? String(limit) : '∞';
+    };
+
+    const keysCommand = program
+        .command('keys')
+        .description('Manage the API keys of the API server and view their usage');
+
+    keysCommand
+        .command('create')
+        .description('Create an API key; it is shown only once')
+        .requiredOption('-n, --name <name>', 'What the key is for, e.g. the client using it')
+        .option('--rate-limit <n>', 'Requests per window (default: RATE_LIMIT, 0 for none)')
+        .option('--daily-conversions <n>', 'Conversions per day (default: DAILY_CONVERSIONS, 0 for no limit)')
+        .option('--daily-pages <n>', 'PDF pages per day (default: DAILY_PAGES, 0 for no limit)')
+        .action(async (options) => {
+            try {
+                const { key, record } = await auth.keys.create({
+                    name: options.name,
+                    rateLimit: options.rateLimit,
+                    dailyConversions: options.dailyConversions,
+                    dailyPages: options.dailyPages
+                });
+                console.log(`🔑 Created key ${record.id} (${record.name}):\n\n   ${key}\n`);
+                console.log('   Store it now, it cannot be shown again. Clients send it as "Authorization: Bearer <key>".');
+            } catch (error) {
+                console.error(`❌ Creating the key failed: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    keysCommand
+        .command('list')
+        .description('List the API keys with their limits and today\'s usage')
+        .action(() => {
+            const keys = auth.keys.list();
+            if (keys.length === 0) {
+                console.log(`No API keys in '${auth.keys.file}' or API_KEYS; the API is open to everyone.`);
+                return;
+            }
+            for (const key of keys) {
+                const used = auth.usage.get(key.id);
+                const limits = auth.limits(key);
+                const status = key.revokedAt ? `revoked ${key.revokedAt.slice(0, 10)}` : 'active';
+                console.log(`${key.revokedAt ? '⛔' : '🔑'} ${key.id}  ${key.name}  (${key.prefix}…, ${status})`);
+                console.log(`   rate limit ${formatLimit(key.rateLimit, auth.rateLimit)} per ${auth.limiter.window / 1000}s, ` +
+                    `today ${used.conversions}/${formatLimit(limits.conversions)} conversions, ` +
+                    `${used.pages}/${formatLimit(limits.pages)} pages`);
+            }
+        });
+
+    keysCommand
+        .command('revoke <id>')
+        .description('Revoke an API key; its usage stays on record')
+        .action(async (id) => {
+            try {
+                const record = await auth.keys.revoke(id);
+                console.log(`⛔ Revoked key ${record.id} (${record.name})`);
+            } catch (error) {
+                console.error(`❌ Revoking the key failed: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    keysCommand
+        .command('usage')
+        .description('Show conversions and PDF pages per key and day')
+        .option('--days <n>', 'Number of days to show', '7')
+        .action((options) => {
+            const history = auth.usage.history(Math.max(1, parseInt(options.days, 10) || 7));
+            if (history.length === 0) {
+                console.log('No usage recorded yet.');
+                return;
+            }
+            const names = new Map(auth.keys.list().map(key => [key.id, key.name]));
+            for (const { day, keys } of history) {
+                console.log(`📅 ${day}`);
+                for (const [id, used] of Object.entries(keys)) {
+                    console.log(`   ${id}  ${names.get(id) || '(deleted key)'}: ${used.conversions} conversions, ${used.pages} pages`);
+                }
+            }
+        });
+
+    const cacheCommand = program
+        .command('cache')
+        .description(`Show or clear the render cache (RENDER_CACHE_DIR, default ${cacheDirectory()})`);
+
+    cacheCommand
+        .command('stats')
+        .description('Show the renders in the cache and how often it was hit')
+        .action(async () => {
+            const cache = cacheForCommand();
+            await cache.start();
+            const status = cache.getStatus();
+            await cache.close();
+            console.log(`♻️  Render cache in '${cache.dir}'`);
+            console.log(`   ${status.entries} render(s), ${(status.size / 1024 / 1024).toFixed(1)} of ` +
+                `${Math.round(status.maxSize / 1024 / 1024)} MB, kept for ${Math.round(status.ttl / 3600000)}h`);
+            console.log(`   ${status.hits} hit(s), ${status.misses} miss(es)` +
+                `${status.hitRate !== null ? ` (${Math.round(status.hitRate * 100)}% hits)` : ''}, ${status.evictions} evicted`);
+        });
+
+    cacheCommand
+        .command('clear')
+        .description('Remove every cached render')
+        .action(async () => {
+            const cache = cacheForCommand();
+            await cache.start();
+            const removed = await cache.clear();
+            await cache.close();
+            console.log(`🧹 Removed ${removed} cached render(s) from '${cache.dir}'`);
+        });
+
+    program
+        .command('parse')
+        .description('Parse a DeepSeek chat export into structured JSON')
+        .requiredOption('-i, --input <file>', 'Input HTML file path')
+        .option('-o, --output <file>', 'Output JSON file path (defaults to stdout)')
+        .option('--compact', 'Write JSON without indentation')
+        .action(async (options) => {
+            try {
+                if (!await fs.pathExists(options.input)) {
+                    throw new Error(`HTML file '${options.input}' not found!`);
+                }
+
+                const html = await fs.readFile(options.input, 'utf-8');
+                const conversation = parseDeepSeekExport(html, { fileName: path.basename(options.input) });
+                const json = JSON.stringify(conversation, null, options.compact ? 0 : 2);
+
+                if (options.output) {
+                    await fs.ensureDir(path.dirname(options.output));
+                    await fs.writeFile(options.output, json);
+                    console.log(`✅ Parsed ${conversation.stats.turns} turns to '${options.output}'`);
+                } else {
+                    console.log(json);
+                }
+
+            } catch (error) {
+                console.error(`❌ Parsing failed: ${error.message}`);
+                process.exit(1);
             }
         });
 
@@ -233,27 +1392,187 @@ Examples:
   # Convert HTML file to PDF with custom output name
   node html_to_pdf_converter.js convert -i sample.html -o my_output.pdf
   
+  # Convert every export of a directory and a glob, 4 at a time; up-to-date outputs are skipped
+  node html_to_pdf_converter.js convert -i chats/ "archive/**/deepseek-chat-*.html" -o pdfs --concurrency 4
+  
+  # Convert new exports from the Downloads folder as they arrive, with the archive profile
+  node html_to_pdf_converter.js watch --profile archive
+  
+  # Mark a PDF as internal and embed the export and its JSON for provenance
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --watermark INTERNAL --author "Jane Doe" --attach-source --attach-json
+  
+  # Render again even though the same chat was converted with the same options before
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --no-cache
+  
+  # Show the options the "work" profile of deepseek-pdf.config.json gives, and where each comes from
+  node html_to_pdf_converter.js config show --resolved --profile work
+  
   # Convert URL to PDF
   node html_to_pdf_converter.js convert -u https://example.com
   
   # Convert HTML string to PDF
   node html_to_pdf_converter.js convert -s "<html><body><h1>Hello</h1></body></html>"
   
+  # Rebuild a DeepSeek export as a clean chat document with the dark theme
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --template chat --theme dark
+  
+  # Add bookmarks and a table of contents to a long chat
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --template chat --outline --toc
+  
+  # Title and date on every page, "Page X of Y" at the bottom
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --header title-date --page-numbers
+  
+  # Custom footer template (placeholders: {{page}} {{pages}} {{title}} {{date}} {{url}})
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --footer "<div>{{title}}</div><div>{{page}}/{{pages}}</div>"
+  
+  # Export turns 3 to 7, only answers mentioning "docker", with long code collapsed
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --turns 3-7 --role assistant \\
+    --search docker --collapse-code 40
+  
+  # Dark code blocks with line numbers, long lines shrunk, long blocks split over pages
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --code-theme one-dark --line-numbers \\
+    --code-labels --code-long-lines shrink --split-code
+  
+  # Korean text with fonts from a local directory, before the bundled CJK fallback
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --font-dir ~/fonts/noto-kr
+  
+  # Formulas written as raw TeX, printed as MathML
+  node html_to_pdf_converter.js convert -i notes.html --tex --math mathml
+  
+  # Redact secrets and personal data, with extra rules from a config file
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --redact --redaction-config redaction.json
+  
+  # Export a DeepSeek chat as markdown, a Word document or an e-book
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --to md
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --to epub -o chat.epub
+  
+  # Screenshot of the whole chat, and one WebP image per turn into uploads/chat/
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --template chat --to png --device-scale-factor 2
+  node html_to_pdf_converter.js convert -i deepseek-chat.html --to webp --image-mode turns -o chat.webp
+  
+  # Merge a week of chats into one PDF, oldest first, with a cover and an index
+  node html_to_pdf_converter.js merge -i chats/ -o week-32.pdf --title "Research, week 32"
+  node html_to_pdf_converter.js merge -i intro.html deepseek-chats.zip --order input
+  
+  # Archive a whole DeepSeek account: list its conversations, convert all of them or a few
+  node html_to_pdf_converter.js import -i deepseek_data.zip --list
+  node html_to_pdf_converter.js import -i deepseek_data.zip -o archive/ --theme compact
+  node html_to_pdf_converter.js import -i conversations.json --ids 3f2a9c1b 8d04e7aa --merge -o picks.pdf
+  
+  # Check a chat for wide tables, clipped code, missing fonts and blank pages before converting it
+  node html_to_pdf_converter.js inspect -i deepseek-chat.html --template chat --thumbnails preview/
+  
+  # Parse a DeepSeek export into JSON (turns, code blocks, math)
+  node html_to_pdf_converter.js parse -i deepseek-chat.html -o chat.json
+  
   # Convert with custom options
   node html_to_pdf_converter.js convert -i sample.html \\
     --format Letter --orientation landscape --margin 30,30,30,30 --scale 0.8
 
 Options:
-  -i, --input <file>        Input HTML file path
+  -i, --input <paths...>    Input HTML file; several files, directories or globs run a batch
   -u, --url <url>          Input URL to convert
   -s, --string <html>      HTML content as string
-  -o, --output <file>      Output PDF file path (optional, defaults to uploads directory)
+  -o, --output <file>      Output file path, or directory in batch mode (defaults to the profile's
+                           outputDir or the uploads directory)
+  --concurrency <n>        Batch mode: conversions at a time (default: 2)
+  --force                  Batch mode: also convert inputs whose output is up to date
+  -p, --profile <name>     Options profile: archive, share, print, markdown or one of the config file
+  --to <format>            Output format (pdf, md, docx, epub, png, jpeg, webp)
+  --image-mode <mode>      Images: full screenshot, pages or turns (default: full)
+  --image-width <px>       Width of images in CSS pixels (default: 1024)
+  --device-scale-factor <n> Pixel density of images (default: 1)
+  --image-quality <q>      JPEG and WebP quality (default: 90)
   -f, --format <format>    Paper format (default: A4)
   --orientation <orient>   Page orientation (portrait/landscape)
   --margin <margins>       Page margins in px (top,bottom,left,right)
   --print-background       Print background graphics
   --scale <scale>          Scale factor (0.1 to 2.0)
   --timeout <timeout>      Timeout in milliseconds
+  -t, --template <name>    Rendering template (original, chat)
+  --theme <theme>          Chat template theme (light, dark, compact)
+  --outline                Add PDF bookmarks for prompts and headings
+  --toc                    Add a table of contents page with page numbers
+  --header <template>      Header preset or HTML template with placeholders
+  --footer <template>      Footer preset or HTML template with placeholders
+  --page-numbers           Print "Page X of Y" in the footer
+  --no-inline-assets       Keep relative fonts, images and stylesheets as links
+  --no-font-fallback       Don't add fonts for Chinese, Japanese, Arabic, Hebrew and emoji text
+  --font-dir <dirs...>     Fonts (.ttf, .otf, .woff) to use first for other scripts, e.g. Korean
+                           or Thai; FONT_DIRS adds more, separated by ${path.delimiter}
+  --code-theme <theme>     Code colours (github, one-dark, solarized-light, monokai, print)
+  --line-numbers           Number the lines of code blocks
+  --code-labels            Show the language above each code block
+  --code-long-lines <mode> Long code lines: wrap (default) or shrink to fit
+  --split-code             Split code blocks taller than a page into parts
+  --math <mode>            Formulas: auto (KaTeX, offline fonts), mathml or off
+  --tex                    Render raw TeX: $...$, $$...$$, \\(...\\), \\[...\\]
+  --turns <spec>           Turns to export in this order (3-7, 1,4,9-, 7-3)
+  --role <role>            Export only prompts (user) or answers (assistant)
+  --search <text>          Export only turns containing text or matching /regex/
+  --collapse-code <lines>  Collapse code blocks longer than this many lines
+  --collapse-answers <n>   Collapse answers longer than n characters
+  --redact                 Redact emails, phone numbers, IPs and API keys
+  --redact-style <style>   Redaction replacement (mask, label, hash)
+  --redact-detectors <l>   Comma-separated built-in detectors (default: all)
+  --redaction-config <f>   JSON file with custom redaction rules and defaults
+  --pdf-title <title>      Title in the PDF metadata (default: the chat title)
+  --author <name>          Author in the PDF metadata
+  --subject <text>         Subject in the PDF metadata
+  --keywords <list>        Comma-separated keywords for the PDF metadata
+  --watermark <text>       Text stamped diagonally across every page (Latin characters)
+  --watermark-image <file> PNG or JPEG image stamped in the middle of every page
+  --watermark-opacity <n>  Opacity of the watermark (default: 0.15)
+  --attach-source          Embed the HTML export in the PDF, as printed
+  --attach-json            Embed the parsed conversation as JSON in the PDF
+  --no-cache               Render again instead of reusing a cached render
+  --cache                  Also cache renders of URLs (-u), which are rendered every time otherwise
+
+Watch options (plus --to, --profile and the page, code, math, turn, redaction and PDF metadata options above):
+  -d, --dir <directory>    Directory to watch (default: ~/Downloads)
+  -o, --output <dir>       Output directory (defaults to uploads directory)
+  --pattern <glob>         Names of the files to convert (default: deepseek-chat-*.html)
+  --existing               Also convert exports already in the directory, unless up to date
+
+Inspect options (plus -i, -u, -s, --profile and the page, template and code options above):
+  -o, --output <file>      Write the report as JSON to a file
+  --json                   Print the report as JSON instead of a summary
+  --thumbnails <dir>       Write low-resolution images of the pages to a directory
+  --strict                 Exit with status 2 when the report has warnings
+
+Config:
+  Profiles are read from DEEPSEEK_PDF_CONFIG, or deepseek-pdf.config.json in the working or
+  home directory. Flags override the profile, which overrides the profiles it extends.
+  config show              List the profiles
+  config show --resolved   Resolve --profile and the flags given, with the source of every option
+
+Render cache (RENDER_CACHE_DIR, default ~/.cache/deepseek-pdf; RENDER_CACHE=off to disable):
+  Renders are reused when the same input is converted with the same options.
+  cache stats              Cached renders, their size and the hit rate
+  cache clear              Remove every cached render
+
+API keys (for the API server; files from API_KEYS_FILE and USAGE_FILE, default data/):
+  keys create -n <name>    Create a key, optionally with --rate-limit, --daily-conversions, --daily-pages
+  keys list                Keys with their limits and today's usage
+  keys revoke <id>         Revoke a key
+  keys usage [--days <n>]  Conversions and pages per key and day
+
+Merge options (plus --profile and the page, code, math, turn, redaction and PDF metadata options above):
+  -i, --input <paths...>   HTML exports, directories of them or zips of exports
+  --order <order>          timestamp (oldest first, default) or input (as given)
+  --title <title>          Title of the cover page (default: DeepSeek Chats)
+
+Import options (plus --to, --profile and the page, code, math, turn and redaction options above):
+  -i, --input <file>       Account export: the zip from DeepSeek (Settings → Data → Export) or
+                           its conversations.json
+  --list [--json]          List the conversations with their IDs instead of converting
+  --ids <ids...>           Conversations to convert, by ID or unique ID prefix (default: all)
+  -o, --output <path>      Output directory, or the PDF with --merge
+  --merge                  One PDF with a cover and an index (at most ${MAX_MERGE_CHATS} conversations)
+  --concurrency <n>        Conversions at a time (default: 2)
+  --force                  Also convert conversations whose output is newer than their last message
+  Conversations are printed with the chat template; answers are rendered from markdown with
+  code blocks and KaTeX math. The branch DeepSeek shows last is imported, without thinking.
 
 Features:
   ✅ Full CSS style preservation
@@ -262,6 +1581,20 @@ Features:
   ✅ Custom fonts and colors
   ✅ Complex layouts and tables
   ✅ Images and media support
+  ✅ Self-contained output: relative assets inlined, bundled fallback fonts
+  ✅ Code themes, line numbers and page-sized code blocks
+  ✅ Offline KaTeX math, raw TeX rendering and MathML fallback
+  ✅ Chinese, Japanese, Arabic, Hebrew and emoji fonts, right-to-left paragraphs
+  ✅ Redaction of secrets and personal data with a sidecar report
+  ✅ Markdown, DOCX and EPUB output for DeepSeek exports, no Pandoc needed
+  ✅ PNG, JPEG and WebP images: full screenshot, per page or per turn
+  ✅ Merging chats into one PDF with a cover, an index and bookmarks
+  ✅ Importing whole DeepSeek account exports (JSON), not just single chats
+  ✅ Batch conversion with a summary, watching a folder for new exports
+  ✅ Option profiles, built in or from a config file shared with the API server
+  ✅ PDF metadata from the chat, watermarks and embedded source files
+  ✅ Render cache: repeated conversions skip Chromium
+  ✅ Preflight layout reports: overflows, fonts, assets and blank pages
   ✅ Automatic uploads directory creation
   ✅ Timestamped filenames for unique outputs
             `);
@@ -0,0 +1,175 @@
+/**
+ * Image Renderer
+ * Turns a document into PNG, JPEG or WebP images for chat and ticket
+ * attachments: one full-length screenshot, one image per conversation turn,
+ * or one image per page of the rendered PDF.
+ *
+ * Screenshots are taken by Chromium; PDF pages are rasterized with pdf.js, so
+ * page images match the PDF exactly, page breaks included.
+ */
+
+import path from 'path';
+import { createRequire } from 'module';
+import JSZip from 'jszip';
+import { createCanvas } from '@napi-rs/canvas';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { SELECTORS, ExportParseError } from './deepseek_parser.js';
+
+export const IMAGE_FORMATS = ['png', 'jpeg', 'webp'];
+export const IMAGE_MODES = ['full', 'pages', 'turns'];
+
+// Fonts for PDFs that use the standard 14 fonts without embedding them
+const STANDARD_FONTS = path.join(path.dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json')),
+    'standard_fonts') + path.sep;
+
+// Turns of the chat template; other documents are searched for DeepSeek's own markup
+const CHAT_TURN = 'section.turn[data-turn]';
+
+/**
+ * Whether the options ask for images rather than a document.
+ */
+export function isImageOutput(options = {}) {
+    return IMAGE_FORMATS.includes(options.output);
+}
+
+/**
+ * Viewport to load a page in before screenshots: the width sets the layout,
+ * the device scale factor the pixel density. The height grows with the page.
+ */
+export function screenshotViewport(options) {
+    return { width: options.imageWidth, height: 800, deviceScaleFactor: options.deviceScaleFactor };
+}
+
+function imageName(stem, options) {
+    return `${stem}.${options.output}`;
+}
+
+function screenshotOptions(options) {
+    return {
+        type: options.output,
+        ...(options.output !== 'png' ? { quality: options.imageQuality } : {})
+    };
+}
+
+/**
+ * Take the screenshots of a loaded page: one full-length image, or one per turn.
+ *
+ * @param {object} page - Puppeteer page with the document loaded at screenshotViewport()
+ * @param {object} options - Validated options (output, imageMode, imageQuality)
+ * @returns {Promise<Array<{ name: string, buffer: Buffer }>>}
+ * @throws {ExportParseError} When turns are asked for but the page has none
+ */
+export async function capturePage(page, options) {
+    if (options.imageMode !== 'turns') {
+        const buffer = await page.screenshot({ ...screenshotOptions(options), fullPage: true, captureBeyondViewport: true });
+        return [{ name: imageName('chat', options), buffer: Buffer.from(buffer) }];
+    }
+
+    // Turns are marked in the page, nested answer blocks (thinking sections) excluded
+    const roles = await page.evaluate((chatTurn, prompt, answer) => {
+        let turns = [...document.querySelectorAll(chatTurn)];
+        if (turns.length === 0) {
+            turns = [...document.querySelectorAll(`${prompt}, ${answer}`)]
+                .filter(el => !el.parentElement || !el.parentElement.closest(answer));
+        }
+        return turns.map((el, i) => {
+            el.setAttribute('data-image-turn', String(i));
+            return el.matches(`${prompt}, .turn-user`) ? 'user' : 'assistant';
+        });
+    }, CHAT_TURN, SELECTORS.prompt, SELECTORS.answer);
+
+    if (roles.length === 0) {
+        throw new ExportParseError('Images per turn need a DeepSeek export, but no conversation was found');
+    }
+
+    const images = [];
+    for (const [i, role] of roles.entries()) {
+        const element = await page.$(`[data-image-turn="${i}"]`);
+        const buffer = await element.screenshot({ ...screenshotOptions(options), captureBeyondViewport: true });
+        images.push({ name: imageName(`turn-${String(i + 1).padStart(3, '0')}-${role}`, options), buffer: Buffer.from(buffer) });
+    }
+    return images;
+}
+
+/**
+ * Draw every page of a PDF on a canvas `width` pixels wide and pass it to
+ * `visit(canvas, pageNumber)`; the canvas is only valid during the call.
+ *
+ * @param {Buffer} pdf - PDF file
+ * @param {number} width - Pixel width of the canvas
+ * @param {function} visit - async (canvas, pageNumber) => void
+ */
+export async function renderPages(pdf, width, visit) {
+    const task = getDocument({
+        data: new Uint8Array(pdf),
+        standardFontDataUrl: STANDARD_FONTS,
+        disableFontFace: true,
+        verbosity: 0
+    });
+
+    try {
+        const document = await task.promise;
+        for (let n = 1; n <= document.numPages; n++) {
+            const page = await document.getPage(n);
+            const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+
+            const canvas = createCanvas(Math.round(viewport.width), Math.round(viewport.height));
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            page.cleanup();
+            await visit(canvas, n);
+        }
+    } finally {
+        await task.destroy();
+    }
+}
+
+/**
+ * Rasterize every page of a PDF at `imageWidth` × `deviceScaleFactor` pixels wide.
+ *
+ * @param {Buffer} pdf - PDF file
+ * @param {object} options - Validated options (output, imageWidth, deviceScaleFactor, imageQuality)
+ * @returns {Promise<Array<{ name: string, buffer: Buffer }>>}
+ */
+export async function rasterizePDF(pdf, options) {
+    const images = [];
+    await renderPages(pdf, options.imageWidth * options.deviceScaleFactor, async (canvas, n) => {
+        const buffer = await canvas.encode(options.output, options.imageQuality);
+        images.push({ name: imageName(`page-${String(n).padStart(3, '0')}`, options), buffer });
+    });
+    return images;
+}
+
+/**
+ * Package images as a response body: a full-length screenshot is sent as the
+ * image itself, pages and turns as a zip archive.
+ *
+ * @returns {Promise<{ buffer: Buffer, contentType: string, extension: string }>}
+ */
+export async function packImages(images, options) {
+    if (options.imageMode === 'full') {
+        return { buffer: images[0].buffer, contentType: `image/${options.output}`, extension: options.output };
+    }
+
+    const zip = new JSZip();
+    for (const image of images) {
+        // Images are compressed already
+        zip.file(image.name, image.buffer, { compression: 'STORE' });
+    }
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+    return { buffer, contentType: 'application/zip', extension: 'zip' };
+}
+
+/**
+ * The images of a packImages() result, e.g. one read from the render cache.
+ *
+ * @returns {Promise<Array<{ name: string, buffer: Buffer }>>}
+ */
+export async function unpackImages({ buffer }, options) {
+    if (options.imageMode === 'full') {
+        return [{ name: imageName('chat', options), buffer }];
+    }
+
+    const zip = await JSZip.loadAsync(buffer);
+    const names = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+    return Promise.all(names.map(async name => ({ name, buffer: await zip.file(name).async('nodebuffer') })));
+}
@@ -0,0 +1,293 @@
+/**
+ * Conversion Job Queue
+ * In-process queue for asynchronous conversions. Job state is persisted as
+ * JSON next to its input and result, so jobs survive a server restart.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { Logger } from './logger.js';
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+export class JobNotFoundError extends Error {
+    constructor(id) {
+        super(`Job '${id}' not found`);
+        this.name = 'JobNotFoundError';
+        this.status = 404;
+        this.code = 'JOB_NOT_FOUND';
+    }
+}
+
+export class JobNotReadyError extends Error {
+    constructor(job) {
+        super(`Job '${job.id}' is ${job.status}, its result is not available`);
+        this.name = 'JobNotReadyError';
+        this.status = 409;
+        this.code = 'JOB_NOT_READY';
+    }
+}
+
+export class JobQueue {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Directory holding job state, inputs and results
+     * @param {function} options.handler - async (job, { input, signal, progress }) =>
+     *   { buffer, contentType, extension, ...report }. Everything else is kept as the job's `report`.
+     * @param {number} [options.concurrency] - Jobs rendered at the same time
+     * @param {number} [options.ttl] - Milliseconds finished jobs and their results are kept
+     * @param {number} [options.sweepInterval] - Milliseconds between expiry sweeps
+     * @param {Logger} [options.logger]
+     */
+    constructor(options) {
+        const {
+            dir,
+            handler,
+            concurrency = 2,
+            ttl = 60 * 60 * 1000,
+            sweepInterval = 5 * 60 * 1000,
+            logger = new Logger({ format: 'text' })
+        } = options;
+
+        this.dir = dir;
+        this.handler = handler;
+        this.concurrency = concurrency;
+        this.ttl = ttl;
+        this.sweepInterval = sweepInterval;
+        this.logger = logger;
+
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = new Map();
+        this.sweepTimer = null;
+    }
+
+    statePath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    inputPath(id) {
+        return path.join(this.dir, `${id}.html`);
+    }
+
+    // Jobs finished before other output formats existed have no extension and are PDFs
+    resultPath(job) {
+        return path.join(this.dir, `${job.id}.${job.extension || 'pdf'}`);
+    }
+
+    async start() {
+        await fs.ensureDir(this.dir);
+
+        // Reload persisted jobs; anything interrupted by a restart is queued again
+        const files = (await fs.readdir(this.dir)).filter(f => f.endsWith('.json'));
+        for (const file of files) {
+            try {
+                const job = await fs.readJson(path.join(this.dir, file));
+                this.jobs.set(job.id, job);
+                if (!FINISHED_STATES.includes(job.status)) {
+                    job.status = 'queued';
+                    job.progress = 0;
+                    this.pending.push(job.id);
+                }
+            } catch (error) {
+                this.logger.warn('Skipping unreadable job state', { file, error: error.message });
+            }
+        }
+        this.pending.sort((a, b) => this.jobs.get(a).createdAt.localeCompare(this.jobs.get(b).createdAt));
+
+        await this.sweep();
+        this.sweepTimer = setInterval(() => {
+            this.sweep().catch(error => this.logger.error('Job expiry sweep failed', { error }));
+        }, this.sweepInterval);
+        this.sweepTimer.unref();
+
+        this.drain();
+    }
+
+    async save(job) {
+        job.updatedAt = new Date().toISOString();
+        await fs.writeJson(this.statePath(job.id), job, { spaces: 2 });
+    }
+
+    /**
+     * Queue a conversion. `source` is 'string', 'file' or 'url'; HTML inputs are
+     * stored on disk, URLs are kept in the job itself. `profile` names the
+     * profile the options were resolved with, `owner` the API key that queued it
+     * and `requestId` the request, so the job's log entries can be traced back to it.
+     * `cache` is how the render cache is used ('use', 'refresh' or 'off').
+     */
+    async add({ source, html, htmlFile, fileName, url, options = {}, profile = null, owner = null, requestId = null,
+        cache = 'use' }) {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+
+        if (source === 'url') {
+            // nothing to store, the URL is part of the job state
+        } else if (htmlFile) {
+            await fs.move(htmlFile, this.inputPath(id));
+        } else {
+            await fs.writeFile(this.inputPath(id), html, 'utf-8');
+        }
+
+        const job = {
+            id,
+            source,
+            url: source === 'url' ? url : undefined,
+            fileName,
+            options,
+            profile,
+            owner,
+            requestId,
+            cache,
+            status: 'queued',
+            progress: 0,
+            error: null,
+            errorCode: null,
+            resultSize: null,
+            contentType: null,
+            extension: null,
+            report: null,
+            createdAt: now,
+            startedAt: null,
+            finishedAt: null,
+            expiresAt: null
+        };
+
+        this.jobs.set(id, job);
+        await this.save(job);
+        this.pending.push(id);
+        this.drain();
+
+        return job;
+    }
+
+    get(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            throw new JobNotFoundError(id);
+        }
+        return job;
+    }
+
+    /**
+     * Cancel a queued or running job. Finished jobs are removed together with their result.
+     */
+    async cancel(id) {
+        const job = this.get(id);
+
+        if (FINISHED_STATES.includes(job.status)) {
+            await this.remove(job);
+            return job;
+        }
+
+        this.pending = this.pending.filter(pendingId => pendingId !== id);
+        const controller = this.running.get(id);
+        if (controller) {
+            controller.abort();
+        }
+
+        await this.finish(job, 'cancelled');
+        return job;
+    }
+
+    async remove(job) {
+        this.jobs.delete(job.id);
+        await Promise.all([
+            fs.remove(this.statePath(job.id)),
+            fs.remove(this.inputPath(job.id)),
+            fs.remove(this.resultPath(job))
+        ]);
+    }
+
+    async finish(job, status, fields = {}) {
+        Object.assign(job, fields, {
+            status,
+            finishedAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + this.ttl).toISOString()
+        });
+        if (status === 'completed') {
+            job.progress = 100;
+        }
+        await fs.remove(this.inputPath(job.id));
+        await this.save(job);
+    }
+
+    drain() {
+        while (this.running.size < this.concurrency && this.pending.length > 0) {
+            const id = this.pending.shift();
+            const job = this.jobs.get(id);
+            if (!job || job.status !== 'queued') {
+                continue;
+            }
+            this.run(job).catch(error => this.logger.error('Job crashed', { jobId: id, requestId: job.requestId, error }));
+        }
+    }
+
+    async run(job) {
+        const controller = new AbortController();
+        this.running.set(job.id, controller);
+
+        job.status = 'running';
+        job.progress = 10;
+        job.startedAt = new Date().toISOString();
+        await this.save(job);
+
+        const progress = async (value) => {
+            if (!controller.signal.aborted) {
+                job.progress = Math.max(job.progress, Math.min(99, Math.round(value)));
+                await this.save(job);
+            }
+        };
+
+        try {
+            const input = job.source === 'url'
+                ? job.url
+                : await fs.readFile(this.inputPath(job.id), 'utf-8');
+
+            const { buffer, contentType, extension, ...report } =
+                await this.handler(job, { input, signal: controller.signal, progress });
+
+            if (!controller.signal.aborted) {
+                job.extension = extension;
+                await fs.writeFile(this.resultPath(job), buffer);
+                await this.finish(job, 'completed', { resultSize: buffer.length, contentType, report });
+                this.logger.info('Job completed', { jobId: job.id, requestId: job.requestId,
+                    duration: Date.parse(job.finishedAt) - Date.parse(job.startedAt), size: buffer.length });
+            }
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                await this.finish(job, 'failed', { error: error.message, errorCode: error.code || null });
+                this.logger.log(error.status && error.status < 500 ? 'warn' : 'error', 'Job failed',
+                    { jobId: job.id, requestId: job.requestId, error });
+            }
+        } finally {
+            this.running.delete(job.id);
+            this.drain();
+        }
+    }
+
+    async sweep() {
+        const now = Date.now();
+        for (const job of [...this.jobs.values()]) {
+            if (job.expiresAt && Date.parse(job.expiresAt) <= now) {
+                await this.remove(job);
+            }
+        }
+    }
+
+    getStatus() {
+        return {
+            queued: this.pending.length,
+            running: this.running.size,
+            total: this.jobs.size
+        };
+    }
+
+    stop() {
+        clearInterval(this.sweepTimer);
+        for (const controller of this.running.values()) {
+            controller.abort();
+        }
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * Logger
+ * Leveled logging for the API server. In production every entry is one JSON
+ * line on stdout, so log collectors can filter by level, request ID or job;
+ * during development the text format is easier to read.
+ *
+ *   {"time":"2025-08-03T15:30:00.000Z","level":"info","msg":"request","requestId":"…","status":200}
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['json', 'text'];
+
+// Errors don't serialize to JSON on their own
+function serialize(value) {
+    if (value instanceof Error) {
+        return {
+            message: value.message,
+            ...(value.code ? { code: value.code } : {}),
+            ...(value.status ? { status: value.status } : {}),
+            ...(value.status && value.status < 500 ? {} : { stack: value.stack })
+        };
+    }
+    return value;
+}
+
+function formatText({ time, level, msg, ...fields }) {
+    const details = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    return [time, level.toUpperCase().padEnd(5), msg, ...details].join(' ');
+}
+
+export class Logger {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.level] - Lowest level written, one of LOG_LEVELS (default: info)
+     * @param {string} [options.format] - json or text (default: json)
+     * @param {object} [options.fields] - Fields added to every entry, e.g. { requestId }
+     * @param {function} [options.write] - (line, level) => void (default: stdout, errors to stderr)
+     */
+    constructor({ level = 'info', format = 'json', fields = {}, write } = {}) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Unknown log level '${level}'. Available levels: ${LOG_LEVELS.join(', ')}`);
+        }
+        if (!LOG_FORMATS.includes(format)) {
+            throw new Error(`Unknown log format '${format}'. Available formats: ${LOG_FORMATS.join(', ')}`);
+        }
+        this.level = level;
+        this.format = format;
+        this.fields = fields;
+        this.write = write || ((line, entryLevel) =>
+            (entryLevel === 'error' ? process.stderr : process.stdout).write(`${line}\n`));
+    }
+
+    /**
+     * Logger from LOG_LEVEL and LOG_FORMAT.
+     */
+    static fromEnvironment(env = process.env) {
+        return new Logger({ level: env.LOG_LEVEL || 'info', format: env.LOG_FORMAT || 'json' });
+    }
+
+    /**
+     * Logger that adds `fields` to every entry, e.g. the ID of a request.
+     */
+    child(fields) {
+        return new Logger({ level: this.level, format: this.format, fields: { ...this.fields, ...fields }, write: this.write });
+    }
+
+    isEnabled(level) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) {
+                entry[key] = serialize(value);
+            }
+        }
+        this.write(this.format === 'json' ? JSON.stringify(entry) : formatText(entry), level);
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Markdown Exporter
+ * Writes a parsed DeepSeek conversation as GitHub-flavoured markdown for wikis
+ * and READMEs: fenced code blocks keep their language, math is kept as $TeX$
+ */
+
+import * as cheerio from 'cheerio';
+import { htmlToMarkdown, escapeMarkdown, textToMarkdown } from './deepseek_parser.js';
+import { ROLE_LABELS, formatExportDate } from './chat_template.js';
+
+/**
+ * Move the headings of an answer fragment down by `levels`, so they nest
+ * below the headings an exporter adds for the turns. Capped at h6.
+ */
+export function shiftHeadings(html, levels) {
+    const $ = cheerio.load(html, null, false);
+    $('h1, h2, h3, h4, h5, h6').each((i, el) => {
+        el.tagName = `h${Math.min(6, Number(el.tagName.slice(1)) + levels)}`;
+    });
+    return $.html();
+}
+
+/**
+ * Summary line under the title: export date and number of prompts and answers.
+ */
+export function conversationMeta(conversation) {
+    const exportDate = formatExportDate(conversation);
+    return [
+        exportDate ? `Exported on ${exportDate}` : null,
+        `${conversation.stats.prompts} prompt${conversation.stats.prompts === 1 ? '' : 's'}`,
+        `${conversation.stats.answers} answer${conversation.stats.answers === 1 ? '' : 's'}`
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * @param {object} conversation - Result of parseDeepSeekExport
+ * @returns {Buffer} UTF-8 markdown document
+ */
+export function renderMarkdown(conversation) {
+    const sections = [
+        `# ${escapeMarkdown(conversation.title)}`,
+        `*${escapeMarkdown(conversationMeta(conversation))}*`
+    ];
+
+    conversation.turns.forEach((turn, i) => {
+        if (turn.role === 'user' && i > 0) {
+            sections.push('---');
+        }
+        sections.push(`## ${ROLE_LABELS[turn.role]}`);
+        sections.push(turn.role === 'user'
+            ? textToMarkdown(turn.text)
+            : htmlToMarkdown(shiftHeadings(turn.html, 2)));
+    });
+
+    return Buffer.from(`${sections.join('\n\n')}\n`, 'utf-8');
+}
@@ -0,0 +1,190 @@
+/**
+ * Math Renderer
+ * Makes the formulas of a document print correctly without network access.
+ *
+ * DeepSeek exports contain KaTeX markup but neither KaTeX's stylesheet nor its
+ * fonts, so formulas come out as jumbled glyphs. The stylesheet and fonts
+ * bundled with the katex package are inlined instead. Raw TeX left in the text
+ * ($...$, $$...$$, \(...\), \[...\]) can be rendered with KaTeX too, and
+ * formulas can be printed as MathML, which Chromium lays out natively.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { createRequire } from 'module';
+import * as cheerio from 'cheerio';
+import katex from 'katex';
+import { SELECTORS } from './deepseek_parser.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * auto: KaTeX markup is styled with the bundled stylesheet and fonts, and
+ *   falls back to its MathML when the rendered formula is missing
+ * mathml: every formula is printed as MathML
+ * off: formulas are left as they are
+ */
+export const MATH_MODES = ['auto', 'mathml', 'off'];
+
+// Display delimiters first, so $$ is not read as two empty inline formulas.
+// Inline $ must hug its content and not be followed by a digit, which keeps
+// prices like "$5 and $10" as text.
+const TEX_RE = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<![\\$])\$(?=\S)([^$\n]*?[^\s\\])\$(?!\d)/g;
+
+// Text inside these is code or already typeset
+const NO_TEX = 'pre, code, kbd, samp, script, style, textarea, math, .katex, .md-code-block';
+
+const KATEX_RE = /class\s*=\s*["'][^"']*\bkatex\b/;
+
+let stylesheet = null;
+
+/**
+ * KaTeX's stylesheet with its fonts inlined as data URIs. Read once.
+ */
+export function katexCSS() {
+    if (!stylesheet) {
+        const cssFile = require.resolve('katex/dist/katex.min.css');
+        stylesheet = fs.readFileSync(cssFile, 'utf-8')
+            // woff2 is enough for Chromium
+            .replace(/,\s*url\([^)]*\.woff\) format\("woff"\),\s*url\([^)]*\.ttf\) format\("truetype"\)/g, '')
+            .replace(/url\(([^)]+\.woff2)\)/g, (match, ref) => {
+                const font = fs.readFileSync(path.join(path.dirname(cssFile), ref));
+                return `url(data:font/woff2;base64,${font.toString('base64')})`;
+            });
+    }
+    return stylesheet;
+}
+
+function texMatches(text) {
+    return [...text.matchAll(TEX_RE)].map(match => ({
+        match,
+        tex: (match[1] ?? match[2] ?? match[3] ?? match[4]).trim(),
+        display: match[1] !== undefined || match[2] !== undefined
+    }));
+}
+
+function textNodes($, root) {
+    const nodes = [];
+    const walk = (node) => {
+        for (const child of node.children || []) {
+            if (child.type === 'text') {
+                nodes.push(child);
+            } else if (child.type === 'tag' && !$(child).is(NO_TEX)) {
+                walk(child);
+            }
+        }
+    };
+    walk(root);
+    return nodes;
+}
+
+/**
+ * Count the formulas of a document by kind.
+ *
+ * @param {string} html - Input document
+ * @returns {{ katex: number, mathml: number, tex: number }} KaTeX formulas,
+ *   MathML formulas outside KaTeX markup, and raw TeX formulas in the text
+ */
+export function detectMath(html) {
+    const $ = cheerio.load(html);
+    return {
+        katex: $(SELECTORS.math).length,
+        mathml: $('math').filter((i, el) => $(el).closest(SELECTORS.math).length === 0).length,
+        tex: textNodes($, $.root()[0]).reduce((sum, node) => sum + texMatches(node.data).length, 0)
+    };
+}
+
+/**
+ * Whether the options change anything for documents loaded from a URL, which
+ * bring their own math stylesheets.
+ */
+export function hasMathOptions(options = {}) {
+    return options.math === 'mathml' || Boolean(options.mathTex && options.math !== 'off');
+}
+
+/**
+ * Replace a KaTeX formula by its MathML, kept in a .katex span so the parser
+ * still finds the formula and its TeX annotation.
+ */
+function toMathML($, el) {
+    const $math = $(el);
+    const mathML = $math.find('math').first();
+    if (mathML.length === 0) {
+        return false;
+    }
+    if ($math.closest(SELECTORS.displayMath).length > 0) {
+        mathML.attr('display', 'block');
+    }
+    $math.empty().append(mathML);
+    return true;
+}
+
+/**
+ * Render raw TeX in text nodes. A formula has to sit in a single text node;
+ * TeX the export split over several elements stays as it is, as does TeX that
+ * KaTeX cannot parse.
+ */
+function renderTeX($, output, report) {
+    for (const node of textNodes($, $('body')[0] || $.root()[0])) {
+        const matches = texMatches(node.data);
+        if (matches.length === 0) {
+            continue;
+        }
+
+        let markup = '';
+        let last = 0;
+        for (const { match, tex, display } of matches) {
+            let rendered;
+            try {
+                rendered = katex.renderToString(tex, { displayMode: display, output, throwOnError: true, strict: 'ignore' });
+                report.rendered++;
+            } catch (error) {
+                rendered = null;
+                report.failed++;
+            }
+            markup += escapeText(node.data.slice(last, match.index)) + (rendered ?? escapeText(match[0]));
+            last = match.index + match[0].length;
+        }
+        $(node).replaceWith(markup + escapeText(node.data.slice(last)));
+    }
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Prepare the formulas of a document for printing.
+ *
+ * @param {string} html - Input document
+ * @param {object} options - Conversion options (math, mathTex)
+ * @returns {{ html: string, report: { rendered: number, failed: number, fallbacks: number } }}
+ *   Document, with the number of TeX formulas rendered and left as source, and
+ *   of KaTeX formulas printed as MathML because their rendering was missing
+ */
+export function renderMath(html, options = {}) {
+    const { math = 'auto', mathTex = false } = options;
+    const report = { rendered: 0, failed: 0, fallbacks: 0 };
+    if (math === 'off' || (!mathTex && !KATEX_RE.test(html))) {
+        return { html, report };
+    }
+
+    const $ = cheerio.load(html);
+    if (mathTex) {
+        renderTeX($, math === 'mathml' ? 'mathml' : 'htmlAndMathml', report);
+    }
+
+    $(SELECTORS.math).each((i, el) => {
+        if (math === 'mathml') {
+            toMathML($, el);
+        } else if ($(el).find('.katex-html').length === 0 && $(el).find('.katex-mathml').length > 0 && toMathML($, el)) {
+            report.fallbacks++;
+        }
+    });
+
+    if (math === 'auto' && $(SELECTORS.math).length > 0 && $('style[data-katex]').length === 0) {
+        $('head').append(`<style data-katex>${katexCSS()}\n` +
+            `${SELECTORS.displayMath} { break-inside: avoid; }</style>`);
+    }
+    return { html: $.html(), report };
+}
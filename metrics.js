@@ -0,0 +1,159 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms in the Prometheus text format, for the
+ * /metrics endpoint of the API server. Values that other components already
+ * keep (browser pool stats, queue depth) are read when metrics are scraped.
+ */
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds, from a tiny page to a long chat rendered with a cold browser
+export const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+    return Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN';
+}
+
+class Metric {
+    constructor(type, name, help, { labels = [], collect = null } = {}) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labels;
+        this.collect = collect;
+        // Label values joined into a key -> { labels, value }
+        this.series = new Map();
+    }
+
+    entry(labels, create) {
+        const values = this.labelNames.map(name => labels[name] ?? '');
+        const key = values.join('\u0000');
+        if (!this.series.has(key)) {
+            this.series.set(key, create(Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]))));
+        }
+        return this.series.get(key);
+    }
+
+    // Collected metrics report what their callback returns: a number, or [{ labels, value }]
+    collected() {
+        const values = this.collect();
+        return typeof values === 'number' ? [{ labels: {}, value: values }] : values;
+    }
+
+    lines() {
+        const series = this.collect ? this.collected() : [...this.series.values()];
+        return series.map(({ labels, value }) => `${this.name}${labelString(labels)} ${formatNumber(value)}`);
+    }
+}
+
+export class Counter extends Metric {
+    constructor(name, help, options) {
+        super('counter', name, help, options);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.entry(labels, entryLabels => ({ labels: entryLabels, value: 0 })).value += amount;
+    }
+}
+
+export class Gauge extends Metric {
+    constructor(name, help, options) {
+        super('gauge', name, help, options);
+    }
+
+    set(labels, value) {
+        this.entry(labels, entryLabels => ({ labels: entryLabels, value: 0 })).value = value;
+    }
+}
+
+export class Histogram extends Metric {
+    constructor(name, help, { buckets = DURATION_BUCKETS, ...options } = {}) {
+        super('histogram', name, help, options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const entry = this.entry(labels, entryLabels => ({
+            labels: entryLabels,
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                entry.counts[i]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    lines() {
+        return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...this.buckets.map((bound, i) => `${this.name}_bucket${labelString({ ...labels, le: bound })} ${counts[i]}`),
+            `${this.name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${labelString(labels)} ${formatNumber(sum)}`,
+            `${this.name}_count${labelString(labels)} ${count}`
+        ]);
+    }
+}
+
+export class MetricsRegistry {
+    constructor({ prefix = '' } = {}) {
+        this.prefix = prefix;
+        this.metrics = new Map();
+    }
+
+    add(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric '${metric.name}' is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * @param {string} name - Without the registry prefix
+     * @param {string} help
+     * @param {object} [options]
+     * @param {string[]} [options.labels] - Label names
+     * @param {function} [options.collect] - () => number | [{ labels, value }], read on every
+     *   scrape for counts kept elsewhere
+     */
+    counter(name, help, options) {
+        return this.add(new Counter(this.prefix + name, help, options));
+    }
+
+    gauge(name, help, options) {
+        return this.add(new Gauge(this.prefix + name, help, options));
+    }
+
+    /**
+     * @param {object} [options] - As for counter(), plus `buckets`, the upper bounds
+     *   (default: DURATION_BUCKETS)
+     */
+    histogram(name, help, options) {
+        return this.add(new Histogram(this.prefix + name, help, options));
+    }
+
+    /**
+     * All metrics in the Prometheus text exposition format.
+     */
+    render() {
+        const blocks = [...this.metrics.values()].map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.lines()
+        ].join('\n'));
+        return `${blocks.join('\n')}\n`;
+    }
+}
@@ -0,0 +1,327 @@
+/**
+ * Network Policy
+ * Decides which URLs Chromium may fetch while rendering, to keep the API from
+ * being used to reach cloud metadata endpoints, internal services or local files
+ */
+
+import dns from 'dns';
+import http from 'http';
+import net from 'net';
+import fs from 'fs-extra';
+
+// Schemes that never leave the browser and are always allowed for subresources
+const INLINE_SCHEMES = ['data:', 'blob:', 'about:'];
+
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8],         // "this" network
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // carrier-grade NAT
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local, cloud metadata
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4]        // reserved, broadcast
+]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 96],             // unspecified, loopback and IPv4-compatible
+    ['64:ff9b::', 96],      // NAT64 to IPv4
+    ['64:ff9b:1::', 48],    // local-use NAT64
+    ['2001::', 32],         // Teredo
+    ['2002::', 16],         // 6to4
+    ['fc00::', 7],          // unique local
+    ['fe80::', 10],         // link-local
+    ['ff00::', 8]           // multicast
+]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+export class NetworkPolicyError extends Error {
+    constructor(url, reason) {
+        super(`Blocked by network policy: ${url} (${reason})`);
+        this.name = 'NetworkPolicyError';
+        this.status = 403;
+        this.code = 'NETWORK_POLICY_BLOCKED';
+        this.url = url;
+        this.reason = reason;
+    }
+}
+
+export function isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+    }
+    return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function matchesHost(host, patterns) {
+    return patterns.some((pattern) => {
+        const p = pattern.toLowerCase();
+        return p.startsWith('*.') ? host.endsWith(p.slice(1)) || host === p.slice(2) : host === p;
+    });
+}
+
+function splitList(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+export class NetworkPolicy {
+    /**
+     * @param {object} [config]
+     * @param {string[]} [config.allowedSchemes] - Schemes pages may load (default: http, https)
+     * @param {string[]} [config.allowHosts] - If set, only these hosts ('*.example.com' for subdomains)
+     * @param {string[]} [config.denyHosts] - Hosts that are always blocked
+     * @param {boolean} [config.blockPrivateNetworks] - Block loopback, private and link-local addresses
+     * @param {string} [config.htmlSubresources] - 'policy' applies the rules above to string and file
+     *   inputs, 'none' blocks all of their network requests
+     */
+    constructor(config = {}) {
+        const {
+            allowedSchemes = ['http', 'https'],
+            allowHosts = [],
+            denyHosts = [],
+            blockPrivateNetworks = true,
+            htmlSubresources = 'policy'
+        } = config;
+
+        if (!['policy', 'none'].includes(htmlSubresources)) {
+            throw new Error(`Invalid htmlSubresources '${htmlSubresources}', expected 'policy' or 'none'`);
+        }
+
+        this.allowedSchemes = allowedSchemes.map(scheme => `${scheme.replace(/:$/, '').toLowerCase()}:`);
+        this.allowHosts = allowHosts;
+        this.denyHosts = denyHosts;
+        this.blockPrivateNetworks = blockPrivateNetworks;
+        this.htmlSubresources = htmlSubresources;
+        this.lookup = dns.promises.lookup;
+    }
+
+    /**
+     * Build the policy from NETWORK_POLICY_FILE (JSON with the constructor's
+     * fields) and NETWORK_* environment variables, which take precedence.
+     */
+    static fromEnvironment(env = process.env) {
+        const config = env.NETWORK_POLICY_FILE ? fs.readJsonSync(env.NETWORK_POLICY_FILE) : {};
+        const overrides = {
+            allowedSchemes: splitList(env.NETWORK_ALLOWED_SCHEMES),
+            allowHosts: splitList(env.NETWORK_ALLOW_HOSTS),
+            denyHosts: splitList(env.NETWORK_DENY_HOSTS),
+            blockPrivateNetworks: env.NETWORK_BLOCK_PRIVATE !== undefined
+                ? !['0', 'false', 'no'].includes(env.NETWORK_BLOCK_PRIVATE.toLowerCase())
+                : undefined,
+            htmlSubresources: env.NETWORK_HTML_SUBRESOURCES
+        };
+        for (const [key, value] of Object.entries(overrides)) {
+            if (value !== undefined) {
+                config[key] = value;
+            }
+        }
+        return new NetworkPolicy(config);
+    }
+
+    /**
+     * Check a URL against the policy, resolving its host to catch names that
+     * point into private networks. Rejects with NetworkPolicyError.
+     */
+    async checkURL(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new NetworkPolicyError(url, 'not a valid URL');
+        }
+
+        this.checkScheme(parsed.protocol, url);
+        await this.resolveHost(parsed.hostname, url);
+    }
+
+    /**
+     * Reject a scheme that is not allowed. The proxy checks the scheme of
+     * each request too, so a page cannot get past the list by fetching.
+     */
+    checkScheme(protocol, url) {
+        if (!this.allowedSchemes.includes(protocol)) {
+            throw new NetworkPolicyError(url, `scheme '${protocol}' is not allowed`);
+        }
+    }
+
+    /**
+     * Check a host against the host lists and resolve it. Resolves to the
+     * address that passed the checks, which is the one to connect to: a second
+     * lookup could return another address (DNS rebinding).
+     *
+     * @returns {Promise<string>} Checked address
+     */
+    async resolveHost(hostname, url = hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (matchesHost(host, this.denyHosts)) {
+            throw new NetworkPolicyError(url, `host '${host}' is denied`);
+        }
+        const allowListed = matchesHost(host, this.allowHosts);
+        if (this.allowHosts.length > 0 && !allowListed) {
+            throw new NetworkPolicyError(url, `host '${host}' is not on the allow list`);
+        }
+
+        let addresses;
+        try {
+            addresses = await this.lookup(host, { all: true, verbatim: true });
+        } catch (error) {
+            throw new NetworkPolicyError(url, `host '${host}' could not be resolved`);
+        }
+
+        // Explicitly allowed hosts may live on the internal network
+        const blocked = this.blockPrivateNetworks && !allowListed &&
+            addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            throw new NetworkPolicyError(url, `'${host}' resolves to ${blocked.address}, a private, loopback or link-local address`);
+        }
+        return addresses[0].address;
+    }
+
+    /**
+     * Start the local proxy all Chromium traffic goes through. It resolves
+     * every host once, checks the address and connects to that address, so
+     * what Chromium fetches is what the policy checked. Pass launchArgs() to
+     * the browsers.
+     */
+    async startProxy() {
+        const server = http.createServer((req, res) => this.proxyRequest(req, res));
+        server.on('connect', (req, socket, head) => this.proxyTunnel(req, socket, head));
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(0, '127.0.0.1', resolve);
+        });
+        this.proxy = server;
+        return server;
+    }
+
+    async stopProxy() {
+        if (this.proxy) {
+            await new Promise(resolve => this.proxy.close(resolve));
+            this.proxy = null;
+        }
+    }
+
+    /**
+     * Chromium flags that send all requests through the proxy, loopback
+     * included, and keep WebRTC from opening connections around it.
+     */
+    launchArgs() {
+        if (!this.proxy) {
+            return [];
+        }
+        return [
+            `--proxy-server=http://127.0.0.1:${this.proxy.address().port}`,
+            '--proxy-bypass-list=<-loopback>',
+            '--force-webrtc-ip-handling-policy=disable_non_proxied_udp'
+        ];
+    }
+
+    // Plain HTTP requests, sent to the proxy with an absolute URL
+    async proxyRequest(req, res) {
+        let target;
+        let address;
+        try {
+            target = new URL(req.url);
+            // Only http: comes as a plain request, https: and wss: come with CONNECT
+            if (target.protocol !== 'http:') {
+                throw new NetworkPolicyError(req.url, `scheme '${target.protocol}' is not allowed`);
+            }
+            this.checkScheme(target.protocol, req.url);
+            address = await this.resolveHost(target.hostname, req.url);
+        } catch (error) {
+            res.writeHead(error instanceof NetworkPolicyError ? 403 : 400).end();
+            return;
+        }
+
+        const headers = { ...req.headers };
+        delete headers['proxy-connection'];
+        const upstream = http.request({
+            host: address,
+            port: target.port || 80,
+            method: req.method,
+            path: `${target.pathname}${target.search}`,
+            headers,
+            setHost: false
+        }, (response) => {
+            res.writeHead(response.statusCode, response.rawHeaders);
+            response.pipe(res);
+        });
+        upstream.on('error', () => res.headersSent ? res.destroy() : res.writeHead(502).end());
+        req.pipe(upstream);
+    }
+
+    // HTTPS and WebSocket connections, tunnelled with CONNECT host:port
+    async proxyTunnel(req, socket, head) {
+        socket.on('error', () => {});
+
+        let target;
+        let address;
+        try {
+            target = new URL(`https://${req.url}`);
+            this.checkScheme(target.protocol, `https://${req.url}/`);
+            address = await this.resolveHost(target.hostname, `https://${req.url}/`);
+        } catch (error) {
+            socket.end(`HTTP/1.1 ${error instanceof NetworkPolicyError ? '403 Forbidden' : '400 Bad Request'}\r\n\r\n`);
+            return;
+        }
+
+        let connected = false;
+        const upstream = net.connect(Number(target.port) || 443, address, () => {
+            connected = true;
+            socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            upstream.write(head);
+            upstream.pipe(socket);
+            socket.pipe(upstream);
+        });
+        upstream.on('error', () => (connected ? socket.destroy() : socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n')));
+        socket.on('close', () => upstream.destroy());
+    }
+
+    /**
+     * Enforce the policy on every request of a page, including each redirect hop.
+     * With `offline` only inline resources (data:, blob:) are allowed.
+     *
+     * @returns {Promise<{ blocked: NetworkPolicyError[], navigationError: NetworkPolicyError|null }>}
+     *   Live record of what was blocked; check navigationError after a failed page.goto
+     */
+    async protect(page, { offline = false } = {}) {
+        const guard = { blocked: [], navigationError: null };
+
+        await page.setRequestInterception(true);
+        page.on('request', async (request) => {
+            if (request.isInterceptResolutionHandled()) {
+                return;
+            }
+            const url = request.url();
+
+            try {
+                if (!INLINE_SCHEMES.some(scheme => url.startsWith(scheme))) {
+                    if (offline) {
+                        throw new NetworkPolicyError(url, 'network access is disabled for HTML inputs');
+                    }
+                    await this.checkURL(url);
+                }
+                await request.continue();
+            } catch (error) {
+                if (!(error instanceof NetworkPolicyError)) {
+                    // The page went away while the check was running
+                    return;
+                }
+                guard.blocked.push(error);
+                if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+                    guard.navigationError = error;
+                }
+                await request.abort('blockedbyclient').catch(() => {});
+            }
+        });
+
+        return guard;
+    }
+}
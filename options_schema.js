@@ -0,0 +1,538 @@
+/**
+ * Conversion Options
+ * One schema for the options accepted by the CLI and the API: defaults,
+ * validation with machine-readable error codes, and the description served
+ * by GET /api/options
+ */
+
+import { TEMPLATES, THEMES } from './html_pipeline.js';
+import { validateTemplate } from './header_footer.js';
+import { ROLES, parseTurnSpec, parseSearch } from './turn_filter.js';
+import { STYLES as REDACTION_STYLES, DETECTORS } from './redactor.js';
+import { OUTPUT_FORMATS } from './exporters.js';
+import { IMAGE_MODES } from './image_renderer.js';
+import { CODE_THEMES, LONG_LINES } from './code_blocks.js';
+import { MATH_MODES } from './math_renderer.js';
+
+export const FORMATS = ['A4', 'Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A5', 'A6'];
+export const ORIENTATIONS = ['portrait', 'landscape'];
+
+const MARGIN_SIDES = ['top', 'bottom', 'left', 'right'];
+const LENGTH_RE = /^\d+(\.\d+)?(px|in|cm|mm)?$/;
+
+// Watermark text is drawn with a standard PDF font, which covers Latin-1
+const LATIN_RE = /^[\x20-\x7e\xa0-\xff]*$/;
+const IMAGE_RE = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=\s]+$/;
+
+/**
+ * Error codes used in the `details` of an OptionsError:
+ * UNKNOWN_OPTION, INVALID_TYPE, INVALID_VALUE, OUT_OF_RANGE
+ */
+export const OPTIONS_SCHEMA = {
+    output: {
+        type: 'string',
+        enum: Object.keys(OUTPUT_FORMATS),
+        default: 'pdf',
+        description: 'Output format; md, docx and epub are written from the parsed DeepSeek conversation'
+    },
+    imageMode: {
+        type: 'string',
+        enum: IMAGE_MODES,
+        default: 'full',
+        description: 'Image output: one full-length screenshot, one image per PDF page, or one per turn'
+    },
+    imageWidth: {
+        type: 'integer',
+        min: 320,
+        max: 3840,
+        default: 1024,
+        description: 'Width of image output in CSS pixels'
+    },
+    deviceScaleFactor: {
+        type: 'number',
+        min: 0.5,
+        max: 4,
+        default: 1,
+        description: 'Pixel density of image output; 2 doubles the pixels for sharp text'
+    },
+    imageQuality: {
+        type: 'integer',
+        min: 1,
+        max: 100,
+        default: 90,
+        description: 'Quality of JPEG and WebP images'
+    },
+    format: {
+        type: 'string',
+        enum: FORMATS,
+        default: 'A4',
+        description: 'Paper format'
+    },
+    orientation: {
+        type: 'string',
+        enum: ORIENTATIONS,
+        default: 'portrait',
+        description: 'Page orientation'
+    },
+    margin: {
+        type: 'margin',
+        default: { top: '20px', bottom: '20px', left: '20px', right: '20px' },
+        description: 'Page margins (top, bottom, left, right) in px, in, cm or mm; numbers are px'
+    },
+    printBackground: {
+        type: 'boolean',
+        default: true,
+        description: 'Print background graphics'
+    },
+    scale: {
+        type: 'number',
+        min: 0.1,
+        max: 2.0,
+        default: 1.0,
+        description: 'Scale of the page rendering'
+    },
+    timeout: {
+        type: 'integer',
+        min: 1000,
+        max: 300000,
+        default: 30000,
+        description: 'Milliseconds to wait for the document and its resources to load'
+    },
+    template: {
+        type: 'string',
+        enum: TEMPLATES,
+        default: 'original',
+        description: 'Rendering template; chat rebuilds DeepSeek exports as a clean document'
+    },
+    theme: {
+        type: 'string',
+        enum: Object.keys(THEMES),
+        default: 'light',
+        description: 'Theme of the chat template'
+    },
+    outline: {
+        type: 'boolean',
+        default: false,
+        description: 'Add PDF bookmarks for prompts and headings'
+    },
+    toc: {
+        type: 'boolean',
+        default: false,
+        description: 'Add a table of contents page with page numbers'
+    },
+    headerTemplate: {
+        type: 'template',
+        default: null,
+        description: 'Header preset or HTML template with placeholders'
+    },
+    footerTemplate: {
+        type: 'template',
+        default: null,
+        description: 'Footer preset or HTML template with placeholders'
+    },
+    pageNumbers: {
+        type: 'boolean',
+        default: false,
+        description: 'Print "Page X of Y" in the footer'
+    },
+    inlineAssets: {
+        type: 'boolean',
+        default: true,
+        description: 'Inline relative fonts, images and stylesheets'
+    },
+    fontFallback: {
+        type: 'boolean',
+        default: true,
+        description: 'Add fonts for Chinese, Japanese, Arabic, Hebrew and emoji text, and set right-to-left paragraphs'
+    },
+    offline: {
+        type: 'boolean',
+        default: false,
+        description: 'Block all network requests of string and file inputs'
+    },
+    codeTheme: {
+        type: 'string',
+        enum: Object.keys(CODE_THEMES),
+        nullable: true,
+        default: null,
+        description: 'Syntax colours for code blocks (default: those of the document or chat theme)'
+    },
+    codeLineNumbers: {
+        type: 'boolean',
+        default: false,
+        description: 'Number the lines of code blocks'
+    },
+    codeLabels: {
+        type: 'boolean',
+        default: false,
+        description: 'Show the language above each code block'
+    },
+    codeLongLines: {
+        type: 'string',
+        enum: LONG_LINES,
+        default: 'wrap',
+        description: 'Long code lines: wrap them, or shrink the block until its longest line fits'
+    },
+    codeSplit: {
+        type: 'boolean',
+        default: false,
+        description: 'Split code blocks taller than a page into parts marked "continued"'
+    },
+    math: {
+        type: 'string',
+        enum: MATH_MODES,
+        default: 'auto',
+        description: 'Formulas: KaTeX with bundled fonts (MathML where its rendering is missing), MathML only, or as they are'
+    },
+    mathTex: {
+        type: 'boolean',
+        default: false,
+        description: 'Render raw TeX in the text: $...$, $$...$$, \\(...\\) and \\[...\\]'
+    },
+    turns: {
+        type: 'turns',
+        default: null,
+        description: 'Turns to export in this order, numbered from 1: "3-7", "1,4,9-", "7-3"'
+    },
+    role: {
+        type: 'string',
+        enum: ROLES,
+        default: 'all',
+        description: 'Export only prompts (user) or only answers (assistant)'
+    },
+    search: {
+        type: 'search',
+        default: null,
+        description: 'Export only turns containing this text, or matching "/regex/flags"'
+    },
+    collapseCodeLines: {
+        type: 'integer',
+        min: 0,
+        max: 100000,
+        default: 0,
+        description: 'Replace code blocks longer than this many lines with a placeholder (0: off)'
+    },
+    collapseAnswerLength: {
+        type: 'integer',
+        min: 0,
+        max: 10000000,
+        default: 0,
+        description: 'Replace answers longer than this many characters with a summary (0: off)'
+    },
+    redact: {
+        type: 'boolean',
+        default: false,
+        description: 'Redact emails, phone numbers, IPs, API keys and configured patterns'
+    },
+    redactStyle: {
+        type: 'string',
+        enum: REDACTION_STYLES,
+        nullable: true,
+        default: null,
+        description: 'Replacement: mask (•••), label ([REDACTED:email]) or hash ([email:1a2b…]); default from the redaction config'
+    },
+    redactDetectors: {
+        type: 'list',
+        enum: Object.keys(DETECTORS),
+        nullable: true,
+        default: null,
+        description: 'Built-in detectors to use (default: all, or those of the redaction config)'
+    },
+    pdfTitle: {
+        type: 'text',
+        maxLength: 500,
+        default: null,
+        description: 'Title of the PDF (default: the title of the chat or document)'
+    },
+    pdfAuthor: {
+        type: 'text',
+        maxLength: 500,
+        default: null,
+        description: 'Author of the PDF'
+    },
+    pdfSubject: {
+        type: 'text',
+        maxLength: 1000,
+        default: null,
+        description: 'Subject of the PDF'
+    },
+    pdfKeywords: {
+        type: 'list',
+        nullable: true,
+        default: null,
+        description: 'Keywords of the PDF'
+    },
+    watermark: {
+        type: 'text',
+        maxLength: 100,
+        latin: true,
+        default: null,
+        description: 'Text stamped diagonally across every page, e.g. "INTERNAL"'
+    },
+    watermarkImage: {
+        type: 'image',
+        default: null,
+        description: 'PNG or JPEG data URI stamped in the middle of every page'
+    },
+    watermarkOpacity: {
+        type: 'number',
+        min: 0.05,
+        max: 1,
+        default: 0.15,
+        description: 'Opacity of the watermark'
+    },
+    attachSource: {
+        type: 'boolean',
+        default: false,
+        description: 'Embed the HTML export in the PDF, with turns selected and redacted as printed'
+    },
+    attachJSON: {
+        type: 'boolean',
+        default: false,
+        description: 'Embed the parsed DeepSeek conversation as JSON in the PDF'
+    }
+};
+
+export class OptionsError extends Error {
+    /**
+     * @param {Array<{ field: string, code: string, message: string }>} details
+     * @param {string} [code] - INVALID_OPTIONS, or INVALID_JSON for unparseable options
+     */
+    constructor(details, code = 'INVALID_OPTIONS') {
+        super(`Invalid options: ${details.map(detail => detail.message).join('; ')}`);
+        this.name = 'OptionsError';
+        this.status = 400;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeType(value) {
+    return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+}
+
+function checkMargin(field, value, report) {
+    if (!isPlainObject(value)) {
+        return report(field, 'INVALID_TYPE', `${field} must be an object with ${MARGIN_SIDES.join(', ')}`);
+    }
+
+    const margin = { ...OPTIONS_SCHEMA.margin.default };
+    for (const [side, length] of Object.entries(value)) {
+        const sideField = `${field}.${side}`;
+        if (!MARGIN_SIDES.includes(side)) {
+            report(sideField, 'UNKNOWN_OPTION', `${sideField} is not a margin side, expected ${MARGIN_SIDES.join(', ')}`);
+        } else if (typeof length === 'number') {
+            if (!Number.isFinite(length) || length < 0) {
+                report(sideField, 'OUT_OF_RANGE', `${sideField} must not be negative`);
+            } else {
+                margin[side] = `${length}px`;
+            }
+        } else if (typeof length !== 'string') {
+            report(sideField, 'INVALID_TYPE', `${sideField} must be a string or a number, got ${describeType(length)}`);
+        } else if (!LENGTH_RE.test(length.trim())) {
+            report(sideField, 'INVALID_VALUE', `${sideField} must be a length like '20px', '1in', '2cm' or '10mm'`);
+        } else {
+            margin[side] = length.trim();
+        }
+    }
+    return margin;
+}
+
+function checkValue(field, spec, value, report) {
+    if (value === null && spec.nullable) {
+        return null;
+    }
+
+    switch (spec.type) {
+    case 'boolean':
+        if (typeof value !== 'boolean') {
+            return report(field, 'INVALID_TYPE', `${field} must be a boolean, got ${describeType(value)}`);
+        }
+        return value;
+
+    case 'number':
+    case 'integer':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return report(field, 'INVALID_TYPE', `${field} must be a number, got ${describeType(value)}`);
+        }
+        if (spec.type === 'integer' && !Number.isInteger(value)) {
+            return report(field, 'INVALID_TYPE', `${field} must be a whole number`);
+        }
+        if (value < spec.min || value > spec.max) {
+            return report(field, 'OUT_OF_RANGE', `${field} must be between ${spec.min} and ${spec.max}`);
+        }
+        return value;
+
+    case 'string':
+        if (typeof value !== 'string') {
+            return report(field, 'INVALID_TYPE', `${field} must be a string, got ${describeType(value)}`);
+        }
+        if (!spec.enum.includes(value)) {
+            return report(field, 'INVALID_VALUE', `${field} must be one of ${spec.enum.join(', ')}`);
+        }
+        return value;
+
+    case 'template':
+        if (value === null || value === '') {
+            return null;
+        }
+        try {
+            validateTemplate(value, field);
+        } catch (error) {
+            return report(field, typeof value === 'string' ? 'INVALID_VALUE' : 'INVALID_TYPE', error.message);
+        }
+        return value;
+
+    case 'margin':
+        return checkMargin(field, value, report);
+
+    case 'text':
+        if (value === null || value === '') {
+            return null;
+        }
+        if (typeof value !== 'string') {
+            return report(field, 'INVALID_TYPE', `${field} must be a string, got ${describeType(value)}`);
+        }
+        if (value.length > spec.maxLength) {
+            return report(field, 'OUT_OF_RANGE', `${field} must be at most ${spec.maxLength} characters`);
+        }
+        if (spec.latin && !LATIN_RE.test(value)) {
+            return report(field, 'INVALID_VALUE', `${field} must use Latin characters only; use an image for other scripts`);
+        }
+        return value;
+
+    case 'image':
+        if (value === null || value === '') {
+            return null;
+        }
+        if (typeof value !== 'string') {
+            return report(field, 'INVALID_TYPE', `${field} must be a string, got ${describeType(value)}`);
+        }
+        if (!IMAGE_RE.test(value)) {
+            return report(field, 'INVALID_VALUE', `${field} must be a PNG or JPEG data URI (data:image/png;base64,...)`);
+        }
+        return value;
+
+    case 'list': {
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+            return report(field, 'INVALID_TYPE', `${field} must be an array of strings`);
+        }
+        const unknown = spec.enum ? value.filter(item => !spec.enum.includes(item)) : [];
+        if (unknown.length > 0) {
+            return report(field, 'INVALID_VALUE', `${field} has unknown values ${unknown.join(', ')}. Available: ${spec.enum.join(', ')}`);
+        }
+        return [...new Set(value)];
+    }
+
+    case 'turns':
+    case 'search':
+        if (value === null || value === '') {
+            return null;
+        }
+        if (typeof value !== 'string') {
+            return report(field, 'INVALID_TYPE', `${field} must be a string, got ${describeType(value)}`);
+        }
+        try {
+            (spec.type === 'turns' ? parseTurnSpec : parseSearch)(value);
+        } catch (error) {
+            return report(field, 'INVALID_VALUE', error.message);
+        }
+        return value;
+    }
+}
+
+/**
+ * Validate conversion options and fill in defaults. All problems are
+ * collected, so clients can fix a request in one go.
+ *
+ * @param {object} [options] - Options as sent by a client or built by the CLI
+ * @returns {object} Complete options
+ * @throws {OptionsError} With one entry per invalid field in `details`
+ */
+export function validateOptions(options = {}) {
+    if (!isPlainObject(options)) {
+        throw new OptionsError([{
+            field: 'options',
+            code: 'INVALID_TYPE',
+            message: `options must be an object, got ${describeType(options)}`
+        }]);
+    }
+
+    const details = [];
+    const report = (field, code, message) => {
+        details.push({ field, code, message });
+    };
+
+    for (const field of Object.keys(options)) {
+        if (!OPTIONS_SCHEMA[field]) {
+            report(field, 'UNKNOWN_OPTION', `Unknown option '${field}'`);
+        }
+    }
+
+    const validated = {};
+    for (const [field, spec] of Object.entries(OPTIONS_SCHEMA)) {
+        const value = options[field];
+        validated[field] = value === undefined
+            ? structuredClone(spec.default)
+            : checkValue(field, spec, value, report);
+    }
+
+    if (details.length > 0) {
+        throw new OptionsError(details);
+    }
+    return validated;
+}
+
+/**
+ * Parse options that arrive as a JSON string (multipart forms) or an object.
+ *
+ * @param {string|object} value - Options of the request
+ * @param {object} [base] - Options they override, e.g. those of a profile
+ */
+export function parseOptions(value, base = {}) {
+    let options = value;
+    if (value === undefined || value === null || value === '') {
+        options = {};
+    } else if (typeof value === 'string') {
+        try {
+            options = JSON.parse(value);
+        } catch (error) {
+            throw new OptionsError([{ field: 'options', code: 'INVALID_JSON', message: `options is not valid JSON (${error.message})` }],
+                'INVALID_JSON');
+        }
+    }
+    return validateOptions(isPlainObject(options) ? { ...base, ...options } : options);
+}
+
+export const DEFAULT_OPTIONS = validateOptions({});
+
+/**
+ * Describe every option for GET /api/options.
+ */
+export function describeOptions() {
+    const schema = {};
+    for (const [field, spec] of Object.entries(OPTIONS_SCHEMA)) {
+        schema[field] = {
+            type: spec.type,
+            default: spec.default,
+            ...(spec.enum ? { enum: spec.enum } : {}),
+            ...(spec.min !== undefined ? { min: spec.min, max: spec.max } : {}),
+            ...(spec.maxLength !== undefined ? { maxLength: spec.maxLength } : {}),
+            description: spec.description
+        };
+    }
+
+    return {
+        outputs: Object.keys(OUTPUT_FORMATS),
+        formats: FORMATS,
+        orientations: ORIENTATIONS,
+        templates: TEMPLATES,
+        themes: Object.keys(THEMES),
+        defaultOptions: DEFAULT_OPTIONS,
+        schema
+    };
+}
@@ -0,0 +1,192 @@
+/**
+ * PDF Metadata
+ * Post-processing of rendered PDFs: document metadata, watermarks and embedded
+ * source files.
+ *
+ * Chromium writes neither a meaningful title nor the date of the chat, so the
+ * info dictionary and an XMP packet are filled in from the export. For
+ * archiving, the HTML export and the parsed conversation can travel inside the
+ * PDF as attachments, which keeps a printout traceable to its source.
+ */
+
+import { PDFDocument, PDFName, StandardFonts, AFRelationship, degrees, rgb } from 'pdf-lib';
+import { isDeepSeekExport, parseDeepSeekExport } from './deepseek_parser.js';
+
+const CREATOR = 'html-to-pdf-api';
+
+// Watermark text spans this share of the page diagonal
+const WATERMARK_SPAN = 0.6;
+const WATERMARK_MAX_SIZE = 120;
+// Watermark images are scaled to this share of the page width
+const WATERMARK_IMAGE_WIDTH = 0.5;
+
+function escapeXML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * XMP packet with the same metadata as the info dictionary; archival readers
+ * take their metadata from XMP.
+ */
+function xmpPacket({ title, author, subject, keywords, created, modified, producer }) {
+    const alt = value => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXML(value)}</rdf:li></rdf:Alt>`;
+    const fields = [
+        title && `<dc:title>${alt(title)}</dc:title>`,
+        author && `<dc:creator><rdf:Seq><rdf:li>${escapeXML(author)}</rdf:li></rdf:Seq></dc:creator>`,
+        subject && `<dc:description>${alt(subject)}</dc:description>`,
+        keywords.length > 0 && `<dc:subject><rdf:Bag>${keywords.map(k => `<rdf:li>${escapeXML(k)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`,
+        keywords.length > 0 && `<pdf:Keywords>${escapeXML(keywords.join(', '))}</pdf:Keywords>`,
+        producer && `<pdf:Producer>${escapeXML(producer)}</pdf:Producer>`,
+        `<xmp:CreatorTool>${CREATOR}</xmp:CreatorTool>`,
+        `<xmp:CreateDate>${created.toISOString()}</xmp:CreateDate>`,
+        `<xmp:ModifyDate>${modified.toISOString()}</xmp:ModifyDate>`,
+        '<dc:format>application/pdf</dc:format>'
+    ].filter(Boolean);
+
+    return '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+        '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" ' +
+        'xmlns:pdf="http://ns.adobe.com/pdf/1.3/" xmlns:xmp="http://ns.adobe.com/xap/1.0/">' +
+        fields.join('') +
+        '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+}
+
+function setMetadata(pdfDoc, options, info) {
+    const exportedAt = info.exportedAt ? new Date(info.exportedAt) : null;
+    const meta = {
+        title: options.pdfTitle || info.title || null,
+        author: options.pdfAuthor,
+        subject: options.pdfSubject,
+        keywords: options.pdfKeywords || [],
+        // The date of the chat, not of the printout
+        created: exportedAt && !isNaN(exportedAt) ? exportedAt : new Date(),
+        modified: new Date(),
+        producer: pdfDoc.getProducer()
+    };
+
+    if (meta.title) {
+        pdfDoc.setTitle(meta.title, { showInWindowTitleBar: true });
+    }
+    if (meta.author) {
+        pdfDoc.setAuthor(meta.author);
+    }
+    if (meta.subject) {
+        pdfDoc.setSubject(meta.subject);
+    }
+    if (meta.keywords.length > 0) {
+        pdfDoc.setKeywords(meta.keywords);
+    }
+    pdfDoc.setCreator(CREATOR);
+    pdfDoc.setCreationDate(meta.created);
+    pdfDoc.setModificationDate(meta.modified);
+
+    const xmp = pdfDoc.context.stream(Buffer.from(xmpPacket(meta), 'utf-8'), { Type: 'Metadata', Subtype: 'XML' });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(xmp));
+}
+
+async function stampWatermark(pdfDoc, options) {
+    const opacity = options.watermarkOpacity ?? 0.15;
+
+    if (options.watermark) {
+        const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+        for (const page of pdfDoc.getPages()) {
+            const { width, height } = page.getSize();
+            const angle = Math.atan2(height, width);
+            const size = Math.min(WATERMARK_MAX_SIZE,
+                Math.hypot(width, height) * WATERMARK_SPAN / font.widthOfTextAtSize(options.watermark, 1));
+            const textWidth = font.widthOfTextAtSize(options.watermark, size);
+            const textHeight = font.heightAtSize(size, { descender: false });
+            // Start so the middle of the text lands in the middle of the page
+            page.drawText(options.watermark, {
+                x: width / 2 - (textWidth * Math.cos(angle) - textHeight * Math.sin(angle)) / 2,
+                y: height / 2 - (textWidth * Math.sin(angle) + textHeight * Math.cos(angle)) / 2,
+                size,
+                font,
+                color: rgb(0.5, 0.5, 0.5),
+                opacity,
+                rotate: degrees(angle * 180 / Math.PI)
+            });
+        }
+    }
+
+    if (options.watermarkImage) {
+        const [, type, data] = options.watermarkImage.match(/^data:image\/(png|jpeg);base64,(.*)$/s);
+        const bytes = Buffer.from(data, 'base64');
+        const image = type === 'png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+        for (const page of pdfDoc.getPages()) {
+            const { width, height } = page.getSize();
+            const scaled = image.scale(width * WATERMARK_IMAGE_WIDTH / image.width);
+            page.drawImage(image, {
+                x: (width - scaled.width) / 2,
+                y: (height - scaled.height) / 2,
+                width: scaled.width,
+                height: scaled.height,
+                opacity
+            });
+        }
+    }
+}
+
+// Unique attachment names: chat.html, chat-2.html, ...
+function uniqueName(name, used) {
+    const dot = name.lastIndexOf('.');
+    const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    let unique = name;
+    for (let i = 2; used.has(unique); i++) {
+        unique = `${base}-${i}${extension}`;
+    }
+    used.add(unique);
+    return unique;
+}
+
+async function attachSources(pdfDoc, options, sources) {
+    const used = new Set();
+    for (const { html, fileName } of sources) {
+        const name = (fileName || 'source.html').replace(/\.[^.]*$/, '');
+        const modificationDate = new Date();
+
+        if (options.attachSource) {
+            await pdfDoc.attach(Buffer.from(html, 'utf-8'), uniqueName(`${name}.html`, used), {
+                mimeType: 'text/html',
+                description: 'HTML export the PDF was printed from',
+                modificationDate,
+                afRelationship: AFRelationship.Source
+            });
+        }
+        if (options.attachJSON && isDeepSeekExport(html)) {
+            const conversation = parseDeepSeekExport(html, { fileName });
+            await pdfDoc.attach(Buffer.from(JSON.stringify(conversation, null, 2), 'utf-8'), uniqueName(`${name}.json`, used), {
+                mimeType: 'application/json',
+                description: 'Conversation parsed from the HTML export',
+                modificationDate,
+                afRelationship: AFRelationship.Data
+            });
+        }
+    }
+}
+
+/**
+ * Finish a rendered PDF: set its metadata, stamp the watermark on every page
+ * and embed the sources. Runs after Chromium and the outline step.
+ *
+ * @param {Buffer} pdfBuffer - Rendered PDF
+ * @param {object} options - Conversion options (pdfTitle, pdfAuthor, pdfSubject,
+ *   pdfKeywords, watermark, watermarkImage, watermarkOpacity, attachSource, attachJSON)
+ * @param {object} [context]
+ * @param {object} [context.info] - Document info from html_pipeline.js; its title
+ *   and export time are the default title and creation date
+ * @param {Array<{ html: string, fileName?: string }>} [context.sources] - Documents
+ *   the PDF was printed from, for attachSource and attachJSON
+ * @returns {Promise<Buffer>}
+ */
+export async function finishPDF(pdfBuffer, options = {}, { info = {}, sources = [] } = {}) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+
+    setMetadata(pdfDoc, options, info);
+    await stampWatermark(pdfDoc, options);
+    if (options.attachSource || options.attachJSON) {
+        await attachSources(pdfDoc, options, sources);
+    }
+
+    return Buffer.from(await pdfDoc.save());
+}
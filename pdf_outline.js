@@ -0,0 +1,356 @@
+/**
+ * PDF Outline
+ * Adds bookmarks and an optional table of contents to PDFs rendered by Chromium.
+ *
+ * Chromium writes a named destination for every element that an internal link
+ * points to. The document is annotated with ids and links before rendering; the
+ * destinations then tell us on which page every prompt and heading landed.
+ */
+
+import * as cheerio from 'cheerio';
+import { PDFDocument, PDFName, PDFHexString, PDFDict, PDFArray } from 'pdf-lib';
+import { SELECTORS } from './deepseek_parser.js';
+
+const ANCHOR_PREFIX = 'pdf-outline-';
+const TITLE_LENGTH = 80;
+
+const TOC_CSS = `
+    .pdf-toc {
+        break-after: page;
+        page-break-after: always;
+    }
+    .pdf-toc-title {
+        margin: 0 0 16px;
+    }
+    .pdf-toc-list {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+    }
+    .pdf-toc-entry a {
+        display: flex;
+        align-items: baseline;
+        color: inherit;
+        text-decoration: none;
+        margin: 3px 0;
+    }
+    .pdf-toc-text {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+    .pdf-toc-leader {
+        flex: 1;
+        border-bottom: 1px dotted currentColor;
+        margin: 0 6px;
+        opacity: 0.4;
+    }
+    .pdf-toc-page {
+        font-variant-numeric: tabular-nums;
+        min-width: 2.5em;
+        text-align: right;
+    }
+    .pdf-toc-level-1 { font-weight: 600; }
+    .pdf-toc-level-2 { padding-left: 1.2em; }
+    .pdf-toc-level-3 { padding-left: 2.4em; }
+    .pdf-toc-level-4 { padding-left: 3.6em; font-size: 0.92em; }
+    .pdf-outline-links {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        opacity: 0;
+    }
+`;
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function shorten(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    return clean.length > TITLE_LENGTH ? `${clean.slice(0, TITLE_LENGTH - 1)}…` : clean;
+}
+
+/**
+ * Pick the outline sources of a document: chat titles and prompts of merged
+ * chats, prompts of the chat template, prompts of a raw DeepSeek export, or
+ * plain h1–h3 headings for any other HTML.
+ */
+function outlineSelectors($) {
+    if ($('.merged-chat').length > 0) {
+        return { chat: '.merged-chat .chat-title', prompt: '.turn-user', answer: '.turn-assistant .turn-body' };
+    }
+    if ($('.turn-user').length > 0) {
+        return { prompt: '.turn-user', answer: '.turn-assistant .turn-body' };
+    }
+    if ($(SELECTORS.prompt).length > 0) {
+        return { prompt: SELECTORS.prompt, answer: SELECTORS.answer };
+    }
+    return null;
+}
+
+function collectEntries($) {
+    const selectors = outlineSelectors($);
+    const headingSelector = selectors
+        ? ['h1', 'h2', 'h3'].map(tag => `${selectors.answer} ${tag}`).join(', ')
+        : 'body h1, body h2, body h3';
+    const selector = selectors
+        ? [selectors.chat, selectors.prompt, headingSelector].filter(Boolean).join(', ')
+        : headingSelector;
+    // Merged chats nest everything one level below their chat title
+    const offset = selectors && selectors.chat ? 1 : 0;
+
+    const entries = [];
+    $(selector).each((i, el) => {
+        const $el = $(el);
+        const isChat = offset > 0 && $el.is(selectors.chat);
+        const isPrompt = selectors && $el.is(selectors.prompt);
+        const text = isPrompt
+            ? ($el.find('.turn-body').text() || $el.text())
+            : $el.text();
+        if (!text.trim()) {
+            return;
+        }
+
+        const headingLevel = isPrompt ? 0 : Number(el.tagName.slice(1));
+        const id = $el.attr('id') || `${ANCHOR_PREFIX}${entries.length}`;
+        $el.attr('id', id);
+
+        entries.push({
+            id,
+            title: shorten(text),
+            level: isChat ? 1 : selectors ? headingLevel + 1 + offset : headingLevel,
+            page: null
+        });
+    });
+
+    return entries;
+}
+
+function renderToc(entries, title) {
+    const items = entries.map(entry => `
+            <li class="pdf-toc-entry pdf-toc-level-${Math.min(entry.level, 4)}">
+                <a href="#${escapeHTML(entry.id)}"><span class="pdf-toc-text">${escapeHTML(entry.title)}</span><span class="pdf-toc-leader"></span><span class="pdf-toc-page">${entry.page || '000'}</span></a>
+            </li>`).join('');
+
+    return `
+        <nav class="pdf-toc">
+            <h1 class="pdf-toc-title">${title}</h1>
+            <ol class="pdf-toc-list">${items}
+            </ol>
+        </nav>`;
+}
+
+/**
+ * Annotate a document for outline extraction. Returns the HTML to render and
+ * the outline entries; call again with page numbers to fill in the TOC.
+ * The TOC of merged chats is an index of the chat titles only.
+ */
+export function annotateOutline(html, { toc = false, pages = null } = {}) {
+    const $ = cheerio.load(html);
+    const entries = collectEntries($);
+    const merged = $('.merged-chat').length > 0;
+    const listed = toc ? (merged ? entries.filter(entry => entry.level === 1) : entries) : [];
+
+    if (pages) {
+        for (const entry of entries) {
+            entry.page = pages.get(entry.id) || null;
+        }
+    }
+
+    $('head').append(`<style>${TOC_CSS}</style>`);
+
+    if (toc) {
+        const nav = renderToc(listed, merged ? 'Chats' : 'Contents');
+        const cover = $('.chat-cover').first();
+        if (cover.length > 0) {
+            cover.after(nav);
+        } else {
+            $('body').prepend(nav);
+        }
+    }
+
+    // Chromium only emits destinations that are linked to from the document
+    const unlisted = entries.filter(entry => !listed.includes(entry));
+    if (unlisted.length > 0) {
+        const links = unlisted.map(entry => `<a href="#${escapeHTML(entry.id)}"></a>`).join('');
+        $('body').append(`<div class="pdf-outline-links" aria-hidden="true">${links}</div>`);
+    }
+
+    return { html: $.html(), entries };
+}
+
+/**
+ * Read named destinations from a PDF, from either the catalog /Dests
+ * dictionary or the /Names name tree.
+ */
+function readDestinations(pdfDoc) {
+    const { catalog, context } = pdfDoc;
+    const destinations = new Map();
+
+    const addDestination = (name, value) => {
+        let dest = context.lookup(value);
+        if (dest instanceof PDFDict) {
+            dest = dest.lookup(PDFName.of('D'));
+        }
+        if (dest instanceof PDFArray) {
+            destinations.set(name, dest);
+        }
+    };
+
+    const dests = catalog.lookup(PDFName.of('Dests'));
+    if (dests instanceof PDFDict) {
+        for (const [key, value] of dests.entries()) {
+            addDestination(key.decodeText(), value);
+        }
+    }
+
+    const walkNameTree = (node) => {
+        if (!(node instanceof PDFDict)) {
+            return;
+        }
+        const names = node.lookup(PDFName.of('Names'));
+        if (names instanceof PDFArray) {
+            for (let i = 0; i + 1 < names.size(); i += 2) {
+                addDestination(names.lookup(i).decodeText(), names.get(i + 1));
+            }
+        }
+        const kids = node.lookup(PDFName.of('Kids'));
+        if (kids instanceof PDFArray) {
+            for (let i = 0; i < kids.size(); i++) {
+                walkNameTree(kids.lookup(i));
+            }
+        }
+    };
+    const nameDict = catalog.lookup(PDFName.of('Names'));
+    if (nameDict instanceof PDFDict) {
+        walkNameTree(nameDict.lookup(PDFName.of('Dests')));
+    }
+
+    return destinations;
+}
+
+/**
+ * Map outline entry ids to 1-based page numbers.
+ */
+export async function resolvePages(pdfBuffer) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    const pageRefs = pdfDoc.getPages().map(page => page.ref);
+    const pages = new Map();
+
+    for (const [name, dest] of readDestinations(pdfDoc)) {
+        const index = pageRefs.indexOf(dest.get(0));
+        if (index !== -1) {
+            pages.set(name, index + 1);
+        }
+    }
+    return pages;
+}
+
+/**
+ * Attach an outline to the PDF, nesting entries by level. Entries whose
+ * destination Chromium didn't emit (e.g. hidden elements) are skipped.
+ */
+export async function addOutline(pdfBuffer, entries) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    const { context } = pdfDoc;
+    const destinations = readDestinations(pdfDoc);
+
+    const root = { level: 0, children: [] };
+    const stack = [root];
+    for (const entry of entries) {
+        const dest = destinations.get(entry.id);
+        if (!dest) {
+            continue;
+        }
+        while (stack.length > 1 && stack[stack.length - 1].level >= entry.level) {
+            stack.pop();
+        }
+        const node = { level: entry.level, title: entry.title, dest, children: [] };
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+    }
+
+    if (root.children.length === 0) {
+        return pdfBuffer;
+    }
+
+    const countDescendants = (node) =>
+        node.children.reduce((sum, child) => sum + 1 + countDescendants(child), 0);
+
+    const writeItems = (nodes, parentRef) => {
+        const refs = nodes.map(() => context.nextRef());
+        nodes.forEach((node, i) => {
+            const item = context.obj({
+                Title: PDFHexString.fromText(node.title),
+                Parent: parentRef,
+                Dest: node.dest
+            });
+            if (i > 0) {
+                item.set(PDFName.of('Prev'), refs[i - 1]);
+            }
+            if (i < nodes.length - 1) {
+                item.set(PDFName.of('Next'), refs[i + 1]);
+            }
+            if (node.children.length > 0) {
+                const childRefs = writeItems(node.children, refs[i]);
+                item.set(PDFName.of('First'), childRefs[0]);
+                item.set(PDFName.of('Last'), childRefs[childRefs.length - 1]);
+                // Negative count: long chats start with their headings collapsed
+                item.set(PDFName.of('Count'), context.obj(-countDescendants(node)));
+            }
+            context.assign(refs[i], item);
+        });
+        return refs;
+    };
+
+    const outlinesRef = context.nextRef();
+    const topRefs = writeItems(root.children, outlinesRef);
+    context.assign(outlinesRef, context.obj({
+        Type: 'Outlines',
+        First: topRefs[0],
+        Last: topRefs[topRefs.length - 1],
+        Count: topRefs.length
+    }));
+
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+
+    return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Render a document with bookmarks and/or a table of contents.
+ *
+ * With a TOC the document is rendered twice: the first pass finds the page of
+ * every entry, the second prints those numbers. The TOC reserves the same space
+ * in both passes, so the numbers stay correct.
+ *
+ * @param {string} html - Prepared HTML document
+ * @param {object} options - { outline, toc }
+ * @param {function} renderPDF - async (html) => Buffer
+ * @returns {Promise<Buffer>}
+ */
+export async function renderWithOutline(html, options, renderPDF) {
+    const { outline = false, toc = false } = options;
+
+    let annotated = annotateOutline(html, { toc });
+    let pdfBuffer = await renderPDF(annotated.html);
+
+    if (toc) {
+        const pages = await resolvePages(pdfBuffer);
+        annotated = annotateOutline(html, { toc, pages });
+        pdfBuffer = await renderPDF(annotated.html);
+    }
+
+    if (outline) {
+        pdfBuffer = await addOutline(pdfBuffer, annotated.entries);
+    }
+
+    return pdfBuffer;
+}
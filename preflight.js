@@ -0,0 +1,397 @@
+/**
+ * Preflight
+ * A layout report for a document before it is converted: the problems that
+ * otherwise only show when the PDF is opened. The document is loaded with
+ * the requested options and checked in the page (elements wider than the
+ * printable area, clipped code blocks, broken images, fonts that fell back),
+ * then printed, and the pages of the PDF are checked for large blank gaps,
+ * e.g. where `page-break-inside: avoid` pushed a block to the next page.
+ *
+ * The report is about the PDF layout; image and document outputs are not
+ * checked.
+ */
+
+import { renderPages } from './image_renderer.js';
+import { pageFurniture } from './header_footer.js';
+
+// Paper sizes in inches, as Chromium prints them
+const PAPER_SIZES = {
+    Letter: [8.5, 11],
+    Legal: [8.5, 14],
+    Tabloid: [11, 17],
+    Ledger: [17, 11],
+    A0: [33.1102, 46.811],
+    A1: [23.3858, 33.1102],
+    A2: [16.5354, 23.3858],
+    A3: [11.6929, 16.5354],
+    A4: [8.2677, 11.6929],
+    A5: [5.8268, 8.2677],
+    A6: [4.1339, 5.8268]
+};
+
+const CSS_PX = { px: 1, in: 96, cm: 96 / 2.54, mm: 96 / 25.4 };
+
+// Width of page thumbnails in pixels; pages are checked for whitespace at the same size
+export const THUMBNAIL_WIDTH = 160;
+
+// A blank gap this share of a page's printable height is reported; the last page may end early
+export const WHITESPACE_THRESHOLD = 0.35;
+
+// Elements, images and fonts listed per category at most
+const MAX_ITEMS = 50;
+
+// Text elements whose fonts are checked at most
+const MAX_FONT_SAMPLES = 400;
+
+// Families that always resolve to some installed font
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'math', 'emoji',
+    'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', '-apple-system', 'blinkmacsystemfont'];
+
+function cssPixels(length) {
+    const match = String(length ?? '0').trim().match(/^(\d+(?:\.\d+)?)(px|in|cm|mm)?$/);
+    return match ? parseFloat(match[1]) * CSS_PX[match[2] || 'px'] : 0;
+}
+
+/**
+ * Page size and printable area in CSS pixels for the options, with the
+ * margins a header or footer template enforces. `layoutWidth` is the
+ * printable width before scaling, the width the document is laid out in.
+ */
+export function printableArea(options) {
+    const [width, height] = PAPER_SIZES[options.format] || PAPER_SIZES.A4;
+    const landscape = options.orientation === 'landscape';
+    const page = {
+        width: (landscape ? height : width) * CSS_PX.in,
+        height: (landscape ? width : height) * CSS_PX.in
+    };
+    const margin = pageFurniture(options).margin || options.margin || {};
+    const area = {
+        top: cssPixels(margin.top),
+        bottom: cssPixels(margin.bottom),
+        left: cssPixels(margin.left),
+        right: cssPixels(margin.right)
+    };
+    const printableWidth = page.width - area.left - area.right;
+    return {
+        page,
+        margin: area,
+        width: printableWidth,
+        height: page.height - area.top - area.bottom,
+        layoutWidth: printableWidth / (options.scale || 1)
+    };
+}
+
+// Runs in the page: overflowing elements, broken images and the font of every text element
+function collectLayout(width, maxItems, maxFontSamples) {
+    const describe = (element) => {
+        const parts = [];
+        for (let node = element; node && node !== document.body && parts.length < 4; node = node.parentElement) {
+            if (node.id) {
+                parts.unshift(`${node.tagName.toLowerCase()}#${node.id}`);
+                break;
+            }
+            let part = node.tagName.toLowerCase() + [...node.classList].slice(0, 2).map(name => `.${name}`).join('');
+            const siblings = node.parentElement ? [...node.parentElement.children].filter(c => c.tagName === node.tagName) : [];
+            if (siblings.length > 1) {
+                part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            }
+            parts.unshift(part);
+        }
+        return parts.join(' > ');
+    };
+    const snippet = element => (element.innerText || element.getAttribute('alt') || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+    const kind = (element) => {
+        if (element.closest('table')) {
+            return 'table';
+        }
+        if (element.closest('pre, code')) {
+            return 'code';
+        }
+        if (['IMG', 'SVG', 'CANVAS', 'VIDEO'].includes(element.tagName.toUpperCase())) {
+            return 'image';
+        }
+        return element.closest('math, .katex-display') ? 'math' : 'element';
+    };
+
+    // Outermost elements only: what is inside an overflowing table overflows with it
+    const overflows = [];
+    const reported = [];
+    for (const element of document.body.querySelectorAll('*')) {
+        if (overflows.length >= maxItems) {
+            break;
+        }
+        if (reported.some(parent => parent.contains(element))) {
+            continue;
+        }
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) {
+            continue;
+        }
+        const style = getComputedStyle(element);
+        const beyond = rect.right + window.scrollX - width;
+        // Scrollbars aren't printed, so content scrolled out of view is cut off
+        const hidden = element.scrollWidth - element.clientWidth;
+        const clipped = hidden > 1 && ['hidden', 'auto', 'scroll', 'clip'].includes(style.overflowX);
+        if (beyond > 1 || clipped) {
+            reported.push(element);
+            overflows.push({
+                kind: kind(element),
+                selector: describe(element),
+                width: Math.round(Math.max(rect.width, element.scrollWidth)),
+                overflow: Math.round(clipped ? Math.max(hidden, beyond) : beyond),
+                clipped,
+                text: snippet(element)
+            });
+        }
+    }
+
+    const brokenImages = [...document.images]
+        .filter(image => image.complete && image.naturalWidth === 0 && image.getAttribute('src'))
+        .slice(0, maxItems)
+        .map(image => ({
+            src: image.getAttribute('src').startsWith('data:') ? `${image.getAttribute('src').slice(0, 40)}…` : image.getAttribute('src'),
+            selector: describe(image),
+            alt: image.getAttribute('alt') || null
+        }));
+
+    // Elements with text of their own are marked for the font lookup, in document order
+    const families = [];
+    for (const element of document.body.querySelectorAll('*')) {
+        if (families.length >= maxFontSamples) {
+            break;
+        }
+        const ownText = [...element.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+        if (ownText && element.getClientRects().length > 0) {
+            element.setAttribute('data-preflight-font', '');
+            families.push(getComputedStyle(element).fontFamily);
+        }
+    }
+
+    const failedFonts = [...document.fonts].filter(face => face.status === 'error')
+        .map(face => face.family.replace(/^["']|["']$/g, ''));
+
+    return { overflows, brokenImages, families, failedFonts: [...new Set(failedFonts)] };
+}
+
+function primaryFamily(fontFamily) {
+    return fontFamily.split(',')[0].trim().replace(/^["']|["']$/g, '');
+}
+
+// Platform fonts are named as in the font file, e.g. "Inter" for "Inter Variable"
+function sameFamily(requested, used) {
+    const a = requested.toLowerCase();
+    const b = used.toLowerCase();
+    return a === b || a.startsWith(b) || b.startsWith(a);
+}
+
+function countInto(map, key, amount = 1) {
+    map.set(key, (map.get(key) || 0) + amount);
+}
+
+/**
+ * Check the layout of a loaded page. The page is switched to print media
+ * and laid out at the printable width of the options, as Chromium prints it.
+ *
+ * @param {object} page - Puppeteer page with the document loaded
+ * @param {object} options - Validated options (format, orientation, margin, scale)
+ * @param {object} [fallbacks] - Font report of prepareDocument(); its fonts draw other
+ *   scripts on purpose and don't count as replacements
+ * @returns {Promise<{ overflows: object[], brokenImages: object[], fonts: object }>}
+ */
+export async function inspectLayout(page, options, fallbacks = null) {
+    const added = fallbacks ? fallbacks.fonts : [];
+    const area = printableArea(options);
+    await page.emulateMediaType('print');
+    await page.setViewport({ width: Math.max(1, Math.floor(area.layoutWidth)), height: Math.round(area.height / (options.scale || 1)) });
+
+    const layout = await page.evaluate(collectLayout, area.layoutWidth, MAX_ITEMS, MAX_FONT_SAMPLES);
+
+    // The fonts Chromium actually drew each marked element with
+    const client = await page.createCDPSession();
+    const requested = new Map();
+    const used = new Map();
+    const replacements = new Map();
+    try {
+        await client.send('DOM.enable');
+        await client.send('CSS.enable');
+        const { root } = await client.send('DOM.getDocument', { depth: 0 });
+        const { nodeIds } = await client.send('DOM.querySelectorAll', { nodeId: root.nodeId, selector: '[data-preflight-font]' });
+
+        for (const [i, nodeId] of nodeIds.entries()) {
+            const family = primaryFamily(layout.families[i] || '');
+            const { fonts } = await client.send('CSS.getPlatformFontsForNode', { nodeId });
+            countInto(requested, family);
+            for (const font of fonts) {
+                countInto(used, font.familyName, font.glyphCount);
+            }
+            const generic = GENERIC_FAMILIES.includes(family.toLowerCase());
+            const drawn = fonts.filter(font => !added.some(name => sameFamily(name, font.familyName)));
+            if (!generic && drawn.length > 0 && !drawn.some(font => sameFamily(family, font.familyName))) {
+                const replaced = replacements.get(family) || { family, elements: 0, usedInstead: new Set() };
+                replaced.elements++;
+                drawn.forEach(font => replaced.usedInstead.add(font.familyName));
+                replacements.set(family, replaced);
+            }
+        }
+    } finally {
+        await client.detach().catch(() => {});
+        await page.evaluate(() => document.querySelectorAll('[data-preflight-font]')
+            .forEach(element => element.removeAttribute('data-preflight-font'))).catch(() => {});
+    }
+
+    const sorted = map => [...map.entries()].sort((a, b) => b[1] - a[1]);
+    return {
+        overflows: layout.overflows,
+        brokenImages: layout.brokenImages,
+        fonts: {
+            requested: sorted(requested).slice(0, MAX_ITEMS).map(([family, elements]) => ({ family, elements })),
+            used: sorted(used).slice(0, MAX_ITEMS).map(([family, glyphs]) => ({ family, glyphs })),
+            missing: [...replacements.values()].slice(0, MAX_ITEMS)
+                .map(replaced => ({ ...replaced, usedInstead: [...replaced.usedInstead] })),
+            failed: layout.failedFonts
+        }
+    };
+}
+
+// Rows of the printable area that are all background, as runs: the longest one and the total
+function blankRows(canvas, area) {
+    const { width, height } = canvas;
+    const scale = width / area.page.width;
+    const top = Math.round(area.margin.top * scale);
+    const bottom = height - Math.round(area.margin.bottom * scale);
+    const left = Math.round(area.margin.left * scale);
+    const right = width - Math.round(area.margin.right * scale);
+    const rows = bottom - top;
+    if (rows <= 0 || right <= left) {
+        return { gap: 0, blank: 0 };
+    }
+    const { data } = canvas.getContext('2d').getImageData(left, top, right - left, rows);
+    const columns = right - left;
+
+    // The background is the most common colour, so dark themes work too
+    const colours = new Map();
+    for (let i = 0; i < data.length; i += 4 * 7) {
+        countInto(colours, ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4));
+    }
+    const background = [...colours.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    const isBackground = i => ((((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4)) === background);
+
+    let gap = 0;
+    let blank = 0;
+    let run = 0;
+    for (let y = 0; y < rows; y++) {
+        let empty = true;
+        for (let x = 0; x < columns && empty; x++) {
+            empty = isBackground((y * columns + x) * 4);
+        }
+        run = empty ? run + 1 : 0;
+        blank += empty ? 1 : 0;
+        gap = Math.max(gap, run);
+    }
+    return { gap: gap / rows, blank: blank / rows };
+}
+
+/**
+ * Check the pages of a printed PDF for large blank gaps, and draw thumbnails.
+ *
+ * @param {Buffer} pdf
+ * @param {object} options - Validated options (format, orientation, margin)
+ * @param {object} [settings]
+ * @param {boolean} [settings.thumbnails] - Also return PNG thumbnails as data URIs
+ * @returns {Promise<{ pages: number, whitespace: object[], thumbnails: object[]|null }>}
+ */
+export async function inspectPages(pdf, options, { thumbnails = false } = {}) {
+    const area = printableArea(options);
+    const pages = [];
+    const images = [];
+    await renderPages(pdf, THUMBNAIL_WIDTH, async (canvas, page) => {
+        pages.push({ page, ...blankRows(canvas, area) });
+        if (thumbnails) {
+            images.push({ page, image: `data:image/png;base64,${(await canvas.encode('png')).toString('base64')}` });
+        }
+    });
+
+    const round = value => Math.round(value * 100) / 100;
+    const whitespace = pages
+        .filter(({ page, gap }) => gap >= WHITESPACE_THRESHOLD && (page < pages.length || gap >= 0.99))
+        .map(({ page, gap, blank }) => ({ page, largestGap: round(gap), blank: round(blank) }));
+    return { pages: pages.length, whitespace, thumbnails: thumbnails ? images : null };
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * The preflight report of a printed document.
+ *
+ * @param {object} inputs
+ * @param {Buffer} inputs.pdf - The PDF as it would be delivered
+ * @param {object} inputs.layout - From inspectLayout()
+ * @param {object|null} inputs.assets - Asset report of prepareDocument(), null when assets weren't inlined
+ * @param {object|null} [inputs.fallbacks] - Font report of prepareDocument(), null with fontFallback off
+ * @param {object} inputs.options - Validated options
+ * @param {boolean} [inputs.thumbnails]
+ * @returns {Promise<object>} { ok, pages, estimatedSize, printableArea, overflows, assets, fonts,
+ *   whitespace, warnings, thumbnails? }
+ */
+export async function preflightReport({ pdf, layout, assets, fallbacks = null, options, thumbnails = false }) {
+    const area = printableArea(options);
+    const pages = await inspectPages(pdf, options, { thumbnails });
+
+    const report = {
+        pages: pages.pages,
+        estimatedSize: pdf.length,
+        printableArea: {
+            width: Math.round(area.width),
+            height: Math.round(area.height),
+            layoutWidth: Math.round(area.layoutWidth),
+            unit: 'px'
+        },
+        overflows: layout.overflows,
+        assets: {
+            unresolved: assets ? assets.unresolved : [],
+            remote: assets ? assets.remote : [],
+            brokenImages: layout.brokenImages
+        },
+        fonts: {
+            ...layout.fonts,
+            fallbacks: fallbacks ? { scripts: fallbacks.scripts, fonts: fallbacks.fonts, missing: fallbacks.missing } : null
+        },
+        whitespace: pages.whitespace
+    };
+
+    const warnings = [];
+    const clipped = layout.overflows.filter(overflow => overflow.clipped).length;
+    if (layout.overflows.length > clipped) {
+        warnings.push(`${plural(layout.overflows.length - clipped, 'element')} wider than the printable area`);
+    }
+    if (clipped > 0) {
+        warnings.push(`${plural(clipped, 'element')} with clipped content, e.g. code blocks that scroll`);
+    }
+    if (report.assets.unresolved.length > 0) {
+        warnings.push(`${plural(report.assets.unresolved.length, 'asset')} could not be resolved`);
+    }
+    if (report.assets.brokenImages.length > 0) {
+        warnings.push(`${plural(report.assets.brokenImages.length, 'image')} failed to load`);
+    }
+    if (layout.fonts.missing.length > 0) {
+        warnings.push(`Fonts not available, replaced by fallbacks: ${layout.fonts.missing.map(font => font.family).join(', ')}`);
+    }
+    if (fallbacks && fallbacks.missing.length > 0) {
+        warnings.push(`No font for ${fallbacks.missing.join(', ')} text`);
+    }
+    if (layout.fonts.failed.length > 0) {
+        warnings.push(`Web fonts failed to load: ${layout.fonts.failed.join(', ')}`);
+    }
+    if (pages.whitespace.length > 0) {
+        warnings.push(`Large blank gaps on ${plural(pages.whitespace.length, 'page')}: ${pages.whitespace.map(entry => entry.page).join(', ')}`);
+    }
+
+    return {
+        ok: warnings.length === 0,
+        ...report,
+        warnings,
+        ...(pages.thumbnails ? { thumbnails: pages.thumbnails } : {})
+    };
+}
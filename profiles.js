@@ -0,0 +1,233 @@
+/**
+ * Conversion Profiles
+ * Named sets of conversion options, so recurring conversions (e.g. everything
+ * the watch command picks up) don't need a long list of flags.
+ *
+ * Besides the built-in profiles, a config file defines profiles of its own,
+ * shared by the CLI (--profile) and the API server (the `profile` field of a
+ * request). It is read from DEEPSEEK_PDF_CONFIG, or else the first
+ * deepseek-pdf.config.json found in the working directory or home directory:
+ *
+ *   {
+ *     "profiles": {
+ *       "work": {
+ *         "extends": "archive",          // built-in or config profile to start from
+ *         "format": "Letter",            // any conversion option, see options_schema.js
+ *         "margin": { "top": "15mm", "bottom": "15mm" },
+ *         "redact": true,
+ *         "redaction": { "style": "hash", "rules": [] },  // as in the redaction config file
+ *         "outputDir": "~/Documents/chats"                 // CLI only; relative to the config file
+ *       }
+ *     }
+ *   }
+ *
+ * A config profile named like a built-in one replaces it; "default" applies to
+ * every conversion without a profile.
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { validateOptions, OptionsError } from './options_schema.js';
+import { checkRedactionConfig } from './redactor.js';
+
+export const CONFIG_FILE = 'deepseek-pdf.config.json';
+
+/**
+ * Where the options of a conversion come from, highest precedence first.
+ */
+export const PRECEDENCE = [
+    'options given explicitly (CLI flags, the options of an API request)',
+    'the profile (--profile or the profile field, else "default")',
+    'the profiles it extends, in turn',
+    'the built-in defaults of options_schema.js'
+];
+
+export const PROFILES = {
+    default: {},
+    // Long-term storage: clean layout, bookmarks, contents and dated headers
+    archive: { template: 'chat', outline: true, toc: true, headerTemplate: 'title-date', pageNumbers: true },
+    // Sending to others: secrets and personal data redacted
+    share: { template: 'chat', redact: true, pageNumbers: true },
+    // Black and white printers
+    print: { template: 'chat', theme: 'compact', codeTheme: 'print', printBackground: false, pageNumbers: true },
+    markdown: { output: 'md' }
+};
+
+// Profile fields that are not conversion options
+const PROFILE_FIELDS = ['extends', 'redaction', 'outputDir'];
+
+const NO_CONFIG = { file: null, profiles: {} };
+
+export class ProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProfileError';
+        this.status = 400;
+        this.code = 'UNKNOWN_PROFILE';
+    }
+}
+
+export class ConfigError extends Error {
+    constructor(file, message) {
+        super(`Invalid config file '${file}': ${message}`);
+        this.name = 'ConfigError';
+        this.code = 'INVALID_CONFIG';
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Path of the config file: DEEPSEEK_PDF_CONFIG, or deepseek-pdf.config.json in
+ * the working directory or the home directory. Null when there is none.
+ */
+export function findConfigFile({ cwd = process.cwd(), env = process.env } = {}) {
+    if (env.DEEPSEEK_PDF_CONFIG) {
+        return path.resolve(cwd, env.DEEPSEEK_PDF_CONFIG);
+    }
+    for (const dir of [cwd, os.homedir()]) {
+        const file = path.join(dir, CONFIG_FILE);
+        if (fs.existsSync(file)) {
+            return file;
+        }
+    }
+    return null;
+}
+
+function expandHome(dir) {
+    return dir === '~' || dir.startsWith('~/') ? path.join(os.homedir(), dir.slice(1)) : dir;
+}
+
+// Check one profile and return it with its options validated and its output directory resolved
+function checkProfile(file, name, profile) {
+    if (!isPlainObject(profile)) {
+        throw new ConfigError(file, `profile '${name}' must be an object`);
+    }
+    const { extends: base, redaction, outputDir, ...options } = profile;
+
+    if (base !== undefined && (typeof base !== 'string' || !base)) {
+        throw new ConfigError(file, `profile '${name}': extends must be a profile name`);
+    }
+    if (outputDir !== undefined && (typeof outputDir !== 'string' || !outputDir)) {
+        throw new ConfigError(file, `profile '${name}': outputDir must be a directory path`);
+    }
+    try {
+        validateOptions(options);
+        if (redaction !== undefined) {
+            checkRedactionConfig(redaction);
+        }
+    } catch (error) {
+        const messages = error instanceof OptionsError ? error.details.map(detail => detail.message) : [error.message];
+        throw new ConfigError(file, `profile '${name}': ${messages.join('; ')}`);
+    }
+
+    return {
+        ...profile,
+        ...(outputDir ? { outputDir: path.resolve(path.dirname(file), expandHome(outputDir)) } : {})
+    };
+}
+
+/**
+ * Read the config file. Without one, only the built-in profiles are available.
+ *
+ * @param {string|null} [file] - Config file (default: findConfigFile())
+ * @returns {{ file: string|null, profiles: object }}
+ * @throws {ConfigError} When the file can't be read, or a profile is invalid
+ *   or extends an unknown profile
+ */
+export function loadConfig(file = findConfigFile()) {
+    if (!file) {
+        return NO_CONFIG;
+    }
+
+    let content;
+    try {
+        content = fs.readJsonSync(file);
+    } catch (error) {
+        throw new ConfigError(file, error.code === 'ENOENT' ? 'file not found' : error.message);
+    }
+    if (!isPlainObject(content) || (content.profiles !== undefined && !isPlainObject(content.profiles))) {
+        throw new ConfigError(file, 'expected an object with the profiles by name, as in { "profiles": { … } }');
+    }
+
+    const profiles = {};
+    for (const [name, profile] of Object.entries(content.profiles || {})) {
+        profiles[name] = checkProfile(file, name, profile);
+    }
+
+    const config = { file, profiles };
+    for (const name of Object.keys(profiles)) {
+        try {
+            resolveProfile(name, config);
+        } catch (error) {
+            throw new ConfigError(file, error.message);
+        }
+    }
+    return config;
+}
+
+/**
+ * Names of all profiles, built-in ones first.
+ */
+export function profileNames(config = NO_CONFIG) {
+    return [...new Set([...Object.keys(PROFILES), ...Object.keys(config.profiles)])];
+}
+
+/**
+ * Resolve a profile and the profiles it extends. Conversion options are
+ * returned unvalidated, to be validated together with the explicit options.
+ *
+ * @param {string} [name] - Profile name (default: "default")
+ * @param {object} [config] - As returned by loadConfig()
+ * @returns {{ name: string, options: object, sources: object, redaction: object|null,
+ *   outputDir: string|null, chain: string[] }} Options of the profile, the profile
+ *   that set each of them, its redaction config and output directory, and the
+ *   profiles it was resolved from, the requested one first
+ * @throws {ProfileError} When there is no such profile, or its profiles extend each other
+ */
+export function resolveProfile(name = 'default', config = NO_CONFIG) {
+    if (typeof name !== 'string') {
+        throw new ProfileError('profile must be a profile name');
+    }
+
+    // Profiles from the requested one down to a built-in one or one without a base
+    const chain = [];
+    let next = { name, builtIn: false };
+    while (next) {
+        const { name: current, builtIn } = next;
+        const label = builtIn || !Object.hasOwn(config.profiles, current) ? `${current} (built-in)` : current;
+        if (chain.some(entry => entry.label === label)) {
+            throw new ProfileError(`Profile '${name}' extends itself through '${current}'`);
+        }
+
+        if (!builtIn && Object.hasOwn(config.profiles, current)) {
+            const profile = config.profiles[current];
+            chain.push({ label, profile });
+            // A config profile extending its own name starts from the built-in one
+            next = profile.extends ? { name: profile.extends, builtIn: profile.extends === current } : null;
+        } else if (Object.hasOwn(PROFILES, current)) {
+            chain.push({ label, profile: PROFILES[current] });
+            next = null;
+        } else {
+            throw new ProfileError(`Unknown profile '${current}'. Available profiles: ${profileNames(config).join(', ')}`);
+        }
+    }
+
+    const resolved = { name, options: {}, sources: {}, redaction: null, outputDir: null, chain: chain.map(entry => entry.label) };
+    for (const { label, profile } of [...chain].reverse()) {
+        for (const [field, value] of Object.entries(profile)) {
+            if (!PROFILE_FIELDS.includes(field)) {
+                resolved.options[field] = structuredClone(value);
+                resolved.sources[field] = label;
+            }
+        }
+        if (profile.redaction) {
+            resolved.redaction = { ...resolved.redaction, ...profile.redaction };
+        }
+        resolved.outputDir = profile.outputDir || resolved.outputDir;
+    }
+    return resolved;
+}
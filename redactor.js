@@ -0,0 +1,350 @@
+/**
+ * Redactor
+ * Removes secrets and personal data from a document before it is rendered.
+ *
+ * Matching runs on the text of each block (paragraph, list item, code block),
+ * so a key split over several Prism token spans is still found; replacements
+ * are then written back into the original text nodes, leaving markup intact.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import fs from 'fs-extra';
+import * as cheerio from 'cheerio';
+
+export const STYLES = ['mask', 'label', 'hash'];
+
+// Built-in detectors, in priority order: when matches overlap the earlier one wins
+export const DETECTORS = {
+    'private-key': {
+        pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+        description: 'PEM private key blocks'
+    },
+    'aws-access-key': {
+        pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+        description: 'AWS access key ids'
+    },
+    'github-token': {
+        pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+        description: 'GitHub personal access and app tokens'
+    },
+    'api-key': {
+        pattern: /\bsk-(?:[a-z]+-)?[A-Za-z0-9_-]{20,}/g,
+        description: 'sk- secret keys (DeepSeek, OpenAI, Anthropic and others)'
+    },
+    'stripe-key': {
+        pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+        description: 'Stripe secret and restricted keys'
+    },
+    'slack-token': {
+        pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+        description: 'Slack tokens'
+    },
+    'google-api-key': {
+        pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+        description: 'Google API keys'
+    },
+    'jwt': {
+        pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g,
+        description: 'JSON Web Tokens'
+    },
+    'bearer-token': {
+        pattern: /\bBearer\s+[A-Za-z0-9._~+/-]{20,}=*/g,
+        description: 'Bearer tokens in Authorization headers'
+    },
+    'email': {
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+        description: 'Email addresses'
+    },
+    'ipv4': {
+        pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b/g,
+        description: 'IPv4 addresses'
+    },
+    'ipv6': {
+        pattern: /(?<![\w:.])(?:[0-9A-Fa-f]{0,4}:){2,7}[0-9A-Fa-f]{0,4}(?![\w:])/g,
+        // At least three groups, so C++ scopes like a::b are left alone
+        validate: match => net.isIPv6(match) && match.split(':').filter(Boolean).length >= 3,
+        description: 'IPv6 addresses'
+    },
+    'phone': {
+        pattern: /(?<![\w.+])(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}|\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4})(?!\w|\.\d)/g,
+        validate: (match) => {
+            const digits = match.replace(/\D/g, '').length;
+            return digits >= 7 && digits <= 15;
+        },
+        description: 'Phone numbers in international (+49 …) or North American format'
+    }
+};
+
+// Elements whose text runs on with the surrounding text
+const INLINE_ELEMENTS = new Set([
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font', 'i', 'ins',
+    'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var'
+]);
+
+// Attributes that are printed or kept as PDF links
+const TEXT_ATTRIBUTES = ['href', 'title', 'alt'];
+
+export class RedactionConfigError extends Error {
+    constructor(message) {
+        super(`Invalid redaction config: ${message}`);
+        this.name = 'RedactionConfigError';
+    }
+}
+
+function compileRule(rule, index) {
+    if (!rule || typeof rule.name !== 'string' || !rule.name) {
+        throw new RedactionConfigError(`rules[${index}] needs a name`);
+    }
+    if (DETECTORS[rule.name]) {
+        throw new RedactionConfigError(`rules[${index}] uses the name of the built-in detector '${rule.name}'`);
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+        throw new RedactionConfigError(`rule '${rule.name}' needs a pattern`);
+    }
+    try {
+        const flags = new Set(`${rule.flags || ''}g`);
+        return { name: rule.name, pattern: new RegExp(rule.pattern, [...flags].join('')) };
+    } catch (error) {
+        throw new RedactionConfigError(`rule '${rule.name}' has an invalid pattern: ${error.message}`);
+    }
+}
+
+/**
+ * Read a redaction config file:
+ *
+ *   {
+ *     "always": false,            // redact every conversion, whatever its options
+ *     "style": "label",           // mask, label or hash
+ *     "detectors": ["email"],     // built-in detectors to use (default: all)
+ *     "hashSalt": "…",            // keeps hash pseudonyms from being guessed
+ *     "rules": [{ "name": "internal-host", "pattern": "\\b\\w+\\.corp\\.example\\.com\\b", "flags": "i" }]
+ *   }
+ */
+export function loadRedactionConfig(file) {
+    let config;
+    try {
+        config = fs.readJsonSync(file);
+    } catch (error) {
+        throw new RedactionConfigError(`cannot read '${file}': ${error.message}`);
+    }
+    return checkRedactionConfig(config);
+}
+
+/**
+ * Check a redaction config given as an object, e.g. by a profile of the
+ * config file (see profiles.js).
+ *
+ * @throws {RedactionConfigError}
+ */
+export function checkRedactionConfig(config) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new RedactionConfigError('the config must be an object');
+    }
+    if (config.style !== undefined && !STYLES.includes(config.style)) {
+        throw new RedactionConfigError(`style must be one of ${STYLES.join(', ')}`);
+    }
+    for (const name of config.detectors || []) {
+        if (!DETECTORS[name]) {
+            throw new RedactionConfigError(`unknown detector '${name}'. Available: ${Object.keys(DETECTORS).join(', ')}`);
+        }
+    }
+    if (config.rules !== undefined && !Array.isArray(config.rules)) {
+        throw new RedactionConfigError('rules must be an array');
+    }
+    (config.rules || []).forEach(compileRule);
+
+    return config;
+}
+
+/**
+ * Whether a conversion is redacted: on request, or always when the config says so.
+ */
+export function shouldRedact(options = {}, config = {}) {
+    return Boolean(options.redact || config.always);
+}
+
+export class Redactor {
+    /**
+     * @param {object} [config] - As in the config file; `style` and `detectors` may be
+     *   overridden per conversion
+     */
+    constructor(config = {}) {
+        const {
+            style = 'label',
+            detectors = Object.keys(DETECTORS),
+            rules = [],
+            hashSalt = ''
+        } = config;
+
+        this.style = style;
+        this.hashSalt = hashSalt;
+        this.rules = [
+            ...detectors.map(name => ({ name, ...DETECTORS[name] })),
+            ...rules.map(compileRule)
+        ];
+        this.report = { style, total: 0, rules: {} };
+    }
+
+    replacement(rule, match) {
+        switch (this.style) {
+        case 'mask':
+            return match.replace(/\S/g, '•');
+        case 'hash': {
+            // The same value gets the same pseudonym, so mentions can still be followed
+            const digest = crypto.createHash('sha256').update(this.hashSalt + match).digest('hex');
+            return `[${rule}:${digest.slice(0, 10)}]`;
+        }
+        default:
+            return `[REDACTED:${rule}]`;
+        }
+    }
+
+    /**
+     * Find the spans to redact in a text, without overlaps.
+     */
+    findMatches(text) {
+        const matches = [];
+        for (const rule of this.rules) {
+            rule.pattern.lastIndex = 0;
+            for (const match of text.matchAll(rule.pattern)) {
+                if (match[0] && (!rule.validate || rule.validate(match[0]))) {
+                    matches.push({ rule: rule.name, start: match.index, end: match.index + match[0].length, text: match[0] });
+                }
+            }
+        }
+
+        const accepted = [];
+        for (const match of matches) {
+            if (!accepted.some(other => match.start < other.end && other.start < match.end)) {
+                accepted.push(match);
+            }
+        }
+        return accepted.sort((a, b) => a.start - b.start);
+    }
+
+    count(rule) {
+        this.report.total++;
+        this.report.rules[rule] = (this.report.rules[rule] || 0) + 1;
+    }
+
+    redactText(text) {
+        let output = '';
+        let last = 0;
+        for (const match of this.findMatches(text)) {
+            this.count(match.rule);
+            output += text.slice(last, match.start) + this.replacement(match.rule, match.text);
+            last = match.end;
+        }
+        return output + text.slice(last);
+    }
+
+    /**
+     * Redact a run of text nodes that read as one text. Each match is replaced
+     * in the node where it starts; its remainder is cut from the nodes after.
+     */
+    redactNodes(nodes) {
+        const text = nodes.map(node => node.data).join('');
+        const matches = this.findMatches(text);
+        if (matches.length === 0) {
+            return;
+        }
+
+        const edits = nodes.map(() => []);
+        let offset = 0;
+        const bounds = nodes.map((node) => {
+            const start = offset;
+            offset += node.data.length;
+            return { start, end: offset };
+        });
+
+        for (const match of matches) {
+            this.count(match.rule);
+            let first = true;
+            bounds.forEach(({ start, end }, i) => {
+                if (match.start < end && start < match.end) {
+                    edits[i].push({
+                        from: Math.max(match.start, start) - start,
+                        to: Math.min(match.end, end) - start,
+                        insert: first ? this.replacement(match.rule, match.text) : ''
+                    });
+                    first = false;
+                }
+            });
+        }
+
+        nodes.forEach((node, i) => {
+            for (const { from, to, insert } of edits[i].reverse()) {
+                node.data = node.data.slice(0, from) + insert + node.data.slice(to);
+            }
+        });
+    }
+
+    /**
+     * Group text nodes by the block they are printed in. Scripts, styles and
+     * comments are not printed, but they are part of attached sources, so each
+     * is a run of its own.
+     */
+    textRuns(root) {
+        const runs = [];
+        let run = [];
+        const walk = (node) => {
+            for (const child of node.children || []) {
+                if (child.type === 'text') {
+                    run.push(child);
+                } else if (child.type === 'script' || child.type === 'style') {
+                    runs.push(child.children.filter(text => text.type === 'text'));
+                } else if (child.type === 'comment') {
+                    runs.push([child]);
+                } else if (child.type === 'tag' && INLINE_ELEMENTS.has(child.name)) {
+                    walk(child);
+                } else if (child.type === 'tag') {
+                    runs.push(run);
+                    run = [];
+                    walk(child);
+                    runs.push(run);
+                    run = [];
+                }
+            }
+        };
+        walk(root);
+        runs.push(run);
+        return runs.filter(nodes => nodes.length > 0);
+    }
+
+    /**
+     * @param {string} html - Document to redact
+     * @returns {{ html: string, report: { style: string, total: number, rules: object } }}
+     *   The redacted document and the number of redactions per rule
+     */
+    redactHTML(html) {
+        const $ = cheerio.load(html);
+
+        for (const nodes of this.textRuns($.root()[0])) {
+            this.redactNodes(nodes);
+        }
+
+        for (const attribute of TEXT_ATTRIBUTES) {
+            $(`[${attribute}]`).each((i, el) => {
+                const value = $(el).attr(attribute);
+                const redacted = this.redactText(value);
+                if (redacted !== value) {
+                    $(el).attr(attribute, redacted);
+                }
+            });
+        }
+
+        return { html: $.html(), report: this.report };
+    }
+}
+
+/**
+ * Build the redactor for a conversion from the config and its options.
+ */
+export function createRedactor(options = {}, config = {}) {
+    return new Redactor({
+        ...config,
+        style: options.redactStyle || config.style,
+        detectors: options.redactDetectors || config.detectors
+    });
+}
@@ -0,0 +1,67 @@
+/**
+ * Regex Worker
+ * Runs a regular expression from a request against a list of texts in a
+ * worker thread, with a time limit. A pattern that backtracks badly only
+ * costs the limit instead of blocking the server's event loop. The caller
+ * waits synchronously, so it can be used where a plain RegExp was.
+ */
+
+import { Worker, MessageChannel, receiveMessageOnPort, isMainThread, workerData } from 'worker_threads';
+
+// Time for starting the worker and testing all texts
+export const MATCH_TIMEOUT = 2000;
+
+export class MatchTimeoutError extends Error {
+    constructor(timeout) {
+        super(`search pattern took longer than ${timeout} ms to run; use a simpler pattern`);
+        this.name = 'MatchTimeoutError';
+        this.status = 422;
+        this.code = 'SEARCH_TIMEOUT';
+    }
+}
+
+/**
+ * Test a regular expression against every text.
+ *
+ * @param {string} source - Pattern, already checked to be valid
+ * @param {string} flags
+ * @param {string[]} texts
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Milliseconds before giving up
+ * @returns {boolean[]} Whether each text matches
+ * @throws {MatchTimeoutError}
+ */
+export function testTexts(source, flags, texts, { timeout = MATCH_TIMEOUT } = {}) {
+    const done = new Int32Array(new SharedArrayBuffer(4));
+    const { port1, port2 } = new MessageChannel();
+    const worker = new Worker(new URL(import.meta.url), {
+        workerData: { source, flags, texts, done, port: port2 },
+        transferList: [port2]
+    });
+
+    try {
+        if (Atomics.wait(done, 0, 0, timeout) === 'timed-out') {
+            throw new MatchTimeoutError(timeout);
+        }
+        const { results, error } = receiveMessageOnPort(port1).message;
+        if (error) {
+            throw new Error(error);
+        }
+        return results;
+    } finally {
+        port1.close();
+        worker.terminate();
+    }
+}
+
+if (!isMainThread && workerData?.done) {
+    const { source, flags, texts, done, port } = workerData;
+    try {
+        const re = new RegExp(source, flags);
+        port.postMessage({ results: texts.map(text => re.test(text)) });
+    } catch (error) {
+        port.postMessage({ error: error.message });
+    }
+    Atomics.store(done, 0, 1);
+    Atomics.notify(done, 0);
+}
@@ -0,0 +1,328 @@
+/**
+ * Render Cache
+ * Rendered documents on local disk, addressed by a hash of everything that
+ * decides the output: the prepared document, the resolved options and the
+ * document info. Re-downloads and retries of the same chat with the same
+ * options are served from disk instead of starting Chromium again, and the
+ * API uses the hash as the ETag of its responses.
+ *
+ * Entries expire after a TTL; once the cache grows beyond its size limit, the
+ * least recently used ones are evicted. Every entry is a pair of files:
+ *
+ *   <key>.bin   the rendered document
+ *   <key>.json  { key, contentType, extension, size, createdAt, report }
+ *
+ * The modification time of the .bin file is the last use, so the LRU order
+ * survives restarts.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { Logger } from './logger.js';
+
+// Part of every key; bump it when a change to rendering makes old entries wrong
+const CACHE_VERSION = 1;
+
+const STATS_FILE = 'stats.json';
+
+/**
+ * Line endings and a byte order mark don't change a document.
+ */
+export function normalizeHTML(html) {
+    return html.replace(/^\ufeff/, '').replace(/\r\n?/g, '\n');
+}
+
+// JSON with sorted keys, so equal options always hash the same
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Whether an If-None-Match header matches an ETag. Weak and strong tags compare equal.
+ */
+export function matchesETag(header, etag) {
+    if (!header || !etag) {
+        return false;
+    }
+    const strip = tag => tag.trim().replace(/^W\//, '');
+    return header.split(',').some(tag => tag.trim() === '*' || strip(tag) === strip(etag));
+}
+
+export class RenderCache {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Directory of the entries
+     * @param {number} [options.maxSize] - Bytes of rendered documents kept (default: 500 MB)
+     * @param {number} [options.ttl] - Milliseconds an entry is served (default: 24 hours)
+     * @param {number} [options.sweepInterval] - Milliseconds between expiry sweeps
+     * @param {Logger} [options.logger]
+     */
+    constructor(options) {
+        const {
+            dir,
+            maxSize = 500 * 1024 * 1024,
+            ttl = 24 * 60 * 60 * 1000,
+            sweepInterval = 10 * 60 * 1000,
+            logger = new Logger({ format: 'text' })
+        } = options;
+
+        this.dir = dir;
+        this.maxSize = maxSize;
+        this.ttl = ttl;
+        this.sweepInterval = sweepInterval;
+        this.logger = logger;
+
+        // key -> { key, contentType, extension, size, createdAt, report, usedAt }
+        this.entries = new Map();
+        // Renders in progress, so identical requests arriving together render once
+        this.pending = new Map();
+        this.size = 0;
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+        this.sweepTimer = null;
+    }
+
+    /**
+     * Cache from RENDER_CACHE_DIR, RENDER_CACHE_MAX_SIZE (MB) and RENDER_CACHE_TTL (ms);
+     * null when RENDER_CACHE is "off".
+     *
+     * @param {object} env
+     * @param {object} defaults
+     * @param {string} defaults.dir - Directory without RENDER_CACHE_DIR
+     * @param {Logger} [defaults.logger]
+     */
+    static fromEnvironment(env = process.env, { dir, logger } = {}) {
+        if (['off', 'false', '0'].includes(String(env.RENDER_CACHE).toLowerCase())) {
+            return null;
+        }
+        return new RenderCache({
+            dir: env.RENDER_CACHE_DIR || dir,
+            maxSize: parseInt(env.RENDER_CACHE_MAX_SIZE || '500') * 1024 * 1024,
+            ttl: parseInt(env.RENDER_CACHE_TTL || String(24 * 60 * 60 * 1000)),
+            ...(logger ? { logger } : {})
+        });
+    }
+
+    /**
+     * Key of a render: a SHA-256 of its inputs. `document` is normalized with
+     * normalizeHTML(); everything else (options, info, URL) as canonical JSON.
+     */
+    static key({ document, ...inputs }) {
+        const hash = crypto.createHash('sha256');
+        hash.update(canonicalJSON({ version: CACHE_VERSION, ...inputs }));
+        if (document !== undefined) {
+            hash.update('\u0000');
+            hash.update(normalizeHTML(document));
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * Weak ETag for a key: equal renders differ in their PDF modification date.
+     */
+    static etag(key) {
+        return `W/"${key}"`;
+    }
+
+    dataPath(key) {
+        return path.join(this.dir, `${key}.bin`);
+    }
+
+    metaPath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    async start() {
+        await fs.ensureDir(this.dir);
+
+        for (const file of await fs.readdir(this.dir)) {
+            if (!file.endsWith('.json') || file === STATS_FILE) {
+                continue;
+            }
+            try {
+                const meta = await fs.readJson(path.join(this.dir, file));
+                const { mtimeMs } = await fs.stat(this.dataPath(meta.key));
+                this.entries.set(meta.key, { ...meta, usedAt: mtimeMs });
+                this.size += meta.size;
+            } catch (error) {
+                // Half-written entry, or its document is gone
+                await fs.remove(path.join(this.dir, file));
+            }
+        }
+        try {
+            Object.assign(this.stats, await fs.readJson(path.join(this.dir, STATS_FILE)));
+        } catch (error) {
+            // first run
+        }
+
+        await this.sweep();
+        this.sweepTimer = setInterval(() => {
+            this.sweep().catch(error => this.logger.error('Render cache sweep failed', { error }));
+        }, this.sweepInterval);
+        this.sweepTimer.unref();
+    }
+
+    isExpired(entry) {
+        return Date.now() - Date.parse(entry.createdAt) >= this.ttl;
+    }
+
+    /**
+     * A cached render as { buffer, contentType, extension, ...report }, or null.
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || this.isExpired(entry)) {
+            return null;
+        }
+        try {
+            const buffer = await fs.readFile(this.dataPath(key));
+            entry.usedAt = Date.now();
+            const now = new Date();
+            await fs.utimes(this.dataPath(key), now, now).catch(() => {});
+            return { buffer, contentType: entry.contentType, extension: entry.extension, ...entry.report };
+        } catch (error) {
+            await this.remove(key);
+            return null;
+        }
+    }
+
+    /**
+     * Store a render. Fields besides the document, its content type and
+     * extension (e.g. the chats of a merge) are kept as its report.
+     */
+    async set(key, { buffer, contentType, extension, ...report }) {
+        if (buffer.length > this.maxSize) {
+            return;
+        }
+        const entry = { key, contentType, extension, size: buffer.length, createdAt: new Date().toISOString(), report };
+
+        // The document first, so an entry with metadata is always complete
+        await fs.ensureDir(this.dir);
+        await fs.writeFile(this.dataPath(key), buffer);
+        await fs.writeJson(this.metaPath(key), entry);
+
+        const previous = this.entries.get(key);
+        this.size += buffer.length - (previous ? previous.size : 0);
+        this.entries.set(key, { ...entry, usedAt: Date.now() });
+        await this.evict();
+    }
+
+    /**
+     * The cached render for a key, or a new one from `render`, which is stored.
+     * With `refresh`, a cached render is replaced.
+     *
+     * @param {string} key - From RenderCache.key()
+     * @param {function} render - async () => { buffer, contentType, extension, ...report }
+     * @param {object} [options]
+     * @param {boolean} [options.refresh]
+     * @returns {Promise<{ result: object, hit: boolean }>}
+     */
+    async fetch(key, render, { refresh = false } = {}) {
+        const pending = this.pending.get(key);
+        if (pending && !refresh) {
+            const shared = await pending.catch(() => null);
+            if (shared) {
+                this.stats.hits++;
+                return { result: shared.result, hit: true };
+            }
+        }
+
+        // Registered before anything is awaited, so requests arriving meanwhile wait for it
+        const lookup = this.lookup(key, render, refresh);
+        this.pending.set(key, lookup);
+        try {
+            const outcome = await lookup;
+            this.stats[outcome.hit ? 'hits' : 'misses']++;
+            return outcome;
+        } catch (error) {
+            // The render failed
+            this.stats.misses++;
+            throw error;
+        } finally {
+            if (this.pending.get(key) === lookup) {
+                this.pending.delete(key);
+            }
+        }
+    }
+
+    async lookup(key, render, refresh) {
+        const cached = refresh ? null : await this.get(key);
+        if (cached) {
+            return { result: cached, hit: true };
+        }
+        const result = await render();
+        await this.set(key, result).catch(error => this.logger.warn('Render could not be cached', { key, error }));
+        return { result, hit: false };
+    }
+
+    async remove(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.size -= entry.size;
+        }
+        await Promise.all([fs.remove(this.dataPath(key)), fs.remove(this.metaPath(key))]);
+    }
+
+    // Least recently used entries go first, until the cache fits its size limit
+    async evict() {
+        if (this.size <= this.maxSize) {
+            return;
+        }
+        const entries = [...this.entries.values()].sort((a, b) => a.usedAt - b.usedAt);
+        for (const entry of entries) {
+            if (this.size <= this.maxSize) {
+                break;
+            }
+            await this.remove(entry.key);
+            this.stats.evictions++;
+        }
+    }
+
+    async sweep() {
+        for (const entry of [...this.entries.values()]) {
+            if (this.isExpired(entry)) {
+                await this.remove(entry.key);
+            }
+        }
+    }
+
+    /**
+     * Remove every entry. Resolves to the number removed.
+     */
+    async clear() {
+        const count = this.entries.size;
+        for (const key of [...this.entries.keys()]) {
+            await this.remove(key);
+        }
+        return count;
+    }
+
+    getStatus() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            entries: this.entries.size,
+            size: this.size,
+            maxSize: this.maxSize,
+            ttl: this.ttl,
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round(this.stats.hits / lookups * 1000) / 1000 : null
+        };
+    }
+
+    /**
+     * Stop sweeping and keep the hit and miss counts for the next run.
+     */
+    async close() {
+        clearInterval(this.sweepTimer);
+        await fs.ensureDir(this.dir);
+        await fs.writeJson(path.join(this.dir, STATS_FILE), this.stats);
+    }
+}
@@ -10,8 +10,33 @@ import multer from 'multer';
 import cors from 'cors';
 import fs from 'fs-extra';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import PuppeteerHTMLPDF from 'puppeteer-html-pdf';
+import { BrowserPool, PoolSaturatedError, DEFAULT_LAUNCH_ARGS } from './browser_pool.js';
+import { JobQueue, JobNotFoundError, JobNotReadyError } from './job_queue.js';
+import { parseDeepSeekExport } from './deepseek_parser.js';
+import { prepareDocument, prepareConversation, needsPreparation } from './html_pipeline.js';
+import { OUTPUT_FORMATS, exportConversation, isDocumentOutput } from './exporters.js';
+import { isImageOutput, screenshotViewport, capturePage, rasterizePDF, packImages } from './image_renderer.js';
+import { openZipBundle, openZipExports } from './asset_resolver.js';
+import { prepareMerge, mergeOptions, MAX_MERGE_CHATS } from './chat_merger.js';
+import { loadAccountExport, listConversations, selectConversations, renderConversationHTML, conversationFileName,
+    conversationSlug, importOptions } from './deepseek_import.js';
+import JSZip from 'jszip';
+import { NetworkPolicy } from './network_policy.js';
+import { loadRedactionConfig } from './redactor.js';
+import { renderWithOutline } from './pdf_outline.js';
+import { finishPDF } from './pdf_metadata.js';
+import { inspectLayout, preflightReport } from './preflight.js';
+import { FontLibrary, SCRIPTS } from './font_fallback.js';
+import { RenderCache, matchesETag } from './render_cache.js';
+import { ApiAuth, AuthError } from './auth.js';
+import { Logger } from './logger.js';
+import { MetricsRegistry, METRICS_CONTENT_TYPE } from './metrics.js';
+import { PDFDocument } from 'pdf-lib';
+import { pageFurniture, PRESETS as HEADER_FOOTER_PRESETS, PLACEHOLDERS } from './header_footer.js';
+import { parseOptions, describeOptions } from './options_schema.js';
+import { loadConfig, resolveProfile, profileNames } from './profiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,10 +44,128 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// JSON lines (or text with LOG_FORMAT=text), see Logging in README_API.md
+const logger = Logger.fromEnvironment();
+
+// Which URLs Chromium may fetch, see NETWORK_* variables in README_API.md.
+// Browsers connect through the policy's proxy, which pins every host to the address it checked.
+const networkPolicy = NetworkPolicy.fromEnvironment();
+await networkPolicy.startProxy();
+
+// Warm Chromium instances shared by all conversion requests
+const browserPool = new BrowserPool({
+    size: parseInt(process.env.BROWSER_POOL_SIZE || '2'),
+    maxQueue: parseInt(process.env.BROWSER_POOL_MAX_QUEUE || '20'),
+    acquireTimeout: parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT || '30000'),
+    maxUses: parseInt(process.env.BROWSER_MAX_USES || '100'),
+    maxAge: parseInt(process.env.BROWSER_MAX_AGE || String(30 * 60 * 1000)),
+    launchOptions: { args: [...DEFAULT_LAUNCH_ARGS, ...networkPolicy.launchArgs()] },
+    logger
+});
+
+// Detectors, custom rules and defaults for redaction, see REDACTION_CONFIG in README_API.md
+const redactionConfig = process.env.REDACTION_CONFIG ? loadRedactionConfig(process.env.REDACTION_CONFIG) : {};
+
+// Profiles selectable with the profile field of a request, see DEEPSEEK_PDF_CONFIG in README_API.md
+const config = loadConfig();
+
+// API keys, rate limits and daily quotas, see Authentication in README_API.md
+const auth = ApiAuth.fromEnvironment(process.env, __dirname, { logger });
+
+// Origins allowed to call the API from a browser; all unless CORS_ORIGINS is set
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const bodyLimit = process.env.MAX_BODY_SIZE || '50mb';
+
+// Fonts for scripts the bundled fallback fonts don't cover, see Fonts for Other Scripts in README_API.md
+const fontLibrary = FontLibrary.fromEnvironment(process.env);
+fontLibrary.load();
+for (const { file, error } of fontLibrary.skipped) {
+    logger.warn('Font file skipped', { file, error });
+}
+
+// Rendered documents by a hash of their inputs, see Render Cache in README_API.md
+const renderCache = RenderCache.fromEnvironment(process.env, { dir: path.join(__dirname, 'uploads', 'cache'), logger });
+
+// Prometheus metrics on /metrics; scrapers need METRICS_TOKEN when it is set
+const metrics = new MetricsRegistry({ prefix: 'html_to_pdf_' });
+const metricsToken = process.env.METRICS_TOKEN || null;
+
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status',
+    { labels: ['method', 'route', 'status'] });
+const conversions = metrics.counter('conversions_total',
+    'Conversions by route and outcome (success, client_error, server_error, cancelled)', { labels: ['route', 'outcome'] });
+const conversionDuration = metrics.histogram('conversion_duration_seconds',
+    'Time from receiving a conversion to the converted document', { labels: ['route'] });
+const renderDuration = metrics.histogram('render_duration_seconds',
+    'Time a browser page was held for one render (pdf or screenshot)', { labels: ['kind'] });
+const pdfSize = metrics.histogram('pdf_size_bytes', 'Size of converted PDFs',
+    { buckets: [1e4, 5e4, 1e5, 5e5, 1e6, 5e6, 1e7, 5e7] });
+const pdfPages = metrics.histogram('pdf_pages', 'Pages of converted PDFs',
+    { buckets: [1, 2, 5, 10, 20, 50, 100, 200, 500] });
+
+metrics.gauge('job_queue_depth', 'Jobs waiting to be rendered', { collect: () => jobQueue.getStatus().queued });
+metrics.gauge('jobs_running', 'Jobs being rendered', { collect: () => jobQueue.getStatus().running });
+metrics.gauge('browser_pool_size', 'Browsers the pool keeps', { collect: () => browserPool.size });
+metrics.gauge('browser_pool_busy', 'Browsers rendering', { collect: () => browserPool.getStatus().busy });
+metrics.gauge('browser_pool_alive', 'Browsers running', { collect: () => browserPool.getStatus().alive });
+metrics.gauge('browser_pool_waiting', 'Requests waiting for a browser', { collect: () => browserPool.getStatus().queued });
+metrics.counter('browser_launches_total', 'Browsers launched', { collect: () => browserPool.stats.launches });
+metrics.counter('browser_crashes_total', 'Browsers that exited unexpectedly', { collect: () => browserPool.stats.crashes });
+metrics.counter('browser_recycled_total', 'Browsers replaced after BROWSER_MAX_USES or BROWSER_MAX_AGE',
+    { collect: () => browserPool.stats.recycled });
+metrics.counter('browser_pool_rejected_total', 'Requests rejected because all browsers were busy',
+    { collect: () => browserPool.stats.rejected });
+const cacheLookups = metrics.counter('render_cache_requests_total', 'Render cache lookups by result (hit, miss)',
+    { labels: ['result'] });
+metrics.gauge('render_cache_entries', 'Renders in the cache', { collect: () => renderCache?.entries.size ?? 0 });
+metrics.gauge('render_cache_size_bytes', 'Size of the renders in the cache', { collect: () => renderCache?.size ?? 0 });
+metrics.gauge('process_resident_memory_bytes', 'Resident memory of the server process', { collect: () => process.memoryUsage().rss });
+metrics.gauge('process_uptime_seconds', 'Seconds since the server started', { collect: () => Math.round(process.uptime()) });
+
+// Behind nginx, client IPs for rate limiting come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Request IDs are taken from X-Request-Id (e.g. set by nginx) or generated
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Polled endpoints are only logged at debug level
+const QUIET_PATHS = ['/health', '/metrics'];
+
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use((req, res, next) => {
+    const header = req.get('X-Request-Id');
+    req.id = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.setHeader('X-Request-Id', req.id);
+
+    const startedAt = performance.now();
+    res.on('finish', () => {
+        // Routes, not paths, so job IDs don't turn into metric labels
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        req.log.log(QUIET_PATHS.includes(req.path) ? 'debug' : 'info', 'Request', {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            code: res.locals.errorCode,
+            duration: Math.round(performance.now() - startedAt),
+            apiKey: req.apiKey?.id,
+            ip: req.ip
+        });
+    });
+    next();
+});
+app.use(cors({
+    origin: corsOrigins.length > 0 && !corsOrigins.includes('*') ? corsOrigins : '*',
+    exposedHeaders: ['X-Request-Id', 'ETag', 'X-Cache', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After',
+        'X-Redaction-Report', 'X-Asset-Report', 'X-Unresolved-Assets', 'X-Merged-Chats',
+        'X-Imported-Conversations']
+}));
+app.use(express.json({ limit: bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
+app.use('/api', auth.middleware());
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -33,7 +176,32 @@ const storage = multer.diskStorage({
     },
     filename: (req, file, cb) => {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + '.html');
+        const extension = isZipUpload(file) ? '.zip' : isJSONUpload(file) ? '.json' : '.html';
+        cb(null, file.fieldname + '-' + uniqueSuffix + extension);
+    }
+});
+
+// Zip bundles carry an HTML export together with its fonts and images
+function isZipUpload(file) {
+    return ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+        file.originalname.endsWith('.zip');
+}
+
+function isJSONUpload(file) {
+    return file.mimetype === 'application/json' || file.originalname.endsWith('.json');
+}
+
+// Account exports hold every conversation of an account, so they may be larger than single chats
+const exportUpload = multer({
+    storage: storage,
+    limits: { fileSize: 100 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (isJSONUpload(file) || isZipUpload(file)) {
+            cb(null, true);
+        } else {
+            cb(Object.assign(new Error('Only conversations.json or the zip of a DeepSeek account export are allowed!'),
+                { status: 400, code: 'UNSUPPORTED_FILE_TYPE' }), false);
+        }
     }
 });
 
@@ -41,29 +209,245 @@ const upload = multer({
     storage: storage,
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
     fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'text/html' || file.originalname.endsWith('.html')) {
+        if (file.mimetype === 'text/html' || file.originalname.endsWith('.html') || isZipUpload(file)) {
             cb(null, true);
         } else {
-            cb(new Error('Only HTML files are allowed!'), false);
+            cb(Object.assign(new Error('Only HTML files or zip bundles are allowed!'),
+                { status: 400, code: 'UNSUPPORTED_FILE_TYPE' }), false);
         }
     }
 });
 
+const PDF_OUTPUT = { contentType: OUTPUT_FORMATS.pdf.contentType, extension: OUTPUT_FORMATS.pdf.extension };
+
+// Embedded sources are part of the PDF, so they are part of its cache key
+function attachesSources(options) {
+    return Boolean(options.attachSource || options.attachJSON);
+}
+
 // HTML to PDF Converter class
 class HTMLToPDFConverter {
-    constructor() {
-        this.htmlPDF = new PuppeteerHTMLPDF();
+    constructor(pool, policy, redaction, cache = null, fonts = null) {
+        this.pool = pool;
+        this.policy = policy;
+        this.redaction = redaction;
+        this.cache = cache;
+        this.fonts = fonts;
+    }
+
+    /**
+     * Convert an HTML document. Resolves to `{ buffer, contentType, extension,
+     * assets, redactions, etag, cache }`: the document, the reports of the
+     * inlining and redaction steps (null when they didn't run), and for rendered
+     * outputs its ETag and whether the render cache had it. Options are expected
+     * to have passed validateOptions(); `redaction` replaces the server's
+     * redaction config. `cache` is 'use', 'refresh' (render and replace the
+     * cached render) or 'off'; when `ifNoneMatch` matches the ETag, nothing is
+     * rendered and `{ notModified: true, etag }` is returned.
+     */
+    async convertHTML(htmlContent, options = {}, { onProgress, fileName, baseURL, loader, redaction = this.redaction,
+        cache = 'use', ifNoneMatch = null } = {}) {
+        if (isDocumentOutput(options.output)) {
+            // Document formats are written from the parsed export, no browser needed
+            const { conversation, redactions } = prepareConversation(htmlContent, options,
+                { fileName, redaction });
+            const document = await exportConversation(conversation, options.output);
+            return { ...document, assets: null, redactions };
+        }
+
+        const { html, info, assets, redactions, source } = await prepareDocument(htmlContent, options,
+            { fileName, baseURL, loader, redaction, fonts: this.fonts });
+        const sources = [{ html: source, fileName }];
+        const offline = options.offline === true || this.policy.htmlSubresources === 'none';
+        const load = (document) => (page, timeout) => page.setContent(document, { waitUntil: 'networkidle0', timeout });
+
+        const rendered = await this.cached({ document: html, options, info, sources: attachesSources(options) ? sources : null },
+            { cache, ifNoneMatch }, async () => {
+                if (isImageOutput(options) && options.imageMode !== 'pages') {
+                    return packImages(await this.screenshot(options, load(html), { onProgress, offline }), options);
+                }
+                const renderPDF = (document) => this.render(options, load(document), { onProgress, info, offline });
+                const pdf = options.outline || options.toc
+                    ? await renderWithOutline(html, options, renderPDF)
+                    : await renderPDF(html);
+                return this.pdfOutput(pdf, options, { info, sources });
+            });
+        return rendered.notModified ? rendered : { ...rendered, assets, redactions };
+    }
+
+    /**
+     * Merge several exports into one PDF with a cover, an index of chats,
+     * bookmarks and page numbers. Resolves like convertHTML, plus the chats in
+     * print order.
+     */
+    async convertMerge(chats, options = {}, { order, title, onProgress, redaction = this.redaction,
+        cache = 'use', ifNoneMatch = null } = {}) {
+        const { html, info, redactions, chats: merged, sources } = await prepareMerge(chats, options,
+            { order, title, redaction, fonts: this.fonts });
+        const offline = options.offline === true || this.policy.htmlSubresources === 'none';
+        const pdfOptions = mergeOptions(options);
+
+        const rendered = await this.cached({ document: html, options: pdfOptions, info, sources: attachesSources(pdfOptions) ? sources : null },
+            { cache, ifNoneMatch }, async () => {
+                const pdf = await renderWithOutline(html, pdfOptions, (document) => this.render(pdfOptions,
+                    (page, timeout) => page.setContent(document, { waitUntil: 'networkidle0', timeout }),
+                    { onProgress, info, offline }));
+                return { buffer: await finishPDF(pdf, pdfOptions, { info, sources }), ...PDF_OUTPUT };
+            });
+        return rendered.notModified ? rendered : { ...rendered, assets: null, redactions, chats: merged };
+    }
+
+    /**
+     * Convert conversations of a DeepSeek account export (see deepseek_import.js).
+     * One conversation resolves like convertHTML; with `merge`, conversations
+     * are merged like convertMerge; otherwise every conversation is converted
+     * on its own and the documents are sent as a zip, with their `pages`.
+     */
+    async convertConversations(conversations, options = {}, { merge = false, title, onProgress, redaction = this.redaction,
+        cache = 'use', ifNoneMatch = null } = {}) {
+        const chat = conversation => ({ html: renderConversationHTML(conversation), fileName: conversationFileName(conversation) });
+        if (merge) {
+            return this.convertMerge(conversations.map(chat), options, { title, onProgress, redaction, cache, ifNoneMatch });
+        }
+        const chatOptions = importOptions(options);
+        if (conversations.length === 1) {
+            const { html, fileName } = chat(conversations[0]);
+            return this.convertHTML(html, chatOptions, { onProgress, fileName, redaction, cache, ifNoneMatch });
+        }
+
+        // Each document is cached on its own, so the archive has no ETag
+        const zip = new JSZip();
+        let pages = 0;
+        for (const conversation of conversations) {
+            const { html, fileName } = chat(conversation);
+            const document = await this.convertHTML(html, chatOptions, { onProgress, fileName, redaction, cache });
+            zip.file(`${conversationSlug(conversation)}.${document.extension}`, document.buffer);
+            pages += await countPages(document);
+        }
+        const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+        return { buffer, contentType: 'application/zip', extension: 'zip', assets: null, redactions: null, pages };
+    }
+
+    /**
+     * Render through the render cache. The key of the inputs is the ETag, so a
+     * client that has the render gets `{ notModified: true }` without a lookup.
+     * With cache 'off' there is no ETag and nothing is cached.
+     */
+    async cached(inputs, { cache = 'use', ifNoneMatch = null }, render) {
+        if (cache === 'off') {
+            return { ...await render(), etag: null, cache: null };
+        }
+
+        const key = RenderCache.key(inputs);
+        const etag = RenderCache.etag(key);
+        if (matchesETag(ifNoneMatch, etag)) {
+            return { notModified: true, etag };
+        }
+        if (!this.cache) {
+            return { ...await render(), etag, cache: null };
+        }
+
+        const { result, hit } = await this.cache.fetch(key, render, { refresh: cache === 'refresh' });
+        return { ...result, etag, cache: hit ? 'hit' : 'miss' };
+    }
+
+    // PDFs get their metadata, watermark and attachments, and are rasterized when page images were asked for
+    async pdfOutput(pdf, options, context = {}) {
+        const finished = await finishPDF(pdf, options, context);
+        if (!isImageOutput(options)) {
+            return { buffer: finished, ...PDF_OUTPUT };
+        }
+        return packImages(await rasterizePDF(finished, options), options);
     }
 
-    async convertHTML(htmlContent, options = {}) {
-        const {
-            format = 'A4',
-            orientation = 'portrait',
-            margin = { top: '20px', bottom: '20px', left: '20px', right: '20px' },
-            printBackground = true,
-            scale = 1.0,
-            timeout = 60000
-        } = options;
+    /**
+     * Convert a web page. Resolves like convertHTML. Pages change while their
+     * URL stays the same, so `cache` defaults to 'off' here; with 'use' a page
+     * is served from the cache until its entry expires.
+     */
+    async convertURL(url, options = {}, { onProgress, redaction = this.redaction, cache = 'off', ifNoneMatch = null } = {}) {
+        // Fail fast with a clear error before a browser is taken from the pool
+        await this.policy.checkURL(url);
+
+        const prepare = needsPreparation(options, { redaction }) || options.outline || options.toc;
+        return this.cached({ url, options, redaction: prepare ? redaction : null }, { cache, ifNoneMatch }, async () => {
+            // Pages that need rewriting are captured first and converted as HTML
+            if (prepare) {
+                const html = await this.capture(url, options);
+                return this.convertHTML(html, options, { onProgress, baseURL: url, redaction, cache: 'off' });
+            }
+
+            const load = (page, timeout) => page.goto(url, { waitUntil: ['load', 'networkidle0'], timeout });
+            if (isImageOutput(options) && options.imageMode !== 'pages') {
+                const images = await this.screenshot(options, load, { onProgress });
+                return { ...await packImages(images, options), assets: null, redactions: null };
+            }
+
+            const pdf = await this.render(options, load, { onProgress, info: { url } });
+            return { ...await this.pdfOutput(pdf, options, { info: { url } }), assets: null, redactions: null };
+        });
+    }
+
+    /**
+     * Preflight report of an HTML document: it is prepared and printed as
+     * convertHTML would, with its layout checked in the page before printing.
+     * Nothing is cached; the output option is ignored, the report is about the
+     * PDF layout. See preflight.js.
+     */
+    async preflight(htmlContent, options = {}, { fileName, baseURL, loader, redaction = this.redaction, thumbnails = false } = {}) {
+        const pdfOptions = { ...options, output: 'pdf' };
+        const { html, info, assets, fonts, source } = await prepareDocument(htmlContent, pdfOptions,
+            { fileName, baseURL, loader, redaction, fonts: this.fonts });
+        const offline = options.offline === true || this.policy.htmlSubresources === 'none';
+
+        // With an outline the document is printed twice; the layout of the final print is kept
+        let layout;
+        const renderPDF = (document) => this.render(pdfOptions, async (page, timeout) => {
+            await page.setContent(document, { waitUntil: 'networkidle0', timeout });
+            layout = await inspectLayout(page, pdfOptions, fonts);
+        }, { info, offline });
+        const pdf = options.outline || options.toc
+            ? await renderWithOutline(html, pdfOptions, renderPDF)
+            : await renderPDF(html);
+
+        const finished = await finishPDF(pdf, pdfOptions, { info, sources: [{ html: source, fileName }] });
+        return preflightReport({ pdf: finished, layout, assets, fallbacks: fonts, options: pdfOptions, thumbnails });
+    }
+
+    /**
+     * Preflight report of a web page, captured first and checked as HTML.
+     */
+    async preflightURL(url, options = {}, { redaction = this.redaction, thumbnails = false } = {}) {
+        await this.policy.checkURL(url);
+        const html = await this.capture(url, options);
+        return this.preflight(html, options, { baseURL: url, redaction, thumbnails });
+    }
+
+    async capture(url, options) {
+        const { timeout } = options;
+        return this.pool.withPage(async (page) => {
+            const guard = await this.policy.protect(page);
+            try {
+                await page.goto(url, { waitUntil: ['load', 'networkidle0'], timeout });
+            } catch (error) {
+                throw guard.navigationError || error;
+            }
+            return page.content();
+        });
+    }
+
+    // A page of the pool, with the time it was held recorded as render duration
+    async withPage(fn, { kind }) {
+        const startedAt = performance.now();
+        try {
+            return await this.pool.withPage(fn);
+        } finally {
+            renderDuration.observe({ kind }, (performance.now() - startedAt) / 1000);
+        }
+    }
+
+    async render(options, load, { onProgress = () => {}, info = {}, offline = false } = {}) {
+        const { format, orientation, margin, printBackground, scale, timeout } = options;
 
         const pdfOptions = {
             format: format,
@@ -72,65 +456,341 @@ class HTMLToPDFConverter {
             printBackground: printBackground,
             scale: scale,
             timeout: timeout,
-            headless: 'new',
-            args: [
-                '--no-sandbox', 
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu',
-                '--no-first-run',
-                '--no-zygote',
-                '--single-process'
-            ]
+            ...pageFurniture(options, info)
         };
 
-        this.htmlPDF.setOptions(pdfOptions);
+        try {
+            return await this.withPage(async (page) => {
+                const guard = await this.policy.protect(page, { offline });
+                await onProgress(30);
+                try {
+                    await load(page, timeout);
+                } catch (error) {
+                    throw guard.navigationError || error;
+                }
+                await onProgress(60);
+                return Buffer.from(await page.pdf(pdfOptions));
+            }, { kind: 'pdf' });
+        } catch (error) {
+            if (error.status) {
+                throw error;
+            }
+            throw Object.assign(new Error(`PDF creation failed: ${error.message}`), { code: 'RENDER_FAILED' });
+        }
+    }
 
+    // Screenshots for image output; the viewport is set before loading, as it decides the layout
+    async screenshot(options, load, { onProgress = () => {}, offline = false } = {}) {
         try {
-            const pdfBuffer = await this.htmlPDF.create(htmlContent);
-            return pdfBuffer;
+            return await this.withPage(async (page) => {
+                const guard = await this.policy.protect(page, { offline });
+                await page.setViewport(screenshotViewport(options));
+                await onProgress(30);
+                try {
+                    await load(page, options.timeout);
+                } catch (error) {
+                    throw guard.navigationError || error;
+                }
+                await onProgress(60);
+                return capturePage(page, options);
+            }, { kind: 'screenshot' });
         } catch (error) {
-            throw new Error(`PDF creation failed: ${error.message}`);
-        } finally {
-            await this.htmlPDF.closeBrowser();
+            if (error.status) {
+                throw error;
+            }
+            throw Object.assign(new Error(`Screenshot failed: ${error.message}`), { code: 'RENDER_FAILED' });
+        }
+    }
+}
+
+const converter = new HTMLToPDFConverter(browserPool, networkPolicy, redactionConfig, renderCache, fontLibrary);
+
+// Asynchronous conversion jobs, rendered through the same browser pool
+const jobQueue = new JobQueue({
+    dir: path.join(__dirname, 'uploads', 'jobs'),
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || process.env.BROWSER_POOL_SIZE || '2'),
+    ttl: parseInt(process.env.JOB_RESULT_TTL || String(60 * 60 * 1000)),
+    logger,
+    handler: async (job, { input, signal, progress }) => {
+        const onProgress = (value) => {
+            if (signal.aborted) {
+                throw Object.assign(new Error('Job was cancelled'), { code: 'JOB_CANCELLED' });
+            }
+            return progress(value);
+        };
+        const redaction = profileRedaction(resolveProfile(job.profile || 'default', config));
+        const cache = job.cache || 'use';
+        return runConversion('jobs', jobKey(job), () => (job.source === 'url'
+            ? converter.convertURL(input, job.options, { onProgress, redaction, cache })
+            : converter.convertHTML(input, job.options, { onProgress, fileName: job.fileName, redaction, cache })));
+    }
+});
+
+// The redaction config of a profile replaces REDACTION_CONFIG
+function profileRedaction(profile) {
+    return profile.redaction || redactionConfig;
+}
+
+/**
+ * Options and redaction config of a request: those of its profile (or the
+ * default profile), overridden by the options given explicitly.
+ */
+function requestOptions(body) {
+    const profile = resolveProfile(body.profile || 'default', config);
+    return {
+        options: parseOptions(body.options, profile.options),
+        redaction: profileRedaction(profile),
+        profile: profile.name
+    };
+}
+
+// Pages of a converted document, for the daily page quota; only PDFs count,
+// archives of several documents bring their count along
+async function countPages({ buffer, contentType, pages }) {
+    if (pages !== undefined) {
+        return pages;
+    }
+    if (contentType !== OUTPUT_FORMATS.pdf.contentType) {
+        return 0;
+    }
+    return (await PDFDocument.load(buffer, { updateMetadata: false })).getPageCount();
+}
+
+/**
+ * How a request uses the render cache: 'off' with `"cache": false`, 'refresh'
+ * with `Cache-Control: no-cache`, else 'use'. URLs are only cached with `"cache": true`.
+ */
+function cacheMode(req, { url = false } = {}) {
+    const value = req.body.cache;
+    if (![undefined, true, false, 'true', 'false'].includes(value)) {
+        throw badRequest('cache must be true or false', 'BAD_REQUEST');
+    }
+    const requested = value === undefined ? null : String(value) === 'true';
+    if (requested === false || (url && requested !== true)) {
+        return 'off';
+    }
+    return /\bno-cache\b/i.test(req.get('Cache-Control') || '') ? 'refresh' : 'use';
+}
+
+// Conditional request header, for a 304 when the client has the render
+function cacheContext(req, options) {
+    return { cache: cacheMode(req, options), ifNoneMatch: req.get('If-None-Match') || null };
+}
+
+function conversionOutcome(error) {
+    if (error.code === 'JOB_CANCELLED') {
+        return 'cancelled';
+    }
+    return error.status && error.status < 500 ? 'client_error' : 'server_error';
+}
+
+/**
+ * Run a conversion and account for it: its outcome, duration, size and pages
+ * in the metrics, and the conversion and its pages in the usage of the key.
+ * The conversion is reserved in the key's quota while it runs.
+ */
+async function runConversion(route, record, convert) {
+    const startedAt = performance.now();
+    const reservation = auth.reserveQuota(record);
+    try {
+        let result;
+        try {
+            result = await convert();
+        } catch (error) {
+            conversions.inc({ route, outcome: conversionOutcome(error) });
+            throw error;
+        }
+        if (result.notModified) {
+            conversions.inc({ route, outcome: 'not_modified' });
+            return result;
+        }
+        if (result.cache) {
+            cacheLookups.inc({ result: result.cache });
+        }
+
+        const pages = await countPages(result);
+        conversions.inc({ route, outcome: 'success' });
+        conversionDuration.observe({ route }, (performance.now() - startedAt) / 1000);
+        if (result.contentType === OUTPUT_FORMATS.pdf.contentType) {
+            pdfSize.observe({}, result.buffer.length);
+            pdfPages.observe({}, pages);
+        }
+        await reservation.commit(pages);
+        return result;
+    } finally {
+        // Failed and not modified conversions don't count
+        reservation.release();
+    }
+}
+
+// The key record a job was queued with, also once revoked, for its quota and usage
+function jobKey(job) {
+    return job.owner ? auth.keys.list().find(key => key.id === job.owner) || null : null;
+}
+
+// A job of the request's key; jobs of other keys are reported as not found
+function ownJob(req) {
+    const job = jobQueue.get(req.params.id);
+    if (job.owner && job.owner !== req.apiKey?.id) {
+        throw new JobNotFoundError(req.params.id);
+    }
+    return job;
+}
+
+// Public view of a job, with links for polling and download
+function describeJob(job) {
+    return {
+        ...job,
+        links: {
+            status: `/api/jobs/${job.id}`,
+            result: job.status === 'completed' ? `/api/jobs/${job.id}/result` : null
         }
+    };
+}
+
+// JSON with non-ASCII characters escaped, so it is a valid header value
+function headerJSON(value) {
+    return JSON.stringify(value).replace(/[^\x20-\x7e]/g,
+        c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+// Send a converted document, with summaries of the asset inlining and redaction steps
+function sendDocument(res, { buffer, contentType, extension, assets, redactions, etag, cache, notModified }) {
+    if (etag) {
+        res.setHeader('ETag', etag);
     }
+    if (notModified) {
+        return res.status(304).end();
+    }
+    if (cache) {
+        res.setHeader('X-Cache', cache.toUpperCase());
+    }
+    if (assets) {
+        const report = {
+            inlined: assets.inlined.length,
+            fallbacks: assets.fallbacks.length,
+            unresolved: assets.unresolved.slice(0, 20),
+            remote: assets.remote.length
+        };
+        res.setHeader('X-Unresolved-Assets', String(assets.unresolved.length));
+        res.setHeader('X-Asset-Report', headerJSON(report));
+    }
+    if (redactions) {
+        res.setHeader('X-Redaction-Report', headerJSON(redactions));
+    }
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="converted.${extension}"`);
+    res.send(buffer);
+}
 
-    async close() {
-        await this.htmlPDF.closeBrowser();
+// Send a failure as { error, code, requestId }. Client errors (4xx) carry the code
+// of their error class; anything unexpected is reported as INTERNAL_ERROR.
+function sendError(res, error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+        (res.req.log || logger).error('Request failed', { error });
     }
+    // Pool saturation, rate limits and quotas tell clients when to try again
+    if (error.retryAfter) {
+        res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    const code = error.code || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+    // For the request log
+    res.locals.errorCode = code;
+    res.status(status).json({
+        error: error.message,
+        code,
+        ...(error.details ? { details: error.details } : {}),
+        ...(error.reason ? { reason: error.reason } : {}),
+        ...(error.retryAfter ? { retryAfter: error.retryAfter } : {}),
+        requestId: res.req.id
+    });
+}
+
+// A 400 for a missing or malformed request field
+function badRequest(message, code = 'MISSING_INPUT') {
+    return Object.assign(new Error(message), { status: 400, code });
 }
 
 // API Routes
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
+// Deep health checks render a page, so one result is shared for a few seconds
+const DEEP_HEALTH_TTL = 5000;
+const DEEP_HEALTH_TIMEOUT = 10000;
+let deepHealth = null;
+
+function probeBrowser() {
+    if (!deepHealth || Date.now() - deepHealth.checkedAt > DEEP_HEALTH_TTL) {
+        const check = { checkedAt: Infinity };
+        check.result = browserPool.probe({ timeout: DEEP_HEALTH_TIMEOUT })
+            .then(probe => ({ ok: true, ...probe }), (error) => {
+                // Every browser busy with conversions is load, not a broken server
+                if (error instanceof PoolSaturatedError) {
+                    return { ok: false, busy: true, error: error.message, code: error.code };
+                }
+                return { ok: false, error: error.message, code: error.code || 'RENDER_FAILED' };
+            })
+            .then(result => {
+                check.checkedAt = Date.now();
+                if (result.busy) {
+                    logger.warn('Deep health check found no free browser', { error: result.error });
+                } else if (!result.ok) {
+                    logger.error('Deep health check failed', { error: result.error });
+                }
+                return result;
+            });
+        deepHealth = check;
+    }
+    return deepHealth.result;
+}
+
+// Health check endpoint; ?deep=1 renders a test page and fails with 503 when that doesn't work.
+// A pool too busy to render the test page in time is DEGRADED, not an error.
+app.get('/health', async (req, res) => {
+    const browser = ['1', 'true'].includes(req.query.deep) ? await probeBrowser() : null;
+    const pool = browserPool.getStatus();
+    const status = browser && !browser.ok && !browser.busy ? 'ERROR'
+        : pool.alive === 0 || browser?.busy ? 'DEGRADED' : 'OK';
+
+    res.status(status === 'ERROR' ? 503 : 200).json({
+        status,
         timestamp: new Date().toISOString(),
-        service: 'HTML to PDF API'
+        service: 'HTML to PDF API',
+        auth: auth.keys.enabled() ? 'api-key' : 'open',
+        ...(browser ? { browser } : {}),
+        browserPool: pool,
+        jobs: jobQueue.getStatus(),
+        cache: renderCache ? renderCache.getStatus() : null
     });
 });
 
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+    if (metricsToken && ApiAuth.requestKey(req) !== metricsToken) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return sendError(res, new AuthError('A valid metrics token is required'));
+    }
+    res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(metrics.render());
+});
+
 // Convert HTML string to PDF
 app.post('/api/convert/string', async (req, res) => {
     try {
-        const { html, options = {} } = req.body;
+        const { html } = req.body;
         
         if (!html) {
-            return res.status(400).json({ error: 'HTML content is required' });
+            throw badRequest('HTML content is required');
         }
 
-        const converter = new HTMLToPDFConverter();
-        const pdfBuffer = await converter.convertHTML(html, options);
-        
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', 'attachment; filename="converted.pdf"');
-        res.send(pdfBuffer);
+        auth.checkQuota(req.apiKey);
+        const { options, redaction } = requestOptions(req.body);
+        const result = await runConversion('string', req.apiKey,
+            () => converter.convertHTML(html, options, { redaction, ...cacheContext(req) }));
+        sendDocument(res, result);
         
     } catch (error) {
-        console.error('Conversion error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
@@ -138,84 +798,362 @@ app.post('/api/convert/string', async (req, res) => {
 app.post('/api/convert/file', upload.single('htmlFile'), async (req, res) => {
     try {
         if (!req.file) {
-            return res.status(400).json({ error: 'HTML file is required' });
+            throw badRequest('HTML file is required');
         }
 
-        const options = req.body.options ? JSON.parse(req.body.options) : {};
-        const htmlContent = await fs.readFile(req.file.path, 'utf-8');
-        
-        const converter = new HTMLToPDFConverter();
-        const pdfBuffer = await converter.convertHTML(htmlContent, options);
-        
-        // Clean up uploaded file
-        await fs.remove(req.file.path);
+        auth.checkQuota(req.apiKey);
+        const { options, redaction } = requestOptions(req.body);
+
+        let htmlContent;
+        let context = { fileName: req.file.originalname, redaction, ...cacheContext(req) };
+        if (isZipUpload(req.file)) {
+            // Assets are resolved relative to the HTML file inside the bundle
+            const bundle = await openZipBundle(await fs.readFile(req.file.path));
+            htmlContent = bundle.html;
+            context = { ...context, fileName: bundle.fileName, loader: bundle.loader };
+        } else {
+            htmlContent = await fs.readFile(req.file.path, 'utf-8');
+        }
         
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', 'attachment; filename="converted.pdf"');
-        res.send(pdfBuffer);
+        const result = await runConversion('file', req.apiKey,
+            () => converter.convertHTML(htmlContent, options, context));
+        sendDocument(res, result);
         
     } catch (error) {
-        console.error('Conversion error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    } finally {
+        // Clean up uploaded file
+        if (req.file) {
+            await fs.remove(req.file.path);
+        }
     }
 });
 
 // Convert URL to PDF
 app.post('/api/convert/url', async (req, res) => {
     try {
-        const { url, options = {} } = req.body;
+        const { url } = req.body;
         
         if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
+            throw badRequest('URL is required');
         }
 
-        const converter = new HTMLToPDFConverter();
-        const pdfBuffer = await converter.convertHTML(url, options);
-        
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', 'attachment; filename="converted.pdf"');
-        res.send(pdfBuffer);
+        auth.checkQuota(req.apiKey);
+        const { options, redaction } = requestOptions(req.body);
+        const result = await runConversion('url', req.apiKey,
+            () => converter.convertURL(url, options, { redaction, ...cacheContext(req, { url: true }) }));
+        sendDocument(res, result);
         
     } catch (error) {
-        console.error('Conversion error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    }
+});
+
+// Merge several exports into one PDF: HTML or zip uploads (htmlFiles), or a
+// JSON array of HTML strings or { html, fileName } objects (chats)
+app.post('/api/convert/merge', upload.array('htmlFiles', MAX_MERGE_CHATS), async (req, res) => {
+    try {
+        auth.checkQuota(req.apiKey);
+        const { options, redaction } = requestOptions(req.body);
+
+        const chats = [];
+        for (const file of req.files || []) {
+            if (isZipUpload(file)) {
+                chats.push(...await openZipExports(await fs.readFile(file.path)));
+            } else {
+                chats.push({ html: await fs.readFile(file.path, 'utf-8'), fileName: file.originalname });
+            }
+        }
+        for (const chat of [].concat(req.body.chats || [])) {
+            if (typeof chat === 'string') {
+                chats.push({ html: chat });
+            } else if (chat && typeof chat.html === 'string') {
+                chats.push({ html: chat.html, fileName: chat.fileName });
+            } else {
+                throw badRequest('chats must contain HTML strings or { html, fileName } objects', 'INVALID_MERGE');
+            }
+        }
+
+        if (chats.length === 0) {
+            throw badRequest('At least one chat is required (htmlFiles or chats)');
+        }
+
+        const result = await runConversion('merge', req.apiKey, () => converter.convertMerge(chats, options,
+            { order: req.body.order, title: req.body.title, redaction, ...cacheContext(req) }));
+        if (result.chats) {
+            res.setHeader('X-Merged-Chats', headerJSON(result.chats.map(chat => chat.title)));
+        }
+        sendDocument(res, result);
+
+    } catch (error) {
+        sendError(res, error);
+    } finally {
+        for (const file of req.files || []) {
+            await fs.remove(file.path);
+        }
     }
 });
 
-// Get conversion options
+// Conversations of one import request; whole accounts are imported with the CLI's import command
+const MAX_IMPORT_CONVERSATIONS = MAX_MERGE_CHATS;
+
+// Conversations of a DeepSeek account export: a zip or conversations.json upload
+// (exportFile), or the JSON of conversations.json (conversations). With "list",
+// the conversations are listed instead of converted.
+app.post('/api/convert/deepseek-json', exportUpload.single('exportFile'), async (req, res) => {
+    try {
+        let input;
+        if (req.file) {
+            input = await fs.readFile(req.file.path);
+        } else if (req.body.conversations) {
+            input = req.body.conversations;
+        } else {
+            throw badRequest('An account export is required (exportFile or conversations)');
+        }
+        const conversations = await loadAccountExport(input);
+
+        if ([true, 'true'].includes(req.body.list)) {
+            return res.json({ conversations: listConversations(conversations) });
+        }
+
+        const ids = Array.isArray(req.body.ids) ? req.body.ids.map(String)
+            : String(req.body.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+        const selected = selectConversations(conversations, ids);
+        if (selected.length > MAX_IMPORT_CONVERSATIONS) {
+            throw badRequest(`Too many conversations: ${selected.length} (select at most ${MAX_IMPORT_CONVERSATIONS} with ids)`,
+                'TOO_MANY_CONVERSATIONS');
+        }
+
+        auth.checkQuota(req.apiKey);
+        const { options, redaction } = requestOptions(req.body);
+        const merge = [true, 'true'].includes(req.body.merge);
+        const result = await runConversion('deepseek_json', req.apiKey, () => converter.convertConversations(selected, options,
+            { merge, title: req.body.title, redaction, ...cacheContext(req) }));
+        res.setHeader('X-Imported-Conversations', headerJSON(selected.map(conversation => conversation.id)));
+        sendDocument(res, result);
+
+    } catch (error) {
+        sendError(res, error);
+    } finally {
+        if (req.file) {
+            await fs.remove(req.file.path);
+        }
+    }
+});
+
+// Layout report of an HTML string, file upload (HTML or zip bundle) or URL, rendered as it would be converted
+app.post('/api/preflight', upload.single('htmlFile'), async (req, res) => {
+    try {
+        auth.checkQuota(req.apiKey);
+        const { options, redaction } = requestOptions(req.body);
+        const thumbnails = [true, 'true'].includes(req.body.thumbnails);
+
+        let preflight;
+        if (req.file && isZipUpload(req.file)) {
+            const bundle = await openZipBundle(await fs.readFile(req.file.path));
+            preflight = () => converter.preflight(bundle.html, options,
+                { fileName: bundle.fileName, loader: bundle.loader, redaction, thumbnails });
+        } else if (req.file) {
+            const html = await fs.readFile(req.file.path, 'utf-8');
+            preflight = () => converter.preflight(html, options, { fileName: req.file.originalname, redaction, thumbnails });
+        } else if (req.body.html) {
+            preflight = () => converter.preflight(req.body.html, options, { redaction, thumbnails });
+        } else if (req.body.url) {
+            preflight = () => converter.preflightURL(req.body.url, options, { redaction, thumbnails });
+        } else {
+            throw badRequest('One of html, htmlFile or url is required');
+        }
+
+        res.json(await runConversion('preflight', req.apiKey, preflight));
+
+    } catch (error) {
+        sendError(res, error);
+    } finally {
+        if (req.file) {
+            await fs.remove(req.file.path);
+        }
+    }
+});
+
+// Queue an asynchronous conversion job (HTML string, HTML file upload or URL)
+app.post('/api/jobs', upload.single('htmlFile'), async (req, res) => {
+    try {
+        // Invalid options and used up quotas are rejected before anything is queued
+        auth.checkQuota(req.apiKey);
+        const { options, profile } = requestOptions(req.body);
+        const owner = req.apiKey?.id ?? null;
+        const requestId = req.id;
+        const cache = cacheMode(req, { url: !req.file && !req.body.html });
+
+        let job;
+        if (req.file && isZipUpload(req.file)) {
+            throw badRequest('Zip bundles are only supported by /api/convert/file', 'UNSUPPORTED_FILE_TYPE');
+        } else if (req.file) {
+            job = await jobQueue.add({ source: 'file', htmlFile: req.file.path, fileName: req.file.originalname, options, profile, owner, requestId, cache });
+        } else if (req.body.html) {
+            job = await jobQueue.add({ source: 'string', html: req.body.html, options, profile, owner, requestId, cache });
+        } else if (req.body.url) {
+            await networkPolicy.checkURL(req.body.url);
+            job = await jobQueue.add({ source: 'url', url: req.body.url, options, profile, owner, requestId, cache });
+        } else {
+            throw badRequest('One of html, htmlFile or url is required');
+        }
+
+        res.status(202).location(`/api/jobs/${job.id}`).json(describeJob(job));
+
+    } catch (error) {
+        sendError(res, error);
+    } finally {
+        // The upload is moved into the job directory once it is queued
+        if (req.file) {
+            await fs.remove(req.file.path);
+        }
+    }
+});
+
+// Job status, progress and error
+app.get('/api/jobs/:id', (req, res) => {
+    try {
+        res.json(describeJob(ownJob(req)));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Download the result of a completed job
+app.get('/api/jobs/:id/result', (req, res) => {
+    try {
+        const job = ownJob(req);
+        if (job.status !== 'completed') {
+            throw new JobNotReadyError(job);
+        }
+
+        const extension = job.extension || 'pdf';
+        res.setHeader('Content-Type', job.contentType || OUTPUT_FORMATS.pdf.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="converted.${extension}"`);
+        res.sendFile(jobQueue.resultPath(job));
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Cancel a pending job, or delete a finished one and its result
+app.delete('/api/jobs/:id', async (req, res) => {
+    try {
+        const job = await jobQueue.cancel(ownJob(req).id);
+        res.json(describeJob(job));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Parse a DeepSeek chat export (HTML string or file upload) into structured JSON
+app.post('/api/parse', upload.single('htmlFile'), async (req, res) => {
+    try {
+        let html = req.body.html;
+        let fileName = req.body.fileName;
+        if (req.file) {
+            html = await fs.readFile(req.file.path, 'utf-8');
+            fileName = req.file.originalname;
+            await fs.remove(req.file.path);
+        }
+
+        if (!html) {
+            throw badRequest('HTML content is required');
+        }
+
+        res.json(parseDeepSeekExport(html, { fileName }));
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Get conversion options, generated from the options schema
 app.get('/api/options', (req, res) => {
     res.json({
-        formats: ['A4', 'Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A5', 'A6'],
-        orientations: ['portrait', 'landscape'],
-        defaultOptions: {
-            format: 'A4',
-            orientation: 'portrait',
-            margin: { top: '20px', bottom: '20px', left: '20px', right: '20px' },
-            printBackground: true,
-            scale: 1.0,
-            timeout: 30000
+        ...describeOptions(),
+        profiles: profileNames(config),
+        headerFooter: {
+            presets: Object.keys(HEADER_FOOTER_PRESETS),
+            placeholders: PLACEHOLDERS
+        },
+        fontFallback: {
+            scripts: Object.keys(SCRIPTS),
+            fonts: fontLibrary.fonts.map(font => font.family)
         }
     });
 });
 
-// Error handling middleware
+// Error handling middleware: malformed JSON bodies and rejected uploads are client errors
 app.use((error, req, res, next) => {
-    console.error('API Error:', error);
-    res.status(500).json({ error: error.message });
+    if (error instanceof multer.MulterError) {
+        error.status = 400;
+    } else if (error.type === 'entity.parse.failed') {
+        error.code = 'INVALID_JSON';
+    }
+    sendError(res, error);
 });
 
 // 404 handler
 app.use((req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
+    res.status(404).json({ error: 'Endpoint not found', code: 'NOT_FOUND' });
 });
 
-// Start server
-app.listen(PORT, () => {
+// Start server once the browsers are warm
+await browserPool.start();
+await jobQueue.start();
+await renderCache?.start();
+
+const server = app.listen(PORT, () => {
+    if (logger.format === 'json') {
+        logger.info('Server started', {
+            port: Number(PORT),
+            auth: auth.keys.enabled() ? 'api-key' : 'open',
+            profiles: config.file ? { file: config.file, names: Object.keys(config.profiles) } : undefined,
+            fontDirs: fontLibrary.dirs.length > 0 ? fontLibrary.dirs : undefined
+        });
+        if (!auth.keys.enabled()) {
+            logger.warn('No API keys configured, the API is open to everyone');
+        }
+        return;
+    }
+
     console.log(`🚀 HTML to PDF API server running on port ${PORT}`);
     console.log(`📖 API Documentation:`);
     console.log(`   POST /api/convert/string - Convert HTML string to PDF`);
     console.log(`   POST /api/convert/file   - Convert HTML file to PDF`);
     console.log(`   POST /api/convert/url    - Convert URL to PDF`);
+    console.log(`   POST /api/convert/merge  - Merge several chats into one PDF`);
+    console.log(`   POST /api/convert/deepseek-json - Convert conversations of a DeepSeek account export`);
+    console.log(`   POST /api/preflight      - Layout report: overflows, fonts, assets, blank pages`);
+    console.log(`   POST /api/parse          - Parse a DeepSeek export into JSON`);
+    console.log(`   POST /api/jobs           - Queue an asynchronous conversion`);
+    console.log(`   GET  /api/jobs/:id       - Job status (/result to download)`);
     console.log(`   GET  /api/options        - Get available options`);
-    console.log(`   GET  /health             - Health check`);
-}); 
\ No newline at end of file
+    console.log(`   GET  /health             - Health check (?deep=1 renders a test page)`);
+    console.log(`   GET  /metrics            - Prometheus metrics`);
+    console.log(auth.keys.enabled()
+        ? `🔑 API keys required, ${auth.keys.list().filter(key => !key.revokedAt).length} active`
+        : '⚠️  No API keys configured, the API is open to everyone (see "keys create")');
+    if (config.file) {
+        console.log(`⚙️  Profiles from ${config.file}: ${Object.keys(config.profiles).join(', ')}`);
+    }
+    if (fontLibrary.dirs.length > 0) {
+        console.log(`🔤 ${fontLibrary.fonts.length} font(s) from ${fontLibrary.dirs.join(', ')}`);
+    }
+});
+
+// Close browsers on shutdown so no Chromium processes are left behind
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        logger.info('Shutting down', { signal });
+        server.close();
+        jobQueue.stop();
+        await renderCache?.close();
+        await browserPool.close();
+        await networkPolicy.stopProxy();
+        process.exit(0);
+    });
+}
@@ -5,13 +5,38 @@
  */
 
 import fs from 'fs-extra';
+import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { NetworkPolicy } from './network_policy.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const API_BASE_URL = 'http://localhost:3000';
+// Needed once the server has API keys: node html_to_pdf_converter.js keys create --name test
+const API_KEY = process.env.API_KEY;
+
+function apiFetch(url, init = {}) {
+    const headers = API_KEY ? { ...init.headers, Authorization: `Bearer ${API_KEY}` } : init.headers;
+    return fetch(url, { ...init, headers });
+}
+
+// GET a URL through a network policy's proxy, the way Chromium does
+function proxyGet(policy, url) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        http.get({
+            host: '127.0.0.1',
+            port: policy.proxy.address().port,
+            path: url,
+            headers: { Host: target.host }
+        }, (res) => {
+            res.resume();
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers }));
+        }).on('error', reject);
+    });
+}
 
 async function testAPI() {
     console.log('🧪 Testing HTML to PDF API...\n');
@@ -19,13 +44,13 @@ async function testAPI() {
     try {
         // Test 1: Health check
         console.log('📊 Test 1: Health check...');
-        const healthResponse = await fetch(`${API_BASE_URL}/health`);
+        const healthResponse = await apiFetch(`${API_BASE_URL}/health`);
         const healthData = await healthResponse.json();
         console.log('✅ Health check:', healthData);
 
         // Test 2: Get options
         console.log('\n📋 Test 2: Getting available options...');
-        const optionsResponse = await fetch(`${API_BASE_URL}/api/options`);
+        const optionsResponse = await apiFetch(`${API_BASE_URL}/api/options`);
         const optionsData = await optionsResponse.json();
         console.log('✅ Available options:', optionsData);
 
@@ -87,7 +112,7 @@ async function testAPI() {
             </html>
         `;
 
-        const stringResponse = await fetch(`${API_BASE_URL}/api/convert/string`, {
+        const stringResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -125,7 +150,7 @@ async function testAPI() {
             printBackground: true
         }));
 
-        const fileResponse = await fetch(`${API_BASE_URL}/api/convert/file`, {
+        const fileResponse = await apiFetch(`${API_BASE_URL}/api/convert/file`, {
             method: 'POST',
             body: formData
         });
@@ -141,7 +166,7 @@ async function testAPI() {
 
         // Test 5: Convert URL
         console.log('\n🌐 Test 5: Converting URL...');
-        const urlResponse = await fetch(`${API_BASE_URL}/api/convert/url`, {
+        const urlResponse = await apiFetch(`${API_BASE_URL}/api/convert/url`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -164,11 +189,540 @@ async function testAPI() {
             console.log('❌ URL conversion failed:', errorData);
         }
 
+        // Test 6: Asynchronous conversion job
+        console.log('\n⏳ Test 6: Converting HTML string as a job...');
+        const jobResponse = await apiFetch(`${API_BASE_URL}/api/jobs`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                html: htmlString,
+                options: { format: 'A4' }
+            })
+        });
+        let job = await jobResponse.json();
+        console.log('✅ Job queued:', job.id);
+
+        while (job.status === 'queued' || job.status === 'running') {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            job = await (await apiFetch(`${API_BASE_URL}${job.links.status}`)).json();
+            console.log(`   ${job.status} (${job.progress}%)`);
+        }
+
+        if (job.status === 'completed') {
+            const resultResponse = await apiFetch(`${API_BASE_URL}${job.links.result}`);
+            const pdfBuffer = await resultResponse.arrayBuffer();
+            await fs.writeFile('api_test_job.pdf', Buffer.from(pdfBuffer));
+            console.log('✅ Job result downloaded to api_test_job.pdf');
+            await apiFetch(`${API_BASE_URL}/api/jobs/${job.id}`, { method: 'DELETE' });
+        } else {
+            console.log('❌ Job failed:', job.error);
+        }
+
+        // Test 7: Network policy, with a local stand-in for an internal service
+        console.log('\n🛡️  Test 7: Network policy...');
+        const standIn = http.createServer((req, res) => {
+            if (req.url === '/redirect') {
+                res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+                return res.end();
+            }
+            res.setHeader('Content-Type', 'text/html');
+            res.end('<h1>Internal admin panel</h1>');
+        });
+        await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+        const standInURL = `http://127.0.0.1:${standIn.address().port}`;
+
+        try {
+            const policy = new NetworkPolicy();
+            const blockedURLs = [
+                standInURL,
+                'http://localhost/',
+                'http://169.254.169.254/latest/meta-data/',
+                'http://[::1]/',
+                'http://[64:ff9b::a9fe:a9fe]/',
+                'file:///etc/passwd'
+            ];
+            for (const url of blockedURLs) {
+                try {
+                    await policy.checkURL(url);
+                    console.log(`❌ Not blocked: ${url}`);
+                } catch (error) {
+                    console.log(`✅ Blocked ${url}: ${error.reason}`);
+                }
+            }
+
+            // The first hop is allow-listed, so the proxy has to stop the second one
+            const allowListed = new NetworkPolicy({ allowHosts: ['127.0.0.1'] });
+            await allowListed.checkURL(standInURL);
+            console.log('✅ Allow-listed stand-in host accepted');
+            await allowListed.startProxy();
+            try {
+                const firstHop = await proxyGet(allowListed, `${standInURL}/redirect`);
+                const secondHop = await proxyGet(allowListed, firstHop.headers.location);
+                if (firstHop.status === 302 && secondHop.status === 403) {
+                    console.log(`✅ Redirect to ${firstHop.headers.location} blocked at the second hop`);
+                } else {
+                    console.log('❌ Redirect not blocked:', firstHop.status, secondHop.status);
+                }
+            } finally {
+                await allowListed.stopProxy();
+            }
+
+            // The server follows the redirect only if it allows the stand-in host too
+            const serverAllowsStandIn = (process.env.NETWORK_ALLOW_HOSTS || '').split(',')
+                .map(host => host.trim()).includes('127.0.0.1');
+            const cases = [
+                { url: standInURL, blocked: !serverAllowsStandIn },
+                { url: 'file:///etc/passwd', blocked: true }
+            ];
+            if (serverAllowsStandIn) {
+                cases.push({ url: `${standInURL}/redirect`, blocked: true });
+            } else {
+                console.log('ℹ️  Start the server and this client with NETWORK_ALLOW_HOSTS=127.0.0.1 to test redirects through the API');
+            }
+
+            for (const { url, blocked } of cases) {
+                const policyResponse = await apiFetch(`${API_BASE_URL}/api/convert/url`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ url })
+                });
+                const errorData = policyResponse.status === 200 ? {} : await policyResponse.json();
+                if (!blocked) {
+                    console.log(policyResponse.status === 200
+                        ? `✅ API converted allow-listed ${url}`
+                        : `❌ API refused allow-listed ${url}: ${policyResponse.status} ${errorData.reason || errorData.error}`);
+                } else if (policyResponse.status === 403 && errorData.code === 'NETWORK_POLICY_BLOCKED') {
+                    console.log(`✅ API refused ${url}: ${errorData.reason}`);
+                } else {
+                    console.log(`❌ API did not block ${url}:`, policyResponse.status, errorData);
+                }
+            }
+        } finally {
+            standIn.close();
+        }
+
+        // Test 8: Option validation
+        console.log('\n🧪 Test 8: Rejecting invalid options...');
+        const invalidResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                html: '<h1>Invalid options</h1>',
+                options: { scale: 5, format: 'B7', margin: { top: 'wide' } }
+            })
+        });
+        const invalidData = await invalidResponse.json();
+        const fields = (invalidData.details || []).map(detail => `${detail.field}:${detail.code}`);
+        if (invalidResponse.status === 400 && invalidData.code === 'INVALID_OPTIONS') {
+            console.log('✅ Invalid options rejected:', fields.join(', '));
+        } else {
+            console.log('❌ Invalid options not rejected:', invalidResponse.status, invalidData);
+        }
+
+        const badJSONForm = new FormData();
+        badJSONForm.append('htmlFile', new Blob(['<h1>Bad options</h1>'], { type: 'text/html' }), 'bad.html');
+        badJSONForm.append('options', '{format: A4');
+        const badJSONResponse = await apiFetch(`${API_BASE_URL}/api/convert/file`, {
+            method: 'POST',
+            body: badJSONForm
+        });
+        const badJSONData = await badJSONResponse.json();
+        console.log(badJSONResponse.status === 400 && badJSONData.code === 'INVALID_JSON' ? '✅' : '❌',
+            'Malformed options JSON:', badJSONResponse.status, badJSONData.code);
+
+        // Test 9: Turn selection
+        console.log('\n✂️  Test 9: Exporting selected turns...');
+        const exportHTML = await fs.readFile('deepseek-chat-2025-08-03T15-20-31.html', 'utf-8');
+        const turnsResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                html: exportHTML,
+                options: { template: 'chat', turns: '3-6', collapseCodeLines: 10 }
+            })
+        });
+
+        if (turnsResponse.ok) {
+            await fs.writeFile('api_test_turns.pdf', Buffer.from(await turnsResponse.arrayBuffer()));
+            console.log('✅ Turns 3-6 converted to api_test_turns.pdf');
+        } else {
+            console.log('❌ Turn selection failed:', await turnsResponse.json());
+        }
+
+        const noTurnsResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ html: exportHTML, options: { search: 'no turn contains this' } })
+        });
+        const noTurnsData = await noTurnsResponse.json();
+        console.log(noTurnsResponse.status === 422 && noTurnsData.code === 'NO_TURNS_SELECTED' ? '✅' : '❌',
+            'Empty selection:', noTurnsResponse.status, noTurnsData.code);
+
+        // Test 10: Redaction
+        console.log('\n🕶️  Test 10: Redacting secrets...');
+        const redactResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                html: '<p>Mail <b>ops</b>@example.com</p><pre><span class="token string">"sk-abcdefghij</span><span class="token string">KLMNOPQRSTUV1234"</span></pre>',
+                options: { redact: true }
+            })
+        });
+
+        if (redactResponse.ok) {
+            const redactionReport = JSON.parse(redactResponse.headers.get('X-Redaction-Report') || '{}');
+            await fs.writeFile('api_test_redacted.pdf', Buffer.from(await redactResponse.arrayBuffer()));
+            console.log(redactionReport.total === 2 ? '✅' : '❌', 'Redaction report:', redactionReport);
+        } else {
+            console.log('❌ Redaction failed:', await redactResponse.json());
+        }
+
+        // Test 11: Markdown output
+        console.log('\n📝 Test 11: Exporting a chat as markdown...');
+        const markdownResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ html: exportHTML, options: { output: 'md', turns: '1-2' } })
+        });
+
+        if (markdownResponse.ok) {
+            const markdown = await markdownResponse.text();
+            await fs.writeFile('api_test_chat.md', markdown);
+            const contentType = markdownResponse.headers.get('Content-Type');
+            console.log(contentType.startsWith('text/markdown') && markdown.startsWith('# ') ? '✅' : '❌',
+                'Markdown export:', contentType, `${markdown.length} characters`);
+        } else {
+            console.log('❌ Markdown export failed:', await markdownResponse.json());
+        }
+
+        // Test 12: Image output
+        console.log('\n🖼️  Test 12: Rendering page images...');
+        const imageResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                html: exportHTML,
+                options: { output: 'png', imageMode: 'pages', turns: '1-2', imageWidth: 600 }
+            })
+        });
+
+        if (imageResponse.ok) {
+            await fs.writeFile('api_test_pages.zip', Buffer.from(await imageResponse.arrayBuffer()));
+            const contentType = imageResponse.headers.get('Content-Type');
+            console.log(contentType === 'application/zip' ? '✅' : '❌', 'Page images saved to api_test_pages.zip:', contentType);
+        } else {
+            console.log('❌ Image output failed:', await imageResponse.json());
+        }
+
+        // Test 13: Code block styling
+        console.log('\n💻 Test 13: Styling code blocks...');
+        const codeResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                html: exportHTML,
+                options: { codeTheme: 'one-dark', codeLineNumbers: true, codeLabels: true, codeSplit: true }
+            })
+        });
+
+        if (codeResponse.ok) {
+            await fs.writeFile('api_test_code.pdf', Buffer.from(await codeResponse.arrayBuffer()));
+            console.log('✅ Styled code blocks saved to api_test_code.pdf');
+        } else {
+            console.log('❌ Code styling failed:', await codeResponse.json());
+        }
+
+        // Test 14: Raw TeX rendered with the bundled KaTeX
+        console.log('\n🧮 Test 14: Rendering math...');
+        const mathResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                html: '<h1>Math</h1><p>Inline $e^{i\\pi} + 1 = 0$ and display $$\\int_a^b f(x)\\,dx = F(b) - F(a)$$</p>',
+                options: { mathTex: true, offline: true }
+            })
+        });
+
+        if (mathResponse.ok) {
+            await fs.writeFile('api_test_math.pdf', Buffer.from(await mathResponse.arrayBuffer()));
+            console.log('✅ Math rendered offline, saved to api_test_math.pdf');
+        } else {
+            console.log('❌ Math rendering failed:', await mathResponse.json());
+        }
+
+        // Test 15: Merging chats into one PDF
+        console.log('\n📚 Test 15: Merging chats...');
+        const mergeForm = new FormData();
+        mergeForm.append('htmlFiles', new Blob([exportHTML], { type: 'text/html' }), 'deepseek-chat-2025-08-03T15-20-31.html');
+        mergeForm.append('htmlFiles', new Blob([exportHTML], { type: 'text/html' }), 'deepseek-chat-2025-08-04T09-00-00.html');
+        mergeForm.append('title', 'API test chats');
+        mergeForm.append('options', JSON.stringify({ theme: 'compact' }));
+
+        const mergeResponse = await apiFetch(`${API_BASE_URL}/api/convert/merge`, {
+            method: 'POST',
+            body: mergeForm
+        });
+
+        if (mergeResponse.ok) {
+            await fs.writeFile('api_test_merged.pdf', Buffer.from(await mergeResponse.arrayBuffer()));
+            console.log('✅ Merged chats saved to api_test_merged.pdf:', mergeResponse.headers.get('x-merged-chats'));
+        } else {
+            console.log('❌ Merging failed:', await mergeResponse.json());
+        }
+
+        // Test 16: Profiles
+        console.log('\n⚙️  Test 16: Converting with a profile...');
+        const profileResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ html: exportHTML, profile: 'markdown', options: { turns: '1-2' } })
+        });
+
+        if (profileResponse.ok) {
+            console.log(profileResponse.headers.get('content-type').startsWith('text/markdown') ? '✅' : '❌',
+                'Markdown profile:', profileResponse.headers.get('content-type'));
+        } else {
+            console.log('❌ Profile conversion failed:', await profileResponse.json());
+        }
+
+        const unknownProfileResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ html: exportHTML, profile: 'no-such-profile' })
+        });
+        const unknownProfileData = await unknownProfileResponse.json();
+        console.log(unknownProfileResponse.status === 400 && unknownProfileData.code === 'UNKNOWN_PROFILE' ? '✅' : '❌',
+            'Unknown profile:', unknownProfileResponse.status, unknownProfileData.code);
+
+        // Test 17: Metadata, watermark and attachments
+        console.log('\n🏷️  Test 17: Watermark and embedded sources...');
+        const archiveResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                html: exportHTML,
+                options: { pdfAuthor: 'API test', watermark: 'INTERNAL', attachSource: true, attachJSON: true }
+            })
+        });
+
+        if (archiveResponse.ok) {
+            await fs.writeFile('api_test_archive.pdf', Buffer.from(await archiveResponse.arrayBuffer()));
+            console.log('✅ Watermarked PDF with attachments saved to api_test_archive.pdf');
+        } else {
+            console.log('❌ Watermarking failed:', await archiveResponse.json());
+        }
+
+        // Test 18: API keys and rate limits
+        console.log('\n🔑 Test 18: API keys and rate limits...');
+        const limitedResponse = await apiFetch(`${API_BASE_URL}/api/options`);
+        console.log(limitedResponse.headers.has('ratelimit-remaining') ? '✅' : '❌', 'Rate limit:',
+            `${limitedResponse.headers.get('ratelimit-remaining')} of ${limitedResponse.headers.get('ratelimit-limit')} requests left`);
+
+        if (healthData.auth === 'api-key') {
+            const badKeyResponse = await fetch(`${API_BASE_URL}/api/options`, {
+                headers: { Authorization: 'Bearer dsk_invalid' }
+            });
+            const badKeyData = await badKeyResponse.json();
+            console.log(badKeyResponse.status === 401 && badKeyData.code === 'UNAUTHORIZED' ? '✅' : '❌',
+                'Invalid key:', badKeyResponse.status, badKeyData.code);
+        } else {
+            console.log('ℹ️  No API keys configured, the API is open');
+        }
+
+        // Test 19: Deep health check, request IDs and metrics
+        console.log('\n📈 Test 19: Deep health check and metrics...');
+        const deepHealthResponse = await fetch(`${API_BASE_URL}/health?deep=1`);
+        const deepHealthData = await deepHealthResponse.json();
+        console.log(deepHealthData.browser?.ok ? '✅' : '❌', 'Deep health check:', deepHealthData.status, deepHealthData.browser);
+
+        const tracedResponse = await apiFetch(`${API_BASE_URL}/api/options`, {
+            headers: { 'X-Request-Id': 'api-test-19' }
+        });
+        console.log(tracedResponse.headers.get('x-request-id') === 'api-test-19' ? '✅' : '❌',
+            'Request ID:', tracedResponse.headers.get('x-request-id'));
+
+        const metricsResponse = await fetch(`${API_BASE_URL}/metrics`, {
+            headers: process.env.METRICS_TOKEN ? { Authorization: `Bearer ${process.env.METRICS_TOKEN}` } : {}
+        });
+        const metricsText = await metricsResponse.text();
+        console.log(metricsText.includes('html_to_pdf_conversions_total') ? '✅' : '❌', 'Metrics:',
+            metricsText.split('\n').filter(line => line.startsWith('html_to_pdf_conversions_total')).join(', '));
+
+        // Test 20: Render cache and ETags
+        console.log('\n♻️  Test 20: Render cache...');
+        const cacheBody = JSON.stringify({ html: exportHTML, options: { template: 'chat' } });
+        const firstResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: cacheBody
+        });
+        const etag = firstResponse.headers.get('etag');
+        await firstResponse.arrayBuffer();
+        const secondResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: cacheBody
+        });
+        await secondResponse.arrayBuffer();
+        console.log(secondResponse.headers.get('x-cache') === 'HIT' ? '✅' : '❌', 'Second conversion:',
+            secondResponse.headers.get('x-cache'), etag);
+
+        const notModifiedResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'If-None-Match': etag },
+            body: cacheBody
+        });
+        console.log(notModifiedResponse.status === 304 ? '✅' : '❌', 'If-None-Match:', notModifiedResponse.status);
+
+        // Test 21: Preflight report of a table wider than the page
+        console.log('\n🔍 Test 21: Preflight...');
+        const wideTable = `<table><tr>${'<td>wide column</td>'.repeat(30)}</tr></table>`;
+        const preflightResponse = await apiFetch(`${API_BASE_URL}/api/preflight`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ html: `<html><body><h1>Preflight</h1>${wideTable}</body></html>`, thumbnails: true })
+        });
+        const preflight = await preflightResponse.json();
+        console.log(preflight.overflows?.some(overflow => overflow.kind === 'table') ? '✅' : '❌', 'Preflight:',
+            `${preflight.pages} page(s), ${preflight.overflows?.length} overflow(s), ${preflight.thumbnails?.length} thumbnail(s)`);
+        console.log('   Warnings:', preflight.warnings);
+
+        // Test 22: Chinese, Arabic and emoji printed with the bundled fallback fonts
+        console.log('\n🔤 Test 22: Fonts for other scripts...');
+        const scriptsHTML = '<html><body><h1>Scripts</h1><p>你好，世界</p><p>مرحبا بالعالم</p><p>Done 🎉</p></body></html>';
+        const scriptsResponse = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ html: scriptsHTML, options: { offline: true } })
+        });
+        if (scriptsResponse.ok) {
+            await fs.writeFile('api_test_scripts.pdf', Buffer.from(await scriptsResponse.arrayBuffer()));
+            console.log('✅ Mixed scripts converted, saved to api_test_scripts.pdf');
+        } else {
+            console.log('❌ Mixed scripts failed:', scriptsResponse.status, await scriptsResponse.text());
+        }
+        const scriptsPreflight = await (await apiFetch(`${API_BASE_URL}/api/preflight`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ html: scriptsHTML })
+        })).json();
+        console.log(scriptsPreflight.fonts?.fallbacks?.fonts?.length === 3 ? '✅' : '❌', 'Fallback fonts:',
+            scriptsPreflight.fonts?.fallbacks?.fonts);
+
+        // Test 23: Conversations of an account export (conversations.json), listed and converted
+        console.log('\n📥 Test 23: Importing an account export...');
+        const accountExport = [{
+            id: 'test-conversation-1',
+            title: 'Imported chat',
+            inserted_at: '2025-08-03T12:00:00Z',
+            updated_at: '2025-08-03T12:05:00Z',
+            mapping: {
+                root: { id: 'root', parent: null, children: ['1'], message: null },
+                1: { id: '1', parent: 'root', children: ['2'], message: { fragments: [{ type: 'REQUEST', content: 'Sum of squares?' }] } },
+                2: { id: '2', parent: '1', children: [], message: { fragments: [{ type: 'RESPONSE',
+                    content: '## Formula\n\n$$\\sum_{k=1}^n k^2 = \\frac{n(n+1)(2n+1)}{6}$$\n\n```python\nsum(k * k for k in range(n + 1))\n```' }] } }
+            }
+        }];
+        const listResponse = await apiFetch(`${API_BASE_URL}/api/convert/deepseek-json`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ conversations: accountExport, list: true })
+        });
+        const listed = await listResponse.json();
+        console.log(listed.conversations?.length === 1 ? '✅' : '❌', 'Listed:', listed.conversations);
+
+        const importResponse = await apiFetch(`${API_BASE_URL}/api/convert/deepseek-json`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ conversations: accountExport, ids: ['test-conv'] })
+        });
+        if (importResponse.ok) {
+            await fs.writeFile('api_test_import.pdf', Buffer.from(await importResponse.arrayBuffer()));
+            console.log('✅ Imported conversation saved to api_test_import.pdf:', importResponse.headers.get('x-imported-conversations'));
+        } else {
+            console.log('❌ Import failed:', importResponse.status, await importResponse.text());
+        }
+
+        // Test 24: More requests at once than the pool has browsers and queue places.
+        // Each page keeps its browser busy for two seconds; run the server with RATE_LIMIT=0.
+        console.log('\n🚦 Test 24: Saturating the browser pool...');
+        const { browserPool: pool } = await (await apiFetch(`${API_BASE_URL}/health`)).json();
+        const slowHTML = (n) => `<html><body><h1>Slow page ${n}</h1>
+            <script>const end = Date.now() + 2000; while (Date.now() < end) {}</script></body></html>`;
+        const burst = await Promise.all(Array.from({ length: pool.size + pool.maxQueue + 3 }, (_, n) =>
+            apiFetch(`${API_BASE_URL}/api/convert/string`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ html: slowHTML(n), options: { timeout: 60000 } })
+            })));
+        const saturated = burst.filter(response => response.status === 503);
+        const saturatedBody = saturated.length > 0 ? await saturated[0].json() : {};
+        console.log(saturated.length >= 3 && saturatedBody.code === 'POOL_SATURATED' && saturated[0].headers.get('retry-after') ? '✅' : '❌',
+            `${burst.length} requests: ${burst.filter(response => response.ok).length} converted, ${saturated.length} refused with 503,`,
+            `Retry-After ${saturated[0]?.headers.get('retry-after')}s`);
+        if (burst.some(response => response.status === 429)) {
+            console.log('   Some requests hit the rate limit, restart the server with RATE_LIMIT=0');
+        }
+
+        // Test 25: A page that fails gives its browser back to the pool
+        console.log('\n🩹 Test 25: Releasing pages after an error...');
+        const failing = await apiFetch(`${API_BASE_URL}/api/convert/string`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ html: slowHTML('timeout').replace('2000', '5000'), options: { timeout: 1000 } })
+        });
+        console.log(failing.status === 500 ? '✅' : '❌', 'Page timing out:', failing.status, (await failing.json()).error);
+        const afterError = await Promise.all(Array.from({ length: pool.size }, (_, n) =>
+            apiFetch(`${API_BASE_URL}/api/convert/string`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ html: `<html><body><h1>After the error ${n}</h1></body></html>` })
+            })));
+        const { browserPool: poolAfter } = await (await apiFetch(`${API_BASE_URL}/health`)).json();
+        console.log(afterError.every(response => response.ok) && poolAfter.busy === 0 ? '✅' : '❌',
+            `${afterError.filter(response => response.ok).length}/${pool.size} conversions after the error,`,
+            `${poolAfter.busy} page(s) still busy`);
+
         console.log('\n✅ All API tests completed!');
         console.log('\n📁 Generated files:');
         console.log('  - api_test_string.pdf (HTML string conversion)');
         console.log('  - api_test_file.pdf (HTML file conversion)');
         console.log('  - api_test_url.pdf (URL conversion)');
+        console.log('  - api_test_job.pdf (asynchronous job)');
+        console.log('  - api_test_chat.md (markdown export)');
+        console.log('  - api_test_pages.zip (page images)');
+        console.log('  - api_test_code.pdf (styled code blocks)');
+        console.log('  - api_test_math.pdf (math rendered from TeX)');
+        console.log('  - api_test_merged.pdf (merged chats)');
+        console.log('  - api_test_archive.pdf (watermark and attachments)');
+        console.log('  - api_test_scripts.pdf (Chinese, Arabic and emoji text)');
+        console.log('  - api_test_import.pdf (conversation of an account export)');
 
     } catch (error) {
         console.error('❌ API test failed:', error.message);
@@ -0,0 +1,1006 @@
+#!/usr/bin/env node
+
+/**
+ * Browser-free checks for the conversion modules.
+ * The API tests need a running server: see test_api.js.
+ */
+
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { test } from 'node:test';
+import dns from 'dns';
+import fs from 'fs-extra';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { PDFDocument, PDFName, PDFDict, PDFArray, rgb } from 'pdf-lib';
+import { parseDeepSeekExport, ExportParseError } from './deepseek_parser.js';
+import { parseSearch, MAX_PATTERN_LENGTH } from './turn_filter.js';
+import { MatchTimeoutError } from './regex_worker.js';
+import { renderMarkdown } from './markdown_exporter.js';
+import { NetworkPolicy, NetworkPolicyError } from './network_policy.js';
+import { ApiAuth, KeyStore, QuotaError } from './auth.js';
+import { Logger } from './logger.js';
+import { resolveAssets, directoryLoader } from './asset_resolver.js';
+import { watchDirectory } from './batch_runner.js';
+import { createRedactor } from './redactor.js';
+import { loadAccountExport, renderConversationHTML } from './deepseek_import.js';
+import { BrowserPool, PoolSaturatedError } from './browser_pool.js';
+import { RenderCache, matchesETag } from './render_cache.js';
+import { validateOptions, parseOptions, OptionsError, DEFAULT_OPTIONS } from './options_schema.js';
+import { loadConfig, resolveProfile, ProfileError, ConfigError } from './profiles.js';
+import { pageFurniture, validateTemplate, TemplateError } from './header_footer.js';
+import { MetricsRegistry } from './metrics.js';
+import { JobQueue, JobNotFoundError } from './job_queue.js';
+import { renderChatDocument } from './chat_template.js';
+import { prepareHTML } from './html_pipeline.js';
+import { annotateOutline, resolvePages, addOutline } from './pdf_outline.js';
+import { isImageOutput, screenshotViewport, packImages, unpackImages } from './image_renderer.js';
+import { splitLines, linesPerPage, renderCodeBlocks } from './code_blocks.js';
+import { detectMath, renderMath } from './math_renderer.js';
+import { prepareMerge, mergeOptions, MergeError } from './chat_merger.js';
+import { finishPDF } from './pdf_metadata.js';
+import { printableArea, preflightReport } from './preflight.js';
+import { detectScripts, renderScriptFonts } from './font_fallback.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SAMPLE_NAME = 'deepseek-chat-2025-08-03T15-20-31.html';
+const SAMPLE_HTML = fs.readFileSync(path.join(__dirname, SAMPLE_NAME), 'utf8');
+
+test('parser reads the turns, code blocks and math of the sample export', () => {
+    const chat = parseDeepSeekExport(SAMPLE_HTML, { fileName: SAMPLE_NAME });
+
+    assert.equal(chat.turns.length, 12);
+    assert.equal(chat.stats.prompts, 6);
+    assert.equal(chat.stats.answers, 6);
+    assert.equal(chat.stats.codeBlocks, 32);
+    assert.equal(chat.stats.math, 2);
+    assert.deepEqual(chat.turns.slice(0, 2).map(t => t.role), ['user', 'assistant']);
+    assert.ok(chat.exportedAt);
+});
+
+test('parser rejects documents that are not DeepSeek exports', () => {
+    assert.throws(
+        () => parseDeepSeekExport('<html><body><h1>Hello</h1><p>Not a chat</p></body></html>'),
+        (error) => error instanceof ExportParseError && error.status === 422 && error.code === 'EXPORT_PARSE_FAILED'
+    );
+});
+
+test('search patterns that backtrack badly are rejected', () => {
+    assert.deepEqual(parseSearch('/docker\\s+(compose|swarm)/i')(['Run docker compose up', 'Run podman']), [true, false]);
+    assert.deepEqual(parseSearch('(a+)+')(['Literal (A+)+ text']), [true]);
+
+    for (const pattern of ['/(a+)+$/', '/(a|ab)*c/', '/(\\w+\\s?)*$/', '/(a)\\1/', `/${'a'.repeat(MAX_PATTERN_LENGTH + 1)}/`]) {
+        assert.throws(() => parseSearch(pattern), /search pattern/, pattern);
+    }
+});
+
+test('search patterns that run too long are stopped', () => {
+    const started = Date.now();
+    assert.throws(() => parseSearch('/a.*a.*a.*a.*a.*a.*b/', { timeout: 500 })(['a'.repeat(300)]),
+        error => error instanceof MatchTimeoutError && error.status === 422 && error.code === 'SEARCH_TIMEOUT');
+    assert.ok(Date.now() - started < 5000);
+});
+
+test('markdown output escapes HTML and markdown syntax in prompts and answers', () => {
+    const html = `<html><head><title>Chat</title></head><body>
+        <div class="fbb737a4"># Not a heading
+1. not a list &lt;img src=x onerror=alert(1)&gt;
+
+\`\`\`html
+&lt;b&gt;kept&lt;/b&gt;
+\`\`\`</div>
+        <div class="ds-markdown"><p>Use &lt;script&gt;alert(1)&lt;/script&gt; &amp; more</p></div>
+    </body></html>`;
+    const markdown = renderMarkdown(parseDeepSeekExport(html)).toString();
+
+    assert.match(markdown, /^\\# Not a heading {2}$/m);
+    assert.match(markdown, /^1\\\. not a list &lt;img src=x onerror=alert\(1\)&gt;$/m);
+    assert.match(markdown, /^```html\n<b>kept<\/b>\n```$/m);
+    assert.match(markdown, /Use &lt;script&gt;alert\(1\)&lt;\/script&gt; &amp; more/);
+    assert.doesNotMatch(markdown, /<script>|<img/);
+    assert.match(markdown, /\*1 prompt · 1 answer\*/);
+});
+
+test('network policy blocks private addresses behind NAT64, 6to4 and Teredo', async () => {
+    const policy = new NetworkPolicy();
+    for (const url of ['http://[64:ff9b::a9fe:a9fe]/', 'http://[2002:a9fe:a9fe::1]/', 'http://[2001:0:4136:e378:8000:63bf:3fff:fdd2]/',
+        'http://[::a9fe:a9fe]/', 'http://[::ffff:169.254.169.254]/']) {
+        await assert.rejects(policy.checkURL(url), NetworkPolicyError, url);
+    }
+});
+
+test('network policy proxy connects to the address it checked', async () => {
+    const upstream = http.createServer((req, res) => res.end(`served ${req.headers.host}${req.url}`));
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    const port = upstream.address().port;
+
+    // Names only the policy can resolve: the proxy must not look them up again
+    const lookup = async host => (host === 'rebind.test' ? [{ address: '127.0.0.1', family: 4 }] : dns.promises.lookup(host, { all: true }));
+    const open = new NetworkPolicy({ blockPrivateNetworks: false });
+    const strict = new NetworkPolicy();
+    const httpOnly = new NetworkPolicy({ blockPrivateNetworks: false, allowedSchemes: ['http'] });
+    const httpsOnly = new NetworkPolicy({ blockPrivateNetworks: false, allowedSchemes: ['https'] });
+    const policies = [open, strict, httpOnly, httpsOnly];
+    for (const policy of policies) {
+        policy.lookup = lookup;
+        await policy.startProxy();
+    }
+
+    const viaProxy = (policy, url) => new Promise((resolve, reject) => {
+        const proxy = policy.proxy.address();
+        http.get({ host: proxy.address, port: proxy.port, path: url, headers: { host: new URL(url).host } }, (res) => {
+            let body = '';
+            res.on('data', chunk => (body += chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+    const tunnel = (policy, target) => new Promise((resolve, reject) => {
+        const proxy = policy.proxy.address();
+        http.request({ host: proxy.address, port: proxy.port, method: 'CONNECT', path: target })
+            .on('connect', (res, socket) => {
+                socket.destroy();
+                resolve(res.statusCode);
+            })
+            .on('error', reject)
+            .end();
+    });
+
+    try {
+        assert.deepEqual(await viaProxy(open, `http://rebind.test:${port}/page`),
+            { status: 200, body: `served rebind.test:${port}/page` });
+        assert.equal(await tunnel(open, `rebind.test:${port}`), 200);
+
+        assert.equal((await viaProxy(strict, `http://rebind.test:${port}/page`)).status, 403);
+        assert.equal(await tunnel(strict, `rebind.test:${port}`), 403);
+        assert.equal(await tunnel(strict, `[64:ff9b::a9fe:a9fe]:443`), 403);
+
+        // Plain requests are http:, tunnels https:, and both need their scheme allowed
+        assert.equal((await viaProxy(httpOnly, `http://rebind.test:${port}/page`)).status, 200);
+        assert.equal(await tunnel(httpOnly, `rebind.test:${port}`), 403);
+        assert.equal((await viaProxy(httpsOnly, `http://rebind.test:${port}/page`)).status, 403);
+        assert.equal(await tunnel(httpsOnly, `rebind.test:${port}`), 200);
+
+        assert.ok(strict.launchArgs().includes(`--proxy-server=http://127.0.0.1:${strict.proxy.address().port}`));
+    } finally {
+        for (const policy of policies) {
+            await policy.stopProxy();
+        }
+        upstream.close();
+    }
+});
+
+test('key store keeps the last good keys when the keys file breaks', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'keys-'));
+    const entries = [];
+    const logger = new Logger({ level: 'debug', write: line => entries.push(JSON.parse(line)) });
+    const file = path.join(dir, 'api_keys.json');
+
+    try {
+        const { key } = await new KeyStore({ file }).create({ name: 'test' });
+        const store = new KeyStore({ file, logger });
+        assert.ok(store.find(key));
+
+        await fs.writeFile(file, '{ "keys": [');
+        await fs.utimes(file, new Date(), new Date(Date.now() + 5000));
+        assert.ok(store.find(key));
+        assert.ok(store.find(key));
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].msg, 'Keys file could not be read');
+
+        assert.throws(() => new KeyStore({ file, logger }).find(key), SyntaxError);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('quota reserves running conversions and gives back failed ones', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quota-'));
+    const auth = ApiAuth.fromEnvironment({ DAILY_CONVERSIONS: '2' }, dir);
+    const record = { id: 'key_test' };
+
+    try {
+        const first = auth.reserveQuota(record);
+        const second = auth.reserveQuota(record);
+        assert.throws(() => auth.reserveQuota(record), QuotaError);
+
+        second.release();
+        second.release();
+        const third = auth.reserveQuota(record);
+        await first.commit(3);
+        third.release();
+        assert.deepEqual(auth.usage.get(record.id), { conversions: 1, pages: 3 });
+
+        const last = auth.reserveQuota(record);
+        await last.commit(1);
+        last.release();
+        assert.throws(() => auth.checkQuota(record), QuotaError);
+        assert.doesNotThrow(() => auth.reserveQuota(null));
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('invalid rate limit settings are rejected', () => {
+    assert.throws(() => ApiAuth.fromEnvironment({ RATE_LIMIT: 'sixty' }), /RATE_LIMIT must be a whole number/);
+    assert.throws(() => ApiAuth.fromEnvironment({ DAILY_PAGES: '-1' }), /DAILY_PAGES must be a whole number/);
+    assert.throws(() => ApiAuth.fromEnvironment({ RATE_LIMIT_WINDOW: '0' }), /RATE_LIMIT_WINDOW/);
+    assert.equal(ApiAuth.fromEnvironment({ RATE_LIMIT: ' 0 ' }).rateLimit, 0);
+});
+
+test('asset references that are not valid percent-encoding are reported as unresolved', async () => {
+    const files = { 'style.css': Buffer.from('body { background: url("img%E0.png"); }'), '100%.css': Buffer.from('p { color: red; }') };
+    const html = '<html><head><link rel="stylesheet" href="style.css"><link rel="stylesheet" href="100%.css"></head><body></body></html>';
+    const { html: output, report } = await resolveAssets(html, { loader: async assetPath => files[assetPath] || null });
+
+    assert.deepEqual(report.inlined, ['style.css', '100%.css']);
+    assert.deepEqual(report.unresolved, ['img%E0.png']);
+    assert.match(output, /p { color: red; }/);
+});
+
+test('stylesheets importing each other are inlined once', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'assets-'));
+    try {
+        await fs.writeFile(path.join(dir, 'a.css'), '@import "b.css";\n.a { color: red; }');
+        await fs.writeFile(path.join(dir, 'b.css'), '@import "a.css";\n.b { color: blue; }');
+        await fs.writeFile(path.join(dir, 'self.css'), '@import url("self.css");\n.self { color: green; }');
+        const html = '<html><head><link rel="stylesheet" href="a.css"><link rel="stylesheet" href="self.css"></head><body></body></html>';
+        const { html: output, report } = await resolveAssets(html, { loader: directoryLoader(dir) });
+
+        assert.deepEqual(report.inlined, ['a.css', 'b.css', 'self.css']);
+        assert.deepEqual(report.unresolved, ['a.css', 'self.css']);
+        assert.match(output, /@import "a\.css";\n\.b { color: blue; }\n\.a { color: red; }/);
+        assert.match(output, /@import url\("self\.css"\);\n\.self/);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('batch conversion names outputs after their inputs and reports each failure', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'batch-'));
+    const cli = (...args) => new Promise((resolve) => {
+        execFile(process.execPath, [path.join(__dirname, 'html_to_pdf_converter.js'), ...args],
+            { cwd: dir, timeout: 120000, env: { ...process.env, DEEPSEEK_PDF_CONFIG: '' } },
+            (error, stdout) => resolve({ code: error ? error.code : 0, stdout }));
+    });
+
+    try {
+        await fs.outputFile(path.join(dir, 'a', 'chat.html'), SAMPLE_HTML);
+        await fs.outputFile(path.join(dir, 'a', 'other.htm'), SAMPLE_HTML);
+        await fs.outputFile(path.join(dir, 'a', 'plain.html'), '<html><body><p>Not a chat</p></body></html>');
+        await fs.outputFile(path.join(dir, 'b', 'chat.html'), SAMPLE_HTML);
+
+        const first = await cli('convert', '-i', 'a', 'b', '--to', 'md', '-o', 'out');
+        assert.equal(first.code, 1);
+        assert.match(first.stdout, /2 converted, 0 skipped, 2 failed/);
+        assert.match(first.stdout, /failed +a\/plain\.html +md output needs a DeepSeek chat export/);
+        assert.match(first.stdout, /failed +b\/chat\.html +same output name as a\/chat\.html/);
+        assert.deepEqual((await fs.readdir(path.join(dir, 'out'))).sort(), ['chat.md', 'other.md']);
+
+        const second = await cli('convert', '-i', 'a/*.htm*', '--to', 'md', '-o', 'out');
+        assert.match(second.stdout, /0 converted, 2 skipped, 1 failed/);
+
+        await fs.remove(path.join(dir, 'a', 'plain.html'));
+        const third = await cli('convert', '-i', 'a', '--to', 'md', '-o', 'out');
+        assert.equal(third.code, 0);
+        assert.match(third.stdout, /0 converted, 2 skipped, 0 failed/);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('watched files are handed over once, after they stopped growing', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-'));
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    await fs.writeFile(path.join(dir, 'deepseek-chat-old.html'), SAMPLE_HTML);
+
+    const handed = [];
+    const watcher = await watchDirectory(dir, { pattern: 'deepseek-chat-*.html', onFile: async file => handed.push(file) });
+    try {
+        // A download arriving in parts
+        const file = path.join(dir, 'deepseek-chat-new.html');
+        await fs.writeFile(file, '');
+        for (let i = 0; i < 4; i++) {
+            await sleep(300);
+            await fs.appendFile(file, SAMPLE_HTML.slice(i * 1000, (i + 1) * 1000));
+        }
+        assert.deepEqual(handed, []);
+
+        await sleep(2500);
+        assert.deepEqual(handed, [file]);
+
+        await fs.appendFile(file, '<!-- changed -->');
+        await sleep(2500);
+        assert.deepEqual(handed, [file, file]);
+    } finally {
+        await watcher.close();
+        await fs.remove(dir);
+    }
+});
+
+test('redaction covers inline scripts, styles and comments', () => {
+    const html = `<html><head><style>/* owner: admin@example.com */</style>
+        <script>const key = "sk-abcdefghijklmnopqrstuvwxyz123456";</script></head>
+        <body><!-- ops@example.com --><p>Mail <b>someone@example.com</b></p></body></html>`;
+    const { html: output, report } = createRedactor({}, {}).redactHTML(html);
+
+    assert.doesNotMatch(output, /example\.com|sk-abc/);
+    assert.match(output, /<script>const key = "\[REDACTED:api-key\]";<\/script>/);
+    assert.deepEqual(report.rules, { email: 3, 'api-key': 1 });
+});
+
+test('imported conversations get the heading levels of HTML exports in markdown', async () => {
+    const [conversation] = await loadAccountExport([{
+        id: 'headings', title: 'Headings', inserted_at: '2025-08-03T12:00:00Z', updated_at: '2025-08-03T12:05:00Z',
+        mapping: {
+            root: { id: 'root', parent: null, children: ['1'], message: null },
+            1: { id: '1', parent: 'root', children: ['2'], message: { fragments: [{ type: 'REQUEST', content: 'Set it up?' }] } },
+            2: { id: '2', parent: '1', children: [], message: { fragments: [{ type: 'RESPONSE', content: '## Setup\n\nFirst\n\n### Details\n\nThen' }] } }
+        }
+    }]);
+    const exported = `<html><head><title>Headings</title></head><body>
+        <div class="fbb737a4">Set it up?</div>
+        <div class="ds-markdown"><h2>Setup</h2><p>First</p><h3>Details</h3><p>Then</p></div>
+    </body></html>`;
+    const headings = html => renderMarkdown(parseDeepSeekExport(html)).toString().match(/^#+ .*$/gm);
+
+    assert.deepEqual(headings(renderConversationHTML(conversation)), headings(exported));
+    assert.deepEqual(headings(exported), ['# Headings', '## You', '## DeepSeek', '#### Setup', '##### Details']);
+});
+
+test('browser probe waits for a free browser no longer than its own timeout', async () => {
+    const pool = new BrowserPool({ size: 1, acquireTimeout: 30000, logger: new Logger({ write: () => {} }) });
+    pool.slots.push({ id: 0, browser: null, uses: 0, createdAt: Date.now(), busy: true, launching: null });
+
+    const startedAt = Date.now();
+    await assert.rejects(pool.probe({ timeout: 100 }), PoolSaturatedError);
+    assert.ok(Date.now() - startedAt < 1000);
+    assert.equal(pool.waiting.length, 0);
+});
+
+test('render cache keys ignore line endings and option order', () => {
+    const key = RenderCache.key({ document: '<p>a</p>\n<p>b</p>', options: { format: 'A4', scale: 1 }, info: { title: 'Chat' } });
+
+    assert.equal(RenderCache.key({ document: '\ufeff<p>a</p>\r\n<p>b</p>', options: { scale: 1, format: 'A4' }, info: { title: 'Chat' } }), key);
+    assert.notEqual(RenderCache.key({ document: '<p>a</p>\n<p>b</p>', options: { format: 'A5', scale: 1 }, info: { title: 'Chat' } }), key);
+    assert.notEqual(RenderCache.key({ document: '<p>a</p><p>b</p>', options: { format: 'A4', scale: 1 }, info: { title: 'Chat' } }), key);
+    assert.ok(matchesETag(`"x", ${RenderCache.etag(key)}`, RenderCache.etag(key)));
+    assert.ok(matchesETag(`"${key}"`, RenderCache.etag(key)));
+    assert.ok(!matchesETag('"other"', RenderCache.etag(key)));
+});
+
+test('render cache expires entries and evicts the least recently used', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-'));
+    const cache = new RenderCache({ dir, maxSize: 10, ttl: 200, logger: new Logger({ write: () => {} }) });
+    const render = text => ({ buffer: Buffer.from(text), contentType: 'application/pdf', extension: 'pdf' });
+    const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+    try {
+        await cache.set('a', render('aaaa'));
+        await tick();
+        await cache.set('b', render('bbbb'));
+        await tick();
+        assert.equal((await cache.get('a')).buffer.toString(), 'aaaa');
+        await tick();
+        await cache.set('c', render('cccc'));
+
+        assert.equal(await cache.get('b'), null);
+        assert.ok(!await fs.pathExists(cache.dataPath('b')));
+        assert.deepEqual([...cache.entries.keys()].sort(), ['a', 'c']);
+        assert.equal(cache.size, 8);
+        assert.equal(cache.stats.evictions, 1);
+
+        await new Promise(resolve => setTimeout(resolve, 250));
+        assert.equal(await cache.get('a'), null);
+        await cache.sweep();
+        assert.equal(cache.entries.size, 0);
+        assert.equal(cache.size, 0);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('render cache renders once for requests arriving together', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-'));
+    const cache = new RenderCache({ dir, logger: new Logger({ write: () => {} }) });
+    let renders = 0;
+    const render = async () => {
+        renders++;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return { buffer: Buffer.from(`render ${renders}`), contentType: 'application/pdf', extension: 'pdf', pages: 2 };
+    };
+
+    try {
+        const [first, second] = await Promise.all([cache.fetch('k', render), cache.fetch('k', render)]);
+        assert.equal(renders, 1);
+        assert.deepEqual([first.hit, second.hit], [false, true]);
+        assert.equal(second.result.buffer.toString(), 'render 1');
+
+        const cached = await cache.fetch('k', render);
+        assert.equal(renders, 1);
+        assert.equal(cached.result.pages, 2);
+
+        const refreshed = await cache.fetch('k', render, { refresh: true });
+        assert.equal(refreshed.result.buffer.toString(), 'render 2');
+        assert.equal(cache.getStatus().hits, 2);
+
+        const failing = () => Promise.reject(new Error('render failed'));
+        const outcomes = await Promise.allSettled([cache.fetch('bad', failing), cache.fetch('bad', failing)]);
+        assert.deepEqual(outcomes.map(outcome => outcome.status), ['rejected', 'rejected']);
+        assert.equal(cache.pending.size, 0);
+        assert.equal(cache.entries.has('bad'), false);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('options are completed with defaults and margins are normalized', () => {
+    const options = validateOptions({ format: 'Letter', margin: { top: 10, left: ' 2cm ' } });
+
+    assert.equal(options.format, 'Letter');
+    assert.equal(options.orientation, DEFAULT_OPTIONS.orientation);
+    assert.deepEqual(options.margin, { top: '10px', bottom: '20px', left: '2cm', right: '20px' });
+    assert.notEqual(validateOptions({}).margin, DEFAULT_OPTIONS.margin);
+    assert.deepEqual(validateOptions({}), DEFAULT_OPTIONS);
+});
+
+test('invalid options are all reported with their field and code', () => {
+    assert.throws(() => validateOptions({ format: 'B9', scale: 5, timeout: 1500.5, colour: 'red', margin: { top: -1, middle: '1px' } }),
+        (error) => {
+            assert.ok(error instanceof OptionsError);
+            assert.equal(error.status, 400);
+            assert.equal(error.code, 'INVALID_OPTIONS');
+            assert.deepEqual(error.details.map(detail => [detail.field, detail.code]), [
+                ['colour', 'UNKNOWN_OPTION'],
+                ['format', 'INVALID_VALUE'],
+                ['margin.top', 'OUT_OF_RANGE'],
+                ['margin.middle', 'UNKNOWN_OPTION'],
+                ['scale', 'OUT_OF_RANGE'],
+                ['timeout', 'INVALID_TYPE']
+            ]);
+            return true;
+        });
+    assert.throws(() => validateOptions([]), error => error.details[0].code === 'INVALID_TYPE');
+});
+
+test('options sent as JSON override the options they are based on', () => {
+    const options = parseOptions('{"format":"A5"}', { format: 'Letter', orientation: 'landscape' });
+    assert.equal(options.format, 'A5');
+    assert.equal(options.orientation, 'landscape');
+    assert.equal(parseOptions('', { format: 'Letter' }).format, 'Letter');
+    assert.throws(() => parseOptions('{"format":'), error => error instanceof OptionsError && error.code === 'INVALID_JSON');
+});
+
+test('profiles take their options from the profiles they extend, nearest first', () => {
+    const config = {
+        file: null,
+        profiles: {
+            archive: { extends: 'archive', format: 'Letter' },
+            work: { extends: 'archive', theme: 'dark', redaction: { style: 'hash' } },
+            team: { extends: 'work', format: 'A5', outputDir: '/tmp/team' }
+        }
+    };
+    const profile = resolveProfile('team', config);
+
+    assert.deepEqual(profile.chain, ['team', 'work', 'archive', 'archive (built-in)']);
+    assert.equal(profile.options.format, 'A5');
+    assert.equal(profile.options.theme, 'dark');
+    assert.equal(profile.options.toc, true);
+    assert.deepEqual([profile.sources.format, profile.sources.theme, profile.sources.toc], ['team', 'work', 'archive (built-in)']);
+    assert.deepEqual(profile.redaction, { style: 'hash' });
+    assert.equal(profile.outputDir, '/tmp/team');
+    assert.ok(!('extends' in profile.options));
+    assert.deepEqual(resolveProfile().options, {});
+
+    // Explicit options win over the profile
+    assert.equal(parseOptions({ format: 'Legal' }, profile.options).format, 'Legal');
+});
+
+test('profiles that extend each other or nothing known are rejected', async () => {
+    const config = { file: null, profiles: { a: { extends: 'b' }, b: { extends: 'a' }, lost: { extends: 'nowhere' } } };
+    assert.throws(() => resolveProfile('a', config), error => error instanceof ProfileError && /extends itself/.test(error.message));
+    assert.throws(() => resolveProfile('lost', config), /Unknown profile 'nowhere'/);
+    assert.throws(() => resolveProfile('missing'), error => error.status === 400 && error.code === 'UNKNOWN_PROFILE');
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'profiles-'));
+    const file = path.join(dir, 'deepseek-pdf.config.json');
+    try {
+        await fs.writeJson(file, { profiles: { a: { extends: 'b' }, b: { extends: 'a' } } });
+        assert.throws(() => loadConfig(file), error => error instanceof ConfigError && /extends itself/.test(error.message));
+
+        await fs.writeJson(file, { profiles: { wide: { format: 'B9' } } });
+        assert.throws(() => loadConfig(file), /profile 'wide': format must be one of/);
+
+        await fs.writeJson(file, { profiles: { wide: { orientation: 'landscape', outputDir: 'out' } } });
+        assert.equal(loadConfig(file).profiles.wide.outputDir, path.join(dir, 'out'));
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('header and footer placeholders are filled from the document info', () => {
+    const furniture = pageFurniture(
+        { headerTemplate: '<b>{{ title }}</b> {{date}}', footerTemplate: 'source', margin: { top: '20px', bottom: '2cm' } },
+        { title: 'Fish & <Chips>', date: null, url: 'chat.html' }
+    );
+
+    assert.equal(furniture.displayHeaderFooter, true);
+    assert.match(furniture.headerTemplate, /<b>Fish &amp; &lt;Chips&gt;<\/b> <span class="date"><\/span>/);
+    assert.match(furniture.footerTemplate, /<div>chat\.html<\/div><div>Page <span class="pageNumber"><\/span> of <span class="totalPages"><\/span><\/div>/);
+    // Room for the furniture in a margin given in pixels, other units are kept
+    assert.deepEqual(furniture.margin, { top: '60px', bottom: '2cm' });
+
+    const numbers = pageFurniture({ pageNumbers: true, margin: { top: '20px', bottom: '80px' } });
+    assert.equal(numbers.headerTemplate, '<span></span>');
+    assert.match(numbers.footerTemplate, /Page <span class="pageNumber">/);
+    assert.equal(numbers.margin.bottom, '80px');
+    assert.deepEqual(pageFurniture({ margin: {} }), {});
+
+    // Page numbers are added to a custom footer, but not printed twice
+    const custom = pageFurniture({ footerTemplate: '<div>{{url}}</div>', pageNumbers: true }, { url: 'chat.html' });
+    assert.match(custom.footerTemplate, /<div>chat\.html<\/div><div>Page <span class="pageNumber"><\/span>/);
+    const own = pageFurniture({ footerTemplate: 'compliance', pageNumbers: true });
+    assert.equal(own.footerTemplate.match(/class="pageNumber"/g).length, 1);
+    const inHeader = pageFurniture({ headerTemplate: '{{page}}', footerTemplate: 'title', pageNumbers: true });
+    assert.doesNotMatch(inHeader.footerTemplate, /pageNumber/);
+});
+
+test('header and footer templates with unknown placeholders or scripts are rejected', () => {
+    assert.throws(() => validateTemplate('{{author}}', 'headerTemplate'),
+        error => error instanceof TemplateError && error.code === 'INVALID_TEMPLATE' && /unknown placeholder '\{\{author\}\}'/.test(error.message));
+    assert.throws(() => validateTemplate('<script>alert(1)</script>', 'footerTemplate'), /must not contain scripts/);
+    assert.throws(() => validateTemplate('x'.repeat(4001), 'footerTemplate'), /longer than/);
+    assert.doesNotThrow(() => validateTemplate('compliance', 'footerTemplate'));
+    assert.throws(() => validateOptions({ headerTemplate: '{{author}}' }), error => error.details[0].field === 'headerTemplate');
+});
+
+test('metrics are rendered in the Prometheus text format', () => {
+    const registry = new MetricsRegistry({ prefix: 'test_' });
+    const requests = registry.counter('requests_total', 'Requests', { labels: ['route', 'status'] });
+    const duration = registry.histogram('duration_seconds', 'Duration', { buckets: [1, 0.5] });
+    registry.gauge('queued', 'Queued jobs', { collect: () => 3 });
+
+    requests.inc({ route: '/a"b\\c', status: 200 });
+    requests.inc({ route: '/a"b\\c', status: 200 }, 2);
+    requests.inc({ status: 500 });
+    duration.observe({}, 0.2);
+    duration.observe({}, 0.7);
+    duration.observe({}, 5);
+
+    assert.equal(registry.render(), [
+        '# HELP test_requests_total Requests',
+        '# TYPE test_requests_total counter',
+        'test_requests_total{route="/a\\"b\\\\c",status="200"} 3',
+        'test_requests_total{route="",status="500"} 1',
+        '# HELP test_duration_seconds Duration',
+        '# TYPE test_duration_seconds histogram',
+        'test_duration_seconds_bucket{le="0.5"} 1',
+        'test_duration_seconds_bucket{le="1"} 2',
+        'test_duration_seconds_bucket{le="+Inf"} 3',
+        'test_duration_seconds_sum 5.9',
+        'test_duration_seconds_count 3',
+        '# HELP test_queued Queued jobs',
+        '# TYPE test_queued gauge',
+        'test_queued 3',
+        ''
+    ].join('\n'));
+    assert.throws(() => registry.counter('queued', 'Again'), /already registered/);
+});
+
+test('logger filters by level and adds the fields of its children', () => {
+    const lines = [];
+    const logger = new Logger({ level: 'warn', write: (line, level) => lines.push([level, JSON.parse(line)]) });
+    const child = logger.child({ requestId: 'r1' });
+
+    logger.info('hidden');
+    child.warn('slow', { ms: 1200, skipped: undefined });
+    child.error('failed', { error: Object.assign(new Error('bad input'), { status: 400, code: 'BAD_REQUEST' }) });
+    logger.error('crashed', { error: new Error('boom') });
+
+    assert.deepEqual(lines.map(([level, entry]) => [level, entry.msg]), [['warn', 'slow'], ['error', 'failed'], ['error', 'crashed']]);
+    assert.deepEqual(Object.keys(lines[0][1]), ['time', 'level', 'msg', 'requestId', 'ms']);
+    assert.deepEqual(lines[1][1].error, { message: 'bad input', code: 'BAD_REQUEST', status: 400 });
+    assert.match(lines[2][1].error.stack, /boom/);
+    assert.equal(lines[2][1].requestId, undefined);
+
+    const text = [];
+    new Logger({ format: 'text', write: line => text.push(line) }).info('started', { port: 3000, host: 'localhost' });
+    assert.match(text[0], /^\S+ INFO  started port=3000 host=localhost$/);
+    assert.throws(() => new Logger({ level: 'loud' }), /Unknown log level/);
+});
+
+test('jobs move from queued to running to completed or failed, one at a time', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+    const renders = [];
+    const handler = (job, { input, progress }) => new Promise((resolve, reject) => {
+        renders.push({ job, input, progress, resolve, reject });
+    });
+    const queue = new JobQueue({ dir, handler, concurrency: 1, logger: new Logger({ write: () => {} }) });
+    const until = async (condition) => {
+        while (!condition()) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    };
+
+    try {
+        await queue.start();
+        const first = await queue.add({ source: 'string', html: '<p>one</p>', owner: 'key_1' });
+        const second = await queue.add({ source: 'url', url: 'https://example.com/' });
+        const third = await queue.add({ source: 'string', html: '<p>three</p>' });
+        await until(() => renders.length === 1);
+        assert.deepEqual([first.status, second.status, third.status], ['running', 'queued', 'queued']);
+        assert.equal(renders[0].input, '<p>one</p>');
+
+        await renders[0].progress(150);
+        assert.equal(first.progress, 99);
+        renders[0].resolve({ buffer: Buffer.from('%PDF'), contentType: 'application/pdf', extension: 'pdf', pages: 1 });
+        await until(() => renders.length === 2);
+        assert.equal(first.status, 'completed');
+        assert.equal(first.progress, 100);
+        assert.deepEqual(first.report, { pages: 1 });
+        assert.equal(await fs.readFile(queue.resultPath(first), 'utf-8'), '%PDF');
+        assert.ok(!await fs.pathExists(queue.inputPath(first.id)));
+        assert.equal(renders[1].input, 'https://example.com/');
+
+        await queue.cancel(third.id);
+        assert.equal(third.status, 'cancelled');
+        renders[1].reject(Object.assign(new Error('Navigation failed'), { code: 'RENDER_FAILED' }));
+        await until(() => second.status === 'failed');
+        assert.deepEqual([second.error, second.errorCode], ['Navigation failed', 'RENDER_FAILED']);
+        assert.equal(renders.length, 2);
+        assert.deepEqual(queue.getStatus(), { queued: 0, running: 0, total: 3 });
+
+        await queue.cancel(first.id);
+        assert.throws(() => queue.get(first.id), JobNotFoundError);
+        assert.ok(!await fs.pathExists(queue.resultPath(first)));
+    } finally {
+        queue.stop();
+        await fs.remove(dir);
+    }
+});
+
+test('jobs interrupted by a restart are queued again', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+    const logger = new Logger({ write: () => {} });
+
+    try {
+        const stopped = new JobQueue({ dir, handler: () => new Promise(() => {}), logger });
+        await stopped.start();
+        const job = await stopped.add({ source: 'string', html: '<p>again</p>' });
+        assert.equal(job.status, 'running');
+        // The state is saved as running before the handler is called
+        while ((await fs.readJson(stopped.statePath(job.id)).catch(() => ({}))).status !== 'running') {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        stopped.stop();
+
+        const inputs = [];
+        const restarted = new JobQueue({
+            dir,
+            logger,
+            handler: async (restartedJob, { input }) => {
+                inputs.push(input);
+                return { buffer: Buffer.from('%PDF'), contentType: 'application/pdf', extension: 'pdf' };
+            }
+        });
+        await restarted.start();
+        while (restarted.get(job.id).status !== 'completed') {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        assert.deepEqual(inputs, ['<p>again</p>']);
+        restarted.stop();
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('browser pool queues requests up to its limit and hands freed browsers on', async () => {
+    const contexts = [];
+    const browser = {
+        connected: true,
+        createBrowserContext: async () => {
+            const context = { closed: false, newPage: async () => ({ context }), close: async () => { context.closed = true; } };
+            contexts.push(context);
+            return context;
+        },
+        close: async () => {}
+    };
+    const pool = new BrowserPool({ size: 1, maxQueue: 1, logger: new Logger({ write: () => {} }) });
+    pool.slots.push({ id: 0, browser, uses: 0, createdAt: Date.now(), busy: false, launching: null });
+
+    let finish;
+    const first = pool.withPage(page => new Promise((resolve) => {
+        finish = () => resolve(page);
+    }));
+    const second = pool.withPage(async page => page);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual([pool.getStatus().busy, pool.getStatus().queued], [1, 1]);
+
+    await assert.rejects(pool.withPage(async () => {}), (error) => {
+        assert.ok(error instanceof PoolSaturatedError);
+        assert.equal(error.status, 503);
+        assert.ok(error.retryAfter >= 1);
+        return true;
+    });
+
+    finish();
+    const [firstPage, secondPage] = await Promise.all([first, second]);
+    assert.notEqual(firstPage.context, secondPage.context);
+    assert.ok(contexts.every(context => context.closed));
+    assert.equal(pool.slots[0].uses, 2);
+    assert.deepEqual(pool.getStatus(), {
+        size: 1, busy: 0, alive: 1, queued: 0, maxQueue: 1, launches: 0, crashes: 0, recycled: 0, rejected: 1
+    });
+
+    await pool.close();
+    await assert.rejects(pool.withPage(async () => {}), /closed/);
+});
+
+test('chat template rebuilds the export with its theme, escaping prompts', () => {
+    const { html } = prepareHTML(SAMPLE_HTML, { template: 'chat', theme: 'dark' }, { fileName: SAMPLE_NAME });
+    assert.match(html, /<body class="theme-dark">/);
+    assert.equal(html.match(/<section class="turn turn-user"/g).length, 6);
+    assert.equal(html.match(/<section class="turn turn-assistant"/g).length, 6);
+    assert.match(html, /<h1 class="chat-title">Guide to Creating DeepSeek Chat PDF Extension<\/h1>/);
+    assert.match(html, /6 prompts · 6 answers/);
+
+    const conversation = {
+        title: 'One <turn>',
+        exportedAt: null,
+        stats: { prompts: 1, answers: 1 },
+        turns: [
+            { role: 'user', index: 1, text: 'What does <b> do?' },
+            { role: 'assistant', index: 2, html: '<p style="color: red">It makes text <b>bold</b>.</p>' }
+        ]
+    };
+    const chat = renderChatDocument(conversation, { theme: 'compact' });
+    assert.match(chat, /<title>One &lt;turn&gt;<\/title>/);
+    assert.match(chat, /What does &lt;b&gt; do\?/);
+    assert.match(chat, /<p>It makes text <b>bold<\/b>\.<\/p>/);
+    assert.match(chat, /1 prompt · 1 answer</);
+    assert.throws(() => renderChatDocument(conversation, { theme: 'sepia' }), /Unknown theme 'sepia'/);
+});
+
+test('outline entries follow headings, or prompts and their answer headings', () => {
+    const plain = annotateOutline('<html><head></head><body><h1>Intro</h1><h2 id="part">Part</h2><h4>Skipped</h4></body></html>',
+        { toc: true, pages: new Map([['part', 3]]) });
+    assert.deepEqual(plain.entries, [
+        { id: 'pdf-outline-0', title: 'Intro', level: 1, page: null },
+        { id: 'part', title: 'Part', level: 2, page: 3 }
+    ]);
+    assert.match(plain.html, /<h1 class="pdf-toc-title">Contents<\/h1>/);
+    assert.match(plain.html, /<span class="pdf-toc-text">Part<\/span><span class="pdf-toc-leader"><\/span><span class="pdf-toc-page">3<\/span>/);
+
+    const { html } = prepareHTML(SAMPLE_HTML, { template: 'chat' }, { fileName: SAMPLE_NAME });
+    const chat = annotateOutline(html);
+    assert.equal(chat.entries.filter(entry => entry.level === 1).length, 6);
+    assert.ok(chat.entries.every(entry => entry.level >= 1 && entry.level <= 4));
+    assert.match(chat.entries[0].title, /^Create an instruction step by step/);
+    assert.ok(!chat.html.includes('<nav class="pdf-toc">'));
+    // Chromium only writes destinations that are linked to
+    assert.ok(chat.entries.every(entry => chat.html.includes(`<a href="#${entry.id}"></a>`)));
+});
+
+test('outline is written from the named destinations of the PDF', async () => {
+    const source = await PDFDocument.create();
+    const pages = [source.addPage(), source.addPage(), source.addPage()];
+    const dest = page => source.context.obj([page.ref, PDFName.of('XYZ'), null, null, null]);
+    source.catalog.set(PDFName.of('Dests'), source.context.obj({ intro: dest(pages[0]), part: dest(pages[2]) }));
+    const pdf = Buffer.from(await source.save());
+
+    assert.deepEqual([...await resolvePages(pdf)], [['intro', 1], ['part', 3]]);
+
+    const outlined = await PDFDocument.load(await addOutline(pdf, [
+        { id: 'intro', title: 'Intro', level: 1 },
+        { id: 'missing', title: 'Hidden', level: 1 },
+        { id: 'part', title: 'Part', level: 2 }
+    ]));
+    const outlines = outlined.catalog.lookup(PDFName.of('Outlines'), PDFDict);
+    const first = outlines.lookup(PDFName.of('First'), PDFDict);
+    assert.equal(outlines.get(PDFName.of('Count')).asNumber(), 1);
+    assert.equal(first.lookup(PDFName.of('Title')).decodeText(), 'Intro');
+    assert.equal(first.lookup(PDFName.of('First'), PDFDict).lookup(PDFName.of('Title')).decodeText(), 'Part');
+    assert.equal(first.get(PDFName.of('Count')).asNumber(), -1);
+    assert.equal(await addOutline(pdf, [{ id: 'missing', title: 'Hidden', level: 1 }]), pdf);
+});
+
+test('images are sent as one file, or pages and turns as a zip', async () => {
+    const options = validateOptions({ output: 'webp', imageMode: 'turns', imageWidth: 800, deviceScaleFactor: 2 });
+    assert.ok(isImageOutput(options));
+    assert.ok(!isImageOutput(DEFAULT_OPTIONS));
+    assert.deepEqual(screenshotViewport(options), { width: 800, height: 800, deviceScaleFactor: 2 });
+
+    const images = [{ name: 'turn-01.webp', buffer: Buffer.from('one') }, { name: 'turn-02.webp', buffer: Buffer.from('two') }];
+    const packed = await packImages(images, options);
+    assert.deepEqual([packed.contentType, packed.extension], ['application/zip', 'zip']);
+    assert.deepEqual((await unpackImages(packed, options)).map(image => [image.name, image.buffer.toString()]),
+        [['turn-01.webp', 'one'], ['turn-02.webp', 'two']]);
+
+    const full = { ...options, imageMode: 'full', output: 'png' };
+    const single = await packImages([{ name: 'chat.png', buffer: Buffer.from('png') }], full);
+    assert.deepEqual([single.contentType, single.extension, single.buffer.toString()], ['image/png', 'png', 'png']);
+    assert.deepEqual((await unpackImages(single, full)).map(image => image.name), ['chat.png']);
+
+    assert.throws(() => validateOptions({ output: 'png', imageWidth: 100 }), error => error.details[0].code === 'OUT_OF_RANGE');
+});
+
+test('code lines are split with their token spans and blocks are split by page', () => {
+    const $ = cheerio.load('<pre><span class="token comment">/* one\ntwo */</span> x &lt; 1\n</pre>');
+    assert.deepEqual(splitLines($('pre')[0]), [
+        '<span class="token comment">/* one</span>',
+        '<span class="token comment">two */</span> x &lt; 1'
+    ]);
+
+    const page = { format: 'A4', margin: { top: '20px', bottom: '20px' } };
+    const portrait = linesPerPage(page);
+    assert.ok(linesPerPage({ format: 'A4', orientation: 'landscape' }) < portrait);
+    assert.ok(linesPerPage({ format: 'A4', margin: { top: '2in', bottom: '2in' } }) < portrait);
+    assert.equal(linesPerPage({ format: 'A6', margin: { top: '10cm', bottom: '10cm' } }), 10);
+
+    const code = Array.from({ length: portrait + 5 }, (line, i) => `print(${i})`).join('\n');
+    const html = `<html><head></head><body><div class="md-code-block"><div class="md-code-block-banner"><span class="d813de27">python</span></div><pre>${code}\n</pre></div></body></html>`;
+    const { html: split, blocks } = renderCodeBlocks(html, { ...page, codeSplit: true, codeLineNumbers: true });
+    assert.equal(blocks, 1);
+    assert.equal(split.match(/data-language="python"/g).length, 2);
+    assert.match(split, new RegExp(`continued, lines ${portrait + 1}–${portrait + 5}`));
+    assert.equal(split.match(/class="code-line"/g).length, portrait + 5);
+    assert.equal(split.match(/continued on next page/g).length, 1);
+    assert.match(split, /<span class="token keyword">print<\/span>/);
+});
+
+test('raw TeX is found and rendered, prices and code are left alone', () => {
+    assert.deepEqual(detectMath('<p>Energy $E=mc^2$ costs $5 and $10, $$a^2$$ and \\(x\\)</p>' +
+        '<math><mi>y</mi></math><code>$x$</code>'), { katex: 0, mathml: 1, tex: 3 });
+
+    const page = body => `<html><head></head><body>${body}</body></html>`;
+    const rendered = renderMath(page('<p>$x^2$ and $\\frac{$ for $5</p>'), { mathTex: true });
+    assert.deepEqual(rendered.report, { rendered: 1, failed: 1, fallbacks: 0 });
+    assert.ok(rendered.html.includes('<span class="katex">'));
+    assert.ok(rendered.html.includes('<style data-katex="">'));
+    assert.ok(rendered.html.includes('$\\frac{$ for $5'));
+
+    const mathml = renderMath(page('<p>$x^2$</p>'), { mathTex: true, math: 'mathml' });
+    assert.ok(!mathml.html.includes('katex-html'));
+    assert.match(mathml.html, /<math/);
+
+    // KaTeX markup that lost its HTML rendering is printed as MathML
+    const broken = renderMath(page('<span class="katex"><span class="katex-mathml"><math><mi>x</mi></math></span></span>'), {});
+    assert.equal(broken.report.fallbacks, 1);
+    assert.equal(renderMath('<p>$x$</p>', { mathTex: true, math: 'off' }).html, '<p>$x$</p>');
+});
+
+test('merged chats are ordered by export time under one cover', async () => {
+    const chat = title => `<html><head><title>${title}</title></head><body>` +
+        `<div class="fbb737a4">About ${title}?</div><div class="ds-markdown"><p>Answer</p></div></body></html>`;
+    const chats = [
+        { html: chat('Later'), fileName: 'deepseek-chat-2025-08-09T10-00-00.html' },
+        { html: chat('Undated') },
+        { html: chat('Earlier'), fileName: 'deepseek-chat-2025-08-04T10-00-00.html' }
+    ];
+    const options = mergeOptions(DEFAULT_OPTIONS);
+
+    const merged = await prepareMerge(chats, options, { title: 'Q3 & more' });
+    assert.deepEqual(merged.chats.map(entry => entry.title), ['Earlier', 'Later', 'Undated']);
+    assert.deepEqual(merged.info, { title: 'Q3 & more', date: '2025-08-04 – 2025-08-09', url: null });
+    assert.match(merged.html, /<h1 class="merge-title">Q3 &amp; more<\/h1>/);
+    assert.match(merged.html, /3 chats · 2025-08-04 – 2025-08-09 · 3 prompts/);
+    assert.match(merged.html, /id="chat-3-turn-1"/);
+    assert.deepEqual(merged.sources.map(source => source.fileName), [chats[2].fileName, chats[0].fileName, null]);
+    assert.deepEqual((await prepareMerge(chats, options, { order: 'input' })).chats.map(entry => entry.title),
+        ['Later', 'Undated', 'Earlier']);
+    assert.deepEqual([options.outline, options.toc, options.pageNumbers], [true, true, true]);
+
+    await assert.rejects(prepareMerge(chats, options, { order: 'size' }), error => error instanceof MergeError && error.code === 'INVALID_MERGE');
+    await assert.rejects(prepareMerge([], options), /No chats to merge/);
+    await assert.rejects(prepareMerge([chats[0], { html: '<p>Notes</p>', fileName: 'notes.html' }], options),
+        error => error instanceof ExportParseError && /Chat 2 \(notes\.html\) is not a DeepSeek chat export/.test(error.message));
+});
+
+test('finished PDFs carry the chat metadata, the watermark and their sources', async () => {
+    const blank = await PDFDocument.create();
+    blank.addPage();
+    const pdf = Buffer.from(await blank.save());
+    const exportedAt = '2025-08-03T18:20:31.000Z';
+
+    const finished = await PDFDocument.load(await finishPDF(pdf,
+        { pdfKeywords: ['deepseek', 'pdf'], watermark: 'DRAFT', attachSource: true, attachJSON: true },
+        { info: { title: 'Chat', exportedAt }, sources: [{ html: SAMPLE_HTML, fileName: 'chat.html' }, { html: SAMPLE_HTML, fileName: 'chat.html' }] }));
+
+    assert.equal(finished.getTitle(), 'Chat');
+    assert.equal(finished.getKeywords(), 'deepseek pdf');
+    assert.equal(finished.getCreator(), 'html-to-pdf-api');
+    assert.equal(finished.getCreationDate().toISOString(), exportedAt);
+    const xmp = finished.catalog.lookup(PDFName.of('Metadata'));
+    assert.match(Buffer.from(xmp.getContents()).toString(), /<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Chat<\/rdf:li>/);
+
+    const files = finished.catalog.lookup(PDFName.of('Names'), PDFDict).lookup(PDFName.of('EmbeddedFiles'), PDFDict)
+        .lookup(PDFName.of('Names'), PDFArray);
+    const names = [];
+    for (let i = 0; i < files.size(); i += 2) {
+        names.push(files.lookup(i).decodeText());
+    }
+    assert.deepEqual(names.sort(), ['chat-2.html', 'chat-2.json', 'chat.html', 'chat.json']);
+
+    const titled = await PDFDocument.load(await finishPDF(pdf, { pdfTitle: 'Own title' }, { info: { title: 'Chat' } }));
+    assert.equal(titled.getTitle(), 'Own title');
+    assert.ok(titled.catalog.lookup(PDFName.of('Names')) === undefined);
+    assert.ok(finished.getPage(0).node.Contents() && !titled.getPage(0).node.Contents());
+});
+
+test('printable area follows the paper, orientation, furniture margins and scale', () => {
+    const area = printableArea(DEFAULT_OPTIONS);
+    assert.deepEqual(area.margin, { top: 20, bottom: 20, left: 20, right: 20 });
+    assert.equal(Math.round(area.width), 754);
+    assert.equal(Math.round(area.height), 1083);
+
+    const landscape = printableArea(validateOptions({ orientation: 'landscape', pageNumbers: true, scale: 0.5 }));
+    assert.equal(Math.round(landscape.page.width), 1123);
+    assert.equal(landscape.margin.bottom, 60);
+    assert.equal(landscape.layoutWidth, landscape.width * 2);
+});
+
+test('preflight reports blank gaps, clipped elements and unresolved assets', async () => {
+    const doc = await PDFDocument.create();
+    doc.addPage([595.28, 841.89]).drawRectangle({ x: 20, y: 0, width: 555, height: 841.89, color: rgb(0, 0, 0) });
+    doc.addPage([595.28, 841.89]).drawRectangle({ x: 20, y: 700, width: 555, height: 120, color: rgb(0, 0, 0) });
+    const pdf = Buffer.from(await doc.save());
+
+    const report = await preflightReport({
+        pdf,
+        layout: { overflows: [{ element: 'pre', width: 900, clipped: true }], brokenImages: [], fonts: { missing: [], failed: [] } },
+        assets: { unresolved: ['a.css'], remote: [] },
+        options: DEFAULT_OPTIONS,
+        thumbnails: true
+    });
+
+    assert.equal(report.ok, false);
+    assert.equal(report.pages, 2);
+    assert.equal(report.estimatedSize, pdf.length);
+    assert.deepEqual(report.printableArea, { width: 754, height: 1083, layoutWidth: 754, unit: 'px' });
+    // The last page is only reported when it is empty
+    assert.deepEqual(report.whitespace, []);
+    assert.deepEqual(report.warnings, [
+        '1 element with clipped content, e.g. code blocks that scroll',
+        '1 asset could not be resolved'
+    ]);
+    assert.equal(report.thumbnails.length, 2);
+    assert.match(report.thumbnails[0].image, /^data:image\/png;base64,/);
+
+    doc.addPage([595.28, 841.89]);
+    const blank = await preflightReport({
+        pdf: Buffer.from(await doc.save()),
+        layout: { overflows: [], brokenImages: [], fonts: { missing: [], failed: [] } },
+        assets: null,
+        options: DEFAULT_OPTIONS
+    });
+    assert.deepEqual(blank.whitespace.map(entry => entry.page), [2, 3]);
+    assert.deepEqual(blank.warnings, ['Large blank gaps on 2 pages: 2, 3']);
+    assert.equal(blank.thumbnails, undefined);
+});
+
+test('scripts get fallback fonts, a direction and a language', () => {
+    assert.deepEqual([...detectScripts('Hello 你好 مرحبا 😀 שלום').keys()], ['han', 'arabic', 'emoji', 'hebrew']);
+    assert.equal(detectScripts('Plain ASCII and Ünïcödé Latin').size, 0);
+
+    const html = '<html><head><style>body { font-family: Arial }</style></head><body>' +
+        '<p>مرحبا world</p><p>你好</p><pre>مرحبا</pre><p style="font: 12px Georgia">x</p><p>안녕</p></body></html>';
+    const { html: output, report } = renderScriptFonts(html, {});
+    assert.deepEqual(report, {
+        scripts: ['han', 'hangul', 'arabic'],
+        fonts: ['Noto Sans SC', 'Noto Sans Arabic'],
+        missing: ['hangul'],
+        rtl: 1
+    });
+    const stack = "'Noto Sans SC', 'Noto Sans Arabic'";
+    assert.ok(output.includes(`body { font-family: Arial, ${stack} }`));
+    assert.ok(output.includes(`<p style="font: 12px Georgia, ${stack}">`));
+    assert.ok(output.includes('<p dir="rtl" lang="ar">مرحبا world</p><p lang="zh">你好</p><pre>مرحبا</pre>'));
+    assert.ok(output.includes('<p lang="ko">안녕</p>'));
+    assert.equal(output.match(/@font-face \{ font-family: 'Noto Sans Arabic'/g).length, 2);
+
+    assert.deepEqual(renderScriptFonts(html, { fontFallback: false }), { html, report: null });
+});
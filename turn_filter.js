@@ -0,0 +1,327 @@
+/**
+ * Turn Filter
+ * Selects, reorders and collapses the turns of a DeepSeek export before it is
+ * rendered. Works on the export's own markup, so the result can be printed as
+ * is or passed on to the chat template.
+ */
+
+import * as cheerio from 'cheerio';
+import { SELECTORS, ExportParseError, codeLanguage } from './deepseek_parser.js';
+import { testTexts, MATCH_TIMEOUT } from './regex_worker.js';
+
+export const ROLES = ['all', 'user', 'assistant'];
+
+const EXCERPT_LENGTH = 200;
+export const MAX_PATTERN_LENGTH = 100;
+
+const COLLAPSED_CSS = `
+    .turn-collapsed, .code-collapsed {
+        border: 1px dashed #bbbbbb;
+        border-radius: 6px;
+        color: #666666;
+        font-style: italic;
+        margin: 0.8em 0;
+        padding: 8px 12px;
+    }
+    .turn-collapsed-excerpt {
+        font-style: normal;
+        margin: 0 0 4px;
+    }
+    .turn-collapsed-note {
+        font-size: 0.85em;
+        margin: 0;
+    }
+`;
+
+export class TurnSelectionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TurnSelectionError';
+        this.status = 422;
+        this.code = 'NO_TURNS_SELECTED';
+    }
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse a turn selection like "3-7", "1,4,9-" or "7-3". Turns are numbered
+ * from 1 in document order, prompts and answers counting separately; the
+ * order of the spec is the order of the output, so "7-3" reverses a range.
+ *
+ * @returns {Array<{ from: number, to: number|null }>} Ranges, `to` null for open ends
+ */
+export function parseTurnSpec(spec) {
+    if (typeof spec !== 'string' || !spec.trim()) {
+        throw new Error('turns must be a non-empty string like "3-7" or "1,4,9-"');
+    }
+
+    return spec.split(',').map((part) => {
+        const match = part.trim().match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+        if (!match || (!match[1] && !match[3])) {
+            throw new Error(`turns has an invalid range '${part.trim()}'`);
+        }
+        const from = match[1] ? Number(match[1]) : 1;
+        const to = match[2] ? (match[3] ? Number(match[3]) : null) : from;
+        if (from < 1 || to === 0) {
+            throw new Error('turns are numbered from 1');
+        }
+        return { from, to };
+    });
+}
+
+/**
+ * Find the repetition in a search pattern that can backtrack exponentially:
+ * a repeated group that itself repeats or has alternatives, like (a+)+ or
+ * (a|ab)*, and backreferences.
+ *
+ * @returns {string|null} What is wrong with the pattern, null if it looks safe
+ */
+function unsafePattern(source) {
+    const groups = [];
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        const group = groups[groups.length - 1];
+
+        if (char === '\\') {
+            if (!inClass && /[1-9k]/.test(source[i + 1] || '')) {
+                return 'backreferences are not allowed';
+            }
+            i++;
+        } else if (inClass) {
+            inClass = char !== ']';
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push({ repeats: false });
+        } else if (char === ')') {
+            const closed = groups.pop();
+            const next = source[i + 1];
+            if (closed?.repeats && (next === '*' || next === '+' || next === '{')) {
+                return 'repeated groups must not contain repetition or alternatives';
+            }
+            if (closed?.repeats && groups.length > 0) {
+                groups[groups.length - 1].repeats = true;
+            }
+        } else if (group && (char === '*' || char === '+' || char === '{' || char === '|' ||
+            (char === '?' && source[i - 1] !== '('))) {
+            group.repeats = true;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the matcher for a search: "/pattern/flags" is a regular expression,
+ * anything else a case-insensitive text search. Patterns are limited to
+ * MAX_PATTERN_LENGTH characters without nested repetition, and run in a
+ * worker with a time limit, since they come from requests and run against
+ * every turn of an uploaded chat.
+ *
+ * @returns {function(string[]): boolean[]} Whether each text matches
+ */
+export function parseSearch(search, { timeout = MATCH_TIMEOUT } = {}) {
+    if (typeof search !== 'string' || !search.trim()) {
+        throw new Error('search must be a non-empty string');
+    }
+
+    const regex = search.match(/^\/(.+)\/([a-z]*)$/s);
+    if (regex) {
+        if (regex[1].length > MAX_PATTERN_LENGTH) {
+            throw new Error(`search patterns must be at most ${MAX_PATTERN_LENGTH} characters`);
+        }
+        const problem = unsafePattern(regex[1]);
+        if (problem) {
+            throw new Error(`search pattern is too expensive to run: ${problem}`);
+        }
+
+        const flags = regex[2].replace('g', '');
+        try {
+            new RegExp(regex[1], flags);
+        } catch (error) {
+            throw new Error(`search is not a valid regular expression: ${error.message}`);
+        }
+        return texts => testTexts(regex[1], flags, texts, { timeout });
+    }
+
+    const needle = search.toLowerCase();
+    return texts => texts.map(text => text.toLowerCase().includes(needle));
+}
+
+/**
+ * Whether the options ask for any turn selection or collapsing.
+ */
+export function hasTurnFilter(options = {}) {
+    return Boolean(options.turns || options.search || (options.role && options.role !== 'all') ||
+        options.collapseCodeLines > 0 || options.collapseAnswerLength > 0);
+}
+
+function expandSpec(ranges, count) {
+    const numbers = [];
+    for (const { from, to } of ranges) {
+        const end = Math.min(to ?? count, count);
+        if (from <= end) {
+            for (let n = from; n <= end; n++) {
+                numbers.push(n);
+            }
+        } else if (from <= count) {
+            for (let n = from; n >= end; n--) {
+                numbers.push(n);
+            }
+        } else if (to !== null && to <= count) {
+            // Descending range starting past the end, e.g. "99-40" in a 50-turn chat
+            for (let n = count; n >= to; n--) {
+                numbers.push(n);
+            }
+        }
+    }
+    return [...new Set(numbers)];
+}
+
+/**
+ * The element that holds a turn and nothing else: the turn's ancestor directly
+ * below the element containing all turns. Falls back to the turn itself when
+ * turns share a wrapper.
+ */
+function turnContainers($, elements) {
+    if (elements.length < 2) {
+        return elements;
+    }
+
+    let common = $(elements[0]).parents().toArray();
+    for (const el of elements.slice(1)) {
+        const ancestors = new Set($(el).parents().toArray());
+        common = common.filter(ancestor => ancestors.has(ancestor));
+    }
+    const root = common[0];
+
+    const containers = elements.map((el) => {
+        let node = el;
+        while (node.parent && node.parent !== root) {
+            node = node.parent;
+        }
+        return node;
+    });
+    return new Set(containers).size === containers.length ? containers : elements;
+}
+
+function collapseCode($, $answer, maxLines) {
+    $answer.find(SELECTORS.codeBlock).each((i, el) => {
+        const $block = $(el);
+        const lines = $block.find('pre').first().text().replace(/\n$/, '').split('\n').length;
+        if (lines <= maxLines) {
+            return;
+        }
+        const language = codeLanguage($, $block);
+        $block.replaceWith(`<div class="code-collapsed">${escapeHTML(language ? `${language} code` : 'Code')}` +
+            ` block collapsed: ${lines.toLocaleString('en-US')} lines</div>`);
+    });
+}
+
+function collapseAnswer($, $answer, maxLength) {
+    const content = $answer.clone();
+    content.find(SELECTORS.chrome).remove();
+    const text = content.text().replace(/\s+/g, ' ').trim();
+    if (text.length <= maxLength) {
+        return;
+    }
+
+    const firstBlock = content.children().toArray().find(el => $(el).text().trim());
+    const first = firstBlock ? $(firstBlock).text().replace(/\s+/g, ' ').trim() : text;
+    const excerpt = first.length > EXCERPT_LENGTH ? `${first.slice(0, EXCERPT_LENGTH - 1)}…` : first;
+    const codeBlocks = content.find(SELECTORS.codeBlock).length;
+    const note = [
+        `${text.length.toLocaleString('en-US')} characters`,
+        codeBlocks > 0 ? `${codeBlocks} code block${codeBlocks === 1 ? '' : 's'}` : null
+    ].filter(Boolean).join(', ');
+
+    // The answer element stays, so the turn is still found by the parser
+    $answer.html(`<div class="turn-collapsed">` +
+        `<p class="turn-collapsed-excerpt">${escapeHTML(excerpt)}</p>` +
+        `<p class="turn-collapsed-note">Answer collapsed: ${note}</p></div>`);
+}
+
+/**
+ * Apply the turn options to a DeepSeek export.
+ *
+ * @param {string} html - Exported HTML document
+ * @param {object} options - turns, role, search, collapseCodeLines, collapseAnswerLength
+ * @returns {{ html: string, selected: number[], total: number }} The filtered document and
+ *   the 1-based numbers of the turns it contains, in output order
+ * @throws {ExportParseError} When the document has no turns
+ * @throws {TurnSelectionError} When no turn is left
+ */
+export function filterTurns(html, options = {}) {
+    const { turns, role = 'all', search, collapseCodeLines = 0, collapseAnswerLength = 0 } = options;
+    const $ = cheerio.load(html);
+
+    const elements = $(`${SELECTORS.prompt}, ${SELECTORS.answer}`).toArray()
+        .filter(el => $(el).parents(SELECTORS.answer).length === 0);
+    if (elements.length === 0) {
+        throw new ExportParseError('Turn options need a DeepSeek export, but no conversation was found');
+    }
+
+    const roleOf = el => ($(el).is(SELECTORS.prompt) ? 'user' : 'assistant');
+    const matches = search ? parseSearch(search) : null;
+
+    let numbers = turns
+        ? expandSpec(parseTurnSpec(turns), elements.length)
+        : elements.map((el, i) => i + 1);
+    numbers = numbers.filter(n => role === 'all' || roleOf(elements[n - 1]) === role);
+    if (matches) {
+        const found = matches(numbers.map(n => $(elements[n - 1]).text()));
+        numbers = numbers.filter((n, i) => found[i]);
+    }
+
+    if (numbers.length === 0) {
+        throw new TurnSelectionError(`No turns match the selection (the chat has ${elements.length} turns)`);
+    }
+
+    const containers = turnContainers($, elements);
+    const keep = new Set(numbers);
+    containers.forEach((container, i) => {
+        if (!keep.has(i + 1)) {
+            $(container).remove();
+        }
+    });
+
+    // Kept turns fill the slots of the kept turns in document order
+    const slots = [...numbers].sort((a, b) => a - b);
+    if (slots.some((n, i) => n !== numbers[i])) {
+        const markers = slots.map((n) => {
+            const marker = $('<span data-turn-slot></span>');
+            $(containers[n - 1]).before(marker);
+            return marker;
+        });
+        numbers.forEach((n, i) => {
+            markers[i].replaceWith($(containers[n - 1]));
+        });
+    }
+
+    for (const n of numbers) {
+        const el = elements[n - 1];
+        if (roleOf(el) !== 'assistant') {
+            continue;
+        }
+        if (collapseAnswerLength > 0) {
+            collapseAnswer($, $(el), collapseAnswerLength);
+        }
+        if (collapseCodeLines > 0) {
+            collapseCode($, $(el), collapseCodeLines);
+        }
+    }
+
+    if ($('.turn-collapsed, .code-collapsed').length > 0) {
+        $('head').append(`<style data-turn-filter>${COLLAPSED_CSS}</style>`);
+    }
+
+    return { html: $.html(), selected: numbers, total: elements.length };
+}